@@ -1,203 +1,1082 @@
-import React, { useState, useRef } from 'react';
-import { Upload, Download, Eye, Edit3, Wand2, FileText, Image, FileType, Save, Loader2, Check, X, Plus, AlertCircle, ArrowLeft } from 'lucide-react';
-
-// API Service
-class ApiService {
-  constructor() {
-    // Fix for process.env not defined in browser
-    this.baseURL = (typeof process !== 'undefined' && process.env?.REACT_APP_API_URL) 
-      ? process.env.REACT_APP_API_URL 
-      : 'https://abhishek.nssiitd.in/aidoc/api';
-  }
-
-  async uploadDocument(file) {
-    if (!file) {
-      throw new Error('No file provided');
-    }
-  
-    const formData = new FormData();
-    formData.append('document', file);
-  
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { Upload, Download, Eye, Edit3, Wand2, FileText, Image, FileType, Save, Loader2, Check, X, Plus, AlertCircle, ArrowLeft, Undo2, Redo2, RotateCcw, GitCompare, ShieldAlert, MousePointerClick, Search, Crosshair, PenLine, Code, CloudOff, Library, LogIn, LogOut, Languages, EyeOff, MessageSquarePlus } from 'lucide-react';
+import useEditHistory, { createSnapshot, commitToSnapshot } from './hooks/useEditHistory';
+import DiffView from './components/DiffView';
+import ChangeReview from './components/ChangeReview';
+import SandboxedPreview from './components/SandboxedPreview';
+import { diffHtml, mergeChanges } from './utils/htmlDiff';
+import sanitizeHtml from './utils/sanitizeHtml';
+import { applyPreset, removePreset, appliedPresetId } from './utils/stylePresets';
+import { buildPattern, findMatches, markMatches, replaceMatches } from './utils/findReplace';
+import { scopeFromElement, scopeFromRange, parentScope, extractScope, spliceScope, markScope } from './utils/scope';
+import { SCOPE_STYLES, SELECT_MODE_STYLES, MANUAL_EDIT_STYLES, FIND_STYLES, AUDIT_STYLES, OCR_REVIEW_STYLES, REDACTION_STYLES, COMMENT_STYLES } from './components/previewStyles';
+import ManualEditToolbar from './components/ManualEditToolbar';
+import SourceEditor from './components/SourceEditor';
+import DocumentQueue from './components/DocumentQueue';
+import UploadProgress from './components/UploadProgress';
+import RecentSessions from './components/RecentSessions';
+import ExportPanel from './components/ExportPanel';
+import StylePresets from './components/StylePresets';
+import InstructionLibrary from './components/InstructionLibrary';
+import MacroRun from './components/MacroRun';
+import FindReplace from './components/FindReplace';
+import DocumentOutline from './components/DocumentOutline';
+import TranslationView from './components/TranslationView';
+import AccessibilityAudit from './components/AccessibilityAudit';
+import OcrReview from './components/OcrReview';
+import RedactionPanel from './components/RedactionPanel';
+import CommentsPanel from './components/CommentsPanel';
+import { analyzeDocument, HEADING_SELECTOR } from './utils/documentStructure';
+import { splitSegments, joinSegments, bilingualHtml, reuseTranslations, languageDirection } from './utils/translation';
+import { auditDocument, fixIssue, issueScope, markIssue } from './utils/accessibility';
+import { hasOcr, ocrReviewItems, pendingOcrCount, reviewOcrItem, markOcrItems } from './utils/ocr';
+import { compileRules, detectPii, markSuggestions, applyRedactions, scrubHtml, scrubText, appendRedactionLog } from './utils/redaction';
+import { anchorFromRange, detachedThreads, threadScope, markThreads, appendReviewSummary } from './utils/comments';
+import { createZip } from './utils/zip';
+import { validateFile, acceptAttribute, uploadHint, isAcceptedMimeType } from './utils/uploadValidation';
+import editConfig from './config/editConfig';
+import translationConfig from './config/translationConfig';
+import ocrConfig from './config/ocrConfig';
+import redactionConfig from './config/redactionConfig';
+import sanitizeConfig from './config/sanitizeConfig';
+import ApiService from './services/ApiService';
+import { isCancelled } from './services/errors';
+import { exportDocument } from './services/exporter';
+import { runMacro } from './services/macroRunner';
+import { translateSegments } from './services/translator';
+import { loadRedactionTerms, saveRedactionTerms } from './services/redactionStore';
+import { getSession, subscribe as subscribeToAuth } from './services/auth';
+import ErrorAlert from './components/ErrorAlert';
+import LoginDialog from './components/LoginDialog';
+import MyDocuments from './components/MyDocuments';
+import { isSessionStoreAvailable, saveSession, loadSession, listSessions, deleteSession, clearSessions } from './services/sessionStore';
+
+const api = new ApiService();
+
+let queueCounter = 0;
+
+// Unique across reloads, since resumed sessions bring their keys back.
+const newQueueKey = () => {
+  queueCounter += 1;
+  return `file-${Date.now().toString(36)}-${queueCounter}`;
+};
+
+// Queue entry fields for a document the server has processed: a finished
+// upload or one opened from My Documents. Only documents saved from the
+// editor may come with its state markers (reviewed OCR text, redactions).
+const readyItem = (doc, { saved = false } = {}) => {
+  const { html, removed } = sanitizeHtml(doc.html || '', sanitizeConfig, { keepEditorState: saved });
+  return {
+    status: 'ready',
+    progress: null,
+    document: { ...doc, html },
+    language: doc.language || 'en',
+    history: createSnapshot(html),
+    comments: [],
+    sanitizeReport: removed.length > 0 ? { source: 'upload', removed } : null
+  };
+};
+
+const documentTitle = (doc) => doc?.originalName?.split('.')[0] || 'document';
+// A closed find/replace bar opens empty, as a new session (see replaceInDocument).
+const newFindState = () => ({ query: '', replacement: '', caseSensitive: false, wholeWord: false, regex: false, session: Date.now() });
+const downloadName = (doc, format) => `${documentTitle(doc)}.${format}`;
+// One comment of a review thread; see CommentsPanel.
+let commentCounter = 0;
+const newComment = (text, author) => {
+  commentCounter += 1;
+  return { id: `comment-${Date.now().toString(36)}-${commentCounter}`, author, text, timestamp: new Date().toLocaleString() };
+};
+// A translation of `html` into `target`, not started yet; see TranslationView.
+const newTranslation = (html, target, translations = null) => {
+  const segments = splitSegments(html);
+  return { id: Date.now(), source: html, segments, target, translations: translations || segments.map(() => null), status: 'idle', error: null, running: [] };
+};
+
+function App() {
+  const [currentStep, setCurrentStep] = useState('upload');
+  const [document, setDocument] = useState(null);
+  const {
+    htmlContent,
+    editHistory,
+    position: historyPosition,
+    canUndo,
+    canRedo,
+    commit: commitEdit,
+    undo,
+    redo,
+    restore: restoreVersion,
+    reset: resetHistory,
+    snapshot: historySnapshot,
+    load: loadHistory
+  } = useEditHistory();
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [editInstructions, setEditInstructions] = useState('');
+  const [previewMode, setPreviewMode] = useState('desktop');
+  // A message, or the Error of a failed request (see ErrorAlert).
+  const [error, setError] = useState(null);
+  const [language, setLanguage] = useState('en');
+  const [diffRange, setDiffRange] = useState(null);
+  const [pendingEdit, setPendingEdit] = useState(null);
+  const [sanitizeReport, setSanitizeReport] = useState(null);
+  const [selectMode, setSelectMode] = useState(false);
+  const [scope, setScope] = useState(null);
+  const [manualMode, setManualMode] = useState(false);
+  const [sourceMode, setSourceMode] = useState(false);
+  const [sourceIssues, setSourceIssues] = useState([]);
+  // Every uploaded file: { key, name, status, error, document, language,
+  // history, sanitizeReport }. The open document's history lives in the
+  // history hook and is parked back here when another one is opened.
+  const [queue, setQueue] = useState([]);
+  const [activeKey, setActiveKey] = useState(null);
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [dragState, setDragState] = useState(null);
+  const [recentSessions, setRecentSessions] = useState([]);
+  // null (nothing to save), 'pending', 'saved', 'error' or 'off' (no IndexedDB).
+  const [saveStatus, setSaveStatus] = useState(null);
+  // { explanation, html } received so far while an AI edit is running.
+  const [streamingEdit, setStreamingEdit] = useState(null);
+  const [authSession, setAuthSession] = useState(getSession);
+  // { reason } while the sign-in dialog is open; see LoginDialog.
+  const [loginPrompt, setLoginPrompt] = useState(null);
+  // { documents, loading, error } while My Documents is open.
+  const [library, setLibrary] = useState(null);
+  const [presetPreview, setPresetPreview] = useState(null);
+  const [macroRun, setMacroRun] = useState(null);
+  const [findState, setFindState] = useState(null);
+  const [findIndex, setFindIndex] = useState(0);
+  // The side-by-side translation; kept while the view is closed.
+  const [translation, setTranslation] = useState(null);
+  const [translationOpen, setTranslationOpen] = useState(false);
+  // The accessibility issue highlighted in the preview.
+  const [auditIssueId, setAuditIssueId] = useState(null);
+  // Recognized text below the threshold is reviewed before editing;
+  // `ocrReview` is { current, session } while passages are being reviewed.
+  const [ocrThreshold, setOcrThreshold] = useState(ocrConfig.threshold);
+  const [ocrReview, setOcrReview] = useState(null);
+  // { selections, decisions } while the redaction bar is open: text picked
+  // in the preview and each suggestion's state by key (see RedactionPanel).
+  const [redaction, setRedaction] = useState(null);
+  const [redactionTerms, setRedactionTerms] = useState(loadRedactionTerms);
+  // Review comments on the open document: [{ id, anchor, comments, resolved }]
+  // (see src/utils/comments.js), parked in its queue entry like its history.
+  // `commentDraft` is the anchor of a new thread being written.
+  const [commentThreads, setCommentThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [commentDraft, setCommentDraft] = useState(null);
+  const fileInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+  // Per queue entry, kept out of state: the File (for retries) and the
+  // AbortController that cancels its upload.
+  const queuedFilesRef = useRef(new Map());
+  const uploadControllersRef = useRef(new Map());
+  const uploadFilesRef = useRef(null);
+  const previewDocRef = useRef(null);
+  const sourceSessionRef = useRef(null);
+  const historyRef = useRef(historySnapshot);
+  const uploadBatchRef = useRef(0);
+  const sessionIdRef = useRef(null);
+  const editControllerRef = useRef(null);
+  const translationControllerRef = useRef(null);
+  // Set while the preview has yet to show a newly selected audit issue.
+  const auditScrollRef = useRef(false);
+  // What "Try again" on the error banner runs, and the latest handlers it
+  // calls, so a retry works on the document as it is now.
+  const errorRetryRef = useRef(null);
+  const actionsRef = useRef({});
+
+  historyRef.current = historySnapshot;
+  const isUploading = queue.some(item => ['queued', 'uploading', 'processing'].includes(item.status));
+  const currentUpload = queue.find(item => item.status === 'uploading' || item.status === 'processing');
+  const hasDocuments = queue.some(item => item.document);
+
+  // Autosave the batch, each document's history and where the user is.
+  useEffect(() => {
+    if (!sessionIdRef.current || !hasDocuments) return undefined;
+    if (!isSessionStoreAvailable()) {
+      setSaveStatus('off');
+      return undefined;
+    }
+
+    setSaveStatus('pending');
+    const session = {
+      id: sessionIdRef.current,
+      step: currentStep,
+      activeKey,
+      items: queue.filter(item => item.document).map(item => ({
+        key: item.key,
+        name: item.name,
+        document: item.document,
+        language: item.key === activeKey ? language : item.language,
+        history: item.key === activeKey ? historySnapshot : item.history,
+        comments: (item.key === activeKey ? commentThreads : item.comments) || []
+      }))
+    };
+    const timer = setTimeout(() => {
+      saveSession(session)
+        .then(() => setSaveStatus('saved'))
+        .catch(err => {
+          console.error('Session save error:', err);
+          setSaveStatus('error');
+        });
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [queue, activeKey, historySnapshot, commentThreads, language, currentStep, hasDocuments]);
+
+  const unsavedWork = () => {
+    if (!hasDocuments) return [];
+    const reasons = [];
+    if (pendingEdit) reasons.push('AI changes you haven\'t reviewed');
+    if (manualMode) reasons.push('edits in the manual editor');
+    if (!isSessionStoreAvailable() || saveStatus === 'error') {
+      reasons.push('the document and its edit history (they could not be saved in this browser)');
+    } else if (saveStatus !== 'saved') {
+      reasons.push('your latest changes');
+    }
+    return reasons;
+  };
+
+  // Warn before a reload or closed tab drops anything not saved yet.
+  const hasUnsavedWork = unsavedWork().length > 0;
+  useEffect(() => {
+    if (!hasUnsavedWork) return undefined;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedWork]);
+
+  const refreshRecentSessions = () => {
+    listSessions()
+      .then(setRecentSessions)
+      .catch(err => console.error('Session list error:', err));
+  };
+
+  useEffect(() => {
+    if (currentStep === 'upload') refreshRecentSessions();
+  }, [currentStep]);
+
+  // A refused token refresh or a 401 without a login asks for one; the
+  // open documents stay as they are.
+  useEffect(() => subscribeToAuth((next, reason) => {
+    setAuthSession(next);
+    if (!next) setLibrary(null);
+    if (reason === 'expired' || reason === 'required') setLoginPrompt({ reason });
+  }), []);
+
+  // A selection is a path into the current HTML, so it can't outlive it;
+  // neither does a theme preview.
+  // Suggestion keys are offsets into the text, so decisions go too.
+  useEffect(() => {
+    setScope(null);
+    setPresetPreview(null);
+    setRedaction(prev => prev && { ...prev, decisions: {} });
+  }, [htmlContent]);
+
+  useEffect(() => {
+    if (manualMode || pendingEdit) setPresetPreview(null);
+  }, [manualMode, pendingEdit]);
+
+  const presetValues = useMemo(
+    () => ({ title: documentTitle(document), date: new Date().toLocaleDateString() }),
+    [document]
+  );
+
+  // The compiled search of the find/replace bar, or the reason it has none.
+  const findSearch = useMemo(() => {
+    if (!findState) return null;
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minutes
-  
-      const response = await fetch(`${this.baseURL}/documents/upload`, {
-        method: 'POST',
-        body: formData,
-        signal: controller.signal
-      });
-  
-      clearTimeout(timeoutId);
-  
-      if (!response.ok) {
-        let errorMessage = 'Upload failed';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+      return { pattern: buildPattern(findState.query, findState), error: null };
+    } catch (err) {
+      return { pattern: null, error: err.message };
+    }
+  }, [findState]);
+
+  const findCount = useMemo(
+    () => (findSearch?.pattern ? findMatches(htmlContent, findSearch.pattern).length : 0),
+    [htmlContent, findSearch]
+  );
+  const currentMatch = Math.min(findIndex, Math.max(findCount - 1, 0));
+
+  // Accessibility issues, checked again with every edit.
+  const auditIssues = useMemo(() => auditDocument(htmlContent, { language }), [htmlContent, language]);
+  const auditIssue = auditIssues.find(issue => issue.id === auditIssueId) || null;
+
+  const redactionRules = useMemo(
+    () => (redaction ? compileRules(redactionConfig, { terms: redactionTerms, selections: redaction.selections }) : []),
+    [redaction, redactionTerms]
+  );
+  const redactionSuggestions = useMemo(
+    () => (redaction ? detectPii(htmlContent, redactionRules) : []),
+    [redaction, htmlContent, redactionRules]
+  );
+  // Text the user selected is meant to go; everything else waits for a decision.
+  const redactionStates = useMemo(() => Object.fromEntries(redactionSuggestions.map(suggestion => [
+    suggestion.key,
+    redaction.decisions[suggestion.key] || (suggestion.rule === 'manual' ? 'approved' : 'pending')
+  ])), [redaction, redactionSuggestions]);
+
+  const previewHtml = useMemo(() => {
+    if (presetPreview) return applyPreset(htmlContent, presetPreview, presetValues);
+    const marked = markIssue(scope ? markScope(htmlContent, scope) : htmlContent, auditIssue);
+    // Clicks in select mode become element paths into the document, so the
+    // preview can't wrap its text in highlights or comments then.
+    if (selectMode) return marked;
+    const html = markThreads(marked, commentThreads, activeThreadId);
+    if (redactionSuggestions.length > 0) return markSuggestions(html, redactionRules, redactionStates);
+    return findCount > 0 ? markMatches(html, findSearch.pattern, currentMatch) : html;
+  }, [htmlContent, scope, auditIssue, commentThreads, activeThreadId, selectMode, presetPreview, presetValues, redactionRules, redactionSuggestions, redactionStates, findSearch, findCount, currentMatch]);
+
+  const detachedIds = useMemo(() => detachedThreads(htmlContent, commentThreads), [htmlContent, commentThreads]);
+
+  const appliedPreset = useMemo(() => appliedPresetId(htmlContent), [htmlContent]);
+
+  const recognized = useMemo(() => hasOcr(htmlContent), [htmlContent]);
+  const ocrItems = useMemo(
+    () => (recognized ? ocrReviewItems(htmlContent, ocrThreshold) : []),
+    [recognized, htmlContent, ocrThreshold]
+  );
+  const ocrPending = ocrItems.filter(item => !item.reviewed).length;
+  const reviewHtml = useMemo(
+    () => (ocrReview ? markOcrItems(htmlContent, ocrThreshold, ocrReview.current) : htmlContent),
+    [htmlContent, ocrThreshold, ocrReview]
+  );
+
+  // Headings, source pages and word count, kept current with every edit.
+  const structure = useMemo(() => analyzeDocument(htmlContent), [htmlContent]);
+
+  // Every version the diff view can compare: the uploaded original followed
+  // by the result of each history entry.
+  const versions = useMemo(() => [
+    { id: 'original', label: 'Original', html: editHistory[0]?.before ?? htmlContent },
+    ...editHistory.map((edit, index) => ({
+      id: edit.id,
+      label: `${index + 1}. ${edit.instruction}`,
+      html: edit.after
+    }))
+  ], [editHistory, htmlContent]);
+
+  const versionIdAt = (index) => (index >= 0 ? editHistory[index].id : 'original');
+
+  const compareEntry = (index) => {
+    setDiffRange({ fromId: versionIdAt(index - 1), toId: versionIdAt(index) });
+  };
+
+  const compareLatest = () => {
+    setDiffRange({
+      fromId: versionIdAt(historyPosition - 2),
+      toId: versionIdAt(historyPosition - 1)
+    });
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) in the Edit step. Text fields keep
+  // their native undo so typing an instruction isn't affected.
+  useEffect(() => {
+    if (currentStep !== 'edit') return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isProcessing || pendingEdit || manualMode) return;
+      const target = event.target;
+      if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'f' && !diffRange && !translationOpen) {
+        event.preventDefault();
+        setRedaction(null);
+        setFindState(prev => prev || newFindState());
+      } else if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
       }
-  
-      const result = await response.json();
-      return result;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Upload timeout. The file might be too large or complex.');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentStep, isProcessing, pendingEdit, manualMode, diffRange, translationOpen, undo, redo]);
+
+  // All HTML from the server passes through here before it is stored or shown.
+  const sanitizeIncoming = (html, source) => {
+    const result = sanitizeHtml(html);
+    setSanitizeReport(result.removed.length > 0 ? { source, removed: result.removed } : null);
+    return result.html;
+  };
+
+  const updateQueueItem = (key, changes) => {
+    setQueue(items => items.map(item => (
+      item.key === key ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) } : item
+    )));
+  };
+
+  // Documents with unreviewed recognized text can't be edited yet.
+  const needsOcrReview = (html) => pendingOcrCount(html, ocrThreshold) > 0;
+
+  const showDocument = (key, item) => {
+    if (needsOcrReview(item.history.htmlContent)) setCurrentStep(step => (step === 'edit' ? 'preview' : step));
+    setActiveKey(key);
+    setDocument(item.document);
+    loadHistory(item.history);
+    setCommentThreads(item.comments || []);
+    setLanguage(item.language);
+    setSanitizeReport(item.sanitizeReport);
+    setPendingEdit(null);
+    setMacroRun(null);
+    setDiffRange(null);
+    translationControllerRef.current?.abort();
+    setTranslation(null);
+    setTranslationOpen(false);
+    setAuditIssueId(null);
+    setOcrReview(null);
+    setRedaction(null);
+    setActiveThreadId(null);
+    setCommentDraft(null);
+    setScope(null);
+    setSelectMode(false);
+    setManualMode(false);
+    setSourceMode(false);
+    setSourceIssues([]);
+  };
+
+  const openDocument = (key) => {
+    const item = queue.find(entry => entry.key === key);
+    if (!item?.document || key === activeKey) return;
+    setQueue(items => items.map(entry => (
+      entry.key === activeKey ? { ...entry, history: historySnapshot, comments: commentThreads, language } : entry
+    )));
+    showDocument(key, item);
+  };
+
+  // Files upload one after another; each keeps its own status and error.
+  // The first one that succeeds is opened if nothing is open yet.
+  const handleFileUpload = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const batch = uploadBatchRef.current;
+    if (!sessionIdRef.current) sessionIdRef.current = `session-${Date.now()}`;
+    const added = files.map(file => ({ key: newQueueKey(), name: file.name, status: 'queued', error: null, document: null }));
+    files.forEach((file, index) => {
+      queuedFilesRef.current.set(added[index].key, file);
+      uploadControllersRef.current.set(added[index].key, new AbortController());
+    });
+    setQueue(items => [...items, ...added]);
+    setError(null);
+    let opened = !!document;
+
+    // Check every file up front so rejections show without waiting for the
+    // uploads ahead of them.
+    const problems = await Promise.all(files.map(file => validateFile(file)));
+    problems.forEach((errors, index) => {
+      if (errors.length > 0) {
+        updateQueueItem(added[index].key, { status: 'rejected', error: errors.map(entry => entry.message).join('\n') });
       }
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Unable to connect to server. Please check if the backend is running.');
+    });
+
+    for (let index = 0; index < files.length; index++) {
+      if (problems[index].length > 0) continue;
+      const { key } = added[index];
+      const item = await uploadQueued(key, files[index], batch);
+      // Started over while this was uploading.
+      if (batch !== uploadBatchRef.current) return;
+      if (item && !opened) {
+        opened = true;
+        showDocument(key, item);
+        setCurrentStep('preview');
       }
-      throw error;
     }
-  }
+  };
 
-  async editDocument(instruction, html, language = 'en', documentId = null) {
-    if (!instruction || !html) {
-      throw new Error('Instruction and HTML content are required');
-    }
+  // Uploads one file of the queue, tracking progress on its entry. Returns
+  // the entry's new fields once it is ready, or null if it failed.
+  const uploadQueued = async (key, file, batch) => {
+    const controller = uploadControllersRef.current.get(key);
+    updateQueueItem(key, {
+      status: 'uploading',
+      error: null,
+      progress: { phase: 'uploading', loaded: 0, total: file.size }
+    });
 
     try {
-      const response = await fetch(`${this.baseURL}/documents/edit`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          documentId,
-          instruction,
-          html,
-          language
+      const response = await api.uploadDocument(file, {
+        signal: controller?.signal,
+        onProgress: (progress) => updateQueueItem(key, {
+          status: progress.phase === 'processing' ? 'processing' : 'uploading',
+          progress
         })
       });
-
-      if (!response.ok) {
-        let errorMessage = 'Edit failed';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
+      if (!(response && response.success && response.document)) {
+        throw new Error('Invalid response from server');
       }
+      if (batch !== uploadBatchRef.current) return null;
 
-      return response.json();
-    } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Unable to connect to server for editing. Please check if the backend is running.');
+      const item = readyItem(response.document);
+      updateQueueItem(key, item);
+      setSelectedKeys(keys => (keys.includes(key) ? keys : [...keys, key]));
+      return item;
+    } catch (err) {
+      if (batch !== uploadBatchRef.current) return null;
+      if (isCancelled(err)) {
+        updateQueueItem(key, { status: 'cancelled', progress: null });
+        return null;
       }
-      throw error;
+      console.error('Upload error:', err);
+      updateQueueItem(key, { status: 'failed', progress: null, error: err.message || 'Upload failed. Please try again.' });
+      return null;
     }
-  }
+  };
 
-  async convertDocument(html, format, filename = null) {
-    if (!html || !format) {
-      throw new Error('HTML content and format are required');
+  const cancelUpload = (key) => {
+    uploadControllersRef.current.get(key)?.abort();
+    const file = queuedFilesRef.current.get(key);
+    if (file) api.cancelUpload(file);
+    // Entries still waiting their turn are skipped when it comes.
+    updateQueueItem(key, { status: 'cancelled', progress: null });
+  };
+
+  // Chunked uploads pick up where the failed attempt stopped.
+  const retryUpload = async (key) => {
+    const file = queuedFilesRef.current.get(key);
+    if (!file) return;
+    uploadControllersRef.current.set(key, new AbortController());
+    const item = await uploadQueued(key, file, uploadBatchRef.current);
+    if (item && !document) {
+      showDocument(key, item);
+      setCurrentStep('preview');
     }
+  };
 
-    try {
-      const response = await fetch(`${this.baseURL}/conversion/convert`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ html, format, filename })
-      });
+  const handleFileSelect = (event) => {
+    handleFileUpload(event.target.files);
+    // Allow picking the same file again later.
+    event.target.value = '';
+  };
 
-      if (!response.ok) {
-        let errorMessage = 'Conversion failed';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        }
-        throw new Error(errorMessage);
-      }
+  const draggingFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
 
-      const blob = await response.blob();
-      if (blob.size === 0) {
-        throw new Error('Received empty file from server');
-      }
-      return blob;
-    } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('Unable to connect to server for conversion. Please check if the backend is running.');
-      }
-      throw error;
-    }
-  }
+  // Enter/leave fire for every child of the drop zone, so track the depth.
+  const handleDragEnter = (event) => {
+    if (!draggingFiles(event)) return;
+    event.preventDefault();
+    dragDepthRef.current += 1;
+    const items = Array.from(event.dataTransfer.items || []).filter(item => item.kind === 'file');
+    setDragState(items.every(item => isAcceptedMimeType(item.type)) ? 'accept' : 'reject');
+  };
 
-  downloadFile(blob, filename) {
-    try {
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename || 'download';
-      
-      // Append to document, click, and remove
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Clean up the URL object
-      setTimeout(() => {
-        window.URL.revokeObjectURL(url);
-      }, 100);
-    } catch (error) {
-      console.error('Download error:', error);
-      throw new Error('Failed to download file');
-    }
-  }
-}
+  const handleDragOver = (event) => {
+    if (!draggingFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
 
-const api = new ApiService();
+  const handleDragLeave = () => {
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setDragState(null);
+  };
 
-function App() {
-  const [currentStep, setCurrentStep] = useState('upload');
-  const [document, setDocument] = useState(null);
-  const [htmlContent, setHtmlContent] = useState('');
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [editInstructions, setEditInstructions] = useState('');
-  const [editHistory, setEditHistory] = useState([]);
-  const [previewMode, setPreviewMode] = useState('desktop');
-  const [error, setError] = useState(null);
-  const [language, setLanguage] = useState('en');
-  const fileInputRef = useRef(null);
+  const handleDrop = (event) => {
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setDragState(null);
+    handleFileUpload(event.dataTransfer.files);
+  };
 
-  const handleFileUpload = async (file) => {
-    if (!file) return;
+  // Screenshots pasted on the upload step are uploaded like picked files.
+  uploadFilesRef.current = handleFileUpload;
+  useEffect(() => {
+    if (currentStep !== 'upload') return undefined;
+
+    const handlePaste = (event) => {
+      const files = Array.from(event.clipboardData?.files || []);
+      if (files.length === 0) return;
+      event.preventDefault();
+      uploadFilesRef.current(files.map((file, index) => {
+        if (file.name && file.name !== 'image.png') return file;
+        const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+        return new File([file], `pasted-image-${Date.now()}${index ? `-${index + 1}` : ''}.${extension}`, { type: file.type });
+      }));
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [currentStep]);
+
+  const removeQueueItem = (key) => {
+    queuedFilesRef.current.delete(key);
+    uploadControllersRef.current.delete(key);
+    setQueue(items => items.filter(item => item.key !== key));
+    setSelectedKeys(keys => keys.filter(selected => selected !== key));
+  };
+
+  const toggleSelected = (key) => {
+    setSelectedKeys(keys => (keys.includes(key) ? keys.filter(selected => selected !== key) : [...keys, key]));
+  };
+
+  const toggleAllSelected = () => {
+    const readyKeys = queue.filter(item => item.document).map(item => item.key);
+    setSelectedKeys(keys => (readyKeys.every(key => keys.includes(key)) ? [] : readyKeys));
+  };
+
+  const selectedDocuments = () => queue.filter(item => item.document && selectedKeys.includes(item.key));
+
+  // Current HTML of a queued document; the open one is read from the hook.
+  const htmlOf = (item) => (item.key === activeKey ? historyRef.current.htmlContent : item.history.htmlContent);
+
+  // Bulk edits skip the change review; each lands as one history entry in
+  // its document, so it can still be undone there. Like a single edit, they
+  // leave out documents whose uncertain recognized text isn't reviewed yet.
+  const runBulkEdit = async (instruction) => {
+    const selected = selectedDocuments();
+    if (!instruction || selected.length === 0) return;
+    const unreviewed = selected.filter(item => needsOcrReview(htmlOf(item)));
+    const targets = selected.filter(item => !unreviewed.includes(item));
+
+    setError(unreviewed.length > 0
+      ? `Not edited until their recognized text is reviewed: ${unreviewed.map(item => item.name).join(', ')}`
+      : null);
+    unreviewed.forEach(item => updateQueueItem(item.key, { error: 'Review the recognized text before editing this document.' }));
+    if (targets.length === 0) return;
 
     setIsProcessing(true);
-    setError(null);
+    try {
+      for (const item of targets) {
+        updateQueueItem(item.key, { status: 'editing', error: null });
+        try {
+          const isActive = item.key === activeKey;
+          const response = await api.editDocument(
+            instruction,
+            htmlOf(item),
+            isActive ? language : item.language,
+            item.document.id
+          );
+          if (!(response && response.success && response.modifiedHTML)) {
+            throw new Error(response?.error || 'Edit failed');
+          }
+          const { html } = sanitizeHtml(response.modifiedHTML);
+          const meta = {
+            type: 'ai',
+            instruction,
+            explanation: response.explanation || 'Changes applied successfully',
+            bulk: true
+          };
+          if (isActive) {
+            commitEdit(html, meta);
+            updateQueueItem(item.key, { status: 'ready' });
+          } else {
+            updateQueueItem(item.key, entry => ({ status: 'ready', history: commitToSnapshot(entry.history, html, meta) }));
+          }
+        } catch (err) {
+          console.error('Bulk edit error:', err);
+          updateQueueItem(item.key, { status: 'ready', error: `Edit failed: ${err.message}` });
+        }
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
+  const runBulkDownload = async (format) => {
+    const targets = selectedDocuments();
+    if (targets.length === 0) return;
+
+    setIsProcessing(true);
+    setError(null);
     try {
-      const response = await api.uploadDocument(file);
-      
-      if (response && response.success && response.document) {
-        setDocument(response.document);
-        setHtmlContent(response.document.html || '');
-        setLanguage(response.document.language || 'en');
-        setCurrentStep('preview');
-      } else {
-        throw new Error('Invalid response from server');
+      const files = [];
+      for (const item of targets) {
+        updateQueueItem(item.key, { status: 'converting', error: null });
+        try {
+          const filename = downloadName(item.document, format);
+          const blob = await exportDocument(htmlOf(item), format, {
+            title: documentTitle(item.document),
+            lang: item.language,
+            convert: (html, serverFormat, settings) => api.convertDocument(html, serverFormat, filename, { options: settings, key: null })
+          });
+          files.push({ name: filename, data: blob });
+          updateQueueItem(item.key, { status: 'ready' });
+        } catch (err) {
+          console.error('Bulk download error:', err);
+          updateQueueItem(item.key, { status: 'ready', error: `${format.toUpperCase()} conversion failed: ${err.message}` });
+        }
+      }
+      if (files.length > 0) {
+        api.downloadFile(await createZip(files), `documents-${format}.zip`);
       }
     } catch (err) {
-      console.error('Upload error:', err);
-      setError(err.message || 'Upload failed. Please try again.');
+      console.error('Bulk download error:', err);
+      setError(err.message || 'Failed to build the ZIP file.');
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      handleFileUpload(file);
+  const handlePreviewClick = (event) => {
+    const suggestion = redaction && event.target.closest?.('mark[data-redaction]');
+    if (suggestion) {
+      const key = suggestion.getAttribute('data-redaction');
+      decideRedaction(key, redactionStates[key] === 'approved' ? 'rejected' : 'approved');
+      return;
+    }
+    if (!selectMode) {
+      const commented = event.target.closest?.('mark[data-comment]');
+      if (commented) setActiveThreadId(commented.getAttribute('data-comment'));
+      return;
     }
+    event.preventDefault();
+
+    const doc = event.target.ownerDocument;
+    const selection = doc.getSelection();
+    const next = selection && !selection.isCollapsed && selection.rangeCount > 0
+      ? scopeFromRange(doc.body, selection.getRangeAt(0))
+      : scopeFromElement(doc.body, event.target);
+    selection?.removeAllRanges();
+    setScope(next);
   };
 
-  const handleAIEdit = async () => {
-    if (!editInstructions.trim()) {
+  // Outline links scroll the preview without touching selection or scope.
+  const scrollPreviewTo = (findTarget) => {
+    const doc = previewDocRef.current;
+    if (doc) findTarget(doc)?.scrollIntoView?.({ block: 'start', behavior: 'smooth' });
+  };
+
+  const jumpToHeading = (index) => scrollPreviewTo(doc => doc.body.querySelectorAll(HEADING_SELECTOR)[index]);
+
+  const jumpToPage = (page) => scrollPreviewTo(doc => doc.querySelector(`[data-page="${page}"]`));
+
+  const selectOcrPassage = (index) => {
+    setOcrReview(prev => ({ session: prev?.session || `ocr-${Date.now()}`, current: index }));
+  };
+
+  const selectOcrPassageInPreview = (event) => {
+    const passage = event.target.closest?.('[data-ocr-item]');
+    if (passage) selectOcrPassage(Number(passage.getAttribute('data-ocr-item')));
+  };
+
+  // Everything confirmed or corrected in one review is one history entry.
+  const reviewOcrPassage = (index, text) => {
+    const html = reviewOcrItem(htmlContent, index, text);
+    const reviewed = ocrReviewItems(html, ocrThreshold).filter(item => item.reviewed).length;
+    commitEdit(html, {
+      type: 'ocr',
+      instruction: 'Text recognition review',
+      explanation: `${reviewed} of ${ocrItems.length} uncertain passages reviewed`,
+      coalesceKey: ocrReview.session
+    });
+  };
+
+  const handleReviewPreviewReady = (doc) => {
+    previewDocRef.current = doc;
+    doc.querySelector('[data-ocr-current]')?.scrollIntoView?.({ block: 'center' });
+  };
+
+  // The issue's path is into the document, not the preview with its
+  // highlights, so the preview is scrolled to the element it marks instead
+  // (see handlePreviewReady).
+  const selectAuditIssue = (issue) => {
+    setAuditIssueId(issue?.id ?? null);
+    if (issue && issue.id === auditIssueId) {
+      scrollPreviewTo(doc => doc.querySelector('[data-a11y-issue]'));
+    } else {
+      auditScrollRef.current = !!issue;
+    }
+  };
+
+  // One-click fixes are local edits, like themes. AI fixes are limited to the
+  // issue's element and reviewed like any other edit.
+  const fixAuditIssue = (issue) => {
+    const html = fixIssue(htmlContent, issue);
+    if (!html) return;
+    commitEdit(html, {
+      type: 'accessibility',
+      instruction: `Accessibility: ${issue.fix.label}`,
+      explanation: `Fixed: ${issue.message}`
+    });
+  };
+
+  const fixAuditIssueWithAI = (issue) => {
+    const target = issueScope(htmlContent, issue);
+    if (target) handleAIEdit({ instruction: issue.instruction, target });
+  };
+
+  const commentAuthor = () => authSession?.user?.name || authSession?.user?.email || 'You';
+
+  const startComment = () => {
+    const doc = previewDocRef.current;
+    const selection = doc?.getSelection();
+    const anchor = selection && selection.rangeCount > 0 && !selection.isCollapsed
+      ? anchorFromRange(doc.body, selection.getRangeAt(0))
+      : null;
+    if (!anchor) {
+      setError('Select the text to comment on in the preview first.');
+      return;
+    }
+    selection.removeAllRanges();
+    setCommentDraft(anchor);
+  };
+
+  const createThread = (text) => {
+    const thread = { id: `thread-${Date.now().toString(36)}`, anchor: commentDraft, comments: [newComment(text, commentAuthor())], resolved: false };
+    setCommentThreads(threads => [...threads, thread]);
+    setActiveThreadId(thread.id);
+    setCommentDraft(null);
+  };
+
+  const updateThread = (id, update) => {
+    setCommentThreads(threads => threads.map(thread => (thread.id === id ? { ...thread, ...update(thread) } : thread)));
+  };
+
+  const replyToThread = (id, text) => {
+    updateThread(id, thread => ({ comments: [...thread.comments, newComment(text, commentAuthor())] }));
+  };
+
+  const resolveThread = (id, resolved) => updateThread(id, () => ({ resolved }));
+
+  const deleteThread = (id) => {
+    setCommentThreads(threads => threads.filter(thread => thread.id !== id));
+    setActiveThreadId(null);
+  };
+
+  // The comments become an instruction for the commented block; accepting
+  // the result resolves the thread (see applyPendingEdit).
+  const resolveThreadWithAI = (thread) => {
+    const target = threadScope(htmlContent, thread);
+    const requests = thread.comments.map(comment => comment.text).join('\n');
+    handleAIEdit({
+      instruction: `Address this review comment on "${thread.anchor.exact}":\n${requests}`,
+      target,
+      threadId: thread.id
+    });
+  };
+
+  const startManualEdit = () => {
+    setScope(null);
+    setSelectMode(false);
+    setDiffRange(null);
+    setTranslationOpen(false);
+    setSourceMode(false);
+    setManualMode(true);
+  };
+
+  const toggleSourceMode = () => {
+    if (sourceMode) {
+      setSourceMode(false);
+      setSourceIssues([]);
+      return;
+    }
+    // Everything typed while the editor is open becomes one history entry.
+    sourceSessionRef.current = `source-${Date.now()}`;
+    setDiffRange(null);
+    setSourceMode(true);
+  };
+
+  const commitSourceEdit = useCallback((source) => {
+    const { html } = sanitizeHtml(source);
+    commitEdit(html, {
+      type: 'source',
+      instruction: 'Source edit',
+      explanation: 'Edited in the HTML source editor',
+      coalesceKey: sourceSessionRef.current
+    });
+    return html;
+  }, [commitEdit]);
+
+  const handlePreviewReady = (doc) => {
+    previewDocRef.current = doc;
+    if (manualMode) {
+      doc.body.contentEditable = 'true';
+      doc.body.focus();
+    }
+    doc.querySelector('[data-find-current]')?.scrollIntoView?.({ block: 'center' });
+    if (auditScrollRef.current) {
+      auditScrollRef.current = false;
+      doc.querySelector('[data-a11y-issue]')?.scrollIntoView?.({ block: 'start', behavior: 'smooth' });
+    }
+  };
+
+  const toggleFind = () => {
+    if (findState) {
+      setFindState(null);
+      return;
+    }
+    setRedaction(null);
+    setFindState(newFindState());
+    setFindIndex(0);
+  };
+
+  const updateFind = (changes) => {
+    setFindState(prev => ({ ...prev, ...changes }));
+    // A new search starts from the first match; a new replacement doesn't.
+    if (Object.keys(changes).some(key => key !== 'replacement')) setFindIndex(0);
+  };
+
+  const stepFind = (offset) => {
+    if (findCount === 0) return;
+    setFindIndex((currentMatch + offset + findCount) % findCount);
+  };
+
+  // Replacements made in one find session with the same search and
+  // replacement add up to one history entry.
+  const replaceInDocument = (only) => {
+    const { pattern } = findSearch;
+    const { query, replacement, regex, session } = findState;
+    const { html, count } = replaceMatches(htmlContent, pattern, replacement, { only, regex });
+    if (count === 0) return;
+
+    const coalesceKey = `find-${session}:${pattern}:${replacement}`;
+    const last = historyPosition > 0 ? editHistory[historyPosition - 1] : null;
+    const replacements = (last?.coalesceKey === coalesceKey ? last.replacements : 0) + count;
+    commitEdit(html, {
+      type: 'replace',
+      instruction: `Replace "${query}" with "${replacement}"`,
+      explanation: `${replacements} ${replacements === 1 ? 'occurrence' : 'occurrences'} replaced`,
+      replacements,
+      coalesceKey
+    });
+
+    if (only !== null) {
+      // Matches inside the replacement itself are stepped over.
+      const added = findMatches(html, pattern).length - (findCount - 1);
+      setFindIndex(only + added);
+    }
+  };
+
+  const toggleRedaction = () => {
+    if (redaction) {
+      setRedaction(null);
+      return;
+    }
+    setFindState(null);
+    setSelectMode(false);
+    setScope(null);
+    setRedaction({ selections: [], decisions: {} });
+  };
+
+  const decideRedaction = (key, state) => {
+    setRedaction(prev => ({ ...prev, decisions: { ...prev.decisions, [key]: state } }));
+  };
+
+  const decideAllRedactions = (state) => {
+    setRedaction(prev => ({
+      ...prev,
+      decisions: Object.fromEntries(redactionSuggestions.map(suggestion => [suggestion.key, state]))
+    }));
+  };
+
+  const redactSelection = () => {
+    const doc = previewDocRef.current;
+    const text = doc?.getSelection()?.toString().trim();
+    if (!text) {
+      setError('Select the text to redact in the preview first.');
+      return;
+    }
+    doc.getSelection().removeAllRanges();
+    setRedaction(prev => ({ ...prev, selections: [...prev.selections.filter(entry => entry !== text), text] }));
+  };
+
+  const updateRedactionTerms = (terms) => {
+    setRedactionTerms(terms);
+    saveRedactionTerms(terms);
+  };
+
+  // Redacted text is removed from every version of the document, not just
+  // the current one, so neither undo nor the saved session can bring it
+  // back; the scans behind recognized text go as well, and it's taken out of
+  // review comments too. What was removed is
+  // logged by type only.
+  const applyRedaction = () => {
+    const approved = redactionSuggestions.filter(suggestion => redactionStates[suggestion.key] === 'approved');
+    const { replacement } = redactionConfig;
+    const result = applyRedactions(htmlContent, redactionRules, approved.map(suggestion => suggestion.key), replacement);
+    if (result.texts.length === 0) return;
+
+    const total = Object.values(result.counts).reduce((sum, count) => sum + count, 0);
+    const html = appendRedactionLog(result.html, result.counts, new Date().toLocaleString());
+    const committed = commitToSnapshot(historySnapshot, html, {
+      type: 'redaction',
+      instruction: 'Redaction',
+      explanation: `${total} ${total === 1 ? 'item' : 'items'} redacted: ${Object.entries(result.counts).map(([label, count]) => `${count} × ${label}`).join(', ')}`
+    });
+    const scrub = (value) => scrubHtml(value, result.texts, replacement);
+    const history = {
+      ...committed,
+      entries: committed.entries.map(entry => ({
+        ...entry,
+        before: scrub(entry.before),
+        after: scrub(entry.after),
+        instruction: scrubText(entry.instruction, result.texts, replacement),
+        explanation: scrubText(entry.explanation, result.texts, replacement),
+        // A scoped edit's label quotes the start of its target.
+        ...(entry.target && { target: { ...entry.target, label: scrubText(entry.target.label, result.texts, replacement) } })
+      }))
+    };
+    const { ocr, ...rest } = document;
+    const redacted = { ...rest, html: scrub(document.html) };
+
+    loadHistory(history);
+    setCommentThreads(threads => threads.map(thread => ({
+      ...thread,
+      anchor: Object.fromEntries(Object.entries(thread.anchor).map(([key, value]) => [key, scrubText(value, result.texts, replacement)])),
+      comments: thread.comments.map(comment => ({ ...comment, text: scrubText(comment.text, result.texts, replacement) }))
+    })));
+    setDocument(redacted);
+    updateQueueItem(activeKey, { document: redacted, history });
+    setDiffRange(null);
+    translationControllerRef.current?.abort();
+    setTranslation(null);
+    setTranslationOpen(false);
+    setRedaction({ selections: [], decisions: {} });
+  };
+
+  // Pasted HTML goes through the same sanitizer as server output.
+  const handleManualPaste = (event) => {
+    const pasted = event.clipboardData?.getData('text/html');
+    const doc = previewDocRef.current;
+    if (!pasted || !doc || typeof doc.execCommand !== 'function') return;
+    event.preventDefault();
+    doc.execCommand('insertHTML', false, sanitizeHtml(pasted, sanitizeConfig, { keepEditorState: false }).html);
+  };
+
+  const saveManualEdits = () => {
+    const doc = previewDocRef.current;
+    setManualMode(false);
+    if (!doc) return;
+
+    const { html } = sanitizeHtml(doc.body.innerHTML);
+    const { changes } = diffHtml(htmlContent, html);
+    if (changes.length === 0) return;
+    commitEdit(html, {
+      type: 'manual',
+      instruction: 'Manual edit',
+      explanation: `${changes.length} ${changes.length === 1 ? 'change' : 'changes'} made in the editor`
+    });
+  };
+
+  // Themes only restyle the document, so they're applied locally.
+  const applyStylePreset = (preset) => {
+    setPresetPreview(null);
+    commitEdit(applyPreset(htmlContent, preset, presetValues), {
+      type: 'preset',
+      instruction: `Theme: ${preset.name}`,
+      explanation: `Applied the "${preset.name}" theme`
+    });
+  };
+
+  const removeStylePreset = () => {
+    setPresetPreview(null);
+    commitEdit(removePreset(htmlContent), {
+      type: 'preset',
+      instruction: 'Remove theme',
+      explanation: 'Removed the theme styles, header and footer'
+    });
+  };
+
+  // Runs `instruction` on the document or, with `target`, on that scope; by
+  // default the instruction typed in the AI editor and the selection.
+  const handleAIEdit = async ({ instruction = editInstructions, target = scope, threadId = null } = {}) => {
+    if (!instruction.trim()) {
       setError('Please enter an instruction');
       return;
     }
@@ -207,48 +1086,352 @@ function App() {
       return;
     }
     
+    const scoped = target ? extractScope(htmlContent, target) : null;
+    if (target && !scoped) {
+      setScope(null);
+      setError('The selected element no longer exists. Please select it again.');
+      return;
+    }
+
     setIsProcessing(true);
     setError(null);
+    const controller = new AbortController();
+    editControllerRef.current = controller;
+    setStreamingEdit({ explanation: '', html: null });
+    let lastPreviewAt = 0;
+
+    // Streamed edits show their explanation as it arrives and refresh the
+    // preview with the HTML so far, at most every previewInterval ms.
+    const showProgress = ({ explanation, html }) => {
+      const now = Date.now();
+      const refreshPreview = html && now - lastPreviewAt >= editConfig.previewInterval;
+      if (refreshPreview) lastPreviewAt = now;
+      setStreamingEdit(prev => {
+        if (!prev) return prev;
+        if (!refreshPreview) return { ...prev, explanation };
+        const partial = sanitizeHtml(html).html;
+        return {
+          explanation,
+          html: (scoped && spliceScope(htmlContent, target, partial)) || partial
+        };
+      });
+    };
 
     try {
       const response = await api.editDocument(
-        editInstructions, 
-        htmlContent, 
+        instruction,
+        scoped ? scoped.fragment : htmlContent, 
         language, 
-        document?.id
+        document?.id,
+        {
+          ...(scoped && { scope: { target: target.label, ...scoped.context } }),
+          signal: controller.signal,
+          onProgress: showProgress
+        }
       );
       
       if (response && response.success && response.modifiedHTML) {
-        setHtmlContent(response.modifiedHTML);
-        setEditHistory(prev => [...prev, {
-          instruction: editInstructions,
-          timestamp: new Date().toLocaleString(),
-          explanation: response.explanation || 'Changes applied successfully'
-        }]);
-        setEditInstructions('');
+        const sanitized = sanitizeIncoming(response.modifiedHTML, 'edit');
+        const modifiedHTML = scoped ? spliceScope(htmlContent, target, sanitized) : sanitized;
+        const { changes } = diffHtml(htmlContent, modifiedHTML);
+        if (changes.length === 0) {
+          throw new Error('The edit did not change the document. Try rephrasing the instruction.');
+        }
+        // Nothing is applied until the changes have been reviewed.
+        setDiffRange(null);
+        setPendingEdit({
+          instruction,
+          explanation: response.explanation || 'Changes applied successfully',
+          before: htmlContent,
+          after: modifiedHTML,
+          total: changes.length,
+          target,
+          threadId,
+          decisions: {}
+        });
+        if (instruction === editInstructions) setEditInstructions('');
       } else {
         throw new Error(response?.error || 'Edit failed');
       }
     } catch (err) {
-      console.error('Edit error:', err);
-      setError(err.message || 'Failed to process edit instruction. Please try again.');
+      // Cancelling is not an error; the instruction stays for another try.
+      if (!isCancelled(err)) {
+        console.error('Edit error:', err);
+        reportError(err.message ? err : 'Failed to process edit instruction. Please try again.', () => actionsRef.current.handleAIEdit({ instruction, target, threadId }));
+      }
+    } finally {
+      editControllerRef.current = null;
+      setStreamingEdit(null);
+      setIsProcessing(false);
+    }
+  };
+
+  const cancelAIEdit = () => {
+    editControllerRef.current?.abort();
+  };
+
+  // One macro step: the instruction on the whole document, applied without
+  // review. An edit that changes nothing returns `html` as it was.
+  const editMacroStep = async (instruction, html, { signal }) => {
+    const response = await api.editDocument(instruction, html, language, document?.id, { signal });
+    if (!(response && response.success && response.modifiedHTML)) {
+      throw new Error(response?.error || 'Edit failed');
+    }
+    const modifiedHTML = sanitizeIncoming(response.modifiedHTML, 'edit');
+    const explanation = response.explanation || 'Changes applied successfully';
+    return { html: diffHtml(html, modifiedHTML).changes.length === 0 ? html : modifiedHTML, explanation };
+  };
+
+  // Runs `run.steps` from `startAt`, committing every step that changes the
+  // document as its own history entry.
+  const executeMacro = async (run, startAt) => {
+    setIsProcessing(true);
+    setError(null);
+    setDiffRange(null);
+    const controller = new AbortController();
+    editControllerRef.current = controller;
+    setMacroRun({ ...run, status: 'running', stoppedAt: null });
+
+    const setResult = (index, result) => setMacroRun(prev => prev && {
+      ...prev,
+      results: prev.results.map((entry, i) => (i === index ? result : entry))
+    });
+
+    try {
+      const outcome = await runMacro(run.steps, {
+        html: htmlContent,
+        startAt,
+        signal: controller.signal,
+        runStep: editMacroStep,
+        onStep: (index, { status, html, explanation, error: stepError }) => {
+          if (status === 'done') {
+            commitEdit(html, {
+              type: 'ai',
+              instruction: run.steps[index],
+              explanation,
+              macro: { name: run.name, step: index + 1, total: run.steps.length }
+            });
+          }
+          setResult(index, { status, explanation, error: stepError?.message || (stepError && 'Edit failed') });
+        }
+      });
+      setMacroRun(prev => prev && { ...prev, status: outcome.status, stoppedAt: outcome.stoppedAt });
     } finally {
+      editControllerRef.current = null;
       setIsProcessing(false);
     }
   };
 
-  const downloadAsFormat = async (format) => {
+  // Translated segments are server HTML like any edit, so they are sanitized.
+  const sanitizeTranslations = (segments) => {
+    const removed = [];
+    const clean = segments.map(segment => {
+      const result = sanitizeHtml(segment);
+      removed.push(...result.removed);
+      return result.html;
+    });
+    if (removed.length > 0) setSanitizeReport({ source: 'translation', removed });
+    return clean;
+  };
+
+  // Updates `translation` unless another one (a new target or document) has
+  // replaced it in the meantime.
+  const updateTranslation = (id, changes) => setTranslation(prev => (
+    prev?.id === id ? { ...prev, ...(typeof changes === 'function' ? changes(prev) : changes) } : prev
+  ));
+
+  const withTranslations = (prev, indices, translated) => {
+    const translations = [...prev.translations];
+    indices.forEach((index, position) => { translations[index] = translated[position]; });
+    return translations;
+  };
+
+  // Translates every segment that has no translation yet, batch by batch.
+  const runTranslation = async (base) => {
+    translationControllerRef.current?.abort();
+    const controller = new AbortController();
+    translationControllerRef.current = controller;
+    setTranslation({ ...base, status: 'running', error: null, running: [] });
+
+    const result = await translateSegments(base.segments, {
+      translations: base.translations,
+      batchSize: translationConfig.batchSize,
+      signal: controller.signal,
+      translate: async (segments, { signal }) => sanitizeTranslations(
+        await api.translateSegments(segments, { source: language, target: base.target, documentId: document?.id, signal })
+      ),
+      onBatch: (indices, { status, translations }) => updateTranslation(base.id, prev => ({
+        running: status === 'running' ? indices : [],
+        ...(status === 'done' && { translations: withTranslations(prev, indices, translations) })
+      }))
+    });
+    if (translationControllerRef.current === controller) translationControllerRef.current = null;
+    updateTranslation(base.id, { status: result.status, error: result.error?.message || null, running: [] });
+  };
+
+  const toggleTranslation = () => {
+    if (translationOpen) {
+      setTranslationOpen(false);
+      return;
+    }
+    if (!translation) {
+      const target = translationConfig.languages.find(entry => entry.code !== language)?.code || language;
+      setTranslation(newTranslation(htmlContent, target));
+    }
+    setDiffRange(null);
+    setSelectMode(false);
+    setSourceMode(false);
+    setTranslationOpen(true);
+  };
+
+  const changeTranslationTarget = (target) => {
+    const done = translation.translations.some(entry => entry !== null);
+    if (done && !window.confirm('Translate into another language? The current translation will be discarded.')) return;
+    translationControllerRef.current?.abort();
+    setTranslation(newTranslation(translation.source, target));
+  };
+
+  // After the document changed: segments whose HTML is unchanged keep their
+  // translation and only the rest is translated again.
+  const refreshTranslation = () => {
+    const next = newTranslation(htmlContent, translation.target);
+    runTranslation({ ...next, translations: reuseTranslations(translation.segments, translation.translations, next.segments) });
+  };
+
+  const retranslateSegment = async (index, instruction) => {
+    const { id, segments, target } = translation;
+    updateTranslation(id, prev => ({ running: [...prev.running, index], error: null }));
+    try {
+      const [translated] = sanitizeTranslations(await api.translateSegments([segments[index]], {
+        source: language,
+        target,
+        documentId: document?.id,
+        instruction,
+        key: `translate-${index}`
+      }));
+      updateTranslation(id, prev => ({ translations: withTranslations(prev, [index], [translated]) }));
+    } catch (err) {
+      if (!isCancelled(err)) updateTranslation(id, { error: err.message || 'Translation failed' });
+    } finally {
+      updateTranslation(id, prev => ({ running: prev.running.filter(entry => entry !== index) }));
+    }
+  };
+
+  const editTranslatedSegment = (index, html) => {
+    const [clean] = sanitizeTranslations([html]);
+    updateTranslation(translation.id, prev => ({ translations: withTranslations(prev, [index], [clean]) }));
+  };
+
+  // 'original', 'translation' or 'bilingual', in any export format.
+  const downloadTranslation = async (variant, format) => {
+    if (variant === 'original') {
+      downloadAsFormat(format);
+      return;
+    }
+    const { source, translations, target } = translation;
+    const bilingual = variant === 'bilingual';
+    const html = bilingual ? bilingualHtml(source, translations, target) : joinSegments(source, translations);
+    const lang = bilingual ? language : target;
+    const filename = `${documentTitle(document)}.${bilingual ? `${language}-${target}` : target}.${format}`;
+
+    setIsProcessing(true);
+    setError(null);
+    try {
+      const blob = await exportDocument(html, format, {
+        title: documentTitle(document),
+        lang,
+        dir: languageDirection(lang),
+        convert: (body, serverFormat, settings) => api.convertDocument(body, serverFormat, filename, { options: settings })
+      });
+      api.downloadFile(blob, filename);
+    } catch (err) {
+      if (!isCancelled(err)) {
+        console.error('Download error:', err);
+        reportError(err.message || `Failed to download ${format.toUpperCase()} file. Please try again.`, () => actionsRef.current.downloadTranslation(variant, format));
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const startMacro = ({ name, steps }) => {
+    if (!htmlContent) {
+      setError('No document content to edit');
+      return;
+    }
+    executeMacro({ name, steps, results: steps.map(() => ({ status: 'pending' })) }, 0);
+  };
+
+  const resumeMacro = (skip = false) => {
+    const { stoppedAt } = macroRun;
+    const results = macroRun.results.map((entry, index) => (
+      index === stoppedAt ? { status: skip ? 'skipped' : 'pending' } : entry
+    ));
+    executeMacro({ ...macroRun, results }, skip ? stoppedAt + 1 : stoppedAt);
+  };
+
+  const decideChange = (id, decision) => {
+    setPendingEdit(prev => prev && {
+      ...prev,
+      decisions: { ...prev.decisions, [id]: decision }
+    });
+  };
+
+  const applyPendingEdit = (acceptAll = false) => {
+    if (!pendingEdit) return;
+    const { before, after, decisions, total, instruction, explanation, target, threadId } = pendingEdit;
+    const acceptedIds = Object.keys(decisions)
+      .filter(id => decisions[id] === 'accepted')
+      .map(Number);
+    if (threadId && (acceptAll || acceptedIds.length > 0)) {
+      updateThread(threadId, thread => ({
+        resolved: true,
+        comments: [...thread.comments, newComment(`Resolved with AI: ${explanation}`, 'AI editor')]
+      }));
+    }
+
+    if (acceptAll || acceptedIds.length === total) {
+      commitEdit(after, { type: 'ai', instruction, explanation, target });
+    } else if (acceptedIds.length > 0) {
+      commitEdit(mergeChanges(before, after, acceptedIds), {
+        type: 'ai',
+        instruction,
+        explanation: `${explanation} (${acceptedIds.length} of ${total} changes accepted)`,
+        acceptedChanges: acceptedIds,
+        target
+      });
+    }
+    setPendingEdit(null);
+  };
+
+  // Review comments are only exported when asked for, as a summary at the end.
+  const downloadAsFormat = async (format, options, { includeComments = false } = {}) => {
     if (!htmlContent) {
       setError('No document content to download');
       return;
     }
 
+    const sourceErrors = sourceMode ? sourceIssues.filter(issue => issue.severity === 'error') : [];
+    if (sourceErrors.length > 0) {
+      const listed = sourceErrors.slice(0, 3).map(issue => `line ${issue.line}: ${issue.message}`).join('; ');
+      const more = sourceErrors.length > 3 ? ` and ${sourceErrors.length - 3} more` : '';
+      setError(`Fix the markup errors in the source editor before downloading (${listed}${more}).`);
+      return;
+    }
+
     setIsProcessing(true);
     setError(null);
 
     try {
-      const filename = `${document?.originalName?.split('.')[0] || 'document'}.${format}`;
-      const blob = await api.convertDocument(htmlContent, format, filename);
+      const filename = downloadName(document, format);
+      const html = includeComments ? appendReviewSummary(htmlContent, commentThreads) : htmlContent;
+      const blob = await exportDocument(html, format, {
+        options,
+        title: documentTitle(document),
+        lang: language,
+        dir: languageDirection(language),
+        convert: (html, serverFormat, settings) => api.convertDocument(html, serverFormat, filename, { options: settings })
+      });
       
       if (blob && blob.size > 0) {
         api.downloadFile(blob, filename);
@@ -256,21 +1439,217 @@ function App() {
         throw new Error('Failed to generate download file');
       }
     } catch (err) {
-      console.error('Download error:', err);
-      setError(err.message || `Failed to download ${format.toUpperCase()} file. Please try again.`);
+      if (!isCancelled(err)) {
+        console.error('Download error:', err);
+        reportError(err.message ? err : `Failed to download ${format.toUpperCase()} file. Please try again.`, () => actionsRef.current.downloadAsFormat(format, options, { includeComments }));
+      }
     } finally {
       setIsProcessing(false);
     }
   };
 
+  actionsRef.current = { handleAIEdit, downloadAsFormat, downloadTranslation };
+
+  const reportError = (err, retry = null) => {
+    errorRetryRef.current = retry;
+    setError(err);
+  };
+
+  const retryFailedAction = () => {
+    const retry = errorRetryRef.current;
+    errorRetryRef.current = null;
+    setError(null);
+    retry?.();
+  };
+
+  const resumeSession = async (id) => {
+    setError(null);
+    try {
+      const session = await loadSession(id);
+      if (!session || session.items.length === 0) {
+        throw new Error('This session is no longer available.');
+      }
+      const items = session.items.map(item => ({
+        ...item,
+        status: 'ready',
+        error: null,
+        progress: null,
+        sanitizeReport: null
+      }));
+      sessionIdRef.current = session.id;
+      setQueue(items);
+      setSelectedKeys(items.map(item => item.key));
+      const active = items.find(item => item.key === session.activeKey) || items[0];
+      showDocument(active.key, active);
+      setCurrentStep(session.step === 'edit' && !needsOcrReview(active.history.htmlContent) ? 'edit' : 'preview');
+    } catch (err) {
+      console.error('Session load error:', err);
+      setError(err.message || 'Failed to open the saved session.');
+    }
+  };
+
+  const removeRecentSession = async (session) => {
+    if (!window.confirm(`Delete "${session.name}" and its edit history from this browser?`)) return;
+    try {
+      await deleteSession(session.id);
+    } catch (err) {
+      console.error('Session delete error:', err);
+      setError('Failed to delete the saved session.');
+    }
+    refreshRecentSessions();
+  };
+
+  // Returns false when the user chose to keep their work.
   const resetDocument = () => {
+    const reasons = unsavedWork();
+    if (reasons.length > 0 &&
+        !window.confirm(`Start over? This will discard ${reasons.join(', ')}.`)) {
+      return false;
+    }
+
+    sessionIdRef.current = null;
+    setSaveStatus(null);
     setDocument(null);
-    setHtmlContent('');
-    setEditHistory([]);
+    resetHistory();
+    setCommentThreads([]);
+    setDiffRange(null);
+    setPendingEdit(null);
+    setMacroRun(null);
+    setFindState(null);
+    translationControllerRef.current?.abort();
+    setTranslation(null);
+    setTranslationOpen(false);
+    setAuditIssueId(null);
+    setOcrReview(null);
+    setRedaction(null);
+    setActiveThreadId(null);
+    setCommentDraft(null);
+    setSanitizeReport(null);
+    setSelectMode(false);
+    setManualMode(false);
+    setSourceMode(false);
+    setSourceIssues([]);
+    setQueue([]);
+    setActiveKey(null);
+    setSelectedKeys([]);
+    uploadBatchRef.current += 1;
+    uploadControllersRef.current.forEach(controller => controller.abort());
+    editControllerRef.current?.abort();
+    uploadControllersRef.current.clear();
+    queuedFilesRef.current.clear();
     setError(null);
     setLanguage('en');
     setCurrentStep('upload');
     setEditInstructions('');
+    return true;
+  };
+
+  const handleLogin = async (email, password) => {
+    await api.login(email, password);
+    setLoginPrompt(null);
+    // Whatever failed for want of a login runs again.
+    if (error?.kind === 'auth') {
+      if (errorRetryRef.current) retryFailedAction();
+      else setError(null);
+    }
+  };
+
+  // Signing out clears the workspace and the sessions saved in this
+  // browser so the next user doesn't see them.
+  const handleLogout = async () => {
+    if (!resetDocument()) return;
+    setRecentSessions([]);
+    try {
+      await clearSessions();
+    } catch (err) {
+      console.error('Session clear error:', err);
+    }
+    await api.logout();
+  };
+
+  const loadLibrary = async () => {
+    setLibrary(prev => ({ documents: prev?.documents || [], loading: true, error: null }));
+    try {
+      const documents = await api.listDocuments();
+      setLibrary(prev => prev && { documents, loading: false, error: null });
+    } catch (err) {
+      if (isCancelled(err)) return;
+      console.error('Library error:', err);
+      setLibrary(prev => prev && { ...prev, loading: false, error: err.message || 'Failed to load your documents.' });
+    }
+  };
+
+  // Adds a saved document to the list and opens it, or switches to it if
+  // it is already there.
+  const openLibraryDocument = async (doc) => {
+    const existing = queue.find(item => item.document?.id === doc.id);
+    if (existing) {
+      openDocument(existing.key);
+    } else {
+      setLibrary(prev => prev && { ...prev, loading: true, error: null });
+      let item;
+      try {
+        const full = await api.getDocument(doc.id);
+        item = { key: newQueueKey(), name: full.originalName || doc.originalName, error: null, ...readyItem(full, { saved: true }) };
+      } catch (err) {
+        console.error('Library open error:', err);
+        setLibrary(prev => prev && { ...prev, loading: false, error: err.message || 'Failed to open the document.' });
+        return;
+      }
+      if (!sessionIdRef.current) sessionIdRef.current = `session-${Date.now()}`;
+      setQueue(items => [
+        ...items.map(entry => (entry.key === activeKey ? { ...entry, history: historySnapshot, comments: commentThreads, language } : entry)),
+        item
+      ]);
+      setSelectedKeys(keys => [...keys, item.key]);
+      showDocument(item.key, item);
+    }
+    setLibrary(null);
+    if (currentStep === 'upload') setCurrentStep('preview');
+  };
+
+  // Open copies of a saved document follow its changes on the server.
+  const updateOpenCopies = (id, update) => {
+    setQueue(items => items.map(item => (
+      item.document?.id === id
+        ? { ...item, name: update.originalName ?? item.name, document: { ...item.document, ...update } }
+        : item
+    )));
+    if (document?.id === id) setDocument(prev => ({ ...prev, ...update }));
+  };
+
+  const renameLibraryDocument = async (doc, name) => {
+    try {
+      const updated = await api.renameDocument(doc.id, name);
+      const originalName = updated?.originalName || name;
+      setLibrary(prev => prev && {
+        ...prev,
+        error: null,
+        documents: prev.documents.map(entry => (entry.id === doc.id ? { ...entry, ...updated, originalName } : entry))
+      });
+      updateOpenCopies(doc.id, { originalName });
+    } catch (err) {
+      console.error('Rename error:', err);
+      setLibrary(prev => prev && { ...prev, error: err.message || 'Failed to rename the document.' });
+      throw err;
+    }
+  };
+
+  const deleteLibraryDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.originalName}" from the server? This can't be undone.`)) return;
+    try {
+      await api.deleteDocument(doc.id);
+      setLibrary(prev => prev && {
+        ...prev,
+        error: null,
+        documents: prev.documents.filter(entry => entry.id !== doc.id)
+      });
+      // Open copies stay editable but no longer point at the deleted document.
+      updateOpenCopies(doc.id, { id: null });
+    } catch (err) {
+      console.error('Delete error:', err);
+      setLibrary(prev => prev && { ...prev, error: err.message || 'Failed to delete the document.' });
+    }
   };
 
   const FileTypeIcon = ({ type }) => {
@@ -282,22 +1661,67 @@ function App() {
     }
   };
 
-  // Error Alert Component
-  const ErrorAlert = ({ message, onClose }) => (
-    <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4">
+  const describeRemoval = ({ kind, name, count }) => {
+    const label = {
+      element: `<${name}> element`,
+      attribute: `${name} attribute`,
+      url: `unsafe link in ${name}`,
+      css: `CSS ${name}`
+    }[kind] || name;
+    return count > 1 ? `${label} ×${count}` : label;
+  };
+
+  // Lists what the sanitizer stripped from the last upload or edit.
+  const SanitizeNotice = ({ report, onClose }) => (
+    <div className="mb-4 bg-amber-50 border border-amber-200 rounded-lg p-4">
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-2">
-          <AlertCircle className="w-5 h-5 text-red-600" />
-          <span className="text-red-800 font-medium">Error</span>
+          <ShieldAlert className="w-5 h-5 text-amber-600" />
+          <span className="text-amber-800 font-medium">
+            Unsafe content was removed from the {{ upload: 'uploaded document', translation: 'translation' }[report.source] || 'AI edit'}
+          </span>
         </div>
-        <button onClick={onClose} className="text-red-600 hover:text-red-800">
+        <button onClick={onClose} className="text-amber-600 hover:text-amber-800">
           <X className="w-4 h-4" />
         </button>
       </div>
-      <p className="text-red-700 mt-2">{message}</p>
+      <p className="text-amber-700 text-sm mt-2">
+        {report.removed.map(describeRemoval).join(', ')}
+      </p>
     </div>
   );
 
+  // The preview shows other HTML while changes are reviewed or compared, so
+  // the outline can't point into it then.
+  const documentOutline = (
+    <DocumentOutline
+      outline={structure.outline}
+      pages={structure.pages}
+      disabled={!!pendingEdit || !!diffRange || !!streamingEdit || translationOpen}
+      onJumpToHeading={jumpToHeading}
+      onJumpToPage={jumpToPage}
+    />
+  );
+
+  const documentQueue = (
+    <DocumentQueue
+      items={queue}
+      activeKey={activeKey}
+      selectedKeys={selectedKeys}
+      busy={isProcessing || !!pendingEdit}
+      onToggle={toggleSelected}
+      onToggleAll={toggleAllSelected}
+      onOpen={openDocument}
+      onRemove={removeQueueItem}
+      onCancelUpload={cancelUpload}
+      onRetryUpload={retryUpload}
+      onDismissError={(key) => updateQueueItem(key, { error: null })}
+      onAddFiles={() => fileInputRef.current?.click()}
+      onBulkEdit={runBulkEdit}
+      onBulkDownload={runBulkDownload}
+    />
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       {/* Header */}
@@ -309,18 +1733,61 @@ function App() {
               <h1 className="text-2xl font-bold text-gray-900">AI Document Editor</h1>
             </div>
             <div className="flex items-center space-x-4">
+              {authSession && (
+                <button
+                  onClick={loadLibrary}
+                  className="flex items-center space-x-2 text-gray-600 hover:text-gray-800"
+                >
+                  <Library className="w-4 h-4" />
+                  <span>My Documents</span>
+                </button>
+              )}
               {currentStep !== 'upload' && (
                 <button
                   onClick={resetDocument}
                   className="flex items-center space-x-2 text-gray-600 hover:text-gray-800"
                 >
                   <Plus className="w-4 h-4" />
-                  <span>New Document</span>
+                  <span>{queue.length > 1 ? 'New Batch' : 'New Document'}</span>
                 </button>
               )}
+              {saveStatus && currentStep !== 'upload' && (
+                <span className="flex items-center space-x-1 text-sm text-gray-500">
+                  {saveStatus === 'saved' && <><Check className="w-4 h-4 text-green-600" /><span>Saved</span></>}
+                  {saveStatus === 'pending' && <span>Saving…</span>}
+                  {(saveStatus === 'error' || saveStatus === 'off') && (
+                    <><CloudOff className="w-4 h-4 text-amber-600" /><span>Not saved</span></>
+                  )}
+                </span>
+              )}
               <span className="text-sm text-gray-500">
                 Step {currentStep === 'upload' ? '1' : currentStep === 'preview' ? '2' : '3'} of 3
               </span>
+              {authSession ? (
+                <div className="flex items-center space-x-2 text-sm border-l pl-4">
+                  {authSession.user && (
+                    <span className="text-gray-700 truncate max-w-[12rem]">
+                      {authSession.user.name || authSession.user.email}
+                    </span>
+                  )}
+                  <button
+                    onClick={handleLogout}
+                    title="Sign out"
+                    className="flex items-center space-x-1 text-gray-600 hover:text-gray-800"
+                  >
+                    <LogOut className="w-4 h-4" />
+                    <span>Sign out</span>
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setLoginPrompt({ reason: null })}
+                  className="flex items-center space-x-1 text-sm text-indigo-600 hover:text-indigo-800 border-l pl-4"
+                >
+                  <LogIn className="w-4 h-4" />
+                  <span>Sign in</span>
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -329,7 +1796,34 @@ function App() {
       <div className="max-w-7xl mx-auto px-4 py-8">
         {/* Error Display */}
         {error && (
-          <ErrorAlert message={error} onClose={() => setError(null)} />
+          <ErrorAlert
+            error={error}
+            onRetry={errorRetryRef.current ? retryFailedAction : undefined}
+            onSignIn={() => setLoginPrompt({ reason: null })}
+            onClose={() => setError(null)}
+          />
+        )}
+
+        {loginPrompt && (
+          <LoginDialog reason={loginPrompt.reason} onSubmit={handleLogin} onClose={() => setLoginPrompt(null)} />
+        )}
+
+        {library && (
+          <MyDocuments
+            documents={library.documents}
+            loading={library.loading}
+            error={library.error}
+            openIds={queue.map(item => item.document?.id).filter(Boolean)}
+            onOpen={openLibraryDocument}
+            onRename={renameLibraryDocument}
+            onDelete={deleteLibraryDocument}
+            onRefresh={loadLibrary}
+            onClose={() => setLibrary(null)}
+          />
+        )}
+
+        {sanitizeReport && (
+          <SanitizeNotice report={sanitizeReport} onClose={() => setSanitizeReport(null)} />
         )}
 
         {/* Step Indicator */}
@@ -356,6 +1850,16 @@ function App() {
           </div>
         </div>
 
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          aria-label="Choose files to upload"
+          accept={acceptAttribute()}
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+
         {/* Upload Step */}
         {currentStep === 'upload' && (
           <div className="max-w-2xl mx-auto">
@@ -368,35 +1872,62 @@ function App() {
                 </p>
                 
                 <div 
-                  className="border-2 border-dashed border-indigo-300 rounded-lg p-8 mb-6 cursor-pointer hover:border-indigo-400 transition-colors"
-                  onClick={() => !isProcessing && fileInputRef.current?.click()}
+                  className={`border-2 border-dashed rounded-lg p-8 mb-6 cursor-pointer transition-colors ${
+                    dragState === 'accept' ? 'border-indigo-600 bg-indigo-50'
+                      : dragState === 'reject' ? 'border-red-400 bg-red-50'
+                        : 'border-indigo-300 hover:border-indigo-400'
+                  }`}
+                  onClick={() => fileInputRef.current?.click()}
+                  onDragEnter={handleDragEnter}
+                  onDragOver={handleDragOver}
+                  onDragLeave={handleDragLeave}
+                  onDrop={handleDrop}
                 >
                   <div className="flex flex-col items-center">
-                    {isProcessing ? (
+                    {dragState ? (
+                      <>
+                        {dragState === 'accept'
+                          ? <Upload className="w-12 h-12 text-indigo-600 mb-4" />
+                          : <AlertCircle className="w-12 h-12 text-red-500 mb-4" />}
+                        <p className={`text-lg font-medium ${dragState === 'accept' ? 'text-indigo-700' : 'text-red-700'}`}>
+                          {dragState === 'accept' ? 'Drop to upload' : 'Some of these files are not supported'}
+                        </p>
+                        <p className="text-sm text-gray-500 mt-2">{uploadHint()}</p>
+                      </>
+                    ) : isUploading ? (
                       <>
                         <Loader2 className="w-12 h-12 text-indigo-600 animate-spin mb-4" />
-                        <p className="text-lg font-medium text-gray-700">Processing your document...</p>
-                        <p className="text-sm text-gray-500 mt-2">This may take a few moments</p>
+                        <p className="text-lg font-medium text-gray-700">
+                          {currentUpload?.status === 'processing'
+                            ? `Processing ${currentUpload.name}...`
+                            : currentUpload ? `Uploading ${currentUpload.name}...` : 'Preparing upload...'}
+                        </p>
+                        {currentUpload && (
+                          <div className="w-full max-w-sm mt-4 flex items-start space-x-3">
+                            <UploadProgress progress={currentUpload.progress} />
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                cancelUpload(currentUpload.key);
+                              }}
+                              className="text-sm text-gray-600 hover:text-red-700"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        )}
                       </>
                     ) : (
                       <>
                         <FileText className="w-12 h-12 text-indigo-400 mb-4" />
                         <p className="text-lg font-medium text-gray-700">Click to upload or drag and drop</p>
-                        <p className="text-sm text-gray-500 mt-2">PDF{/* , DOCX */}, JPG, PNG up to 10MB</p>
+                        <p className="text-sm text-gray-500 mt-2">{uploadHint()}</p>
+                        <p className="text-xs text-gray-400 mt-1">Select several files to upload a batch, or paste a screenshot</p>
                       </>
                     )}
                   </div>
                 </div>
 
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  accept=".pdf,.jpg,.jpeg,.png,.txt" // Removed .docx,.doc
-                  onChange={handleFileSelect}
-                  className="hidden"
-                  disabled={isProcessing}
-                />
-
                 <div className="flex justify-between text-sm text-gray-600 pl-4 pr-4">
                   <div className="flex items-center space-x-2">
                     <FileText className="w-4 h-4 text-red-500" />
@@ -417,6 +1948,16 @@ function App() {
                 </div>
               </div>
             </div>
+            {queue.length > 0 && <div className="mt-6">{documentQueue}</div>}
+            {recentSessions.length > 0 && (
+              <div className="mt-6">
+                <RecentSessions
+                  sessions={recentSessions}
+                  onResume={resumeSession}
+                  onDelete={removeRecentSession}
+                />
+              </div>
+            )}
           </div>
         )}
 
@@ -451,17 +1992,21 @@ function App() {
                   </div>
                 </div>
                 <div className={`p-4 ${previewMode === 'mobile' ? 'max-w-sm mx-auto' : ''}`}>
-                  <div 
-                    className="border rounded-lg p-4 bg-gray-50 min-h-96 overflow-auto"
-                    dangerouslySetInnerHTML={{ 
-                      __html: htmlContent || '<p style="color: #999; text-align: center; padding: 40px;">No content to display</p>' 
-                    }}
+                  <SandboxedPreview
+                    html={reviewHtml}
+                    styles={ocrReview ? OCR_REVIEW_STYLES : undefined}
+                    lang={language}
+                    dir={languageDirection(language)}
+                    onReady={handleReviewPreviewReady}
+                    listeners={ocrReview ? { click: selectOcrPassageInPreview } : undefined}
+                    className="h-[36rem] border rounded-lg"
                   />
                 </div>
               </div>
             </div>
 
             <div className="space-y-4">
+              {queue.length > 1 && documentQueue}
               <div className="bg-white rounded-lg shadow-lg p-4">
                 <h4 className="font-semibold mb-3">Document Info</h4>
                 <div className="space-y-2 text-sm">
@@ -471,8 +2016,14 @@ function App() {
                   </div>
                   <div className="flex justify-between">
                     <span className="text-gray-600">Word Count:</span>
-                    <span>{document.metadata?.wordCount || 'N/A'}</span>
+                    <span>{structure.wordCount.toLocaleString()}</span>
                   </div>
+                  {(structure.pages.length > 0 || document.metadata?.pages) && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Pages:</span>
+                      <span>{structure.pages.length || document.metadata.pages}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-gray-600">Language:</span>
                     <span>{language.toUpperCase()}</span>
@@ -480,12 +2031,37 @@ function App() {
                 </div>
               </div>
 
+              {recognized && (
+                <OcrReview
+                  items={ocrItems}
+                  pages={document.ocr?.pages || []}
+                  threshold={ocrThreshold}
+                  current={ocrReview?.current ?? null}
+                  disabled={isProcessing}
+                  onThresholdChange={setOcrThreshold}
+                  onSelect={selectOcrPassage}
+                  onReview={reviewOcrPassage}
+                  onClose={() => setOcrReview(null)}
+                />
+              )}
+
+              {documentOutline}
+
               <div className="bg-white rounded-lg shadow-lg p-4">
                 <h4 className="font-semibold mb-3">Quick Actions</h4>
                 <div className="space-y-2">
+                  {ocrPending > 0 && (
+                    <p className="text-xs text-amber-700">
+                      Review the {ocrPending} uncertain {ocrPending === 1 ? 'passage' : 'passages'} of recognized text before editing.
+                    </p>
+                  )}
                   <button
-                    onClick={() => setCurrentStep('edit')}
-                    className="w-full flex items-center justify-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+                    onClick={() => {
+                      setOcrReview(null);
+                      setCurrentStep('edit');
+                    }}
+                    disabled={ocrPending > 0}
+                    className="w-full flex items-center justify-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     <Edit3 className="w-4 h-4" />
                     <span>Start Editing</span>
@@ -512,27 +2088,238 @@ function App() {
               <div className="bg-white rounded-lg shadow-lg">
                 <div className="flex items-center justify-between p-4 border-b">
                   <h3 className="text-lg font-semibold">Live Preview</h3>
-                  <button
-                    onClick={() => setCurrentStep('preview')}
-                    className="flex items-center space-x-1 text-indigo-600 hover:text-indigo-800"
-                  >
-                    <ArrowLeft className="w-4 h-4" />
-                    <span>Back to Preview</span>
-                  </button>
+                  <div className="flex items-center space-x-4">
+                    <button
+                      onClick={startManualEdit}
+                      disabled={!!pendingEdit || isProcessing}
+                      title="Edit the document directly in the preview"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${manualMode ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <PenLine className="w-4 h-4" />
+                      <span>Edit manually</span>
+                    </button>
+                    <button
+                      onClick={toggleSourceMode}
+                      disabled={!!pendingEdit || manualMode || translationOpen}
+                      title="Edit the HTML and CSS source"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${sourceMode ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <Code className="w-4 h-4" />
+                      <span>Source</span>
+                    </button>
+                    <button
+                      onClick={toggleFind}
+                      disabled={!!pendingEdit || !!diffRange || manualMode || translationOpen}
+                      title="Find and replace text (Ctrl+F)"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${findState ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <Search className="w-4 h-4" />
+                      <span>Find</span>
+                    </button>
+                    <button
+                      onClick={toggleRedaction}
+                      disabled={!!pendingEdit || !!diffRange || manualMode || translationOpen}
+                      title="Find and remove names, contact details and ID numbers"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${redaction ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <EyeOff className="w-4 h-4" />
+                      <span>Redact</span>
+                    </button>
+                    <button
+                      onClick={startComment}
+                      disabled={!!pendingEdit || !!diffRange || manualMode || translationOpen || !!presetPreview}
+                      title="Select text in the preview, then click here to comment on it"
+                      className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      <MessageSquarePlus className="w-4 h-4" />
+                      <span>Comment</span>
+                    </button>
+                    <button
+                      onClick={() => setSelectMode(mode => !mode)}
+                      disabled={!!pendingEdit || !!diffRange || manualMode || translationOpen}
+                      title="Click an element or drag across a range in the preview to limit the next instruction to it"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${selectMode ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <MousePointerClick className="w-4 h-4" />
+                      <span>Select</span>
+                    </button>
+                    <button
+                      onClick={() => (diffRange ? setDiffRange(null) : compareLatest())}
+                      disabled={!!pendingEdit || manualMode || translationOpen}
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${diffRange ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <GitCompare className="w-4 h-4" />
+                      <span>Diff</span>
+                    </button>
+                    <button
+                      onClick={toggleTranslation}
+                      disabled={!!pendingEdit || manualMode}
+                      title="Translate the document and compare it side by side"
+                      className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${translationOpen ? 'bg-indigo-600 text-white' : 'bg-gray-200'} disabled:opacity-40 disabled:cursor-not-allowed`}
+                    >
+                      <Languages className="w-4 h-4" />
+                      <span>Translate</span>
+                    </button>
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={undo}
+                        disabled={!canUndo || isProcessing || !!pendingEdit || manualMode}
+                        title="Undo (Ctrl+Z)"
+                        className="p-2 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        <Undo2 className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={redo}
+                        disabled={!canRedo || isProcessing || !!pendingEdit || manualMode}
+                        title="Redo (Ctrl+Shift+Z)"
+                        className="p-2 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        <Redo2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <button
+                      onClick={() => setCurrentStep('preview')}
+                      className="flex items-center space-x-1 text-indigo-600 hover:text-indigo-800"
+                    >
+                      <ArrowLeft className="w-4 h-4" />
+                      <span>Back to Preview</span>
+                    </button>
+                  </div>
                 </div>
                 <div className="p-4">
-                  <div 
-                    className="border rounded-lg p-4 bg-gray-50 min-h-96 overflow-auto"
-                    dangerouslySetInnerHTML={{ 
-                      __html: htmlContent || '<p style="color: #999; text-align: center; padding: 40px;">No content to display</p>' 
-                    }}
-                  />
+                  {pendingEdit ? (
+                    <ChangeReview
+                      pendingEdit={pendingEdit}
+                      onDecide={decideChange}
+                      onAcceptAll={() => applyPendingEdit(true)}
+                      onRejectAll={() => setPendingEdit(null)}
+                      onApply={() => applyPendingEdit()}
+                    />
+                  ) : diffRange ? (
+                    <DiffView
+                      key={`${diffRange.fromId}:${diffRange.toId}`}
+                      versions={versions}
+                      fromId={diffRange.fromId}
+                      toId={diffRange.toId}
+                      onClose={() => setDiffRange(null)}
+                    />
+                  ) : translationOpen ? (
+                    <TranslationView
+                      key={translation.id}
+                      translation={translation}
+                      sourceLanguage={language}
+                      stale={translation.source !== htmlContent}
+                      busy={isProcessing}
+                      onTargetChange={changeTranslationTarget}
+                      onStart={() => runTranslation(translation)}
+                      onCancel={() => translationControllerRef.current?.abort()}
+                      onUpdate={refreshTranslation}
+                      onRetranslate={retranslateSegment}
+                      onEditSegment={editTranslatedSegment}
+                      onDownload={downloadTranslation}
+                      onClose={() => setTranslationOpen(false)}
+                    />
+                  ) : (
+                    <>
+                      {manualMode && (
+                        <ManualEditToolbar
+                          getDocument={() => previewDocRef.current}
+                          onDone={saveManualEdits}
+                          onCancel={() => setManualMode(false)}
+                          onTableMissing={() => setError('Place the cursor inside a table cell first.')}
+                        />
+                      )}
+                      {sourceMode && (
+                        <SourceEditor
+                          value={htmlContent}
+                          onChange={commitSourceEdit}
+                          onIssuesChange={setSourceIssues}
+                        />
+                      )}
+                      {findState && !manualMode && (
+                        <FindReplace
+                          search={findState}
+                          onChange={updateFind}
+                          matchCount={findCount}
+                          current={currentMatch}
+                          error={findSearch.error}
+                          disabled={isProcessing}
+                          onStep={stepFind}
+                          onReplace={() => replaceInDocument(currentMatch)}
+                          onReplaceAll={() => replaceInDocument(null)}
+                          onClose={() => setFindState(null)}
+                        />
+                      )}
+                      {redaction && !manualMode && (
+                        <RedactionPanel
+                          suggestions={redactionSuggestions}
+                          states={redactionStates}
+                          terms={redactionTerms}
+                          disabled={isProcessing || !!pendingEdit}
+                          onDecide={decideRedaction}
+                          onDecideAll={decideAllRedactions}
+                          onRedactSelection={redactSelection}
+                          onAddTerm={(term) => updateRedactionTerms([...redactionTerms.filter(entry => entry !== term), term])}
+                          onRemoveTerm={(term) => updateRedactionTerms(redactionTerms.filter(entry => entry !== term))}
+                          onApply={applyRedaction}
+                          onClose={() => setRedaction(null)}
+                        />
+                      )}
+                      {scope && (
+                        <div className="mb-3 flex flex-wrap items-center justify-between gap-2 text-sm bg-indigo-50 border border-indigo-200 rounded-lg px-3 py-2">
+                          <div className="flex items-center space-x-2 min-w-0">
+                            <Crosshair className="w-4 h-4 text-indigo-600 flex-shrink-0" />
+                            <span className="truncate">Instructions apply only to {scope.label}</span>
+                          </div>
+                          <div className="flex items-center space-x-3 flex-shrink-0">
+                            <button
+                              onClick={() => setScope(parentScope(htmlContent, scope) || scope)}
+                              className="text-indigo-600 hover:text-indigo-800"
+                            >
+                              Select parent
+                            </button>
+                            <button onClick={() => setScope(null)} className="text-gray-600 hover:text-gray-800">
+                              Clear
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      {streamingEdit && (
+                        <div className="mb-3 bg-indigo-50 border border-indigo-200 rounded-lg px-3 py-2 text-sm">
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-2 text-indigo-800">
+                              <Loader2 className="w-4 h-4 animate-spin" />
+                              <span>{streamingEdit.html ? 'Receiving changes…' : 'Waiting for the AI editor…'}</span>
+                            </div>
+                            <button onClick={cancelAIEdit} className="text-gray-600 hover:text-red-700">
+                              Cancel
+                            </button>
+                          </div>
+                          {streamingEdit.explanation && (
+                            <p className="mt-1 text-indigo-900 whitespace-pre-wrap">{streamingEdit.explanation}</p>
+                          )}
+                        </div>
+                      )}
+                      <SandboxedPreview
+                        html={manualMode ? htmlContent : streamingEdit?.html || previewHtml}
+                        styles={manualMode ? MANUAL_EDIT_STYLES : `${selectMode ? SELECT_MODE_STYLES : SCOPE_STYLES}${FIND_STYLES}${AUDIT_STYLES}${REDACTION_STYLES}${COMMENT_STYLES}`}
+                        lang={language}
+                        dir={languageDirection(language)}
+                        onReady={handlePreviewReady}
+                        listeners={manualMode ? { paste: handleManualPaste } : { click: handlePreviewClick }}
+                        className="h-[36rem] border rounded-lg"
+                      />
+                    </>
+                  )}
                 </div>
               </div>
             </div>
 
             {/* Edit Panel */}
             <div className="space-y-4">
+              {queue.length > 1 && documentQueue}
+
               {/* AI Instructions */}
               <div className="bg-white rounded-lg shadow-lg p-4">
                 <h4 className="font-semibold mb-3 flex items-center space-x-2">
@@ -552,11 +2339,17 @@ Examples:
 - Change font to Arial
 - Add borders to tables"
                   className="w-full h-32 p-3 border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-                  disabled={isProcessing}
+                  disabled={isProcessing || !!pendingEdit || manualMode}
                 />
+                {pendingEdit && (
+                  <p className="text-xs text-gray-500 mt-2">Review the pending changes in the preview before sending another instruction.</p>
+                )}
+                {!pendingEdit && scope && (
+                  <p className="text-xs text-indigo-700 mt-2">Applies to the selection: {scope.label}</p>
+                )}
                 <button
-                  onClick={handleAIEdit}
-                  disabled={isProcessing || !editInstructions.trim()}
+                  onClick={() => handleAIEdit()}
+                  disabled={isProcessing || !!pendingEdit || manualMode || !editInstructions.trim()}
                   className="w-full mt-3 flex items-center justify-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   {isProcessing ? (
@@ -567,68 +2360,135 @@ Examples:
                   ) : (
                     <>
                       <Wand2 className="w-4 h-4" />
-                      <span>Apply Changes</span>
+                      <span>{scope ? 'Apply to Selection' : 'Apply Changes'}</span>
                     </>
                   )}
                 </button>
+                {streamingEdit && (
+                  <button
+                    onClick={cancelAIEdit}
+                    className="w-full mt-2 flex items-center justify-center space-x-2 bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+                  >
+                    <X className="w-4 h-4" />
+                    <span>Cancel</span>
+                  </button>
+                )}
+                <InstructionLibrary
+                  currentInstruction={editInstructions}
+                  disabled={isProcessing || !!pendingEdit || manualMode}
+                  onInsert={(text) => setEditInstructions(prev => (prev.trim() ? `${prev.trimEnd()}\n${text}` : text))}
+                  onRunMacro={startMacro}
+                />
               </div>
 
+              {macroRun && (
+                <MacroRun
+                  run={macroRun}
+                  onCancel={cancelAIEdit}
+                  onRetry={() => resumeMacro()}
+                  onSkip={() => resumeMacro(true)}
+                  onDismiss={() => setMacroRun(null)}
+                />
+              )}
+
               {/* Edit History */}
               {editHistory.length > 0 && (
                 <div className="bg-white rounded-lg shadow-lg p-4">
                   <h4 className="font-semibold mb-3">Edit History</h4>
-                  <div className="space-y-2 max-h-32 overflow-y-auto">
-                    {editHistory.slice(-5).map((edit, index) => (
-                      <div key={index} className="text-sm p-2 bg-gray-50 rounded">
-                        <p className="font-medium text-gray-800">{edit.instruction}</p>
-                        <p className="text-gray-500 text-xs">{edit.timestamp}</p>
-                      </div>
-                    ))}
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {editHistory.map((edit, index) => {
+                      const isUndone = index >= historyPosition;
+                      const isCurrent = index === historyPosition - 1;
+                      return (
+                        <div
+                          key={edit.id}
+                          className={`text-sm p-2 rounded ${isCurrent ? 'bg-indigo-50 border border-indigo-200' : 'bg-gray-50'} ${isUndone ? 'opacity-50' : ''}`}
+                        >
+                          <div className="flex items-start justify-between space-x-2">
+                            <p className="font-medium text-gray-800">{edit.instruction}</p>
+                            <div className="flex-shrink-0 flex items-center space-x-2">
+                              <button
+                                onClick={() => compareEntry(index)}
+                                disabled={!!pendingEdit || manualMode}
+                                title="Show what this edit changed"
+                                className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-800"
+                              >
+                                <GitCompare className="w-3 h-3" />
+                                <span>Diff</span>
+                              </button>
+                              {!isCurrent && (
+                                <button
+                                  onClick={() => restoreVersion(edit.id)}
+                                  disabled={isProcessing || !!pendingEdit || manualMode}
+                                  title="Restore this version"
+                                  className="flex items-center space-x-1 text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                >
+                                  <RotateCcw className="w-3 h-3" />
+                                  <span>Restore</span>
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                          {edit.target && (
+                            <p className="text-indigo-700 text-xs mt-1">Target: {edit.target.label}</p>
+                          )}
+                          {edit.macro && (
+                            <p className="text-indigo-700 text-xs mt-1">Macro: {edit.macro.name} · step {edit.macro.step} of {edit.macro.total}</p>
+                          )}
+                          {edit.explanation && (
+                            <p className="text-gray-600 text-xs mt-1">{edit.explanation}</p>
+                          )}
+                          <p className="text-gray-500 text-xs mt-1">
+                            {edit.timestamp}{isUndone ? ' · undone' : ''}
+                          </p>
+                        </div>
+                      );
+                    })}
                   </div>
-                  {editHistory.length > 5 && (
-                    <p className="text-xs text-gray-500 mt-2">Showing last 5 edits</p>
-                  )}
                 </div>
               )}
 
-              {/* Download Options */}
-              <div className="bg-white rounded-lg shadow-lg p-4">
-                <h4 className="font-semibold mb-3">Download Options</h4>
-                <div className="space-y-2">
-                  <button
-                    onClick={() => downloadAsFormat('html')}
-                    disabled={isProcessing}
-                    className="w-full flex items-center justify-center space-x-2 bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
-                  >
-                    <FileText className="w-4 h-4" />
-                    <span>HTML</span>
-                  </button>
-                  <button
-                    onClick={() => downloadAsFormat('pdf')}
-                    disabled={isProcessing}
-                    className="w-full flex items-center justify-center space-x-2 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
-                  >
-                    <FileText className="w-4 h-4" />
-                    <span>PDF</span>
-                  </button>
-                  {/* <button
-                    onClick={() => downloadAsFormat('docx')}
-                    disabled={isProcessing}
-                    className="w-full flex items-center justify-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
-                  >
-                    <FileType className="w-4 h-4" />
-                    <span>Word Document</span>
-                  </button> */}
-                  <button
-                    onClick={() => downloadAsFormat('png')}
-                    disabled={isProcessing}
-                    className="w-full flex items-center justify-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
-                  >
-                    <Image className="w-4 h-4" />
-                    <span>PNG Image</span>
-                  </button>
-                </div>
-              </div>
+              {documentOutline}
+
+              <CommentsPanel
+                threads={commentThreads}
+                detachedIds={detachedIds}
+                draft={commentDraft}
+                activeId={activeThreadId}
+                disabled={manualMode}
+                busy={isProcessing || !!pendingEdit}
+                onSelect={setActiveThreadId}
+                onCreate={createThread}
+                onCancelDraft={() => setCommentDraft(null)}
+                onReply={replyToThread}
+                onResolve={resolveThread}
+                onResolveWithAI={resolveThreadWithAI}
+                onDelete={deleteThread}
+              />
+
+              <AccessibilityAudit
+                issues={auditIssues}
+                language={language}
+                selectedId={auditIssue?.id}
+                disabled={isProcessing || !!pendingEdit || !!diffRange || manualMode || translationOpen}
+                busy={isProcessing}
+                onSelect={selectAuditIssue}
+                onFix={fixAuditIssue}
+                onAIFix={fixAuditIssueWithAI}
+                onLanguageChange={setLanguage}
+              />
+
+              <StylePresets
+                appliedId={appliedPreset}
+                previewing={presetPreview}
+                disabled={isProcessing || !!pendingEdit || manualMode}
+                onPreview={setPresetPreview}
+                onApply={applyStylePreset}
+                onRemove={removeStylePreset}
+                onDownload={(blob, filename) => api.downloadFile(blob, filename)}
+              />
+
+              <ExportPanel busy={isProcessing} commentCount={commentThreads.length} onExport={downloadAsFormat} />
             </div>
           </div>
         )}
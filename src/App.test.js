@@ -1,8 +1,623 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { API_BASE_URL } from './services/ApiService';
+import { expireSession } from './services/auth';
+import * as sessionStore from './services/sessionStore';
+import { createMockBackend } from './mocks/mockBackend';
+import { installMockBackend } from './mocks/install';
 
-test('renders learn react link', () => {
+// The main flows against the in-repo mock backend: upload → preview → edit →
+// review → download, and what the user sees when each step fails.
+
+let backend;
+let uninstall;
+let downloads;
+
+beforeEach(() => {
+  expireSession('logout');
+  window.localStorage.clear();
+  backend = createMockBackend();
+  uninstall = installMockBackend(backend, { baseURL: API_BASE_URL });
+
+  downloads = [];
+  const blobs = new Map();
+  window.URL.createObjectURL = jest.fn(blob => {
+    const url = `blob:mock/${blobs.size}`;
+    blobs.set(url, blob);
+    return url;
+  });
+  window.URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+    downloads.push({ name: this.download, blob: blobs.get(this.href) });
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  uninstall();
+  jest.restoreAllMocks();
+});
+
+const routeCount = (route) => backend.requests.filter(entry => entry.route === route).length;
+// The document inside the sandboxed preview frame, and queries scoped to it.
+const previewDocument = () => screen.getByTitle('Document preview').contentDocument;
+const previewBody = () => previewDocument().body;
+const inPreview = () => within(previewBody());
+
+const downloadedText = (index) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(downloads[index].blob);
+});
+
+// Selects characters [start, end) of the first text node in the preview
+// element whose text matches `text`.
+const selectInPreview = (text, start, end) => {
+  const doc = previewDocument();
+  const node = doc.createTreeWalker(inPreview().getByText(text), NodeFilter.SHOW_TEXT).nextNode();
+  const range = doc.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  doc.getSelection().addRange(range);
+};
+
+// A value in the Document Info card, read from the row that starts with its
+// label.
+const infoValue = (label) => screen.getByText((_, element) => element.tagName === 'DIV' && element.textContent.startsWith(label))
+  .textContent.slice(label.length);
+
+const notes = () => new File(['First paragraph.\n\nSecond paragraph.'], 'notes.txt', { type: 'text/plain' });
+
+const upload = (...files) => {
+  fireEvent.change(screen.getByLabelText('Choose files to upload'), { target: { files } });
+};
+
+// Renders the app with notes.txt uploaded and the edit step open.
+const openEditor = async () => {
+  render(<App />);
+  upload(notes());
+  fireEvent.click(await screen.findByText('Start Editing'));
+};
+
+const requestEdit = (instruction) => {
+  fireEvent.change(screen.getByPlaceholderText(/Tell me what/), { target: { value: instruction } });
+  fireEvent.click(screen.getByText('Apply Changes'));
+};
+
+test('uploads, previews, edits and downloads a document', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  upload(notes());
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>First paragraph.</p>'));
+
+  fireEvent.click(screen.getByText('Start Editing'));
+  requestEdit('make the headings uppercase');
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<h1>NOTES</h1>'));
+  expect(screen.getByText(/Applied "make the headings uppercase"/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('PDF'));
+  await waitFor(() => expect(downloads).toHaveLength(1));
+  expect(downloads[0].name).toBe('notes.pdf');
+  expect(downloads[0].blob.type).toBe('application/pdf');
+});
+
+describe('upload errors', () => {
+  test('files the client refuses are never sent', async () => {
+    render(<App />);
+    upload(new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' }));
+    expect(await screen.findByText('Not uploaded')).toBeInTheDocument();
+    expect(backend.requests).toHaveLength(0);
+  });
+
+  test('server rejections and failures are shown on the file', async () => {
+    backend.failNext('upload', { status: 415, body: { error: 'Unsupported file type: text/plain' } });
+    render(<App />);
+    upload(notes());
+    expect(await screen.findByText('Unsupported file type: text/plain')).toBeInTheDocument();
+    expect(screen.getByText('Upload failed')).toBeInTheDocument();
+
+    backend.failNext('upload', { status: 500, body: { error: 'Text extraction failed' } });
+    fireEvent.click(screen.getByTitle(/Upload again/));
+    expect(await screen.findByText('Text extraction failed')).toBeInTheDocument();
+
+    backend.failNext('upload', 'network');
+    fireEvent.click(screen.getByTitle(/Upload again/));
+    expect(await screen.findByText(/Unable to connect to server/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle(/Upload again/));
+    expect(await screen.findByText('Start Editing')).toBeInTheDocument();
+  });
+});
+
+describe('edit errors', () => {
+  test('a server error can be retried', async () => {
+    await openEditor();
+    backend.failNext('edit', { status: 500, body: { error: 'Model unavailable' } });
+    requestEdit('make the headings uppercase');
+    expect(await screen.findByText('Model unavailable')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Try again'));
+    expect(await screen.findByText('Accept all')).toBeInTheDocument();
+    expect(routeCount('edit')).toBe(2);
+  });
+
+  test('rate limiting waits for Retry-After before offering a retry', async () => {
+    await openEditor();
+    backend.failNext('edit', { status: 429, headers: { 'Retry-After': '30' }, body: { error: 'Slow down' } });
+    requestEdit('bold the first paragraph');
+    expect(await screen.findByText('Too many requests')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Try again in \d+s/ })).toBeDisabled();
+  });
+
+  test('a rejected instruction shows the reasons and no retry', async () => {
+    await openEditor();
+    backend.failNext('edit', { status: 422, body: { error: 'Instruction rejected', details: [{ field: 'instruction', message: 'too vague' }] } });
+    requestEdit('do it');
+    expect(await screen.findByText('instruction: too vague')).toBeInTheDocument();
+    expect(screen.queryByText('Try again')).toBeNull();
+  });
+
+  test('an unsuccessful or empty edit is reported', async () => {
+    await openEditor();
+    backend.failNext('edit', { status: 200, body: { success: false, error: 'Could not follow the instruction' } });
+    requestEdit('translate to Klingon');
+    expect(await screen.findByText('Could not follow the instruction')).toBeInTheDocument();
+
+    const unchanged = previewBody().innerHTML;
+    backend.failNext('edit', { status: 200, body: { success: true, modifiedHTML: unchanged } });
+    requestEdit('keep everything as it is');
+    expect(await screen.findByText(/did not change the document/)).toBeInTheDocument();
+    expect(screen.queryByText('Accept all')).toBeNull();
+  });
+
+  test('an expired session asks for a login and then finishes the edit', async () => {
+    await openEditor();
+    backend.failNext('edit', { status: 401, body: { error: 'Unauthorized' } });
+    requestEdit('make the headings uppercase');
+    const dialog = await screen.findByRole('dialog');
+
+    fireEvent.change(within(dialog).getByLabelText('Email'), { target: { value: 'demo@example.com' } });
+    fireEvent.change(within(dialog).getByLabelText('Password'), { target: { value: 'demo' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: /Sign in/ }));
+    expect(await screen.findByText('Accept all')).toBeInTheDocument();
+    expect(screen.getByText('Demo User')).toBeInTheDocument();
+  });
+});
+
+test('signing out removes the documents and the sessions saved in this browser', async () => {
+  const clearSessions = jest.spyOn(sessionStore, 'clearSessions');
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  await openEditor();
+  fireEvent.click(screen.getByRole('button', { name: /Sign in/ }));
+  const dialog = await screen.findByRole('dialog');
+  fireEvent.change(within(dialog).getByLabelText('Email'), { target: { value: 'demo@example.com' } });
+  fireEvent.change(within(dialog).getByLabelText('Password'), { target: { value: 'demo' } });
+  fireEvent.click(within(dialog).getByRole('button', { name: /Sign in/ }));
+
+  fireEvent.click(await screen.findByRole('button', { name: /Sign out/ }));
+  expect(await screen.findByRole('button', { name: /Sign in/ })).toBeInTheDocument();
+  expect(clearSessions).toHaveBeenCalled();
+  expect(screen.queryByPlaceholderText(/Tell me what/)).toBeNull();
+});
+
+test('text formats are exported without the server', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByText('Markdown'));
+  await waitFor(() => expect(downloads).toHaveLength(1));
+  expect(downloads[0].name).toBe('notes.md');
+  expect(downloads[0].blob.type).toBe('text/markdown');
+  expect(routeCount('convert')).toBe(0);
+});
+
+test('saved instructions are found by tag and inserted with their variables filled in', async () => {
+  await openEditor();
+  const instruction = screen.getByPlaceholderText(/Tell me what/);
+  fireEvent.change(instruction, { target: { value: 'Add the {company} letterhead' } });
+  fireEvent.click(screen.getByRole('button', { name: /Library/ }));
+  fireEvent.click(screen.getByText('Save current instruction'));
+  fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Letterhead' } });
+  fireEvent.change(screen.getByLabelText('Tags (comma-separated)'), { target: { value: 'Branding' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  fireEvent.change(instruction, { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: '#branding' }));
+  fireEvent.click(screen.getByText('Insert'));
+  fireEvent.change(screen.getByLabelText('{company}'), { target: { value: 'Acme' } });
+  fireEvent.click(within(screen.getByRole('form', { name: 'Fill in variables' })).getByRole('button', { name: 'Insert' }));
+  expect(instruction).toHaveValue('Add the Acme letterhead');
+});
+
+test('macros run each step as its own edit and resume after a failed step', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByRole('button', { name: /Library/ }));
+  fireEvent.click(screen.getByRole('tab', { name: 'Macros' }));
+  fireEvent.click(screen.getByText('New macro'));
+  fireEvent.change(screen.getByLabelText('Macro name'), { target: { value: 'Tidy' } });
+  fireEvent.change(screen.getByLabelText('Step 1'), { target: { value: 'make the headings uppercase' } });
+  fireEvent.click(screen.getByText('Add step'));
+  fireEvent.change(screen.getByLabelText('Step 2'), { target: { value: 'add a {company} footer' } });
+  fireEvent.click(screen.getByText('Save macro'));
+
+  backend.failNext('edit', { status: 500, body: { error: 'Model unavailable' } });
+  fireEvent.click(screen.getByText('Run'));
+  fireEvent.change(screen.getByLabelText('{company}'), { target: { value: 'Acme' } });
+  fireEvent.click(screen.getByText('Run macro'));
+  expect(await screen.findByText('Stopped at a failed step')).toBeInTheDocument();
+  expect(screen.getByText('Model unavailable')).toBeInTheDocument();
+  expect(screen.queryByText('Edit History')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Resume'));
+  expect(await screen.findByText('Finished')).toBeInTheDocument();
+  expect(screen.getByText('Macro: Tidy · step 1 of 2')).toBeInTheDocument();
+  expect(screen.getByText('Macro: Tidy · step 2 of 2')).toBeInTheDocument();
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<h1>NOTES</h1>'));
+  expect(previewBody().innerHTML).toContain('<p>add a Acme footer</p>');
+  expect(routeCount('edit')).toBe(3);
+});
+
+test('find and replace highlights matches and records one undoable entry', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByRole('button', { name: 'Find' }));
+  fireEvent.change(screen.getByLabelText('Find'), { target: { value: 'PARAGRAPH' } });
+  expect(screen.getByRole('status')).toHaveTextContent('1 of 2');
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<mark data-find-match="0" data-find-current="">paragraph</mark>'));
+
+  fireEvent.click(screen.getByTitle('Next match (Enter)'));
+  expect(screen.getByRole('status')).toHaveTextContent('2 of 2');
+  fireEvent.change(screen.getByLabelText('Replace with'), { target: { value: 'section' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Replace' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>Second section.</p>'));
+  expect(screen.getByRole('status')).toHaveTextContent('1 of 1');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Replace all' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>First section.</p>'));
+  expect(screen.getByRole('status')).toHaveTextContent('No matches');
+  expect(screen.getAllByText('Replace "PARAGRAPH" with "section"')).toHaveLength(1);
+  expect(screen.getByText('2 occurrences replaced')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Undo (Ctrl+Z)'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<mark data-find-match="1" data-find-current="">paragraph</mark>'));
+
+  fireEvent.click(screen.getByTitle('Regular expression'));
+  fireEvent.change(screen.getByLabelText('Find'), { target: { value: '(' } });
+  expect(screen.getByText(/^Invalid regular expression/)).toBeInTheDocument();
+});
+
+test('select mode targets the document\'s own elements while text is highlighted', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByRole('button', { name: 'Find' }));
+  fireEvent.change(screen.getByLabelText('Find'), { target: { value: 'First' } });
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<mark data-find-match="0" data-find-current="">First</mark>'));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>First paragraph.</p>'));
+  fireEvent.click(inPreview().getByText('First paragraph.'));
+  expect(await screen.findByText('Instructions apply only to <p> "First paragraph."')).toBeInTheDocument();
+});
+
+test('themes are previewed, applied and undone without the server', async () => {
+  await openEditor();
+  const requests = backend.requests.length;
+
+  fireEvent.click(screen.getByRole('button', { name: /Corporate letter/ }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<header data-preset-header="">notes</header>'));
+  expect(screen.queryByText('Theme: Corporate letter')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Apply theme'));
+  expect(await screen.findByText('Theme: Corporate letter')).toBeInTheDocument();
+  expect(screen.getByText('Applied')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Undo (Ctrl+Z)'));
+  await waitFor(() => expect(previewBody().innerHTML).not.toContain('data-preset'));
+  expect(screen.queryByText('Applied')).not.toBeInTheDocument();
+  expect(backend.requests).toHaveLength(requests);
+});
+
+test('the outline follows the document and jumps to headings and source pages', async () => {
+  const pdf = ['%PDF-1.4', ...[3, 4, 5].map(id => `${id} 0 obj << /Type /Page /Parent 2 0 R >> endobj`), '%%EOF'].join('\n');
+  render(<App />);
+  upload(new File([pdf], 'report.pdf', { type: 'application/pdf' }));
+  const outline = await screen.findByRole('navigation', { name: 'Document outline' });
+  expect(within(outline).getAllByRole('button').map(button => button.textContent)).toEqual(['report', 'Details', 'Page 2', 'Page 3']);
+  expect(infoValue('Pages:')).toBe('3');
+  const words = Number(infoValue('Word Count:'));
+
+  const goToPage = within(screen.getByRole('form', { name: 'Go to page' }));
+  fireEvent.change(goToPage.getByLabelText('Page'), { target: { value: '5' } });
+  fireEvent.click(goToPage.getByRole('button', { name: 'Go' }));
+  expect(screen.getByText('There is no page 5 in this document.')).toBeInTheDocument();
+
+  // The preview frame's elements have no layout in jsdom, so scrolling is
+  // observed on the target itself.
+  const pageSections = () => inPreview().getAllByText((_, element) => element.hasAttribute('data-page'));
+  const sections = pageSections();
+  sections[2].scrollIntoView = jest.fn();
+  fireEvent.change(goToPage.getByLabelText('Page'), { target: { value: '3' } });
+  fireEvent.click(goToPage.getByRole('button', { name: 'Go' }));
+  expect(sections[2].scrollIntoView).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByText('Start Editing'));
+  requestEdit('Thanks for reading');
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>Thanks for reading</p>'));
+  // Only the new paragraph was rendered; the pages around it are the same nodes.
+  expect(pageSections()).toEqual(sections);
+
+  fireEvent.click(screen.getByText('Back to Preview'));
+  expect(infoValue('Word Count:')).toBe(String(words + 3));
+});
+
+test('documents are translated side by side, segment by segment', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByTitle('Translate the document and compare it side by side'));
+  const view = within(screen.getByRole('region', { name: 'Bilingual view' }));
+  expect(view.getByLabelText('Target language')).toHaveValue('ar');
+  fireEvent.click(view.getByRole('button', { name: 'Translate' }));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Translated · 3 of 3 segments'));
+
+  const translated = screen.getByTitle('Translation').contentDocument;
+  expect(translated.documentElement).toHaveAttribute('dir', 'rtl');
+  expect(translated.body.innerHTML.trim()).toBe(
+    '<h1 data-segment="0">[ar] notes</h1><p data-segment="1">[ar] First paragraph.</p><p data-segment="2">[ar] Second paragraph.</p>'
+  );
+
+  // Segments are picked in either pane.
+  fireEvent.click(within(translated.body).getByText('[ar] Second paragraph.'));
+  const segment = within(screen.getByRole('group', { name: 'Selected segment' }));
+  expect(segment.getByText('Segment 3 of 3')).toBeInTheDocument();
+  fireEvent.click(segment.getByRole('button', { name: 'Edit' }));
+  fireEvent.change(segment.getByLabelText('Translated HTML'), { target: { value: '<p onclick="x()">الفقرة الثانية</p>' } });
+  fireEvent.click(segment.getByRole('button', { name: 'Save' }));
+  await waitFor(() => expect(translated.body.innerHTML).toContain('<p data-segment="2">الفقرة الثانية</p>'));
+
+  fireEvent.change(segment.getByLabelText('Guidance'), { target: { value: 'keep it formal' } });
+  fireEvent.click(segment.getByRole('button', { name: 'Re-translate' }));
+  await waitFor(() => expect(translated.body.innerHTML).toContain('<p data-segment="2">[ar] Second paragraph.</p>'));
+  expect(routeCount('translate')).toBe(2);
+
+  const download = within(screen.getByRole('group', { name: 'Download translation' }));
+  fireEvent.change(download.getByLabelText('Format'), { target: { value: 'txt' } });
+  fireEvent.click(download.getByRole('button', { name: 'Bilingual' }));
+  await waitFor(() => expect(downloads).toHaveLength(1));
+  expect(downloads[0].name).toBe('notes.en-ar.txt');
+  const text = await downloadedText(0);
+  expect(text).toMatch(/First paragraph\.\s+\[ar\] First paragraph\./);
+});
+
+test('the accessibility audit finds low contrast and fixes it in one click or with the AI', async () => {
+  await openEditor();
+  const audit = () => within(screen.getByRole('region', { name: 'Accessibility audit' }));
+  expect(screen.getByText('No accessibility issues found.')).toBeInTheDocument();
+
+  requestEdit('make the text bigger and yellow');
+  fireEvent.click(await screen.findByText('Accept all'));
+  const issue = await screen.findByRole('button', { name: /Text contrast is 1\.07:1/ });
+
+  // Selecting an issue highlights its element in the preview and scrolls to it.
+  const scrolled = jest.fn();
+  previewDocument().defaultView.HTMLElement.prototype.scrollIntoView = scrolled;
+  fireEvent.click(issue);
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p style="color: yellow" data-a11y-issue="">First paragraph.</p>'));
+  expect(scrolled.mock.instances[0]).toHaveAttribute('data-a11y-issue');
+
+  // The AI fix only sees the paragraph and goes through review.
+  fireEvent.click(audit().getByRole('button', { name: 'Fix with AI' }));
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p style="color: #1e3a8a">First paragraph.</p>'));
+  expect(screen.getByText('No accessibility issues found.')).toBeInTheDocument();
+  expect(routeCount('edit')).toBe(2);
+
+  fireEvent.click(screen.getByTitle('Undo (Ctrl+Z)'));
+  fireEvent.click(await audit().findByRole('button', { name: /^Change text color to #/ }));
+  expect(await screen.findByText('No accessibility issues found.')).toBeInTheDocument();
+  expect(screen.getByText(/^Accessibility: Change text color to #/)).toBeInTheDocument();
+  expect(routeCount('edit')).toBe(2);
+});
+
+test('recognized text below the threshold is reviewed against the scan before editing', async () => {
+  render(<App />);
+  upload(new File(['scan'], 'invoice.png', { type: 'image/png' }));
+  const review = within(await screen.findByRole('region', { name: 'Text recognition review' }));
+  const startEditing = screen.getByRole('button', { name: 'Start Editing' });
+  expect(startEditing).toBeDisabled();
+  expect(review.getByRole('status')).toHaveTextContent('0 of 3 uncertain passages reviewed');
+
+  fireEvent.change(review.getByLabelText('Confidence threshold'), { target: { value: '0.5' } });
+  expect(review.getByRole('status')).toHaveTextContent('0 of 1 uncertain passage reviewed');
+  fireEvent.change(review.getByLabelText('Confidence threshold'), { target: { value: '0.8' } });
+
+  fireEvent.click(review.getByRole('button', { name: 'Review text' }));
+  expect(review.getByText('Passage 1 of 3')).toBeInTheDocument();
+  expect(review.getByRole('img', { name: 'Scan of this passage' }).style.backgroundImage).toContain('data:image/png;base64,');
+  await waitFor(() => expect(previewBody().innerHTML).toContain('data-ocr-item="1" data-ocr-current="">2024-117</span>'));
+
+  fireEvent.click(review.getByRole('button', { name: 'Confirm' }));
+  expect(review.getByText('Passage 2 of 3')).toBeInTheDocument();
+  fireEvent.change(review.getByLabelText('Recognized text'), { target: { value: '1,250.80' } });
+  fireEvent.click(review.getByRole('button', { name: 'Save correction' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('data-ocr-reviewed="" data-ocr-item="4">1,250.80</span>'));
+
+  // Passages can also be picked in the preview.
+  fireEvent.click(inPreview().getByText('2024-117'));
+  expect(review.getByText('Passage 1 of 3')).toBeInTheDocument();
+  fireEvent.click(review.getByTitle('Next passage'));
+  fireEvent.click(review.getByTitle('Next passage'));
+  expect(startEditing).toBeDisabled();
+  fireEvent.click(review.getByRole('button', { name: 'Confirm' }));
+  expect(review.getByRole('status')).toHaveTextContent('3 of 3 uncertain passages reviewed');
+
+  fireEvent.click(startEditing);
+  expect(await screen.findByText('Text recognition review')).toBeInTheDocument();
+  expect(screen.getByText('3 of 3 uncertain passages reviewed')).toBeInTheDocument();
+});
+
+test('bulk edits leave out documents whose recognized text is not reviewed yet', async () => {
+  render(<App />);
+  upload(notes(), new File(['scan'], 'invoice.png', { type: 'image/png' }));
+  await waitFor(() => expect(screen.getByLabelText('Select invoice.png')).toBeEnabled());
+  await waitFor(() => expect(screen.getByLabelText('Select notes.txt')).toBeEnabled());
+  expect(screen.getByLabelText('Select all')).toBeChecked();
+  fireEvent.change(screen.getByPlaceholderText('Instruction for the selected documents...'), { target: { value: 'make the text bold' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply to 2 documents' }));
+
+  expect(await screen.findByText('Not edited until their recognized text is reviewed: invoice.png')).toBeInTheDocument();
+  expect(screen.getByText('Review the recognized text before editing this document.')).toBeInTheDocument();
+  await waitFor(() => expect(routeCount('edit')).toBe(1));
+});
+
+test('personal data is redacted from the document and its history after review', async () => {
+  render(<App />);
+  upload(new File(['Call Jane Roe on +1 555 123 4567 or mail jane@example.com.\n\nSigned for Acme Corp.'], 'contract.txt', { type: 'text/plain' }));
+  fireEvent.click(await screen.findByText('Start Editing'));
+  fireEvent.click(screen.getByRole('button', { name: 'Redact' }));
+  const panel = () => within(screen.getByRole('region', { name: 'Redaction' }));
+  expect(panel().getByRole('status')).toHaveTextContent('2 found, 0 approved');
+  await waitFor(() => expect(previewBody().innerHTML).toContain('data-redaction-state="pending">jane@example.com</mark>'));
+
+  fireEvent.change(panel().getByLabelText('Term to redact'), { target: { value: 'Acme Corp' } });
+  fireEvent.click(panel().getByTitle('Add term'));
+  expect(panel().getByRole('status')).toHaveTextContent('3 found, 0 approved');
+
+  // Selected text is approved right away; suggestions are approved in the
+  // list or by clicking them in the preview.
+  selectInPreview(/^Call Jane Roe/, 5, 13);
+  fireEvent.click(panel().getByRole('button', { name: 'Redact selection' }));
+  expect(panel().getByRole('status')).toHaveTextContent('4 found, 1 approved');
+  fireEvent.click(panel().getByTitle('Redact "jane@example.com"'));
+  fireEvent.click(panel().getByTitle('Keep "Acme Corp"'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('data-redaction-state="approved">jane@example.com</mark>'));
+  fireEvent.click(inPreview().getByText('+1 555 123 4567'));
+  expect(panel().getByRole('status')).toHaveTextContent('4 found, 3 approved');
+
+  fireEvent.click(panel().getByRole('button', { name: 'Apply 3 redactions' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<h2>Redaction log</h2>'));
+  expect(previewBody().textContent).not.toMatch(/Jane Roe|555|jane@example/);
+  expect(previewBody().textContent).toContain('Acme Corp');
+  expect(screen.getByText(/^3 items redacted/)).toBeInTheDocument();
+
+  // Undoing removes the log, not the redactions.
+  fireEvent.click(screen.getByTitle('Undo (Ctrl+Z)'));
+  await waitFor(() => expect(previewBody().innerHTML).not.toContain('Redaction log'));
+  expect(previewBody().textContent).not.toMatch(/Jane Roe|555|jane@example/);
+  fireEvent.click(screen.getByTitle('Redo (Ctrl+Shift+Z)'));
+
+  requestEdit('make the text bold');
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<strong>'));
+  expect(previewBody().textContent).not.toMatch(/Jane Roe|555|jane@example/);
+  expect(previewBody().innerHTML).toContain('Redaction log');
+});
+
+test('redacted text is also removed from the targets of earlier scoped edits', async () => {
+  render(<App />);
+  upload(new File(['Mail jane@example.com today.\n\nSecond paragraph.'], 'contact.txt', { type: 'text/plain' }));
+  fireEvent.click(await screen.findByText('Start Editing'));
+  fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+  fireEvent.click(await inPreview().findByText('Mail jane@example.com today.'));
+  fireEvent.change(screen.getByPlaceholderText(/Tell me what/), { target: { value: 'make the text bold' } });
+  fireEvent.click(screen.getByText('Apply to Selection'));
+  fireEvent.click(await screen.findByText('Accept all'));
+  expect(await screen.findByText(/^Target: .*jane@example\.com/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Redact' }));
+  const panel = within(screen.getByRole('region', { name: 'Redaction' }));
+  fireEvent.click(panel.getByTitle('Redact "jane@example.com"'));
+  fireEvent.click(panel.getByRole('button', { name: 'Apply 1 redaction' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<h2>Redaction log</h2>'));
+  expect(screen.getByText(/^Target: /)).not.toHaveTextContent('jane@example.com');
+});
+
+test('comments are anchored to selected text, survive edits and can be resolved with the AI', async () => {
+  await openEditor();
+  const comments = () => within(screen.getByRole('region', { name: 'Comments' }));
+
+  selectInPreview('First paragraph.', 0, 15);
+  fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+  fireEvent.change(comments().getByLabelText('New comment'), { target: { value: 'Make this sentence bold' } });
+  fireEvent.click(comments().getByRole('button', { name: 'Comment' }));
+  await waitFor(() => expect(previewBody().innerHTML).toMatch(/<mark data-comment="[^"]+" data-comment-marker="1" data-comment-active="">First paragraph<\/mark>/));
+  fireEvent.change(comments().getByLabelText('Reply'), { target: { value: 'Only this one.' } });
+  fireEvent.click(comments().getByRole('button', { name: 'Reply' }));
+  expect(comments().getByText('Only this one.')).toBeInTheDocument();
+
+  // Other edits leave the comment on its text.
+  requestEdit('make the headings uppercase');
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<h1>NOTES</h1>'));
+  expect(previewBody().innerHTML).toMatch(/<mark [^>]*data-comment-marker="1"[^>]*>First paragraph<\/mark>/);
+
+  // Resolving with the AI edits only the commented paragraph, after review.
+  fireEvent.click(comments().getByRole('button', { name: 'Resolve with AI' }));
+  fireEvent.click(await screen.findByText('Accept all'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>Second paragraph.</p>'));
+  expect(previewBody().innerHTML).toMatch(/<strong><mark [^>]*>First paragraph<\/mark>\.<\/strong>/);
+  expect(comments().getByText(/^Resolved with AI:/)).toBeInTheDocument();
+  fireEvent.click(comments().getByRole('button', { name: /Make this sentence bold/ }));
+  await waitFor(() => expect(previewBody().innerHTML).not.toContain('data-comment'));
+  expect(comments().getByText(/resolved/)).toBeInTheDocument();
+
+  fireEvent.click(comments().getByLabelText(/Show resolved/));
+  fireEvent.click(comments().getByRole('button', { name: /Make this sentence bold/ }));
+  fireEvent.click(comments().getByRole('button', { name: 'Reopen' }));
+  expect(comments().getByText('1 open')).toBeInTheDocument();
+
+  // Exports leave comments out unless asked for.
+  fireEvent.click(screen.getByText('Plain Text'));
+  await waitFor(() => expect(downloads).toHaveLength(1));
+  expect(await downloadedText(0)).not.toContain('Review comments');
+  fireEvent.click(screen.getByLabelText('Add the 1 review comment as a summary'));
+  fireEvent.click(screen.getByText('Plain Text'));
+  await waitFor(() => expect(downloads).toHaveLength(2));
+  expect(await downloadedText(1)).toMatch(/Review comments[\s\S]*First paragraph[\s\S]*Only this one\./);
+});
+
+test('select mode targets the element next to a commented span', async () => {
+  await openEditor();
+  fireEvent.click(screen.getByRole('button', { name: 'Source' }));
+  fireEvent.change(screen.getByLabelText('HTML source'), { target: { value: '<h1>notes</h1><p>See <em>First</em> and <strong>Second</strong>.</p>' } });
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<strong>Second</strong>'));
+  fireEvent.click(screen.getByRole('button', { name: 'Source' }));
+
+  selectInPreview(/^See/, 0, 3);
+  fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+  const comments = within(screen.getByRole('region', { name: 'Comments' }));
+  fireEvent.change(comments.getByLabelText('New comment'), { target: { value: 'Who should?' } });
+  fireEvent.click(comments.getByRole('button', { name: 'Comment' }));
+  await waitFor(() => expect(previewBody().innerHTML).toMatch(/<p><mark [^>]*>See<\/mark> <em>/));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<p>See <em>'));
+  fireEvent.click(inPreview().getByText('Second'));
+  await waitFor(() => expect(previewBody().innerHTML).toContain('<strong data-scope-selected="">Second</strong>'));
+  expect(screen.getByText('Instructions apply only to <strong> "Second"')).toBeInTheDocument();
+});
+
+describe('download errors', () => {
+  test('a failed conversion is retried once automatically', async () => {
+    await openEditor();
+    backend.failNext('convert', { status: 503, body: { error: 'Busy' } });
+    fireEvent.click(screen.getByText('PNG Image'));
+    await waitFor(() => expect(downloads).toHaveLength(1), { timeout: 3000 });
+    expect(downloads[0].blob.type).toBe('image/png');
+    expect(routeCount('convert')).toBe(2);
+  });
+
+  test('a refused conversion is reported', async () => {
+    await openEditor();
+    backend.failNext('convert', { status: 400, body: { error: 'Conversion failed' } });
+    fireEvent.click(screen.getByText('PDF'));
+    expect(await screen.findByText('Conversion failed')).toBeInTheDocument();
+    expect(downloads).toHaveLength(0);
+  });
+
+  test('an empty file is not downloaded', async () => {
+    await openEditor();
+    backend.failNext('convert', { status: 200, headers: { 'Content-Type': 'application/pdf' }, body: new Blob([], { type: 'application/pdf' }) });
+    fireEvent.click(screen.getByText('PDF'));
+    expect(await screen.findByText('Server error')).toBeInTheDocument();
+    expect(downloads).toHaveLength(0);
+
+    fireEvent.click(screen.getByText('Try again'));
+    await waitFor(() => expect(downloads).toHaveLength(1));
+  });
 });
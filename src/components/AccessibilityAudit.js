@@ -0,0 +1,103 @@
+import React from 'react';
+import { Accessibility, AlertCircle, AlertTriangle, Check, Wand2, Wrench } from 'lucide-react';
+import translationConfig from '../config/translationConfig';
+
+const SEVERITY = {
+  error: { icon: AlertCircle, className: 'text-red-600', label: 'Error' },
+  warning: { icon: AlertTriangle, className: 'text-amber-500', label: 'Warning' }
+};
+
+const buttonClass = 'flex items-center space-x-1 px-2 py-0.5 rounded text-xs disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Accessibility issues of the document (see src/utils/accessibility.js).
+ * Selecting an issue highlights its element in the preview; each offers a
+ * one-click fix, an AI fix reviewed like any other edit, or both. The
+ * document language is chosen here too, as exports carry it.
+ */
+function AccessibilityAudit({ issues, language, selectedId, disabled, busy, onSelect, onFix, onAIFix, onLanguageChange }) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const known = translationConfig.languages.some(entry => entry.code === language);
+
+  return (
+    <section aria-label="Accessibility audit" className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3 flex items-center space-x-2">
+        <Accessibility className="w-4 h-4" />
+        <span>Accessibility</span>
+        {issues.length > 0 && (
+          <span className={`ml-auto text-xs font-normal ${errors > 0 ? 'text-red-600' : 'text-amber-600'}`}>
+            {issues.length} {issues.length === 1 ? 'issue' : 'issues'}
+          </span>
+        )}
+      </h4>
+      <label className="flex items-center justify-between text-sm mb-3">
+        <span className="text-gray-600">Document language</span>
+        <select
+          value={language || ''}
+          onChange={(e) => onLanguageChange(e.target.value)}
+          disabled={disabled}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {!language && <option value="">Not set</option>}
+          {language && !known && <option value={language}>{language}</option>}
+          {translationConfig.languages.map(entry => (
+            <option key={entry.code} value={entry.code}>{entry.name}</option>
+          ))}
+        </select>
+      </label>
+      {issues.length === 0 ? (
+        <p className="text-sm text-green-700 flex items-center space-x-1">
+          <Check className="w-4 h-4" />
+          <span>No accessibility issues found.</span>
+        </p>
+      ) : (
+        <ul aria-label="Accessibility issues" className="max-h-80 overflow-y-auto space-y-1 text-sm -mx-1">
+          {issues.map(issue => {
+            const severity = SEVERITY[issue.severity];
+            const Icon = severity.icon;
+            const selected = issue.id === selectedId;
+            return (
+              <li key={issue.id} className={`rounded px-1 py-1 ${selected ? 'bg-indigo-50' : ''}`}>
+                <button
+                  onClick={() => onSelect(selected ? null : issue)}
+                  disabled={disabled || !issue.path}
+                  aria-pressed={selected}
+                  className="w-full flex items-start space-x-2 text-left disabled:cursor-default"
+                >
+                  <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${severity.className}`} aria-label={severity.label} />
+                  <span className="min-w-0">
+                    <span className="block text-gray-800">{issue.message}</span>
+                    {issue.path && <span className="block text-xs text-gray-500 truncate">{issue.label}</span>}
+                  </span>
+                </button>
+                {(issue.fix || issue.instruction) && (
+                  <div className="flex flex-wrap gap-1 mt-1 ml-6">
+                    {issue.fix && (
+                      <button onClick={() => onFix(issue)} disabled={disabled} className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}>
+                        <Wrench className="w-3 h-3" />
+                        <span>{issue.fix.label}</span>
+                      </button>
+                    )}
+                    {issue.instruction && (
+                      <button
+                        onClick={() => onAIFix(issue)}
+                        disabled={disabled || busy}
+                        title={issue.instruction}
+                        className={`${buttonClass} bg-indigo-100 text-indigo-700 hover:bg-indigo-200`}
+                      >
+                        <Wand2 className="w-3 h-3" />
+                        <span>Fix with AI</span>
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default AccessibilityAudit;
@@ -0,0 +1,133 @@
+import React, { useMemo, useRef } from 'react';
+import { Check, X, CheckCheck } from 'lucide-react';
+import { renderReview } from '../utils/htmlDiff';
+import SandboxedPreview from './SandboxedPreview';
+import { REVIEW_STYLES } from './previewStyles';
+
+const decisionStyles = {
+  accepted: 'border-green-300 bg-green-50',
+  rejected: 'border-red-200 bg-red-50 opacity-60',
+  pending: 'border-gray-200 bg-white'
+};
+
+// Reviews a proposed edit change by change. `pendingEdit` holds the HTML
+// before and after the edit plus the current `decisions` by change id.
+function ChangeReview({ pendingEdit, onDecide, onAcceptAll, onRejectAll, onApply }) {
+  const previewDocRef = useRef(null);
+  const { before, after, decisions, instruction, explanation } = pendingEdit;
+
+  const { html, changes } = useMemo(
+    () => renderReview(before, after, decisions),
+    [before, after, decisions]
+  );
+
+  const acceptedCount = changes.filter(change => decisions[change.id] === 'accepted').length;
+  const rejectedCount = changes.filter(change => decisions[change.id] === 'rejected').length;
+
+  const handlePaneClick = (event) => {
+    const button = event.target.closest('[data-change-action]');
+    if (!button) return;
+    event.preventDefault();
+    const id = Number(button.getAttribute('data-change-id'));
+    onDecide(id, button.getAttribute('data-change-action') === 'accept' ? 'accepted' : 'rejected');
+  };
+
+  const scrollToChange = (id) => {
+    const target = previewDocRef.current?.querySelector(`[data-change-id="${id}"]`);
+    target?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="border border-indigo-200 bg-indigo-50 rounded-lg p-3">
+        <div className="flex flex-wrap items-start justify-between gap-2">
+          <div className="text-sm">
+            <p className="font-medium text-gray-900">Review changes: {instruction}</p>
+            {explanation && <p className="text-gray-600 mt-1">{explanation}</p>}
+            <p className="text-xs text-gray-500 mt-1">
+              {changes.length} {changes.length === 1 ? 'change' : 'changes'} · {acceptedCount} accepted · {rejectedCount} rejected
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={onAcceptAll}
+              className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-green-600 text-white hover:bg-green-700"
+            >
+              <CheckCheck className="w-4 h-4" />
+              <span>Accept all</span>
+            </button>
+            <button
+              onClick={onRejectAll}
+              className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-gray-200 hover:bg-gray-300"
+            >
+              <X className="w-4 h-4" />
+              <span>Reject all</span>
+            </button>
+            <button
+              onClick={onApply}
+              disabled={acceptedCount === 0}
+              className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Check className="w-4 h-4" />
+              <span>Apply accepted ({acceptedCount}/{changes.length})</span>
+            </button>
+          </div>
+        </div>
+
+        {changes.length > 0 && (
+          <div className="mt-3 space-y-1 max-h-40 overflow-y-auto">
+            {changes.map(change => {
+              const decision = decisions[change.id] || 'pending';
+              return (
+                <div
+                  key={change.id}
+                  className={`flex items-center justify-between space-x-2 text-xs border rounded px-2 py-1 ${decisionStyles[decision]}`}
+                >
+                  <button
+                    onClick={() => scrollToChange(change.id)}
+                    className="flex-1 min-w-0 text-left truncate"
+                    title="Show in preview"
+                  >
+                    <span className="font-medium">{change.id + 1}. {change.kind} &lt;{change.label}&gt;</span>{' '}
+                    <span className="text-gray-600">
+                      {change.summaryBefore && change.summaryAfter && change.summaryBefore !== change.summaryAfter
+                        ? `"${change.summaryBefore}" → "${change.summaryAfter}"`
+                        : `"${change.summaryAfter || change.summaryBefore}"`}
+                    </span>
+                  </button>
+                  <div className="flex-shrink-0 flex items-center space-x-1">
+                    <button
+                      onClick={() => onDecide(change.id, 'accepted')}
+                      title="Accept"
+                      className={`p-1 rounded ${decision === 'accepted' ? 'bg-green-600 text-white' : 'text-green-700 hover:bg-green-100'}`}
+                    >
+                      <Check className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onDecide(change.id, 'rejected')}
+                      title="Reject"
+                      className={`p-1 rounded ${decision === 'rejected' ? 'bg-red-600 text-white' : 'text-red-700 hover:bg-red-100'}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <SandboxedPreview
+        title="Proposed changes"
+        html={html}
+        styles={REVIEW_STYLES}
+        onReady={(doc) => { previewDocRef.current = doc; }}
+        listeners={{ click: handlePaneClick }}
+        className="h-[36rem] border rounded-lg"
+      />
+    </div>
+  );
+}
+
+export default ChangeReview;
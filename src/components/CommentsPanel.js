@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { MessageSquare, Send, Check, RotateCcw, Wand2, Trash2 } from 'lucide-react';
+
+const buttonClass = 'flex items-center space-x-1 px-2 py-0.5 rounded text-xs disabled:opacity-40 disabled:cursor-not-allowed';
+const fieldClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+// A comment box that clears itself once `onSubmit` took the text.
+function CommentForm({ label, submitLabel, disabled, onSubmit, onCancel }) {
+  const [text, setText] = useState('');
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (!text.trim()) return;
+    onSubmit(text.trim());
+    setText('');
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-1">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit(e);
+          if (e.key === 'Escape') onCancel?.();
+        }}
+        aria-label={label}
+        rows={2}
+        disabled={disabled}
+        className={fieldClass}
+      />
+      <div className="flex justify-end space-x-1">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className={`${buttonClass} text-gray-600 hover:bg-gray-100`}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={disabled || !text.trim()} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+          <Send className="w-3 h-3" />
+          <span>{submitLabel}</span>
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Review comments on the document (see src/utils/comments.js). Threads are
+ * numbered like their markers in the preview; selecting one highlights its
+ * text and opens it for replies. `draft` is the anchor of a comment being
+ * written, `detachedIds` the threads whose text was edited away.
+ */
+function CommentsPanel({ threads, detachedIds, draft, activeId, disabled, busy, onSelect, onCreate, onCancelDraft, onReply, onResolve, onResolveWithAI, onDelete }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const open = threads.filter(thread => !thread.resolved).length;
+  const resolved = threads.length - open;
+
+  return (
+    <section aria-label="Comments" className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3 flex items-center space-x-2">
+        <MessageSquare className="w-4 h-4" />
+        <span>Comments</span>
+        {open > 0 && <span className="ml-auto text-xs font-normal text-amber-600">{open} open</span>}
+      </h4>
+      {draft && (
+        <div className="mb-3 space-y-1 text-sm">
+          <p className="text-xs text-gray-500 truncate">On “{draft.exact}”</p>
+          <CommentForm label="New comment" submitLabel="Comment" disabled={disabled} onSubmit={onCreate} onCancel={onCancelDraft} />
+        </div>
+      )}
+      {threads.length === 0 && !draft && (
+        <p className="text-sm text-gray-500">Select text in the preview and click Comment to annotate it.</p>
+      )}
+      {resolved > 0 && (
+        <label className="flex items-center space-x-2 text-xs text-gray-600 mb-2">
+          <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+          <span>Show resolved ({resolved})</span>
+        </label>
+      )}
+      {threads.length > 0 && (
+        <ol aria-label="Comment threads" className="max-h-96 overflow-y-auto space-y-2 text-sm">
+          {threads.map((thread, index) => {
+            if (thread.resolved && !showResolved && thread.id !== activeId) return null;
+            const selected = thread.id === activeId;
+            const detached = detachedIds.includes(thread.id);
+            return (
+              <li key={thread.id} className={`rounded border px-2 py-1 ${selected ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200'} ${thread.resolved ? 'opacity-70' : ''}`}>
+                <button
+                  onClick={() => onSelect(selected ? null : thread.id)}
+                  aria-pressed={selected}
+                  className="w-full flex items-start space-x-2 text-left"
+                >
+                  <span className="flex-shrink-0 w-5 h-5 rounded-full bg-amber-400 text-white text-xs flex items-center justify-center">{index + 1}</span>
+                  <span className="min-w-0">
+                    <span className="block text-xs text-gray-500 truncate">“{thread.anchor.exact}”{thread.resolved ? ' · resolved' : ''}</span>
+                    <span className="block text-gray-800">{thread.comments[0]?.text}</span>
+                  </span>
+                </button>
+                {detached && <p className="text-xs text-amber-700 mt-1 ml-7">The commented text is no longer in the document.</p>}
+                {selected && (
+                  <div className="mt-2 ml-7 space-y-2">
+                    <ul className="space-y-1">
+                      {thread.comments.map(comment => (
+                        <li key={comment.id}>
+                          <span className="block text-xs text-gray-500">{comment.author} · {comment.timestamp}</span>
+                          <span className="block text-gray-800 whitespace-pre-wrap">{comment.text}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <CommentForm label="Reply" submitLabel="Reply" disabled={disabled} onSubmit={(text) => onReply(thread.id, text)} />
+                    <div className="flex flex-wrap gap-1">
+                      <button
+                        onClick={() => onResolve(thread.id, !thread.resolved)}
+                        disabled={disabled}
+                        className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+                      >
+                        {thread.resolved ? <RotateCcw className="w-3 h-3" /> : <Check className="w-3 h-3" />}
+                        <span>{thread.resolved ? 'Reopen' : 'Resolve'}</span>
+                      </button>
+                      {!thread.resolved && (
+                        <button
+                          onClick={() => onResolveWithAI(thread)}
+                          disabled={disabled || busy || detached}
+                          title="Ask the AI editor to make the change this comment asks for"
+                          className={`${buttonClass} bg-indigo-100 text-indigo-700 hover:bg-indigo-200`}
+                        >
+                          <Wand2 className="w-3 h-3" />
+                          <span>Resolve with AI</span>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onDelete(thread.id)}
+                        disabled={disabled}
+                        title="Delete this thread"
+                        className={`${buttonClass} ml-auto text-gray-500 hover:text-red-600`}
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+export default CommentsPanel;
@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import { Code, Columns2, X } from 'lucide-react';
+import { renderDiff, diffSource } from '../utils/htmlDiff';
+import SandboxedPreview from './SandboxedPreview';
+import { DIFF_STYLES } from './previewStyles';
+
+const rowStyles = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+  same: 'text-gray-600'
+};
+
+const rowPrefix = { added: '+', removed: '-', same: ' ' };
+
+// Compares two versions of the document. `versions` is a list of
+// `{ id, label, html }`, oldest first.
+function DiffView({ versions, fromId, toId, onClose }) {
+  const [mode, setMode] = useState('rendered');
+  const [selectedFrom, setSelectedFrom] = useState(fromId ?? versions[0]?.id);
+  const [selectedTo, setSelectedTo] = useState(toId ?? versions[versions.length - 1]?.id);
+
+  const fromVersion = versions.find(v => v.id === selectedFrom) || versions[0];
+  const toVersion = versions.find(v => v.id === selectedTo) || versions[versions.length - 1];
+  const fromHtml = fromVersion?.html || '';
+  const toHtml = toVersion?.html || '';
+
+  const rendered = useMemo(
+    () => (mode === 'rendered' ? renderDiff(fromHtml, toHtml) : null),
+    [mode, fromHtml, toHtml]
+  );
+  const sourceRows = useMemo(
+    () => (mode === 'source' ? diffSource(fromHtml, toHtml) : null),
+    [mode, fromHtml, toHtml]
+  );
+
+  const hasChanges = mode === 'rendered'
+    ? rendered.changes.length > 0
+    : sourceRows.some(row => row.type === 'added' || row.type === 'removed');
+
+  const VersionSelect = ({ value, onChange }) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="text-sm border border-gray-300 rounded px-2 py-1 max-w-xs"
+    >
+      {versions.map(version => (
+        <option key={version.id} value={version.id}>{version.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <VersionSelect value={fromVersion?.id} onChange={setSelectedFrom} />
+          <span className="text-gray-500">→</span>
+          <VersionSelect value={toVersion?.id} onChange={setSelectedTo} />
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setMode('rendered')}
+            className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${mode === 'rendered' ? 'bg-indigo-600 text-white' : 'bg-gray-200'}`}
+          >
+            <Columns2 className="w-4 h-4" />
+            <span>Rendered</span>
+          </button>
+          <button
+            onClick={() => setMode('source')}
+            className={`flex items-center space-x-1 px-3 py-1 rounded text-sm ${mode === 'source' ? 'bg-indigo-600 text-white' : 'bg-gray-200'}`}
+          >
+            <Code className="w-4 h-4" />
+            <span>Source</span>
+          </button>
+          {onClose && (
+            <button onClick={onClose} title="Close diff" className="p-1 text-gray-500 hover:text-gray-800">
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {mode === 'rendered' && (
+        <p className="text-xs text-gray-600">
+          <span className="inline-block px-1 bg-green-100 mr-1">{rendered.stats.added} added</span>
+          <span className="inline-block px-1 bg-red-100 mr-1">{rendered.stats.removed} removed</span>
+          <span className="inline-block px-1 border border-dashed border-amber-500">{rendered.stats.modified} changed</span>
+          <span className="ml-2 text-gray-500">Hover a changed element to see its attribute changes.</span>
+        </p>
+      )}
+
+      {!hasChanges && (
+        <p className="text-sm text-gray-500">These versions are identical.</p>
+      )}
+
+      {mode === 'rendered' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">Before</p>
+            <SandboxedPreview
+              title="Before version"
+              html={rendered.oldHtml}
+              styles={DIFF_STYLES}
+              className="h-[36rem] border rounded-lg"
+            />
+          </div>
+          <div>
+            <p className="text-xs font-medium text-gray-500 mb-1">After</p>
+            <SandboxedPreview
+              title="After version"
+              html={rendered.newHtml}
+              styles={DIFF_STYLES}
+              className="h-[36rem] border rounded-lg"
+            />
+          </div>
+        </div>
+      ) : (
+        <div className="border rounded-lg bg-gray-50 min-h-96 max-h-[36rem] overflow-auto font-mono text-xs">
+          {sourceRows.map((row, index) => (
+            row.type === 'skipped' ? (
+              <div key={index} className="px-3 py-1 text-gray-400 bg-gray-100">
+                ⋯ {row.count} unchanged lines
+              </div>
+            ) : (
+              <div key={index} className={`flex ${rowStyles[row.type]}`}>
+                <span className="w-10 flex-shrink-0 text-right pr-2 text-gray-400 select-none">{row.oldLine || ''}</span>
+                <span className="w-10 flex-shrink-0 text-right pr-2 text-gray-400 select-none">{row.newLine || ''}</span>
+                <span className="w-4 flex-shrink-0 select-none">{rowPrefix[row.type]}</span>
+                <span className="whitespace-pre-wrap break-all">{row.text}</span>
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DiffView;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { ListTree, ArrowRight } from 'lucide-react';
+
+const INDENT = ['pl-0', 'pl-3', 'pl-6', 'pl-9', 'pl-12', 'pl-14'];
+
+/**
+ * Headings and source pages of the document (see
+ * src/utils/documentStructure.js), each a link into the preview. Pages only
+ * show for documents that have more than one.
+ */
+function DocumentOutline({ outline, pages, disabled, onJumpToHeading, onJumpToPage }) {
+  const [pageInput, setPageInput] = useState('');
+  const [pageError, setPageError] = useState(null);
+  const multiPage = pages.length > 1;
+
+  const jumpToPage = (event) => {
+    event.preventDefault();
+    const page = Number(pageInput);
+    if (!pages.includes(page)) {
+      setPageError(`There is no page ${pageInput || page} in this document.`);
+      return;
+    }
+    setPageError(null);
+    onJumpToPage(page);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3 flex items-center space-x-2">
+        <ListTree className="w-4 h-4" />
+        <span>Outline</span>
+      </h4>
+      {outline.length === 0 ? (
+        <p className="text-sm text-gray-500">No headings in this document.</p>
+      ) : (
+        <nav aria-label="Document outline" className="max-h-64 overflow-y-auto -mx-1">
+          <ul className="text-sm">
+            {outline.map(heading => (
+              <li key={heading.index} className={INDENT[heading.level - 1]}>
+                <button
+                  onClick={() => onJumpToHeading(heading.index)}
+                  disabled={disabled}
+                  title={heading.page ? `Page ${heading.page}` : undefined}
+                  className={`w-full text-left truncate px-1 py-0.5 rounded hover:bg-indigo-50 disabled:hover:bg-transparent disabled:cursor-not-allowed ${heading.level === 1 ? 'font-medium text-gray-900' : 'text-gray-700'}`}
+                >
+                  {heading.text}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+      {multiPage && (
+        <form onSubmit={jumpToPage} aria-label="Go to page" className="mt-3 pt-3 border-t border-gray-100 text-sm">
+          <div className="flex items-center space-x-2">
+            <label htmlFor="outline-page" className="text-gray-600">Page</label>
+            <input
+              id="outline-page"
+              type="number"
+              min={pages[0]}
+              max={pages[pages.length - 1]}
+              value={pageInput}
+              onChange={(e) => setPageInput(e.target.value)}
+              placeholder={`${pages[0]}–${pages[pages.length - 1]}`}
+              className="w-20 border border-gray-300 rounded px-2 py-1"
+            />
+            <button
+              type="submit"
+              disabled={disabled || !pageInput}
+              className="flex items-center space-x-1 px-2 py-1 rounded bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <span>Go</span>
+              <ArrowRight className="w-4 h-4" />
+            </button>
+            <span className="text-xs text-gray-500">of {pages.length}</span>
+          </div>
+          {pageError && <p className="text-xs text-red-600 mt-1">{pageError}</p>}
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DocumentOutline;
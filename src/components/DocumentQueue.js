@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Files, Clock, Loader2, AlertCircle, FileText, X, Plus, Wand2, Archive, Ban, RotateCw } from 'lucide-react';
+import UploadProgress from './UploadProgress';
+import { EXPORT_FORMATS } from '../services/exporter';
+
+const BULK_FORMATS = Object.keys(EXPORT_FORMATS);
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  uploading: 'Uploading…',
+  processing: 'Processing…',
+  editing: 'Editing…',
+  converting: 'Converting…',
+  failed: 'Upload failed',
+  rejected: 'Not uploaded',
+  cancelled: 'Cancelled'
+};
+
+const IN_FLIGHT = ['queued', 'uploading', 'processing'];
+
+const StatusIcon = ({ status }) => {
+  if (status === 'queued') return <Clock className="w-4 h-4 text-gray-400 flex-shrink-0" />;
+  if (status === 'failed' || status === 'rejected') return <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0" />;
+  if (status === 'cancelled') return <Ban className="w-4 h-4 text-gray-400 flex-shrink-0" />;
+  if (STATUS_LABELS[status]) return <Loader2 className="w-4 h-4 text-indigo-600 animate-spin flex-shrink-0" />;
+  return <FileText className="w-4 h-4 text-gray-500 flex-shrink-0" />;
+};
+
+/**
+ * The uploaded batch: per-file status and errors, which document is open,
+ * and instructions or downloads applied to the checked documents.
+ */
+function DocumentQueue({
+  items, activeKey, selectedKeys, busy,
+  onToggle, onToggleAll, onOpen, onRemove, onCancelUpload, onRetryUpload, onDismissError, onAddFiles,
+  onBulkEdit, onBulkDownload
+}) {
+  const [instruction, setInstruction] = useState('');
+  const [format, setFormat] = useState('pdf');
+
+  const readyItems = items.filter(item => item.document);
+  const selectedCount = readyItems.filter(item => selectedKeys.includes(item.key)).length;
+  const allSelected = readyItems.length > 0 && selectedCount === readyItems.length;
+
+  const submitEdit = () => {
+    onBulkEdit(instruction.trim());
+    setInstruction('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold flex items-center space-x-2">
+          <Files className="w-4 h-4" />
+          <span>Documents ({items.length})</span>
+        </h4>
+        <button
+          onClick={onAddFiles}
+          className="flex items-center space-x-1 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add files</span>
+        </button>
+      </div>
+
+      {readyItems.length > 1 && (
+        <label className="flex items-center space-x-2 text-sm text-gray-600 mb-2">
+          <input type="checkbox" checked={allSelected} onChange={onToggleAll} disabled={busy} />
+          <span>Select all</span>
+        </label>
+      )}
+
+      <ul className="space-y-1 max-h-72 overflow-y-auto">
+        {items.map(item => {
+          const isActive = item.key === activeKey;
+          return (
+            <li
+              key={item.key}
+              className={`rounded border px-2 py-1.5 text-sm ${isActive ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200'}`}
+            >
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={selectedKeys.includes(item.key)}
+                  onChange={() => onToggle(item.key)}
+                  disabled={!item.document || busy}
+                  aria-label={`Select ${item.name}`}
+                />
+                <StatusIcon status={item.status} />
+                <button
+                  onClick={() => onOpen(item.key)}
+                  disabled={!item.document || isActive || busy}
+                  title={isActive ? 'Open now' : 'Open this document'}
+                  className="flex-1 min-w-0 truncate text-left hover:text-indigo-700 disabled:hover:text-inherit disabled:cursor-default"
+                >
+                  {item.name}
+                </button>
+                {STATUS_LABELS[item.status] && (
+                  <span className="text-xs text-gray-500 flex-shrink-0">{STATUS_LABELS[item.status]}</span>
+                )}
+                {(item.status === 'failed' || item.status === 'cancelled') && (
+                  <button
+                    onClick={() => onRetryUpload(item.key)}
+                    title="Upload again; a chunked upload continues where it stopped"
+                    className="text-indigo-600 hover:text-indigo-800"
+                  >
+                    <RotateCw className="w-3 h-3" />
+                  </button>
+                )}
+                {IN_FLIGHT.includes(item.status) ? (
+                  <button
+                    onClick={() => onCancelUpload(item.key)}
+                    className="text-xs text-gray-500 hover:text-red-700"
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => onRemove(item.key)}
+                    disabled={isActive || busy}
+                    title="Remove from the list"
+                    className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+              {item.progress && (
+                <div className="mt-1.5">
+                  <UploadProgress progress={item.progress} />
+                </div>
+              )}
+              {item.error && (
+                <div className="mt-1 flex items-start justify-between text-xs text-red-700 bg-red-50 rounded px-2 py-1 whitespace-pre-line">
+                  <span>{item.error}</span>
+                  {item.document && (
+                    <button onClick={() => onDismissError(item.key)} className="ml-2 text-red-500 hover:text-red-700">
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {readyItems.length > 0 && (
+        <div className="mt-4 pt-3 border-t space-y-2">
+          <textarea
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            placeholder="Instruction for the selected documents..."
+            className="w-full h-20 p-2 text-sm border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            disabled={busy}
+          />
+          <button
+            onClick={submitEdit}
+            disabled={busy || selectedCount === 0 || !instruction.trim()}
+            className="w-full flex items-center justify-center space-x-2 bg-indigo-600 text-white px-3 py-2 rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Wand2 className="w-4 h-4" />
+            <span>Apply to {selectedCount} {selectedCount === 1 ? 'document' : 'documents'}</span>
+          </button>
+          <p className="text-xs text-gray-500">
+            Bulk edits are applied without review; each one can be undone in its document's history.
+          </p>
+          <div className="flex items-center space-x-2">
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              disabled={busy}
+              className="text-sm border border-gray-300 rounded px-2 py-1.5"
+            >
+              {BULK_FORMATS.map(value => <option key={value} value={value}>{value.toUpperCase()}</option>)}
+            </select>
+            <button
+              onClick={() => onBulkDownload(format)}
+              disabled={busy || selectedCount === 0}
+              className="flex-1 flex items-center justify-center space-x-2 bg-gray-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Archive className="w-4 h-4" />
+              <span>Download ZIP</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentQueue;
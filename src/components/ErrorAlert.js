@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, WifiOff, Clock, RotateCw, LogIn, X } from 'lucide-react';
+
+// What the user can do, by ApiError kind (src/services/errors.js).
+const KINDS = {
+  network: {
+    title: "Can't reach the server",
+    hint: 'Check your connection, or whether the backend is running, then try again.',
+    Icon: WifiOff
+  },
+  timeout: {
+    title: 'The server took too long',
+    hint: 'It may be busy. Trying again usually helps.',
+    Icon: Clock
+  },
+  rateLimited: {
+    title: 'Too many requests',
+    hint: 'The server asked to slow down for a moment.',
+    Icon: Clock
+  },
+  auth: {
+    title: 'Sign in required',
+    hint: 'Sign in to continue. Your open documents are kept.'
+  },
+  validation: {
+    title: 'The server could not accept this',
+    hint: 'Change what was sent and try again.'
+  },
+  server: {
+    title: 'Server error',
+    hint: 'Something went wrong on the server. Try again in a moment.'
+  }
+};
+
+// `details` as sent by the server: a list of strings or { field, message },
+// or an object of field -> message.
+const detailLines = (details) => {
+  if (!details) return [];
+  if (typeof details === 'string') return [details];
+  const entries = Array.isArray(details)
+    ? details.map(entry => (typeof entry === 'string' ? [null, entry] : [entry.field || entry.path, entry.message]))
+    : Object.entries(details);
+  return entries
+    .filter(([, message]) => message)
+    .map(([field, message]) => (field ? `${field}: ${message}` : String(message)));
+};
+
+const secondsUntil = (time) => (time ? Math.max(0, Math.ceil((time - Date.now()) / 1000)) : 0);
+
+/**
+ * The error banner. `error` is a message or an Error; for the API's typed
+ * errors it explains what went wrong and offers the matching way out:
+ * "Try again" (counting down a rate limit's Retry-After) when `onRetry` is
+ * given and retrying can help, "Sign in" for a missing or expired login, and
+ * the server's details for rejected input.
+ */
+function ErrorAlert({ error, onRetry, onSignIn, onClose }) {
+  const message = typeof error === 'string' ? error : error?.message;
+  const kind = KINDS[error?.kind];
+  const Icon = kind?.Icon || AlertCircle;
+  const [waitSeconds, setWaitSeconds] = useState(() => secondsUntil(error?.retryAt));
+
+  useEffect(() => {
+    setWaitSeconds(secondsUntil(error?.retryAt));
+    if (!error?.retryAt) return undefined;
+    const timer = setInterval(() => {
+      const left = secondsUntil(error.retryAt);
+      setWaitSeconds(left);
+      if (left === 0) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [error]);
+
+  const offline = error?.kind === 'network' && typeof navigator !== 'undefined' && navigator.onLine === false;
+  const details = detailLines(error?.details);
+
+  return (
+    <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4" role="alert">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Icon className="w-5 h-5 text-red-600" />
+          <span className="text-red-800 font-medium">{kind?.title || 'Error'}</span>
+        </div>
+        <button onClick={onClose} className="text-red-600 hover:text-red-800" aria-label="Dismiss">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="text-red-700 mt-2">{message}</p>
+      {details.length > 0 && (
+        <ul className="mt-2 list-disc list-inside text-sm text-red-700">
+          {details.map((line, index) => <li key={index}>{line}</li>)}
+        </ul>
+      )}
+      {kind && (
+        <p className="text-sm text-red-600 mt-2">
+          {offline ? 'You appear to be offline. ' : ''}{kind.hint}
+        </p>
+      )}
+      {onRetry && error?.retryable && (
+        <button
+          onClick={onRetry}
+          disabled={waitSeconds > 0}
+          className="mt-3 flex items-center space-x-1 text-sm bg-white border border-red-300 text-red-700 px-3 py-1 rounded hover:bg-red-100 disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          <RotateCw className="w-3 h-3" />
+          <span>{waitSeconds > 0 ? `Try again in ${waitSeconds}s` : 'Try again'}</span>
+        </button>
+      )}
+      {onSignIn && error?.kind === 'auth' && (
+        <button
+          onClick={onSignIn}
+          className="mt-3 flex items-center space-x-1 text-sm bg-white border border-red-300 text-red-700 px-3 py-1 rounded hover:bg-red-100"
+        >
+          <LogIn className="w-3 h-3" />
+          <span>Sign in</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ErrorAlert;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { FileText, FileType, FileCode, Image, SlidersHorizontal } from 'lucide-react';
+import { PAGE_SIZES } from '../config/exportConfig';
+import { EXPORT_FORMATS, exportOptions, prefersServer } from '../services/exporter';
+
+const FORMAT_STYLES = {
+  html: { Icon: FileCode, color: 'bg-gray-600 hover:bg-gray-700' },
+  pdf: { Icon: FileText, color: 'bg-red-600 hover:bg-red-700' },
+  docx: { Icon: FileType, color: 'bg-blue-600 hover:bg-blue-700' },
+  png: { Icon: Image, color: 'bg-green-600 hover:bg-green-700' },
+  svg: { Icon: Image, color: 'bg-emerald-600 hover:bg-emerald-700' },
+  md: { Icon: FileText, color: 'bg-slate-600 hover:bg-slate-700' },
+  txt: { Icon: FileText, color: 'bg-slate-500 hover:bg-slate-600' }
+};
+
+const SCALES = [
+  { value: 1, label: 'Screen (1×)' },
+  { value: 2, label: 'Print (2×)' },
+  { value: 3, label: 'High (3×)' }
+];
+
+const fieldClass = 'w-full text-sm border border-gray-300 rounded px-2 py-1';
+
+// One control per setting in EXPORT_FORMATS[format].options.
+function OptionField({ name, value, onChange }) {
+  switch (name) {
+    case 'pageSize':
+      return (
+        <label className="block">
+          <span className="text-gray-600">Page size</span>
+          <select value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass}>
+            {Object.entries(PAGE_SIZES).map(([key, size]) => <option key={key} value={key}>{size.label}</option>)}
+          </select>
+        </label>
+      );
+    case 'margin':
+      return (
+        <label className="block">
+          <span className="text-gray-600">Margins (mm)</span>
+          <input type="number" min="0" max="50" value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass} />
+        </label>
+      );
+    case 'imageScale':
+      return (
+        <label className="block">
+          <span className="text-gray-600">Resolution</span>
+          <select value={value} onChange={(e) => onChange(Number(e.target.value))} className={fieldClass}>
+            {SCALES.map(scale => <option key={scale.value} value={scale.value}>{scale.label}</option>)}
+          </select>
+        </label>
+      );
+    case 'snapshotWidth':
+      return (
+        <label className="block">
+          <span className="text-gray-600">Width (px)</span>
+          <input type="number" min="320" max="2400" step="10" value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass} />
+        </label>
+      );
+    case 'inlineImages':
+      return (
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />
+          <span className="text-gray-600">Embed images in the file</span>
+        </label>
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Download buttons for every export format. Formats with settings get an
+ * options toggle; the settings are kept per format for the session and
+ * passed to `onExport(format, options, { includeComments })`. Review
+ * comments are left out unless asked for (there are `commentCount`).
+ */
+function ExportPanel({ busy, commentCount = 0, onExport }) {
+  const [options, setOptions] = useState(() =>
+    Object.fromEntries(Object.keys(EXPORT_FORMATS).map(format => [format, exportOptions()]))
+  );
+  const [expanded, setExpanded] = useState(null);
+  const [includeComments, setIncludeComments] = useState(false);
+
+  const serverLabels = Object.keys(EXPORT_FORMATS).filter(prefersServer).map(format => EXPORT_FORMATS[format].label);
+
+  const setOption = (format, name, value) => {
+    setOptions(prev => ({ ...prev, [format]: { ...prev[format], [name]: value } }));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3">Download Options</h4>
+      <div className="space-y-2">
+        {Object.entries(EXPORT_FORMATS).map(([format, spec]) => {
+          const { Icon, color } = FORMAT_STYLES[format];
+          const isExpanded = expanded === format;
+          return (
+            <div key={format}>
+              <div className="flex space-x-1">
+                <button
+                  onClick={() => onExport(format, options[format], { includeComments: includeComments && commentCount > 0 })}
+                  disabled={busy}
+                  className={`flex-1 flex items-center justify-center space-x-2 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50 ${color}`}
+                >
+                  <Icon className="w-4 h-4" />
+                  <span>{spec.label}</span>
+                </button>
+                {spec.options.length > 0 && (
+                  <button
+                    onClick={() => setExpanded(isExpanded ? null : format)}
+                    title={`${spec.label} options`}
+                    aria-expanded={isExpanded}
+                    className={`px-2 rounded-lg border ${isExpanded ? 'border-indigo-300 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+                  >
+                    <SlidersHorizontal className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              {prefersServer(format) && spec.fallback && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Converted by the server. While it is unavailable you get {spec.fallback}, made in your browser.
+                </p>
+              )}
+              {isExpanded && (
+                <div className="mt-2 mb-3 p-3 space-y-2 text-sm bg-gray-50 rounded-lg">
+                  {spec.options.map(name => (
+                    <OptionField
+                      key={name}
+                      name={name}
+                      value={options[format][name]}
+                      onChange={(value) => setOption(format, name, value)}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {commentCount > 0 && (
+        <label className="flex items-center space-x-2 text-sm mt-3">
+          <input type="checkbox" checked={includeComments} onChange={(e) => setIncludeComments(e.target.checked)} />
+          <span className="text-gray-600">Add the {commentCount} review {commentCount === 1 ? 'comment' : 'comments'} as a summary</span>
+        </label>
+      )}
+      <p className="text-xs text-gray-500 mt-3">
+        {serverLabels.length > 0 && `${serverLabels.join(', ')} files are converted by the server. `}
+        {serverLabels.length > 0 ? 'Other files' : 'Files'} are created in your browser; the server is only used for formats this browser can't render.
+      </p>
+    </div>
+  );
+}
+
+export default ExportPanel;
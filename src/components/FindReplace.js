@@ -0,0 +1,104 @@
+import React, { useEffect, useRef } from 'react';
+import { Search, ChevronUp, ChevronDown, X, Replace, ReplaceAll } from 'lucide-react';
+
+const OPTIONS = [
+  { key: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { key: 'wholeWord', label: 'W', title: 'Whole words only' },
+  { key: 'regex', label: '.*', title: 'Regular expression' }
+];
+
+const inputClass = 'flex-1 min-w-0 text-sm border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+const iconButtonClass = 'p-1 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Find/replace bar above the Live Preview. `search` holds the query,
+ * replacement and options; matches are counted and stepped through by the
+ * caller, which highlights them in the preview.
+ */
+function FindReplace({ search, onChange, matchCount, current, error, disabled, onStep, onReplace, onReplaceAll, onClose }) {
+  const findRef = useRef(null);
+
+  useEffect(() => {
+    findRef.current?.focus();
+  }, []);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    } else if (event.key === 'Enter' && event.target === findRef.current) {
+      event.preventDefault();
+      onStep(event.shiftKey ? -1 : 1);
+    }
+  };
+
+  const status = error || !search.query ? '' : matchCount === 0 ? 'No matches' : `${current + 1} of ${matchCount}`;
+
+  return (
+    <div role="search" onKeyDown={handleKeyDown} className="mb-3 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-sm space-y-2">
+      <div className="flex items-center space-x-2">
+        <Search className="w-4 h-4 text-gray-500 flex-shrink-0" />
+        <input
+          ref={findRef}
+          type="text"
+          value={search.query}
+          onChange={(e) => onChange({ query: e.target.value })}
+          placeholder="Find in document"
+          aria-label="Find"
+          aria-invalid={!!error}
+          className={`${inputClass} ${error ? 'border-red-400' : ''}`}
+        />
+        {OPTIONS.map(option => (
+          <button
+            key={option.key}
+            onClick={() => onChange({ [option.key]: !search[option.key] })}
+            title={option.title}
+            aria-pressed={search[option.key]}
+            className={`w-7 py-0.5 rounded font-mono text-xs ${search[option.key] ? 'bg-indigo-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+        <span className="w-20 text-xs text-right text-gray-500" role="status">{status}</span>
+        <button onClick={() => onStep(-1)} disabled={matchCount === 0} title="Previous match (Shift+Enter)" className={iconButtonClass}>
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button onClick={() => onStep(1)} disabled={matchCount === 0} title="Next match (Enter)" className={iconButtonClass}>
+          <ChevronDown className="w-4 h-4" />
+        </button>
+        <button onClick={onClose} title="Close (Esc)" className={iconButtonClass}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600 pl-6">{error}</p>}
+      <div className="flex items-center space-x-2 pl-6">
+        <input
+          type="text"
+          value={search.replacement}
+          onChange={(e) => onChange({ replacement: e.target.value })}
+          placeholder={search.regex ? 'Replace with ($1, $& for groups)' : 'Replace with'}
+          aria-label="Replace with"
+          className={inputClass}
+        />
+        <button
+          onClick={onReplace}
+          disabled={disabled || matchCount === 0}
+          className="flex items-center space-x-1 px-2 py-1 rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <Replace className="w-4 h-4" />
+          <span>Replace</span>
+        </button>
+        <button
+          onClick={onReplaceAll}
+          disabled={disabled || matchCount === 0}
+          className="flex items-center space-x-1 px-2 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <ReplaceAll className="w-4 h-4" />
+          <span>Replace all</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FindReplace;
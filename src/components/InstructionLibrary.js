@@ -0,0 +1,376 @@
+import React, { useState } from 'react';
+import { BookMarked, ChevronDown, ChevronRight, Plus, Trash2, Play, Pencil, ArrowUp, ArrowDown, CornerDownLeft, Save } from 'lucide-react';
+import {
+  templateVariables, fillTemplate, parseTags, allTags, searchInstructions, normalizeInstruction, normalizeMacro
+} from '../utils/instructionLibrary';
+import { newId } from '../utils/ids';
+import { loadLibrary, saveLibrary } from '../services/instructionStore';
+
+const fieldClass = 'w-full text-sm border border-gray-300 rounded px-2 py-1';
+const linkClass = 'flex items-center space-x-1 text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50';
+
+// Asks for the value of every variable in `texts` before they're used.
+function VariableForm({ texts, values, submitLabel, onSubmit, onCancel }) {
+  const names = templateVariables(texts);
+  const [draft, setDraft] = useState(() => Object.fromEntries(names.map(name => [name, values[name] || ''])));
+  const complete = names.every(name => draft[name].trim());
+
+  return (
+    <form
+      aria-label="Fill in variables"
+      className="mt-2 p-3 space-y-2 text-sm bg-indigo-50 rounded-lg"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (complete) onSubmit(draft);
+      }}
+    >
+      {names.map(name => (
+        <label key={name} className="block">
+          <span className="text-gray-600">{`{${name}}`}</span>
+          <input
+            type="text"
+            value={draft[name]}
+            onChange={(e) => setDraft(prev => ({ ...prev, [name]: e.target.value }))}
+            className={fieldClass}
+          />
+        </label>
+      ))}
+      <div className="flex space-x-2">
+        <button type="submit" disabled={!complete} className="flex-1 bg-indigo-600 text-white px-3 py-1 rounded hover:bg-indigo-700 disabled:opacity-50">
+          {submitLabel}
+        </button>
+        <button type="button" onClick={onCancel} className="flex-1 bg-white border border-gray-300 px-3 py-1 rounded hover:bg-gray-50">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function MacroEditor({ macro, instructions, onSave, onCancel }) {
+  const [name, setName] = useState(macro.name);
+  const [steps, setSteps] = useState(macro.steps.length ? macro.steps : ['']);
+  const valid = normalizeMacro({ name, steps });
+
+  const setStep = (index, text) => setSteps(prev => prev.map((step, i) => (i === index ? text : step)));
+  const moveStep = (index, offset) => setSteps(prev => {
+    const next = [...prev];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    return next;
+  });
+
+  return (
+    <div className="mt-2 p-3 space-y-2 text-sm bg-gray-50 rounded-lg">
+      <label className="block">
+        <span className="text-gray-600">Macro name</span>
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={fieldClass} />
+      </label>
+      <ol className="space-y-2">
+        {steps.map((step, index) => (
+          // Steps have no identity beyond their position while being edited.
+          <li key={index} className="flex items-start space-x-1">
+            <span className="text-gray-500 pt-1 w-5 text-right">{index + 1}.</span>
+            <textarea
+              value={step}
+              onChange={(e) => setStep(index, e.target.value)}
+              aria-label={`Step ${index + 1}`}
+              className={`${fieldClass} h-14 resize-none`}
+            />
+            <div className="flex flex-col">
+              <button onClick={() => moveStep(index, -1)} disabled={index === 0} title="Move up" className="p-0.5 text-gray-500 hover:text-gray-800 disabled:opacity-30">
+                <ArrowUp className="w-3 h-3" />
+              </button>
+              <button onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} title="Move down" className="p-0.5 text-gray-500 hover:text-gray-800 disabled:opacity-30">
+                <ArrowDown className="w-3 h-3" />
+              </button>
+              <button onClick={() => setSteps(prev => prev.filter((_, i) => i !== index))} disabled={steps.length === 1} title="Remove step" className="p-0.5 text-red-500 hover:text-red-700 disabled:opacity-30">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div className="flex items-center space-x-2">
+        <button onClick={() => setSteps(prev => [...prev, ''])} className={linkClass}>
+          <Plus className="w-3 h-3" />
+          <span>Add step</span>
+        </button>
+        {instructions.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => setSteps(prev => [...prev.filter(step => step.trim()), e.target.value])}
+            aria-label="Add a saved instruction"
+            className="flex-1 text-xs border border-gray-300 rounded px-1 py-0.5"
+          >
+            <option value="">Add a saved instruction…</option>
+            {instructions.map(item => <option key={item.id} value={item.text}>{item.title}</option>)}
+          </select>
+        )}
+      </div>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => onSave({ ...valid, id: macro.id })}
+          disabled={!valid}
+          className="flex-1 flex items-center justify-center space-x-1 bg-indigo-600 text-white px-3 py-1 rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Save className="w-3 h-3" />
+          <span>Save macro</span>
+        </button>
+        <button onClick={onCancel} className="flex-1 bg-white border border-gray-300 px-3 py-1 rounded hover:bg-gray-50">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Saved instructions and macros beside the AI Editor. Instructions are
+ * searched, filtered by tag and inserted with `onInsert(text)`; macros are
+ * run with `onRunMacro({ name, steps })`. Variables are filled in first and
+ * their values remembered for next time.
+ */
+function InstructionLibrary({ currentInstruction, disabled, onInsert, onRunMacro }) {
+  const [library, setLibrary] = useState(loadLibrary);
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState('instructions');
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState(null);
+  const [saving, setSaving] = useState(null);
+  const [editingMacro, setEditingMacro] = useState(null);
+  const [filling, setFilling] = useState(null);
+
+  const { instructions, macros, values } = library;
+  const results = searchInstructions(instructions, query, tag);
+  const tags = allTags(instructions);
+
+  const update = (changes) => {
+    setLibrary(prev => {
+      const next = { ...prev, ...changes(prev) };
+      saveLibrary(next);
+      return next;
+    });
+  };
+
+  // Runs `action` on `texts` with their variables filled in, asking for the
+  // values first when there are any.
+  const withVariables = (key, texts, submitLabel, action) => {
+    if (templateVariables(texts).length === 0) {
+      action(texts);
+      return;
+    }
+    setFilling({
+      key,
+      texts,
+      submitLabel,
+      submit: (entered) => {
+        update(prev => ({ values: { ...prev.values, ...entered } }));
+        setFilling(null);
+        action(texts.map(text => fillTemplate(text, entered)));
+      }
+    });
+  };
+
+  const saveInstruction = () => {
+    const item = normalizeInstruction({ title: saving.title, text: currentInstruction, tags: parseTags(saving.tags) });
+    if (item) update(prev => ({ instructions: [...prev.instructions, item] }));
+    setSaving(null);
+  };
+
+  const saveMacro = (macro) => {
+    update(prev => ({
+      macros: prev.macros.some(item => item.id === macro.id)
+        ? prev.macros.map(item => (item.id === macro.id ? macro : item))
+        : [...prev.macros, macro]
+    }));
+    setEditingMacro(null);
+  };
+
+  const variableForm = (key) => filling?.key === key && (
+    <VariableForm
+      texts={filling.texts}
+      values={values}
+      submitLabel={filling.submitLabel}
+      onSubmit={filling.submit}
+      onCancel={() => setFilling(null)}
+    />
+  );
+
+  const tabClass = (name) => `flex-1 py-1 text-xs rounded ${tab === name ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`;
+
+  return (
+    <div className="mt-3 border-t pt-3">
+      <button onClick={() => setOpen(!open)} aria-expanded={open} className="w-full flex items-center justify-between text-sm font-medium text-gray-700">
+        <span className="flex items-center space-x-2">
+          <BookMarked className="w-4 h-4" />
+          <span>Library</span>
+          <span className="text-xs text-gray-500 font-normal">
+            {instructions.length} saved · {macros.length} {macros.length === 1 ? 'macro' : 'macros'}
+          </span>
+        </span>
+        {open ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+      </button>
+
+      {open && (
+        <div className="mt-2">
+          <div className="flex p-0.5 mb-2 bg-gray-100 rounded" role="tablist">
+            <button role="tab" aria-selected={tab === 'instructions'} onClick={() => setTab('instructions')} className={tabClass('instructions')}>Instructions</button>
+            <button role="tab" aria-selected={tab === 'macros'} onClick={() => setTab('macros')} className={tabClass('macros')}>Macros</button>
+          </div>
+
+          {tab === 'instructions' && (
+            <div>
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search instructions"
+                className={fieldClass}
+              />
+              {tags.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {tags.map(name => (
+                    <button
+                      key={name}
+                      onClick={() => setTag(tag === name ? null : name)}
+                      aria-pressed={tag === name}
+                      className={`text-xs px-2 py-0.5 rounded-full ${tag === name ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                      #{name}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <ul className="mt-2 space-y-1 max-h-64 overflow-y-auto">
+                {results.map(item => (
+                  <li key={item.id} className="p-2 rounded bg-gray-50 text-sm">
+                    <div className="flex items-start justify-between space-x-2">
+                      <div className="min-w-0">
+                        <p className="font-medium truncate">{item.title}</p>
+                        <p className="text-xs text-gray-600 line-clamp-2">{item.text}</p>
+                        {item.tags.length > 0 && (
+                          <p className="text-xs text-gray-400 mt-0.5">{item.tags.map(name => `#${name}`).join(' ')}</p>
+                        )}
+                      </div>
+                      <div className="flex-shrink-0 flex items-center space-x-2">
+                        <button
+                          onClick={() => withVariables(item.id, [item.text], 'Insert', ([text]) => onInsert(text))}
+                          disabled={disabled}
+                          title="Insert into the AI Editor"
+                          className={linkClass}
+                        >
+                          <CornerDownLeft className="w-3 h-3" />
+                          <span>Insert</span>
+                        </button>
+                        <button
+                          onClick={() => update(prev => ({ instructions: prev.instructions.filter(other => other.id !== item.id) }))}
+                          title="Delete instruction"
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                    {variableForm(item.id)}
+                  </li>
+                ))}
+                {results.length === 0 && (
+                  <li className="text-xs text-gray-500 py-2">
+                    {instructions.length === 0 ? 'No saved instructions yet.' : 'No instructions match.'}
+                  </li>
+                )}
+              </ul>
+
+              {saving ? (
+                <div className="mt-2 p-3 space-y-2 text-sm bg-gray-50 rounded-lg">
+                  <label className="block">
+                    <span className="text-gray-600">Title</span>
+                    <input type="text" value={saving.title} onChange={(e) => setSaving({ ...saving, title: e.target.value })} className={fieldClass} />
+                  </label>
+                  <label className="block">
+                    <span className="text-gray-600">Tags (comma-separated)</span>
+                    <input type="text" value={saving.tags} onChange={(e) => setSaving({ ...saving, tags: e.target.value })} className={fieldClass} />
+                  </label>
+                  <div className="flex space-x-2">
+                    <button onClick={saveInstruction} className="flex-1 bg-indigo-600 text-white px-3 py-1 rounded hover:bg-indigo-700">Save</button>
+                    <button onClick={() => setSaving(null)} className="flex-1 bg-white border border-gray-300 px-3 py-1 rounded hover:bg-gray-50">Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setSaving({ title: '', tags: tag || '' })}
+                  disabled={!currentInstruction.trim()}
+                  title={currentInstruction.trim() ? 'Save the instruction in the AI Editor' : 'Type an instruction to save it'}
+                  className={`${linkClass} mt-2`}
+                >
+                  <Plus className="w-3 h-3" />
+                  <span>Save current instruction</span>
+                </button>
+              )}
+            </div>
+          )}
+
+          {tab === 'macros' && (
+            <div>
+              <ul className="space-y-1">
+                {macros.map(macro => (
+                  <li key={macro.id} className="p-2 rounded bg-gray-50 text-sm">
+                    <div className="flex items-center justify-between space-x-2">
+                      <div className="min-w-0">
+                        <p className="font-medium truncate">{macro.name}</p>
+                        <p className="text-xs text-gray-500">{macro.steps.length} {macro.steps.length === 1 ? 'step' : 'steps'}</p>
+                      </div>
+                      <div className="flex-shrink-0 flex items-center space-x-2">
+                        <button
+                          onClick={() => withVariables(macro.id, macro.steps, 'Run macro', steps => onRunMacro({ name: macro.name, steps }))}
+                          disabled={disabled}
+                          className={linkClass}
+                        >
+                          <Play className="w-3 h-3" />
+                          <span>Run</span>
+                        </button>
+                        <button onClick={() => setEditingMacro(macro)} title="Edit macro" className="text-gray-400 hover:text-gray-700">
+                          <Pencil className="w-3 h-3" />
+                        </button>
+                        <button
+                          onClick={() => update(prev => ({ macros: prev.macros.filter(other => other.id !== macro.id) }))}
+                          title="Delete macro"
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                    {variableForm(macro.id)}
+                  </li>
+                ))}
+                {macros.length === 0 && !editingMacro && (
+                  <li className="text-xs text-gray-500 py-2">Macros run several instructions in a row, each as its own history entry.</li>
+                )}
+              </ul>
+              {editingMacro ? (
+                <MacroEditor
+                  key={editingMacro.id}
+                  macro={editingMacro}
+                  instructions={instructions}
+                  onSave={saveMacro}
+                  onCancel={() => setEditingMacro(null)}
+                />
+              ) : (
+                <button
+                  onClick={() => setEditingMacro({ id: newId('macro'), name: '', steps: currentInstruction.trim() ? [currentInstruction.trim()] : [] })}
+                  className={`${linkClass} mt-2`}
+                >
+                  <Plus className="w-3 h-3" />
+                  <span>New macro</span>
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default InstructionLibrary;
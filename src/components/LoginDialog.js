@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { LogIn, Loader2, X } from 'lucide-react';
+
+const REASONS = {
+  expired: 'Your session has expired. Sign in again to continue; your open documents are kept.',
+  required: 'The server needs you to sign in before it can do that.'
+};
+
+/**
+ * Email and password form. `onSubmit(email, password)` returns a promise;
+ * its rejection is shown in the dialog. `reason` explains why it opened
+ * when the app asked for it rather than the user.
+ */
+function LoginDialog({ reason, onSubmit, onClose }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(email.trim(), password);
+    } catch (err) {
+      setError(err.kind === 'auth' || err.kind === 'validation'
+        ? 'Wrong email or password.'
+        : err.message || 'Sign in failed. Please try again.');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <form
+        onSubmit={submit}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="login-title"
+        className="w-full max-w-sm bg-white rounded-lg shadow-xl p-6 space-y-4"
+      >
+        <div className="flex items-center justify-between">
+          <h2 id="login-title" className="text-lg font-semibold flex items-center space-x-2">
+            <LogIn className="w-5 h-5 text-indigo-600" />
+            <span>Sign in</span>
+          </h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {REASONS[reason] && <p className="text-sm text-gray-600">{REASONS[reason]}</p>}
+        <label className="block text-sm">
+          <span className="text-gray-700">Email</span>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="username"
+            required
+            autoFocus
+            className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-700">Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </label>
+        {error && <p className="text-sm text-red-700 bg-red-50 rounded px-2 py-1">{error}</p>}
+        <button
+          type="submit"
+          disabled={busy || !email.trim() || !password}
+          className="w-full flex items-center justify-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <LogIn className="w-4 h-4" />}
+          <span>{busy ? 'Signing in…' : 'Sign in'}</span>
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginDialog;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { ListChecks, Check, X, Loader2, AlertCircle, CircleDashed, Minus, SkipForward, RotateCcw } from 'lucide-react';
+
+const STEP_ICONS = {
+  pending: <CircleDashed className="w-4 h-4 text-gray-400" />,
+  running: <Loader2 className="w-4 h-4 text-indigo-600 animate-spin" />,
+  done: <Check className="w-4 h-4 text-green-600" />,
+  unchanged: <Minus className="w-4 h-4 text-gray-500" />,
+  skipped: <SkipForward className="w-4 h-4 text-gray-400" />,
+  failed: <AlertCircle className="w-4 h-4 text-red-600" />,
+  cancelled: <X className="w-4 h-4 text-gray-500" />
+};
+
+const STATUS_TEXT = {
+  running: 'Running…',
+  done: 'Finished',
+  failed: 'Stopped at a failed step',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Progress of a macro run: `{ name, steps, results: [{ status, explanation,
+ * error }], status, stoppedAt }`. A failed or cancelled run can be resumed by
+ * retrying the step it stopped at or skipping it.
+ */
+function MacroRun({ run, onCancel, onRetry, onSkip, onDismiss }) {
+  const stopped = run.status === 'failed' || run.status === 'cancelled';
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold flex items-center space-x-2">
+          <ListChecks className="w-4 h-4" />
+          <span>{run.name}</span>
+        </h4>
+        <span className="text-xs text-gray-500">{STATUS_TEXT[run.status]}</span>
+      </div>
+      <ol className="space-y-2 text-sm">
+        {run.steps.map((step, index) => {
+          const result = run.results[index];
+          return (
+            // Steps are fixed for the run, so their position identifies them.
+            <li key={index} className="flex items-start space-x-2">
+              <span className="mt-0.5" title={result.status}>{STEP_ICONS[result.status]}</span>
+              <div className="min-w-0">
+                <p className={result.status === 'pending' || result.status === 'skipped' ? 'text-gray-500' : 'text-gray-800'}>{step}</p>
+                {result.status === 'unchanged' && <p className="text-xs text-gray-500">No changes</p>}
+                {result.status === 'done' && result.explanation && <p className="text-xs text-gray-600">{result.explanation}</p>}
+                {result.status === 'failed' && <p className="text-xs text-red-700">{result.error}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      <div className="flex space-x-2 mt-3">
+        {run.status === 'running' && (
+          <button onClick={onCancel} className="flex-1 flex items-center justify-center space-x-1 bg-gray-200 text-gray-700 px-3 py-1.5 rounded hover:bg-gray-300 text-sm">
+            <X className="w-4 h-4" />
+            <span>Cancel</span>
+          </button>
+        )}
+        {stopped && (
+          <>
+            <button onClick={onRetry} className="flex-1 flex items-center justify-center space-x-1 bg-indigo-600 text-white px-3 py-1.5 rounded hover:bg-indigo-700 text-sm">
+              <RotateCcw className="w-4 h-4" />
+              <span>Resume</span>
+            </button>
+            <button onClick={onSkip} className="flex-1 flex items-center justify-center space-x-1 bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded hover:bg-gray-50 text-sm">
+              <SkipForward className="w-4 h-4" />
+              <span>Skip step</span>
+            </button>
+          </>
+        )}
+        {run.status !== 'running' && (
+          <button onClick={onDismiss} title="Close" className="px-3 py-1.5 rounded text-gray-500 hover:bg-gray-100 text-sm">
+            Close
+          </button>
+        )}
+      </div>
+      {stopped && (
+        <p className="text-xs text-gray-500 mt-2">
+          Resume retries step {run.stoppedAt + 1} on the document as it is now; the steps before it stay in the edit history.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default MacroRun;
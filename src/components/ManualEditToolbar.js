@@ -0,0 +1,123 @@
+import React from 'react';
+import {
+  Bold, Italic, Underline, Heading1, Heading2, Heading3, Pilcrow, List, ListOrdered, Link, Unlink,
+  AlignLeft, AlignCenter, AlignRight, AlignJustify, BetweenHorizontalStart, BetweenHorizontalEnd,
+  BetweenVerticalStart, BetweenVerticalEnd, Rows2, Columns2, Check, X
+} from 'lucide-react';
+import { insertRow, deleteRow, insertColumn, deleteColumn } from '../utils/tableEditing';
+
+const FONT_SIZES = [
+  { value: '2', label: 'Small' },
+  { value: '3', label: 'Normal' },
+  { value: '4', label: 'Large' },
+  { value: '5', label: 'X-Large' },
+  { value: '6', label: 'XX-Large' }
+];
+
+const ToolButton = ({ title, onClick, children }) => (
+  <button
+    type="button"
+    title={title}
+    // Keep focus (and the caret) inside the preview frame.
+    onMouseDown={(e) => e.preventDefault()}
+    onClick={onClick}
+    className="p-1.5 rounded text-gray-700 hover:bg-gray-200"
+  >
+    {children}
+  </button>
+);
+
+const Divider = () => <span className="w-px h-5 bg-gray-300 mx-1" />;
+
+// Formatting toolbar for the contentEditable Live Preview. `getDocument`
+// returns the preview frame's document.
+function ManualEditToolbar({ getDocument, onDone, onCancel, onTableMissing }) {
+  const run = (command, value = null) => {
+    const doc = getDocument();
+    if (!doc || typeof doc.execCommand !== 'function') return;
+    doc.defaultView?.focus();
+    doc.execCommand('styleWithCSS', false, true);
+    doc.execCommand(command, false, value);
+  };
+
+  const createLink = () => {
+    const url = window.prompt('Link URL', 'https://');
+    if (url) run('createLink', url);
+  };
+
+  const tableAction = (action) => {
+    const doc = getDocument();
+    const node = doc?.getSelection()?.anchorNode;
+    if (!action(node)) onTableMissing?.();
+  };
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-1 border rounded-lg bg-gray-50 px-2 py-1">
+      <ToolButton title="Bold" onClick={() => run('bold')}><Bold className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Italic" onClick={() => run('italic')}><Italic className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Underline" onClick={() => run('underline')}><Underline className="w-4 h-4" /></ToolButton>
+      <Divider />
+      <ToolButton title="Heading 1" onClick={() => run('formatBlock', 'H1')}><Heading1 className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Heading 2" onClick={() => run('formatBlock', 'H2')}><Heading2 className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Heading 3" onClick={() => run('formatBlock', 'H3')}><Heading3 className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Paragraph" onClick={() => run('formatBlock', 'P')}><Pilcrow className="w-4 h-4" /></ToolButton>
+      <Divider />
+      <ToolButton title="Bulleted list" onClick={() => run('insertUnorderedList')}><List className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Numbered list" onClick={() => run('insertOrderedList')}><ListOrdered className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Insert link" onClick={createLink}><Link className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Remove link" onClick={() => run('unlink')}><Unlink className="w-4 h-4" /></ToolButton>
+      <Divider />
+      <ToolButton title="Align left" onClick={() => run('justifyLeft')}><AlignLeft className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Align center" onClick={() => run('justifyCenter')}><AlignCenter className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Align right" onClick={() => run('justifyRight')}><AlignRight className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Justify" onClick={() => run('justifyFull')}><AlignJustify className="w-4 h-4" /></ToolButton>
+      <Divider />
+      <select
+        title="Font size"
+        defaultValue=""
+        onChange={(e) => {
+          if (e.target.value) run('fontSize', e.target.value);
+          e.target.value = '';
+        }}
+        className="text-sm border border-gray-300 rounded px-1 py-0.5 bg-white"
+      >
+        <option value="" disabled>Size</option>
+        {FONT_SIZES.map(size => <option key={size.value} value={size.value}>{size.label}</option>)}
+      </select>
+      <input
+        type="color"
+        title="Text color"
+        onChange={(e) => run('foreColor', e.target.value)}
+        className="w-7 h-7 p-0 border border-gray-300 rounded bg-white cursor-pointer"
+      />
+      <Divider />
+      <ToolButton title="Insert row above" onClick={() => tableAction(node => insertRow(node, 'before'))}><BetweenHorizontalStart className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Insert row below" onClick={() => tableAction(node => insertRow(node, 'after'))}><BetweenHorizontalEnd className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Delete row" onClick={() => tableAction(deleteRow)}><Rows2 className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Insert column left" onClick={() => tableAction(node => insertColumn(node, 'before'))}><BetweenVerticalStart className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Insert column right" onClick={() => tableAction(node => insertColumn(node, 'after'))}><BetweenVerticalEnd className="w-4 h-4" /></ToolButton>
+      <ToolButton title="Delete column" onClick={() => tableAction(deleteColumn)}><Columns2 className="w-4 h-4" /></ToolButton>
+
+      <div className="ml-auto flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-gray-200 hover:bg-gray-300"
+        >
+          <X className="w-4 h-4" />
+          <span>Cancel</span>
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="flex items-center space-x-1 px-3 py-1 rounded text-sm bg-indigo-600 text-white hover:bg-indigo-700"
+        >
+          <Check className="w-4 h-4" />
+          <span>Save edits</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ManualEditToolbar;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Library, FileText, Pencil, Trash2, Loader2, RotateCw, X } from 'lucide-react';
+
+/**
+ * The signed-in user's documents on the server. Opening one adds it to the
+ * document list (or switches to it); renaming happens in place.
+ * `onRename(doc, name)` returns a promise so the row stays editable until
+ * the server has accepted the name.
+ */
+function MyDocuments({ documents, loading, error, openIds, onOpen, onRename, onDelete, onRefresh, onClose }) {
+  const [renaming, setRenaming] = useState(null);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const startRename = (doc) => {
+    setRenaming(doc.id);
+    setName(doc.originalName || '');
+  };
+
+  const saveRename = async (doc) => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === doc.originalName) {
+      setRenaming(null);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onRename(doc, trimmed);
+      setRenaming(null);
+    } catch (e) {
+      // The error is shown by the caller; keep the field open for another try.
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="library-title"
+        className="w-full max-w-2xl bg-white rounded-lg shadow-xl p-6 max-h-[80vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="library-title" className="text-lg font-semibold flex items-center space-x-2">
+            <Library className="w-5 h-5 text-indigo-600" />
+            <span>My Documents</span>
+          </h2>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onRefresh}
+              disabled={loading}
+              title="Reload the list"
+              className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            >
+              <RotateCw className="w-4 h-4" />
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="mb-3 text-sm text-red-700 bg-red-50 rounded px-2 py-1">{error}</p>}
+
+        {loading && documents.length === 0 ? (
+          <div className="flex items-center justify-center py-10 text-gray-500">
+            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+            <span>Loading documents…</span>
+          </div>
+        ) : documents.length === 0 ? (
+          <p className="py-10 text-center text-gray-500">No documents yet. Uploaded documents appear here.</p>
+        ) : (
+          <ul className="divide-y overflow-y-auto">
+            {documents.map(doc => (
+              <li key={doc.id} className="flex items-center justify-between py-2 text-sm">
+                <div className="flex items-center space-x-2 min-w-0 flex-1">
+                  <FileText className="w-4 h-4 text-gray-500 flex-shrink-0" />
+                  {renaming === doc.id ? (
+                    <input
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') saveRename(doc);
+                        if (e.key === 'Escape') setRenaming(null);
+                      }}
+                      disabled={saving}
+                      autoFocus
+                      aria-label="New name"
+                      title="Enter to save, Escape to cancel"
+                      className="flex-1 min-w-0 px-2 py-1 border border-indigo-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    />
+                  ) : (
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{doc.originalName || 'Untitled document'}</p>
+                      <p className="text-xs text-gray-500">
+                        {doc.updatedAt || doc.createdAt ? new Date(doc.updatedAt || doc.createdAt).toLocaleString() : ''}
+                        {openIds.includes(doc.id) && ' · Open'}
+                      </p>
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                  <button
+                    onClick={() => onOpen(doc)}
+                    className="px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700"
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => startRename(doc)}
+                    disabled={renaming === doc.id}
+                    title="Rename"
+                    className="p-1.5 rounded text-gray-500 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(doc)}
+                    title="Delete from the server"
+                    className="p-1.5 rounded text-gray-500 hover:text-red-700 hover:bg-red-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MyDocuments;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { ScanText, Check, ChevronLeft, ChevronRight, X } from 'lucide-react';
+import ocrConfig from '../config/ocrConfig';
+
+const buttonClass = 'flex items-center space-x-1 px-2 py-1 rounded text-sm disabled:opacity-40 disabled:cursor-not-allowed';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+// The part of the scan a passage was read from, with a little context
+// around it, drawn from the page image as a CSS background.
+function ScanCrop({ page, box }) {
+  const margin = ocrConfig.cropMargin;
+  const left = Math.max(0, box.x - margin);
+  const top = Math.max(0, box.y - margin);
+  const width = Math.min(page.width, box.x + box.width + margin) - left;
+  const height = Math.min(page.height, box.y + box.height + margin) - top;
+  const scale = Math.min(2, ocrConfig.cropWidth / width);
+
+  return (
+    <div
+      role="img"
+      aria-label="Scan of this passage"
+      className="border border-gray-300 rounded bg-white"
+      style={{
+        width: width * scale,
+        height: height * scale,
+        backgroundImage: `url(${JSON.stringify(page.image)})`,
+        backgroundRepeat: 'no-repeat',
+        backgroundSize: `${page.width * scale}px ${page.height * scale}px`,
+        backgroundPosition: `${-left * scale}px ${-top * scale}px`
+      }}
+    />
+  );
+}
+
+// The passage being reviewed: its scan and the recognized text to confirm
+// or correct.
+function Passage({ item, page, onReview }) {
+  const [text, setText] = useState(item.text);
+  const Field = item.block ? 'textarea' : 'input';
+
+  return (
+    <div className="space-y-2">
+      {page && item.box ? (
+        <ScanCrop page={page} box={item.box} />
+      ) : (
+        <p className="text-xs text-gray-500">No scan is available for this passage.</p>
+      )}
+      <p className="text-xs text-gray-500">
+        Recognized with {percent(item.confidence)} confidence{item.reviewed ? ' · reviewed' : ''}
+      </p>
+      <Field
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !item.block) onReview(text);
+        }}
+        aria-label="Recognized text"
+        rows={item.block ? 3 : undefined}
+        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+      />
+      <button onClick={() => onReview(text)} className={`${buttonClass} w-full justify-center bg-indigo-600 text-white hover:bg-indigo-700`}>
+        <Check className="w-4 h-4" />
+        <span>{text === item.text ? 'Confirm' : 'Save correction'}</span>
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Review of recognized text (see src/utils/ocr.js): passages recognized with
+ * less confidence than the threshold are highlighted in the preview and
+ * shown one at a time next to the scan they were read from, to confirm or
+ * correct. `current` is the index of the passage under review, null while
+ * not reviewing.
+ */
+function OcrReview({ items, pages, threshold, current, disabled, onThresholdChange, onSelect, onReview, onClose }) {
+  const reviewed = items.filter(item => item.reviewed).length;
+  const position = items.findIndex(item => item.index === current);
+  const item = items[position];
+
+  const review = (text) => {
+    onReview(item.index, text);
+    // On to the next passage still to review, if any.
+    const next = [...items.slice(position + 1), ...items.slice(0, position)].find(candidate => !candidate.reviewed);
+    onSelect(next ? next.index : item.index);
+  };
+
+  const start = () => onSelect((items.find(candidate => !candidate.reviewed) || items[0]).index);
+
+  return (
+    <section aria-label="Text recognition review" className="bg-white rounded-lg shadow-lg p-4 space-y-3">
+      <h4 className="font-semibold flex items-center space-x-2">
+        <ScanText className="w-4 h-4" />
+        <span>Text Recognition</span>
+      </h4>
+      <label className="block text-sm">
+        <span className="flex justify-between text-gray-600">
+          <span>Review below</span>
+          <span>{percent(threshold)}</span>
+        </span>
+        <input
+          type="range"
+          min="0.5"
+          max="0.99"
+          step="0.01"
+          value={threshold}
+          onChange={(e) => onThresholdChange(Number(e.target.value))}
+          disabled={disabled}
+          aria-label="Confidence threshold"
+          className="w-full"
+        />
+      </label>
+      {items.length === 0 ? (
+        <p className="text-sm text-green-700">All text was recognized with at least {percent(threshold)} confidence.</p>
+      ) : (
+        <p className="text-sm" role="status">
+          {reviewed} of {items.length} uncertain {items.length === 1 ? 'passage' : 'passages'} reviewed
+        </p>
+      )}
+      {items.length > 0 && !item && (
+        <button onClick={start} disabled={disabled} className={`${buttonClass} w-full justify-center bg-amber-500 text-white hover:bg-amber-600`}>
+          <ScanText className="w-4 h-4" />
+          <span>{reviewed === 0 ? 'Review text' : 'Continue review'}</span>
+        </button>
+      )}
+      {item && (
+        <div className="border-t border-gray-100 pt-3 space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <button onClick={() => onSelect(items[position - 1].index)} disabled={position === 0} title="Previous passage" className="p-1 text-gray-600 hover:text-gray-900 disabled:opacity-30">
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-gray-700">Passage {position + 1} of {items.length}</span>
+            <button onClick={() => onSelect(items[position + 1].index)} disabled={position === items.length - 1} title="Next passage" className="p-1 text-gray-600 hover:text-gray-900 disabled:opacity-30">
+              <ChevronRight className="w-4 h-4" />
+            </button>
+            <button onClick={onClose} title="Stop reviewing" className="p-1 text-gray-500 hover:text-gray-800">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <Passage
+            key={`${item.index}:${item.text}`}
+            item={item}
+            page={item.box && pages.find(entry => entry.page === item.box.page)}
+            onReview={review}
+          />
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default OcrReview;
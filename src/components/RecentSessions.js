@@ -0,0 +1,54 @@
+import React from 'react';
+import { History, Trash2 } from 'lucide-react';
+
+const STEP_LABELS = { preview: 'Preview', edit: 'Editing' };
+
+// Saved sessions on the upload screen, newest first.
+function RecentSessions({ sessions, onResume, onDelete }) {
+  if (sessions.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3 flex items-center space-x-2">
+        <History className="w-4 h-4" />
+        <span>Recent documents</span>
+      </h4>
+      <ul className="divide-y">
+        {sessions.map(session => (
+          <li key={session.id} className="flex items-center justify-between py-2 text-sm">
+            <div className="min-w-0">
+              <p className="font-medium truncate">
+                {session.name}
+                {session.documentCount > 1 && (
+                  <span className="text-gray-500 font-normal"> + {session.documentCount - 1} more</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">
+                {new Date(session.updatedAt).toLocaleString()}
+                {' · '}{session.edits} {session.edits === 1 ? 'edit' : 'edits'}
+                {STEP_LABELS[session.step] && ` · ${STEP_LABELS[session.step]}`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+              <button
+                onClick={() => onResume(session.id)}
+                className="px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700"
+              >
+                Resume
+              </button>
+              <button
+                onClick={() => onDelete(session)}
+                title="Delete this session"
+                className="p-1.5 rounded text-gray-500 hover:text-red-700 hover:bg-red-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RecentSessions;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { EyeOff, Check, X, CheckCheck, TextSelect, Plus } from 'lucide-react';
+
+const buttonClass = 'flex items-center space-x-1 px-2 py-1 rounded disabled:opacity-40 disabled:cursor-not-allowed';
+const iconButtonClass = 'p-1 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Redaction bar above the Live Preview (see src/utils/redaction.js). Each
+ * suggestion is approved or rejected here or by clicking it in the preview;
+ * `states` maps suggestion keys to 'approved', 'rejected' or 'pending'.
+ * `terms` are the user's saved terms, always looked for.
+ */
+function RedactionPanel({ suggestions, states, terms, disabled, onDecide, onDecideAll, onRedactSelection, onAddTerm, onRemoveTerm, onApply, onClose }) {
+  const [term, setTerm] = useState('');
+  const approved = suggestions.filter(suggestion => states[suggestion.key] === 'approved').length;
+
+  const addTerm = (event) => {
+    event.preventDefault();
+    if (!term.trim()) return;
+    onAddTerm(term.trim());
+    setTerm('');
+  };
+
+  return (
+    <section
+      aria-label="Redaction"
+      onKeyDown={(e) => { if (e.key === 'Escape') onClose(); }}
+      className="mb-3 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-sm space-y-2"
+    >
+      <div className="flex items-center space-x-2">
+        <EyeOff className="w-4 h-4 text-gray-500 flex-shrink-0" />
+        <span className="font-medium">Redact personal data</span>
+        <span className="flex-1 text-xs text-gray-500" role="status">
+          {suggestions.length === 0
+            ? 'Nothing found'
+            : `${suggestions.length} found, ${approved} approved`}
+        </span>
+        <button onClick={() => onDecideAll('approved')} disabled={suggestions.length === 0} title="Approve all suggestions" className={iconButtonClass}>
+          <CheckCheck className="w-4 h-4" />
+        </button>
+        <button onClick={onClose} title="Close (Esc)" className={iconButtonClass}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {suggestions.length > 0 && (
+        <ul aria-label="Redaction suggestions" className="max-h-48 overflow-y-auto divide-y divide-gray-200 bg-white border border-gray-200 rounded">
+          {suggestions.map(suggestion => {
+            const state = states[suggestion.key];
+            return (
+              <li key={suggestion.key} className={`flex items-center space-x-2 px-2 py-1 ${state === 'rejected' ? 'opacity-50' : ''}`}>
+                <span className="w-28 flex-shrink-0 text-xs text-gray-500">{suggestion.label}</span>
+                <span className="flex-1 min-w-0 truncate text-gray-500" title={`${suggestion.before}${suggestion.text}${suggestion.after}`}>
+                  {suggestion.before.slice(-15)}
+                  <mark className={state === 'approved' ? 'bg-gray-800 text-white' : 'bg-amber-200'}>{suggestion.text}</mark>
+                  {suggestion.after.slice(0, 15)}
+                </span>
+                <button
+                  onClick={() => onDecide(suggestion.key, state === 'approved' ? 'pending' : 'approved')}
+                  aria-pressed={state === 'approved'}
+                  title={`Redact "${suggestion.text}"`}
+                  className={`p-1 rounded ${state === 'approved' ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-200'}`}
+                >
+                  <Check className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onDecide(suggestion.key, state === 'rejected' ? 'pending' : 'rejected')}
+                  aria-pressed={state === 'rejected'}
+                  title={`Keep "${suggestion.text}"`}
+                  className={`p-1 rounded ${state === 'rejected' ? 'bg-gray-300 text-gray-800' : 'text-gray-600 hover:bg-gray-200'}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onRedactSelection}
+          title="Select text in the preview, then click here to redact it"
+          className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100`}
+        >
+          <TextSelect className="w-4 h-4" />
+          <span>Redact selection</span>
+        </button>
+        <form onSubmit={addTerm} className="flex flex-1 items-center space-x-1 min-w-[12rem]">
+          <input
+            type="text"
+            value={term}
+            onChange={(e) => setTerm(e.target.value)}
+            placeholder="Always redact, e.g. a client name"
+            aria-label="Term to redact"
+            className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+          <button type="submit" disabled={!term.trim()} title="Add term" className={iconButtonClass}>
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+      {terms.length > 0 && (
+        <ul aria-label="Saved terms" className="flex flex-wrap gap-1">
+          {terms.map(saved => (
+            <li key={saved} className="flex items-center space-x-1 bg-white border border-gray-300 rounded-full pl-2 pr-1 text-xs">
+              <span>{saved}</span>
+              <button onClick={() => onRemoveTerm(saved)} title={`Stop redacting "${saved}"`} className="text-gray-500 hover:text-red-600">
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-gray-500">Redacted text is removed from the document and its history, and listed by type in a redaction log.</p>
+        <button
+          onClick={onApply}
+          disabled={disabled || approved === 0}
+          className={`${buttonClass} flex-shrink-0 bg-gray-900 text-white hover:bg-black`}
+        >
+          <EyeOff className="w-4 h-4" />
+          <span>Apply {approved} {approved === 1 ? 'redaction' : 'redactions'}</span>
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default RedactionPanel;
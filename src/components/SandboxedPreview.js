@@ -0,0 +1,129 @@
+import React, { useEffect, useRef } from 'react';
+
+export const EMPTY_PREVIEW_HTML = '<p style="color: #999; text-align: center; padding: 40px;">No content to display</p>';
+
+const BASE_STYLES = `
+  body {
+    margin: 0;
+    padding: 16px;
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    color: #111827;
+    background-color: #f9fafb;
+    overflow-wrap: break-word;
+  }
+  img { max-width: 100%; height: auto; }
+  /* Blocks off screen skip layout and paint, which keeps long documents responsive. */
+  body > * { content-visibility: auto; contain-intrinsic-size: auto 3em; }
+  /* Source pages (see src/utils/documentStructure.js), marked without adding
+     elements so element paths into the preview stay those of the document. */
+  [data-page] { display: block; border-top: 1px dashed #d1d5db; margin-top: 24px; contain-intrinsic-size: auto 60em; }
+  [data-page]::before {
+    content: "Page " attr(data-page);
+    display: block;
+    margin: 4px 0 12px;
+    font: 11px/1.4 system-ui, sans-serif;
+    color: #9ca3af;
+    text-align: end;
+  }
+  body > [data-page]:first-child { margin-top: 0; }
+`;
+
+// Scripts are blocked twice: the iframe has no `allow-scripts` and the
+// document carries a CSP that forbids them.
+const CSP = "default-src 'none'; img-src * data: blob:; style-src 'unsafe-inline' *; font-src * data:";
+
+const attribute = (name, value) => (value ? ` ${name}="${String(value).replace(/[&"<>]/g, '')}"` : '');
+
+const buildDocument = (html, styles, lang, dir) => `<!DOCTYPE html>
+<html${attribute('lang', lang)}${attribute('dir', dir)}>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${CSP}">
+<style>${BASE_STYLES}${styles || ''}</style>
+</head>
+<body>${html || EMPTY_PREVIEW_HTML}</body>
+</html>`;
+
+// Events on the frame's document that `listeners` can subscribe to.
+const FORWARDED_EVENTS = ['click', 'mouseup', 'keydown', 'input', 'paste', 'scroll'];
+
+// Brings the frame's body in line with `html` by replacing only the top-level
+// nodes between the unchanged ones at the start and the end, so an edit to
+// one paragraph of a long document doesn't re-render all of it.
+const patchBody = (doc, html) => {
+  const template = doc.createElement('template');
+  template.innerHTML = html || EMPTY_PREVIEW_HTML;
+  const next = Array.from(template.content.childNodes);
+  const current = Array.from(doc.body.childNodes);
+
+  let start = 0;
+  while (start < next.length && start < current.length && current[start].isEqualNode(next[start])) start++;
+  let end = 0;
+  while (
+    end < next.length - start && end < current.length - start
+    && current[current.length - 1 - end].isEqualNode(next[next.length - 1 - end])
+  ) end++;
+
+  current.slice(start, current.length - end).forEach(node => node.remove());
+  const fragment = doc.createDocumentFragment();
+  next.slice(start, next.length - end).forEach(node => fragment.appendChild(node));
+  doc.body.insertBefore(fragment, current[current.length - end] || null);
+};
+
+/**
+ * Renders document HTML inside a sandboxed iframe so nothing in it can run
+ * in our origin. `allow-same-origin` lets the editor reach into the frame
+ * (`onReady` receives its document after every render) while scripts stay
+ * disabled. `listeners` maps event names (see FORWARDED_EVENTS) to handlers
+ * delegated from the frame's document. `lang` and `dir` set the language and
+ * writing direction of the content. The frame is written once per `styles`,
+ * `lang` and `dir`; later `html` changes are patched into its body.
+ */
+function SandboxedPreview({ html, styles, lang, dir, className = '', title = 'Document preview', onReady, listeners }) {
+  const frameRef = useRef(null);
+  const onReadyRef = useRef(onReady);
+  const listenersRef = useRef(listeners);
+  // The frame document and what it was last written with.
+  const writtenRef = useRef(null);
+  onReadyRef.current = onReady;
+  listenersRef.current = listeners;
+
+  useEffect(() => {
+    const doc = frameRef.current?.contentDocument;
+    if (!doc) return;
+
+    const written = writtenRef.current;
+    const setup = [styles, lang, dir].join('\n');
+    if (written?.doc === doc && written.setup === setup && doc.body) {
+      patchBody(doc, html);
+      onReadyRef.current?.(doc);
+      return;
+    }
+
+    const scroller = doc.scrollingElement || doc.documentElement;
+    const scrollTop = scroller ? scroller.scrollTop : 0;
+
+    doc.open();
+    doc.write(buildDocument(html, styles, lang, dir));
+    doc.close();
+
+    // document.open() drops all listeners, so they are attached again here.
+    FORWARDED_EVENTS.forEach(type => {
+      doc.addEventListener(type, (event) => listenersRef.current?.[type]?.(event));
+    });
+    if (doc.scrollingElement) doc.scrollingElement.scrollTop = scrollTop;
+    writtenRef.current = { doc, setup };
+    onReadyRef.current?.(doc);
+  }, [html, styles, lang, dir]);
+
+  return (
+    <iframe
+      ref={frameRef}
+      title={title}
+      sandbox="allow-same-origin"
+      className={`w-full bg-gray-50 ${className}`}
+    />
+  );
+}
+
+export default SandboxedPreview;
@@ -0,0 +1,270 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Search, Replace, WandSparkles, AlertCircle, AlertTriangle } from 'lucide-react';
+import { highlightHtml, validateHtml, formatHtml } from '../utils/htmlSource';
+
+const COMMIT_DELAY = 500;
+
+// Shared by the highlighted layer and the textarea on top of it: any
+// difference in font, padding or wrapping puts the caret out of step.
+const LAYER_CLASSES = 'absolute inset-0 m-0 p-2 font-mono text-xs leading-5 whitespace-pre overflow-auto';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const lineOffset = (text, line) => {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) break;
+    offset = next + 1;
+  }
+  return offset;
+};
+
+/**
+ * Raw HTML/CSS editor for the document. Edits are passed to `onChange` once
+ * typing pauses; it may return the HTML it actually stored (e.g. sanitized),
+ * which then isn't treated as an outside change. `value` changes made
+ * elsewhere (undo, AI edits) replace the draft. Markup problems in the draft
+ * are listed below the editor and passed to `onIssuesChange`.
+ */
+function SourceEditor({ value, onChange, onIssuesChange }) {
+  const [draft, setDraft] = useState(value);
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [useRegex, setUseRegex] = useState(false);
+  const [searchMessage, setSearchMessage] = useState(null);
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const gutterRef = useRef(null);
+  // The last HTML this editor produced or accepted, so its own changes
+  // coming back through `value` don't overwrite what is being typed.
+  const syncedRef = useRef(value);
+
+  useEffect(() => {
+    if (value === syncedRef.current) return;
+    syncedRef.current = value;
+    setDraft(value);
+  }, [value]);
+
+  useEffect(() => {
+    if (draft === syncedRef.current) return undefined;
+    const timer = setTimeout(() => {
+      syncedRef.current = onChange(draft) ?? draft;
+    }, COMMIT_DELAY);
+    return () => clearTimeout(timer);
+  }, [draft, onChange]);
+
+  const issues = useMemo(() => validateHtml(draft), [draft]);
+  const highlighted = useMemo(() => highlightHtml(draft), [draft]);
+  const lineCount = useMemo(() => draft.split('\n').length, [draft]);
+  const issueLines = useMemo(
+    () => new Set(issues.filter(issue => issue.severity === 'error').map(issue => issue.line)),
+    [issues]
+  );
+
+  useEffect(() => {
+    onIssuesChange?.(issues);
+  }, [issues, onIssuesChange]);
+
+  const syncScroll = () => {
+    const { scrollTop, scrollLeft } = textareaRef.current;
+    highlightRef.current.scrollTop = scrollTop;
+    highlightRef.current.scrollLeft = scrollLeft;
+    gutterRef.current.scrollTop = scrollTop;
+  };
+
+  const select = (start, end) => {
+    const textarea = textareaRef.current;
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+  };
+
+  const goToLine = (line) => {
+    const start = lineOffset(draft, line);
+    const end = draft.indexOf('\n', start);
+    select(start, end === -1 ? draft.length : end);
+  };
+
+  const buildPattern = () => {
+    if (!query) return null;
+    try {
+      return new RegExp(useRegex ? query : escapeRegExp(query), matchCase ? 'g' : 'gi');
+    } catch (err) {
+      setSearchMessage(`Invalid pattern: ${err.message}`);
+      return null;
+    }
+  };
+
+  const findFrom = (text, pattern, from) => {
+    pattern.lastIndex = from;
+    let match = pattern.exec(text);
+    if (!match && from > 0) {
+      pattern.lastIndex = 0;
+      match = pattern.exec(text);
+    }
+    // Empty matches (e.g. /x*/) can't be selected or stepped through.
+    return match && match[0] ? match : null;
+  };
+
+  const findNext = (text = draft, from = textareaRef.current.selectionEnd) => {
+    const pattern = buildPattern();
+    if (!pattern) return;
+    const match = findFrom(text, pattern, from);
+    if (!match) {
+      setSearchMessage('No matches');
+      return;
+    }
+    setSearchMessage(null);
+    select(match.index, match.index + match[0].length);
+  };
+
+  const replaceOne = () => {
+    const pattern = buildPattern();
+    if (!pattern) return;
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const match = findFrom(draft, pattern, selectionStart);
+    if (!match || match.index !== selectionStart || match.index + match[0].length !== selectionEnd) {
+      findNext();
+      return;
+    }
+    const replaced = match[0].replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement);
+    const next = draft.slice(0, selectionStart) + replaced + draft.slice(selectionEnd);
+    setDraft(next);
+    // Let the textarea render the new value before moving the selection.
+    requestAnimationFrame(() => findNext(next, selectionStart + replaced.length));
+  };
+
+  const replaceAll = () => {
+    const pattern = buildPattern();
+    if (!pattern) return;
+    let count = 0;
+    const next = draft.replace(pattern, (...args) => {
+      if (!args[0]) return args[0];
+      count += 1;
+      return args[0].replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement);
+    });
+    setSearchMessage(count ? `Replaced ${count} ${count === 1 ? 'match' : 'matches'}` : 'No matches');
+    if (count) setDraft(next);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Tab' && !event.shiftKey) {
+      event.preventDefault();
+      const { selectionStart, selectionEnd } = event.target;
+      setDraft(draft.slice(0, selectionStart) + '  ' + draft.slice(selectionEnd));
+      requestAnimationFrame(() => select(selectionStart + 2, selectionStart + 2));
+    } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f') {
+      event.preventDefault();
+      window.document.getElementById('source-search')?.focus();
+    }
+  };
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  return (
+    <div className="mb-3 border rounded-lg overflow-hidden">
+      <div className="flex flex-wrap items-center gap-2 bg-gray-50 border-b px-2 py-1 text-sm">
+        <Search className="w-4 h-4 text-gray-500" />
+        <input
+          id="source-search"
+          value={query}
+          onChange={(e) => { setQuery(e.target.value); setSearchMessage(null); }}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); findNext(); } }}
+          placeholder="Find"
+          className="w-36 px-2 py-0.5 border border-gray-300 rounded"
+        />
+        <Replace className="w-4 h-4 text-gray-500" />
+        <input
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          placeholder="Replace"
+          className="w-36 px-2 py-0.5 border border-gray-300 rounded"
+        />
+        <label className="flex items-center space-x-1" title="Match case">
+          <input type="checkbox" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />
+          <span>Aa</span>
+        </label>
+        <label className="flex items-center space-x-1" title="Regular expression">
+          <input type="checkbox" checked={useRegex} onChange={(e) => setUseRegex(e.target.checked)} />
+          <span className="font-mono">.*</span>
+        </label>
+        <button onClick={() => findNext()} className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">Next</button>
+        <button onClick={replaceOne} className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">Replace</button>
+        <button onClick={replaceAll} className="px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300">Replace all</button>
+        {searchMessage && <span className="text-gray-500">{searchMessage}</span>}
+        <button
+          onClick={() => setDraft(formatHtml(draft))}
+          title="Re-indent the source"
+          className="ml-auto flex items-center space-x-1 px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300"
+        >
+          <WandSparkles className="w-4 h-4" />
+          <span>Format</span>
+        </button>
+      </div>
+
+      <div className="flex h-80">
+        <div
+          ref={gutterRef}
+          aria-hidden="true"
+          className="w-12 flex-shrink-0 overflow-hidden bg-gray-50 border-r py-2 text-right font-mono text-xs leading-5 text-gray-400 select-none"
+        >
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index} className={`pr-2 ${issueLines.has(index + 1) ? 'bg-red-100 text-red-700' : ''}`}>
+              {index + 1}
+            </div>
+          ))}
+          {/* Room for the textarea's horizontal scrollbar. */}
+          <div className="h-4" />
+        </div>
+        <div className="relative flex-1 min-w-0">
+          <pre
+            ref={highlightRef}
+            aria-hidden="true"
+            className={`${LAYER_CLASSES} text-gray-800 pointer-events-none`}
+            // highlightHtml escapes every piece of the source.
+            dangerouslySetInnerHTML={{ __html: `${highlighted}\n` }}
+          />
+          <textarea
+            ref={textareaRef}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onScroll={syncScroll}
+            onKeyDown={handleKeyDown}
+            wrap="off"
+            spellCheck={false}
+            aria-label="HTML source"
+            className={`${LAYER_CLASSES} w-full h-full resize-none bg-transparent text-transparent caret-gray-900 focus:outline-none`}
+          />
+        </div>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="max-h-28 overflow-y-auto border-t bg-white text-sm">
+          <div className="px-3 py-1 text-gray-600 bg-gray-50">
+            {errorCount > 0
+              ? `${errorCount} ${errorCount === 1 ? 'error' : 'errors'} — fix them before downloading`
+              : `${issues.length} ${issues.length === 1 ? 'warning' : 'warnings'}`}
+          </div>
+          {issues.map((issue, index) => (
+            <button
+              key={index}
+              onClick={() => goToLine(issue.line)}
+              className="w-full flex items-start space-x-2 px-3 py-1 text-left hover:bg-gray-50"
+            >
+              {issue.severity === 'error'
+                ? <AlertCircle className="w-4 h-4 mt-0.5 text-red-600 flex-shrink-0" />
+                : <AlertTriangle className="w-4 h-4 mt-0.5 text-amber-600 flex-shrink-0" />}
+              <span className="font-mono text-xs text-gray-500 mt-0.5 flex-shrink-0">
+                {issue.line}:{issue.column}
+              </span>
+              <span>{issue.message}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SourceEditor;
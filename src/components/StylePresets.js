@@ -0,0 +1,291 @@
+import React, { useRef, useState } from 'react';
+import { Palette, Check, X, SlidersHorizontal, Download, Upload, Trash2, Eraser } from 'lucide-react';
+import {
+  BUILT_IN_PRESETS, PRESET_FIELDS, normalizePreset, copyPreset, serializePresets, parsePresets
+} from '../utils/stylePresets';
+import { loadCustomPresets, saveCustomPresets, mergePresets } from '../services/presetStore';
+
+const fieldClass = 'w-full text-sm border border-gray-300 rounded px-2 py-1';
+
+const readText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const fileName = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme'}.preset.json`;
+
+const jsonBlob = (presets) => new Blob([serializePresets(presets)], { type: 'application/json' });
+
+function Swatch({ styles }) {
+  return (
+    <span
+      aria-hidden="true"
+      className="flex-shrink-0 w-8 h-8 rounded border border-gray-200 flex flex-col overflow-hidden"
+      style={{ backgroundColor: styles.backgroundColor }}
+    >
+      <span className="h-2" style={{ backgroundColor: styles.accentColor }} />
+      <span className="flex-1 flex items-center justify-center text-xs font-bold" style={{ color: styles.headingColor, fontFamily: styles.headingFontFamily }}>
+        Aa
+      </span>
+    </span>
+  );
+}
+
+// One control per entry in PRESET_FIELDS.
+function PresetField({ field, value, onChange }) {
+  const label = <span className="text-gray-600">{field.label}</span>;
+  switch (field.type) {
+    case 'number':
+      return (
+        <label className="block">
+          {label}
+          <input type="number" min={field.min} max={field.max} step={field.step} value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass} />
+        </label>
+      );
+    case 'color':
+      return (
+        <label className="flex items-center justify-between">
+          {label}
+          <input type="color" value={value} onChange={(e) => onChange(e.target.value)} className="w-10 h-6 border border-gray-300 rounded" />
+        </label>
+      );
+    case 'select':
+      return (
+        <label className="block">
+          {label}
+          <select value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass}>
+            {Object.entries(field.options).map(([key, text]) => <option key={key} value={key}>{text}</option>)}
+          </select>
+        </label>
+      );
+    case 'boolean':
+      return (
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />
+          {label}
+        </label>
+      );
+    default:
+      return (
+        <label className="block">
+          {label}
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={field.type === 'text' ? 'Use {title} and {date}' : undefined}
+            className={fieldClass}
+          />
+        </label>
+      );
+  }
+}
+
+/**
+ * The Themes card: built-in and custom style presets. Choosing one previews
+ * it through `onPreview(preset)` (null ends the preview) until it's applied
+ * with `onApply(preset)`. Custom presets are edited with a live preview,
+ * kept in local storage and shared as JSON files through `onDownload`.
+ */
+function StylePresets({ appliedId, previewing, disabled, onPreview, onApply, onRemove, onDownload }) {
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const [draft, setDraft] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const editing = draft && previewing?.id === draft.id ? draft : null;
+  const isCustom = (preset) => customPresets.some(custom => custom.id === preset.id);
+
+  const updateCustomPresets = (next) => {
+    setCustomPresets(next);
+    saveCustomPresets(next);
+  };
+
+  const previewDraft = (next) => {
+    setDraft(next);
+    onPreview(normalizePreset({ ...next, name: next.name.trim() || 'Untitled theme' }));
+  };
+
+  const startEditing = (preset) => {
+    setMessage(null);
+    previewDraft(isCustom(preset) ? { ...preset, styles: { ...preset.styles } } : copyPreset(preset, `${preset.name} (custom)`));
+  };
+
+  const saveDraft = () => {
+    const saved = normalizePreset(editing);
+    updateCustomPresets(mergePresets(customPresets, [saved]));
+    setDraft(null);
+    onPreview(saved);
+  };
+
+  const deletePreset = (preset) => {
+    updateCustomPresets(customPresets.filter(custom => custom.id !== preset.id));
+    onPreview(null);
+  };
+
+  const importPresets = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parsePresets(await readText(file));
+      updateCustomPresets(mergePresets(customPresets, imported));
+      setMessage({ error: false, text: `Imported ${imported.length} ${imported.length === 1 ? 'theme' : 'themes'}.` });
+    } catch (err) {
+      setMessage({ error: true, text: `Couldn't import ${file.name}: ${err.message}` });
+    }
+  };
+
+  const renderRow = (preset) => {
+    const selected = previewing?.id === preset.id;
+    return (
+      <li key={preset.id}>
+        <button
+          onClick={() => onPreview(selected ? null : preset)}
+          disabled={disabled}
+          aria-pressed={selected}
+          className={`w-full flex items-center space-x-3 p-2 rounded-lg text-left border disabled:opacity-50 ${selected ? 'border-indigo-300 bg-indigo-50' : 'border-transparent hover:bg-gray-50'}`}
+        >
+          <Swatch styles={preset.styles} />
+          <span className="min-w-0 flex-1">
+            <span className="flex items-center space-x-2">
+              <span className="font-medium text-sm truncate">{preset.name}</span>
+              {appliedId === preset.id && (
+                <span className="text-xs px-1.5 rounded bg-green-100 text-green-700">Applied</span>
+              )}
+            </span>
+            {preset.description && <span className="block text-xs text-gray-500 truncate">{preset.description}</span>}
+          </span>
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <h4 className="font-semibold mb-3 flex items-center space-x-2">
+        <Palette className="w-4 h-4" />
+        <span>Themes</span>
+      </h4>
+
+      <ul className="space-y-1">
+        {BUILT_IN_PRESETS.map(renderRow)}
+        {customPresets.length > 0 && (
+          <li className="pt-2 text-xs font-medium text-gray-500 uppercase tracking-wide">Custom</li>
+        )}
+        {customPresets.map(renderRow)}
+      </ul>
+
+      {editing && (
+        <div className="mt-3 p-3 space-y-2 text-sm bg-gray-50 rounded-lg">
+          <label className="block">
+            <span className="text-gray-600">Name</span>
+            <input type="text" value={editing.name} onChange={(e) => previewDraft({ ...editing, name: e.target.value })} className={fieldClass} />
+          </label>
+          {PRESET_FIELDS.map(field => (
+            <PresetField
+              key={field.key}
+              field={field}
+              value={editing.styles[field.key]}
+              onChange={(value) => previewDraft({ ...editing, styles: { ...editing.styles, [field.key]: value } })}
+            />
+          ))}
+          <div className="flex space-x-2 pt-1">
+            <button
+              onClick={saveDraft}
+              disabled={!editing.name.trim()}
+              className="flex-1 flex items-center justify-center space-x-1 bg-indigo-600 text-white px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              <span>Save theme</span>
+            </button>
+            <button
+              onClick={() => {
+                setDraft(null);
+                onPreview(null);
+              }}
+              className="flex-1 flex items-center justify-center space-x-1 bg-gray-200 text-gray-700 px-3 py-1.5 rounded hover:bg-gray-300"
+            >
+              <X className="w-4 h-4" />
+              <span>Discard</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {previewing && !editing && (
+        <div className="mt-3 p-3 text-sm bg-indigo-50 rounded-lg">
+          <p className="text-indigo-800 mb-2">Previewing “{previewing.name}”</p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onApply(previewing)}
+              disabled={disabled}
+              className="flex-1 flex items-center justify-center space-x-1 bg-indigo-600 text-white px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              <span>Apply theme</span>
+            </button>
+            <button
+              onClick={() => onPreview(null)}
+              className="flex-1 flex items-center justify-center space-x-1 bg-white text-gray-700 px-3 py-1.5 rounded border border-gray-300 hover:bg-gray-50"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          </div>
+          <div className="flex items-center space-x-3 mt-2 text-xs">
+            <button onClick={() => startEditing(previewing)} className="flex items-center space-x-1 text-indigo-700 hover:text-indigo-900">
+              <SlidersHorizontal className="w-3 h-3" />
+              <span>{isCustom(previewing) ? 'Edit' : 'Customize'}</span>
+            </button>
+            {isCustom(previewing) && (
+              <>
+                <button
+                  onClick={() => onDownload(jsonBlob([previewing]), fileName(previewing.name))}
+                  className="flex items-center space-x-1 text-indigo-700 hover:text-indigo-900"
+                >
+                  <Download className="w-3 h-3" />
+                  <span>Share</span>
+                </button>
+                <button onClick={() => deletePreset(previewing)} className="flex items-center space-x-1 text-red-600 hover:text-red-800">
+                  <Trash2 className="w-3 h-3" />
+                  <span>Delete</span>
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-xs">
+        <button onClick={() => fileInputRef.current?.click()} className="flex items-center space-x-1 text-gray-600 hover:text-gray-800">
+          <Upload className="w-3 h-3" />
+          <span>Import JSON</span>
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={importPresets} className="hidden" />
+        {customPresets.length > 0 && (
+          <button
+            onClick={() => onDownload(jsonBlob(customPresets), 'style-presets.json')}
+            className="flex items-center space-x-1 text-gray-600 hover:text-gray-800"
+          >
+            <Download className="w-3 h-3" />
+            <span>Export custom themes</span>
+          </button>
+        )}
+        {appliedId && (
+          <button onClick={onRemove} disabled={disabled} className="flex items-center space-x-1 text-gray-600 hover:text-gray-800 disabled:opacity-50">
+            <Eraser className="w-3 h-3" />
+            <span>Remove theme</span>
+          </button>
+        )}
+      </div>
+      {message && (
+        <p className={`text-xs mt-2 ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+export default StylePresets;
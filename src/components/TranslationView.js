@@ -0,0 +1,262 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Languages, Loader2, X, RotateCcw, PenLine, Download, RefreshCw } from 'lucide-react';
+import translationConfig from '../config/translationConfig';
+import { EXPORT_FORMATS } from '../services/exporter';
+import { markSegments, languageDirection, languageName } from '../utils/translation';
+import SandboxedPreview from './SandboxedPreview';
+import { SEGMENT_STYLES, segmentStateStyles } from './previewStyles';
+
+const STATUS_TEXT = {
+  done: 'Translated',
+  failed: 'Stopped at a failed batch',
+  cancelled: 'Cancelled'
+};
+
+const buttonClass = 'flex items-center space-x-1 px-3 py-1 rounded text-sm disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Where `doc` is scrolled to, as the segment at the top of its viewport and
+// how far into that segment; null above the first segment.
+const scrollAnchor = (doc) => {
+  for (const segment of doc.querySelectorAll('[data-segment]')) {
+    const rect = segment.getBoundingClientRect();
+    if (rect.bottom > 0) {
+      return { index: segment.getAttribute('data-segment'), offset: rect.height ? Math.max(0, -rect.top) / rect.height : 0 };
+    }
+  }
+  return null;
+};
+
+/**
+ * The original and its translation side by side. Both panes are split into
+ * the same segments (src/utils/translation.js), kept level while scrolling;
+ * clicking a segment selects it in both for re-translating or editing.
+ * `translation` is `{ source, segments, target, translations, status, error,
+ * running }`, where `running` lists the segments being translated.
+ */
+function TranslationView({ translation, sourceLanguage, stale, busy, onTargetChange, onStart, onCancel, onUpdate, onRetranslate, onEditSegment, onDownload, onClose }) {
+  const { source, segments, target, translations, status, error, running } = translation;
+  const [selected, setSelected] = useState(null);
+  const [guidance, setGuidance] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [format, setFormat] = useState('html');
+  const [syncScroll, setSyncScroll] = useState(true);
+  const docsRef = useRef({});
+  // The pane a programmatic scroll was applied to, so its own scroll event
+  // isn't mirrored back.
+  const echoRef = useRef(null);
+
+  const originalHtml = useMemo(() => markSegments(source), [source]);
+  const translatedHtml = useMemo(() => markSegments(source, translations), [source, translations]);
+  const translatedCount = segments.filter((_, index) => translations[index] != null).length;
+  const complete = segments.length > 0 && translatedCount === segments.length;
+  const isRunning = status === 'running';
+  const styles = `${SEGMENT_STYLES}${segmentStateStyles(selected, running)}`;
+
+  const mirrorScroll = (from, to) => {
+    if (echoRef.current === from) {
+      echoRef.current = null;
+      return;
+    }
+    const fromDoc = docsRef.current[from];
+    const toDoc = docsRef.current[to];
+    if (!syncScroll || !fromDoc || !toDoc?.scrollingElement) return;
+    const anchor = scrollAnchor(fromDoc);
+    const rect = anchor && toDoc.querySelector(`[data-segment="${anchor.index}"]`)?.getBoundingClientRect();
+    const top = rect
+      ? rect.top + toDoc.scrollingElement.scrollTop + anchor.offset * rect.height
+      : fromDoc.scrollingElement.scrollTop;
+    if (Math.abs(toDoc.scrollingElement.scrollTop - top) < 1) return;
+    echoRef.current = to;
+    toDoc.scrollingElement.scrollTop = top;
+  };
+
+  const selectSegment = (event) => {
+    const segment = event.target.closest?.('[data-segment]');
+    if (!segment) return;
+    const index = Number(segment.getAttribute('data-segment'));
+    setSelected(index);
+    setEditing(null);
+  };
+
+  const pane = (name, other) => ({
+    onReady: (doc) => { docsRef.current[name] = doc; },
+    listeners: { click: selectSegment, scroll: () => mirrorScroll(name, other) }
+  });
+
+  const startEditing = () => setEditing(translations[selected] ?? segments[selected]);
+
+  const saveEdit = () => {
+    onEditSegment(selected, editing);
+    setEditing(null);
+  };
+
+  const progress = isRunning
+    ? `Translating… ${translatedCount} of ${segments.length} segments`
+    : STATUS_TEXT[status] && `${STATUS_TEXT[status]} · ${translatedCount} of ${segments.length} segments`;
+
+  return (
+    <section aria-label="Bilingual view" className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Languages className="w-4 h-4 text-gray-600" />
+          <span>{languageName(sourceLanguage)}</span>
+          <span className="text-gray-500">→</span>
+          <select
+            value={target}
+            onChange={(e) => onTargetChange(e.target.value)}
+            disabled={isRunning}
+            aria-label="Target language"
+            className="text-sm border border-gray-300 rounded px-2 py-1"
+          >
+            {translationConfig.languages.map(language => (
+              <option key={language.code} value={language.code}>{language.name}</option>
+            ))}
+          </select>
+          {isRunning ? (
+            <button onClick={onCancel} className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}>
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          ) : !complete && (
+            <button onClick={onStart} disabled={busy || segments.length === 0} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+              {translatedCount > 0 ? <RotateCcw className="w-4 h-4" /> : <Languages className="w-4 h-4" />}
+              <span>{translatedCount > 0 ? 'Translate the rest' : 'Translate'}</span>
+            </button>
+          )}
+          {isRunning && <Loader2 className="w-4 h-4 text-indigo-600 animate-spin" />}
+          {progress && <span className="text-xs text-gray-500" role="status">{progress}</span>}
+        </div>
+        <div className="flex items-center space-x-2 text-sm">
+          <label className="flex items-center space-x-1 text-gray-600">
+            <input type="checkbox" checked={syncScroll} onChange={(e) => setSyncScroll(e.target.checked)} />
+            <span>Sync scrolling</span>
+          </label>
+          <button onClick={onClose} title="Close translation" className="p-1 text-gray-500 hover:text-gray-800">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      {segments.length === 0 && <p className="text-sm text-gray-500">This document has no text to translate.</p>}
+      {stale && (
+        <div className="flex flex-wrap items-center justify-between gap-2 text-sm bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <span className="text-amber-800">The document has changed since this translation was made.</span>
+          <button onClick={onUpdate} disabled={isRunning || busy} className="flex items-center space-x-1 text-amber-800 hover:text-amber-900 disabled:opacity-40">
+            <RefreshCw className="w-4 h-4" />
+            <span>Update translation</span>
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <p className="text-xs font-medium text-gray-500 mb-1">Original · {languageName(sourceLanguage)}</p>
+          <SandboxedPreview
+            title="Original"
+            html={originalHtml}
+            styles={styles}
+            lang={sourceLanguage}
+            dir={languageDirection(sourceLanguage)}
+            {...pane('original', 'translation')}
+            className="h-[36rem] border rounded-lg"
+          />
+        </div>
+        <div>
+          <p className="text-xs font-medium text-gray-500 mb-1">Translation · {languageName(target)}</p>
+          <SandboxedPreview
+            title="Translation"
+            html={translatedHtml}
+            styles={styles}
+            lang={target}
+            dir={languageDirection(target)}
+            {...pane('translation', 'original')}
+            className="h-[36rem] border rounded-lg"
+          />
+        </div>
+      </div>
+
+      {selected !== null && selected < segments.length && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 text-sm space-y-2" aria-label="Selected segment" role="group">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">Segment {selected + 1} of {segments.length}</span>
+            <button onClick={() => setSelected(null)} title="Deselect" className="p-1 text-gray-500 hover:text-gray-800">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {editing === null ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={guidance}
+                onChange={(e) => setGuidance(e.target.value)}
+                placeholder="Guidance, e.g. keep it formal (optional)"
+                aria-label="Guidance"
+                className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1"
+              />
+              <button
+                onClick={() => onRetranslate(selected, guidance.trim())}
+                disabled={busy || running.includes(selected)}
+                className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}
+              >
+                <RotateCcw className="w-4 h-4" />
+                <span>Re-translate</span>
+              </button>
+              <button onClick={startEditing} disabled={running.includes(selected)} className={`${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100`}>
+                <PenLine className="w-4 h-4" />
+                <span>Edit</span>
+              </button>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <textarea
+                value={editing}
+                onChange={(e) => setEditing(e.target.value)}
+                aria-label="Translated HTML"
+                dir={languageDirection(target)}
+                rows={4}
+                className="w-full font-mono text-xs border border-gray-300 rounded px-2 py-1"
+              />
+              <div className="flex space-x-2">
+                <button onClick={saveEdit} disabled={!editing.trim()} className={`${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700`}>
+                  Save
+                </button>
+                <button onClick={() => setEditing(null)} className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm" role="group" aria-label="Download translation">
+        <Download className="w-4 h-4 text-gray-600" />
+        <select value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Format" className="border border-gray-300 rounded px-2 py-1">
+          {Object.entries(EXPORT_FORMATS).map(([key, spec]) => <option key={key} value={key}>{spec.label}</option>)}
+        </select>
+        <button onClick={() => onDownload('original', format)} disabled={busy} className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}>
+          {languageName(sourceLanguage)}
+        </button>
+        <button
+          onClick={() => onDownload('translation', format)}
+          disabled={busy || !complete}
+          title={complete ? undefined : 'Translate every segment first'}
+          className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+        >
+          {languageName(target)}
+        </button>
+        <button
+          onClick={() => onDownload('bilingual', format)}
+          disabled={busy || !complete}
+          title={complete ? undefined : 'Translate every segment first'}
+          className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+        >
+          Bilingual
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default TranslationView;
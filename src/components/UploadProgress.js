@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatBytes } from '../utils/uploadValidation';
+
+// Progress bar for one upload: bytes and percent while sending, then an
+// indeterminate bar while the server converts the file.
+function UploadProgress({ progress }) {
+  if (!progress) return null;
+
+  if (progress.phase === 'processing') {
+    return (
+      <div className="w-full">
+        <div className="h-1.5 rounded bg-indigo-100 overflow-hidden">
+          <div className="h-full w-full bg-indigo-400 animate-pulse" />
+        </div>
+        <p className="mt-1 text-xs text-gray-500">Uploaded · processing on the server…</p>
+      </div>
+    );
+  }
+
+  const percent = progress.total ? Math.min(100, Math.round((progress.loaded / progress.total) * 100)) : 0;
+  return (
+    <div className="w-full">
+      <div
+        className="h-1.5 rounded bg-gray-200 overflow-hidden"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className="h-full bg-indigo-600 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        {formatBytes(progress.loaded)} of {formatBytes(progress.total)} · {percent}%
+      </p>
+    </div>
+  );
+}
+
+export default UploadProgress;
@@ -0,0 +1,106 @@
+// Styles injected into SandboxedPreview frames for the different views.
+
+export const DIFF_STYLES = `
+  [data-diff="added"] { background-color: #dcfce7; outline: 2px solid #86efac; }
+  [data-diff="removed"] { background-color: #fee2e2; outline: 2px solid #fca5a5; text-decoration: line-through; }
+  [data-diff="changed"] { outline: 2px dashed #f59e0b; }
+  ins[data-diff-word] { background-color: #bbf7d0; text-decoration: none; }
+  del[data-diff-word] { background-color: #fecaca; }
+`;
+
+export const REVIEW_STYLES = `${DIFF_STYLES}
+  [data-change-state="accepted"] { background-color: transparent; outline-color: #22c55e; text-decoration: none; }
+  [data-change-state="rejected"] { background-color: transparent; outline-color: #d1d5db; text-decoration: none; }
+  [data-change-controls] {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    margin: 0.5rem 0 0.25rem;
+    font: 12px/1.4 system-ui, sans-serif;
+    color: #4b5563;
+  }
+  [data-change-action] {
+    padding: 0.125rem 0.5rem;
+    border: 1px solid #d1d5db;
+    border-radius: 0.25rem;
+    background-color: #fff;
+    cursor: pointer;
+  }
+  [data-change-action="accept"][data-active] { background-color: #16a34a; border-color: #16a34a; color: #fff; }
+  [data-change-action="reject"][data-active] { background-color: #dc2626; border-color: #dc2626; color: #fff; }
+`;
+
+export const SCOPE_STYLES = `
+  [data-scope-selected] { outline: 2px solid #6366f1; outline-offset: 2px; background-color: rgba(99, 102, 241, 0.08); }
+`;
+
+export const FIND_STYLES = `
+  mark[data-find-match] { background-color: #fef08a; color: inherit; }
+  mark[data-find-current] { background-color: #fb923c; outline: 2px solid #ea580c; }
+`;
+
+// The element of the accessibility issue selected in the audit panel.
+export const AUDIT_STYLES = `
+  [data-a11y-issue] { outline: 3px solid #dc2626; outline-offset: 2px; }
+`;
+
+export const SELECT_MODE_STYLES = `${SCOPE_STYLES}
+  body { cursor: crosshair; }
+  body *:hover { outline: 1px dashed #a5b4fc; }
+`;
+
+export const MANUAL_EDIT_STYLES = `
+  body { cursor: text; outline: none; min-height: calc(100vh - 32px); }
+  body:focus { box-shadow: inset 0 0 0 2px #c7d2fe; }
+  td, th { min-width: 2em; }
+`;
+
+export const SEGMENT_STYLES = `
+  [data-segment] { cursor: pointer; border-radius: 2px; }
+  [data-segment]:hover { background-color: rgba(99, 102, 241, 0.06); }
+  [data-segment-pending] { color: #9ca3af; }
+`;
+
+// The selected segment and those being translated, in both panes of the
+// bilingual view.
+export const segmentStateStyles = (selected, running) => [
+  ...running.map(index => `[data-segment="${index}"] { background-color: #fef3c7; }`),
+  selected === null ? '' : `[data-segment="${selected}"] { outline: 2px solid #6366f1; outline-offset: 2px; }`
+].join('\n');
+
+// Recognized text under review (see src/utils/ocr.js): passages still to
+// check, those already reviewed and the one being corrected.
+export const OCR_REVIEW_STYLES = `
+  [data-ocr-item] { background-color: #fef3c7; border-bottom: 2px solid #f59e0b; cursor: pointer; }
+  [data-ocr-item][data-ocr-reviewed] { background-color: #dcfce7; border-bottom-color: #22c55e; }
+  [data-ocr-current] { outline: 2px solid #6366f1; outline-offset: 2px; }
+`;
+
+// Suggested redactions (see src/utils/redaction.js) by review state, and
+// what's already been redacted.
+export const REDACTION_STYLES = `
+  mark[data-redaction] { background-color: #fef3c7; color: inherit; border-bottom: 2px solid #f59e0b; cursor: pointer; }
+  mark[data-redaction-state="approved"] { background-color: #1f2937; color: #fff; border-bottom-color: #1f2937; }
+  mark[data-redaction-state="rejected"] { background-color: transparent; border-bottom: 1px dashed #9ca3af; }
+  [data-redacted] { background-color: #111827; color: #111827; }
+`;
+
+// Commented text (see src/utils/comments.js), numbered in the right margin
+// like the threads in the Comments panel.
+export const COMMENT_STYLES = `
+  body { position: relative; padding-right: 40px; }
+  mark[data-comment] { background-color: #fef3c7; color: inherit; cursor: pointer; }
+  mark[data-comment-active] { background-color: #fde68a; outline: 2px solid #f59e0b; }
+  mark[data-comment-marker]::after {
+    content: attr(data-comment-marker);
+    position: absolute;
+    right: 8px;
+    width: 20px;
+    height: 20px;
+    border-radius: 9999px;
+    background-color: #f59e0b;
+    color: #fff;
+    font: 600 11px/20px system-ui, sans-serif;
+    text-align: center;
+  }
+`;
@@ -0,0 +1,28 @@
+// Settings for the shared request layer (src/services/request.js).
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Milliseconds a request may take before it fails with a timeout. AI edits
+  // have their own inactivity timeout (src/config/editConfig.js).
+  timeout: 30000,
+
+  // Extra attempts for idempotent requests after network errors, timeouts,
+  // 5xx responses and 429s. Other requests are never repeated automatically.
+  retries: 3,
+
+  // First backoff delay in ms; it doubles with every attempt.
+  retryDelay: 500,
+
+  // A Retry-After longer than this (ms) is not waited out automatically; the
+  // error goes to the UI, which counts down instead.
+  maxRetryWait: 20000,
+
+  // Access tokens this close (ms) to expiring are refreshed before a request
+  // instead of waiting for the server to answer 401.
+  refreshMargin: 60000
+};
+
+const apiConfig = loadConfig('REACT_APP_API_CONFIG', defaultConfig);
+
+export default apiConfig;
@@ -0,0 +1,21 @@
+// Settings for AI edit requests (src/services/editStream.js and
+// ApiService.editDocument).
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Milliseconds without any data from the server before an edit is
+  // stopped. While a streamed edit keeps sending, the clock restarts.
+  timeout: 120000,
+
+  // Ask the server to stream the edit (SSE or NDJSON). Servers that don't
+  // stream answer with plain JSON, which is handled the same as before.
+  streaming: true,
+
+  // Minimum milliseconds between preview refreshes while an edit streams in.
+  previewInterval: 300
+};
+
+const editConfig = loadConfig('REACT_APP_EDIT_CONFIG', defaultConfig);
+
+export default editConfig;
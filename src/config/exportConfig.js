@@ -0,0 +1,46 @@
+// Defaults for downloads built in the browser (src/services/exporter.js). The
+// Download Options panel starts from these and lets the user change them per
+// format.
+
+import { loadConfig } from './overrides';
+
+// Millimetres.
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  a5: { label: 'A5', width: 148, height: 210 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+  legal: { label: 'Legal', width: 215.9, height: 355.6 }
+};
+
+const defaultConfig = {
+  // PDF and Word page size (a key of PAGE_SIZES) and margin in millimetres.
+  pageSize: 'a4',
+  margin: 20,
+
+  // Device pixels per CSS pixel for PNG snapshots and PDF pages; 2 prints
+  // at roughly 190 dpi.
+  imageScale: 2,
+
+  // CSS pixel width of PNG and SVG snapshots.
+  snapshotWidth: 800,
+
+  // Embed images as data URLs in HTML downloads so the file works offline.
+  inlineImages: true,
+
+  // JPEG quality of PDF pages built in the browser (0-1).
+  pdfQuality: 0.92,
+
+  // Formats converted by the server even though the browser could build
+  // them; the browser's version is only made when the server is
+  // unavailable. Formats the browser can't build go there anyway. PDFs from
+  // the browser are images of the pages, without selectable text.
+  serverFormats: ['pdf'],
+
+  // Milliseconds a server conversion may take; long documents need more than
+  // the usual request timeout (src/config/apiConfig.js).
+  conversionTimeout: 120000
+};
+
+const exportConfig = loadConfig('REACT_APP_EXPORT_CONFIG', defaultConfig);
+
+export default exportConfig;
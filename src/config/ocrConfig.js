@@ -0,0 +1,20 @@
+// Settings for reviewing recognized text of image and scanned-PDF uploads
+// (src/utils/ocr.js and the OCR review in the Preview step).
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Text recognized with a confidence below this (0-1) has to be reviewed
+  // before the document can be edited. Users can change it per review.
+  threshold: 0.8,
+
+  // Widest the scan crop next to a passage is shown, in CSS pixels.
+  cropWidth: 320,
+
+  // Pixels of the scan shown around a passage's box, for context.
+  cropMargin: 12
+};
+
+const ocrConfig = loadConfig('REACT_APP_OCR_CONFIG', defaultConfig);
+
+export default ocrConfig;
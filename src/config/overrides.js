@@ -0,0 +1,18 @@
+// Shared loader for the settings modules in this directory.
+//
+// Deployments can replace individual keys of any of them with a JSON object
+// in its environment variable, e.g. REACT_APP_UPLOAD_CONFIG='{"maxPages": 100}'.
+// Keys are replaced, not merged, so a list given here is the whole list.
+
+const readOverrides = (envVar) => {
+  const raw = typeof process !== 'undefined' ? process.env?.[envVar] : null;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error(`Ignoring invalid ${envVar}:`, e);
+    return {};
+  }
+};
+
+export const loadConfig = (envVar, defaults) => ({ ...defaults, ...readOverrides(envVar) });
@@ -0,0 +1,32 @@
+// What the redaction tool (src/utils/redaction.js) looks for.
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Regular expressions (as strings, searched with the "u" flag plus
+  // `flags`). Matches with fewer than `minDigits` digits are ignored, which
+  // keeps dates and amounts from passing for phone or card numbers.
+  patterns: [
+    { id: 'email', label: 'Email address', source: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+' },
+    { id: 'iban', label: 'Account number', source: '\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b' },
+    { id: 'account', label: 'Account number', source: '(?<=\\b(?:account|acct\\.?|a/c)(?: (?:no\\.?|number|#))?[:# ]*)\\d[\\d -]{4,}\\d', flags: 'i' },
+    { id: 'card', label: 'Card number', source: '\\b\\d(?:[ -]?\\d){12,18}\\b', minDigits: 13 },
+    { id: 'ssn', label: 'ID number', source: '\\b\\d{3}-\\d{2}-\\d{4}\\b' },
+    { id: 'id', label: 'ID number', source: '(?<=\\b(?:ID|passport|licen[cs]e)(?: (?:no\\.?|number|#))?[:# ]*)[A-Z0-9][A-Z0-9-]{4,}', flags: 'i', minDigits: 2 },
+    { id: 'phone', label: 'Phone number', source: '(?<![\\w+])(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{2,4}(?:[ .-]?\\d{2,4}){1,4}(?!\\w)', minDigits: 9 },
+    { id: 'title-name', label: 'Name', source: '\\b(?:Mr|Mrs|Ms|Mx|Dr|Prof)\\.? [A-Z][\\p{L}\'-]+(?: [A-Z][\\p{L}\'-]+)?' },
+    { id: 'address', label: 'Street address', source: '\\b\\d{1,5} (?:[A-Z][\\p{L}]+ ){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\\b\\.?' }
+  ],
+
+  // Words and phrases matched as whole words, ignoring case. Users add
+  // their own terms in the redaction panel.
+  dictionaries: [],
+
+  // What each redaction leaves in the document. The same for every match,
+  // so the length of what was removed doesn't show.
+  replacement: '█████'
+};
+
+const redactionConfig = loadConfig('REACT_APP_REDACTION_CONFIG', defaultConfig);
+
+export default redactionConfig;
@@ -0,0 +1,98 @@
+// Allowlist for HTML coming from the server (uploads and AI edits).
+// Anything not listed here is removed by src/utils/sanitizeHtml.js.
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Elements that are kept. Unknown elements are unwrapped: their content stays.
+  tags: [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+    'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div',
+    'dl', 'dt', 'em', 'figcaption', 'figure', 'font', 'footer', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav',
+    'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strike', 'strong',
+    'style', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'time', 'tr', 'u', 'ul', 'var', 'wbr'
+  ],
+
+  // Elements removed together with everything inside them.
+  dropTags: [
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link',
+    'meta', 'noscript', 'template', 'form', 'input', 'button', 'select', 'textarea',
+    'svg', 'math', 'audio', 'video', 'source', 'track', 'canvas', 'portal', 'title'
+  ],
+
+  // Attributes allowed on every element, and per element.
+  attributes: {
+    '*': ['class', 'id', 'style', 'title', 'lang', 'dir', 'align', 'valign', 'role', 'aria-label', 'aria-hidden'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    col: ['span', 'width'],
+    colgroup: ['span', 'width'],
+    font: ['color', 'face', 'size'],
+    ol: ['start', 'type', 'reversed'],
+    li: ['value'],
+    table: ['border', 'cellpadding', 'cellspacing', 'width', 'bgcolor', 'summary'],
+    td: ['colspan', 'rowspan', 'width', 'height', 'bgcolor', 'headers', 'scope'],
+    th: ['colspan', 'rowspan', 'width', 'height', 'bgcolor', 'headers', 'scope', 'abbr'],
+    tr: ['bgcolor'],
+    time: ['datetime'],
+    del: ['datetime', 'cite'],
+    ins: ['datetime', 'cite'],
+    blockquote: ['cite'],
+    q: ['cite']
+  },
+
+  // data-* attributes carry editor metadata (pages, OCR ids, ...).
+  allowDataAttributes: true,
+
+  // data-* names the editor itself sets, which incoming HTML may not claim.
+  // Preview markers (highlights, selections, review controls) are always
+  // removed. Document state (reviewed text, redactions, themes) is kept in
+  // HTML that round-trips through the editor, such as AI edits of the open
+  // document, but removed from uploads and pasted HTML (see sanitizeHtml's
+  // `keepEditorState`), so e.g. a file can't arrive already "reviewed".
+  previewDataAttributes: [
+    'data-comment', 'data-comment-marker', 'data-comment-active', 'data-scope-selected',
+    'data-find-match', 'data-find-current', 'data-a11y-issue', 'data-ocr-item', 'data-ocr-current',
+    'data-redaction', 'data-redaction-state', 'data-diff', 'data-diff-word', 'data-change-id',
+    'data-change-state', 'data-change-action', 'data-change-controls', 'data-segment', 'data-segment-pending'
+  ],
+  stateDataAttributes: [
+    'data-ocr-reviewed', 'data-redacted', 'data-redaction-log', 'data-preset', 'data-preset-header', 'data-preset-footer'
+  ],
+
+  // Attributes holding URLs and the schemes they may use. Relative URLs are
+  // always allowed; data: URLs only for images.
+  urlAttributes: ['href', 'src', 'cite'],
+  urlSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowDataImages: true,
+
+  // CSS properties kept in style attributes and <style> blocks.
+  cssProperties: [
+    'background', 'background-color', 'background-image', 'background-position', 'background-repeat', 'background-size',
+    'border', 'border-bottom', 'border-bottom-color', 'border-bottom-style', 'border-bottom-width',
+    'border-collapse', 'border-color', 'border-left', 'border-left-color', 'border-left-style', 'border-left-width',
+    'border-radius', 'border-right', 'border-right-color', 'border-right-style', 'border-right-width',
+    'border-spacing', 'border-style', 'border-top', 'border-top-color', 'border-top-style', 'border-top-width',
+    'border-width', 'bottom', 'box-shadow', 'box-sizing', 'break-after', 'break-before', 'break-inside',
+    'caption-side', 'clear', 'color', 'column-count', 'column-gap', 'columns', 'direction', 'display',
+    'empty-cells', 'float', 'font', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight',
+    'gap', 'height', 'justify-content', 'align-items', 'flex', 'flex-direction', 'flex-wrap',
+    'left', 'letter-spacing', 'line-height', 'list-style', 'list-style-position', 'list-style-type',
+    'margin', 'margin-bottom', 'margin-left', 'margin-right', 'margin-top',
+    'max-height', 'max-width', 'min-height', 'min-width', 'opacity', 'orphans', 'outline', 'overflow',
+    'padding', 'padding-bottom', 'padding-left', 'padding-right', 'padding-top',
+    'page-break-after', 'page-break-before', 'page-break-inside', 'position', 'right',
+    'table-layout', 'text-align', 'text-decoration', 'text-decoration-color', 'text-decoration-line',
+    'text-indent', 'text-transform', 'top', 'transform', 'unicode-bidi', 'vertical-align',
+    'visibility', 'white-space', 'widows', 'width', 'word-break', 'word-spacing', 'word-wrap', 'z-index'
+  ],
+
+  // Keep <style> blocks (their rules are filtered with cssProperties).
+  allowStyleTags: true
+};
+
+const sanitizeConfig = loadConfig('REACT_APP_SANITIZE_CONFIG', defaultConfig);
+
+export default sanitizeConfig;
@@ -0,0 +1,38 @@
+// Settings for document translation (src/services/translator.js and
+// ApiService.translateSegments).
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  // Target languages offered, as ISO 639-1 codes with their names. Right-to-
+  // left scripts are recognized by code (src/utils/translation.js).
+  languages: [
+    { code: 'ar', name: 'Arabic' },
+    { code: 'zh', name: 'Chinese' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'en', name: 'English' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'he', name: 'Hebrew' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'it', name: 'Italian' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'fa', name: 'Persian' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'ur', name: 'Urdu' }
+  ],
+
+  // Characters of HTML per translation request. Longer documents are sent
+  // in several batches.
+  batchSize: 6000,
+
+  // Milliseconds one batch may take.
+  timeout: 120000
+};
+
+const translationConfig = loadConfig('REACT_APP_TRANSLATION_CONFIG', defaultConfig);
+
+export default translationConfig;
@@ -0,0 +1,38 @@
+// Limits for uploaded files, checked in the browser before anything is sent
+// (src/utils/uploadValidation.js). The upload hint text and the file input's
+// `accept` attribute are built from the same values. The chunk settings are
+// used by src/services/upload.js.
+
+import { loadConfig } from './overrides';
+
+const defaultConfig = {
+  types: [
+    { label: 'PDF', extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    { label: 'JPG', extensions: ['.jpg', '.jpeg'], mimeTypes: ['image/jpeg'] },
+    { label: 'PNG', extensions: ['.png'], mimeTypes: ['image/png'] },
+    { label: 'TXT', extensions: ['.txt'], mimeTypes: ['text/plain'] }
+  ],
+
+  // Bytes.
+  maxFileSize: 10 * 1024 * 1024,
+
+  // Checked for PDFs only; other types are single pages.
+  maxPages: 50,
+
+  // Files at least this large (bytes) are sent in resumable chunks of
+  // `chunkSize`; set chunkThreshold to 0 to always use a single request.
+  chunkThreshold: 4 * 1024 * 1024,
+  chunkSize: 1024 * 1024,
+
+  // How long (ms) sending one chunk may take before it is given up and
+  // resent from the offset the server reports.
+  chunkTimeout: 60 * 1000,
+
+  // How long (ms) the server may take to process a file once it has all of
+  // it, before the upload is reported as timed out.
+  processingTimeout: 2 * 60 * 1000
+};
+
+const uploadConfig = loadConfig('REACT_APP_UPLOAD_CONFIG', defaultConfig);
+
+export default uploadConfig;
@@ -0,0 +1,125 @@
+import { useReducer, useCallback } from 'react';
+
+// Every entry keeps the HTML before and after the change so any version can
+// be brought back. `position` is the number of entries currently applied:
+// entries at or beyond it have been undone and are dropped on the next commit.
+const initialState = {
+  htmlContent: '',
+  entries: [],
+  position: 0
+};
+
+let entryCounter = 0;
+
+const createEntry = (fields) => {
+  entryCounter += 1;
+  return {
+    id: `${Date.now()}-${entryCounter}`,
+    type: 'ai',
+    timestamp: new Date().toLocaleString(),
+    ...fields
+  };
+};
+
+/** A fresh history for `html`, in the shape `snapshot` / `load` use. */
+export const createSnapshot = (html = '') => ({ ...initialState, htmlContent: html || '' });
+
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'commit': {
+      if (action.html === state.htmlContent) return state;
+
+      // Consecutive commits with the same coalesceKey (e.g. typing in the
+      // source editor) update one entry instead of adding one per keystroke;
+      // the latest meta replaces the entry's.
+      const last = state.entries[state.position - 1];
+      if (action.meta.coalesceKey && last?.coalesceKey === action.meta.coalesceKey &&
+          state.position === state.entries.length) {
+        const entries = action.html === last.before
+          ? state.entries.slice(0, -1)
+          : [...state.entries.slice(0, -1), { ...last, ...action.meta, after: action.html, timestamp: new Date().toLocaleString() }];
+        return { htmlContent: action.html, entries, position: entries.length };
+      }
+
+      const entry = createEntry({
+        ...action.meta,
+        before: state.htmlContent,
+        after: action.html
+      });
+      const entries = [...state.entries.slice(0, state.position), entry];
+      return { htmlContent: action.html, entries, position: entries.length };
+    }
+    case 'undo': {
+      if (state.position === 0) return state;
+      const entry = state.entries[state.position - 1];
+      return { ...state, htmlContent: entry.before, position: state.position - 1 };
+    }
+    case 'redo': {
+      if (state.position >= state.entries.length) return state;
+      const entry = state.entries[state.position];
+      return { ...state, htmlContent: entry.after, position: state.position + 1 };
+    }
+    case 'restore': {
+      const target = state.entries.find(entry => entry.id === action.id);
+      if (!target || target.after === state.htmlContent) return state;
+      const entry = createEntry({
+        type: 'restore',
+        instruction: `Restored version from ${target.timestamp}`,
+        explanation: `Restored the document as it was after "${target.instruction}"`,
+        restoredFrom: target.id,
+        before: state.htmlContent,
+        after: target.after
+      });
+      const entries = [...state.entries.slice(0, state.position), entry];
+      return { htmlContent: target.after, entries, position: entries.length };
+    }
+    case 'reset':
+      return createSnapshot(action.html);
+    case 'load':
+      return action.snapshot;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Applies a commit to a stored snapshot, for documents that aren't loaded in
+ * the hook (e.g. the rest of a batch).
+ */
+export const commitToSnapshot = (snapshot, html, meta = {}) =>
+  historyReducer(snapshot, { type: 'commit', html, meta });
+
+/**
+ * Holds the document HTML together with its edit history.
+ *
+ * `commit(html, meta)` records a new version; `meta` is merged into the entry
+ * (instruction, explanation, type, coalesceKey, ...). `reset(html)` starts a
+ * fresh history, e.g. after uploading a new document. `snapshot` is the whole
+ * state and `load(snapshot)` brings it back, so several documents can take
+ * turns in one hook.
+ */
+export default function useEditHistory() {
+  const [state, dispatch] = useReducer(historyReducer, initialState);
+
+  const commit = useCallback((html, meta = {}) => dispatch({ type: 'commit', html, meta }), []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const restore = useCallback((id) => dispatch({ type: 'restore', id }), []);
+  const reset = useCallback((html = '') => dispatch({ type: 'reset', html }), []);
+  const load = useCallback((snapshot) => dispatch({ type: 'load', snapshot }), []);
+
+  return {
+    htmlContent: state.htmlContent,
+    editHistory: state.entries,
+    position: state.position,
+    canUndo: state.position > 0,
+    canRedo: state.position < state.entries.length,
+    snapshot: state,
+    commit,
+    undo,
+    redo,
+    restore,
+    reset,
+    load
+  };
+}
@@ -0,0 +1,93 @@
+import { renderHook, act } from '@testing-library/react';
+import useEditHistory, { createSnapshot, commitToSnapshot } from './useEditHistory';
+
+const setup = (html = '<p>A</p>') => {
+  const view = renderHook(() => useEditHistory());
+  act(() => view.result.current.reset(html));
+  return view;
+};
+
+test('commits, undoes and redoes versions', () => {
+  const { result } = setup();
+  act(() => result.current.commit('<p>B</p>', { instruction: 'First' }));
+  act(() => result.current.commit('<p>C</p>', { instruction: 'Second' }));
+  expect(result.current.editHistory.map(entry => [entry.instruction, entry.before, entry.after])).toEqual([
+    ['First', '<p>A</p>', '<p>B</p>'],
+    ['Second', '<p>B</p>', '<p>C</p>']
+  ]);
+
+  act(() => result.current.undo());
+  act(() => result.current.undo());
+  expect(result.current.htmlContent).toBe('<p>A</p>');
+  expect(result.current.canUndo).toBe(false);
+  act(() => result.current.redo());
+  expect(result.current.htmlContent).toBe('<p>B</p>');
+  expect(result.current.position).toBe(1);
+
+  // An unchanged document adds nothing.
+  act(() => result.current.commit('<p>B</p>', { instruction: 'Nothing' }));
+  expect(result.current.editHistory).toHaveLength(2);
+});
+
+test('a new edit after undoing drops the undone entries', () => {
+  const { result } = setup();
+  act(() => result.current.commit('<p>B</p>', { instruction: 'First' }));
+  act(() => result.current.commit('<p>C</p>', { instruction: 'Second' }));
+  act(() => result.current.undo());
+  act(() => result.current.commit('<p>D</p>', { instruction: 'Instead' }));
+
+  expect(result.current.editHistory.map(entry => entry.instruction)).toEqual(['First', 'Instead']);
+  expect(result.current.canRedo).toBe(false);
+  act(() => result.current.redo());
+  expect(result.current.htmlContent).toBe('<p>D</p>');
+});
+
+test('commits with the same coalesceKey update one entry', () => {
+  const { result } = setup();
+  act(() => result.current.commit('<p>A1</p>', { instruction: 'Source edit', coalesceKey: 'source-1', explanation: '1' }));
+  act(() => result.current.commit('<p>A12</p>', { instruction: 'Source edit', coalesceKey: 'source-1', explanation: '2' }));
+  expect(result.current.editHistory).toHaveLength(1);
+  expect(result.current.editHistory[0]).toMatchObject({ before: '<p>A</p>', after: '<p>A12</p>', explanation: '2' });
+
+  // Typing back to where the entry started removes it.
+  act(() => result.current.commit('<p>A</p>', { coalesceKey: 'source-1' }));
+  expect(result.current.editHistory).toHaveLength(0);
+
+  // After an undo, the same key starts a new entry rather than rewriting history.
+  act(() => result.current.commit('<p>B</p>', { coalesceKey: 'source-2' }));
+  act(() => result.current.commit('<p>C</p>', { coalesceKey: 'other' }));
+  act(() => result.current.undo());
+  act(() => result.current.commit('<p>D</p>', { coalesceKey: 'source-2' }));
+  expect(result.current.editHistory.map(entry => entry.after)).toEqual(['<p>B</p>', '<p>D</p>']);
+});
+
+test('restoring a version adds an entry and can itself be undone', () => {
+  const { result } = setup();
+  act(() => result.current.commit('<p>B</p>', { instruction: 'First' }));
+  act(() => result.current.commit('<p>C</p>', { instruction: 'Second' }));
+  const first = result.current.editHistory[0];
+
+  act(() => result.current.restore(first.id));
+  expect(result.current.htmlContent).toBe('<p>B</p>');
+  expect(result.current.editHistory[2]).toMatchObject({ type: 'restore', restoredFrom: first.id, before: '<p>C</p>', after: '<p>B</p>' });
+
+  // Restoring the current version or an unknown one does nothing.
+  act(() => result.current.restore(first.id));
+  act(() => result.current.restore('missing'));
+  expect(result.current.editHistory).toHaveLength(3);
+
+  act(() => result.current.undo());
+  expect(result.current.htmlContent).toBe('<p>C</p>');
+});
+
+test('snapshots are loaded back and committed to outside the hook', () => {
+  const parked = commitToSnapshot(createSnapshot('<p>X</p>'), '<p>Y</p>', { instruction: 'Batch' });
+  expect(parked).toMatchObject({ htmlContent: '<p>Y</p>', position: 1 });
+
+  const { result } = setup();
+  act(() => result.current.load(parked));
+  expect(result.current.htmlContent).toBe('<p>Y</p>');
+  expect(result.current.snapshot).toBe(parked);
+  act(() => result.current.undo());
+  expect(result.current.htmlContent).toBe('<p>X</p>');
+});
@@ -4,12 +4,20 @@ import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
 
+// REACT_APP_MOCK_API=true answers API requests from an in-browser mock
+// (src/mocks), so the app runs without the backend. It is only bundled then.
+const prepare = () => (process.env.REACT_APP_MOCK_API === 'true'
+  ? import('./mocks/browser').then(({ startMockBackend }) => startMockBackend())
+  : Promise.resolve());
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+prepare().then(() => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,17 @@
+// Serves the API from ./mockBackend inside the browser, for working on the app
+// without the backend. Enabled from src/index.js with REACT_APP_MOCK_API=true;
+// REACT_APP_MOCK_API_AUTH=required makes every route need a login
+// (demo@example.com / demo).
+
+import { API_BASE_URL } from '../services/ApiService';
+import { createMockBackend } from './mockBackend';
+import { installMockBackend } from './install';
+
+export function startMockBackend() {
+  const backend = createMockBackend({ requireAuth: process.env.REACT_APP_MOCK_API_AUTH === 'required' });
+  installMockBackend(backend, { baseURL: API_BASE_URL, latency: 400 });
+  console.info(`Mock API enabled for ${API_BASE_URL}. Sign in with demo@example.com / demo.`);
+  // For poking at it from the console, e.g. mockBackend.failNext('edit', { status: 500 }).
+  window.mockBackend = backend;
+  return backend;
+}
@@ -0,0 +1,143 @@
+// Routes the app's requests to a mock backend (./mockBackend) by replacing
+// window.fetch and window.XMLHttpRequest. fetch calls to other URLs go to the
+// real fetch; XMLHttpRequest is only used for uploads, so every XHR is
+// answered by the mock.
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const lowerCaseHeaders = (headers) => {
+  const result = {};
+  if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+    headers.forEach((value, name) => { result[name] = value; });
+  } else {
+    Object.entries(headers || {}).forEach(([name, value]) => { result[name.toLowerCase()] = value; });
+  }
+  return result;
+};
+
+const delay = (ms) => (ms ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+// Waits for `promise`, rejecting with an AbortError as soon as `signal` aborts.
+const untilAborted = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+const bodyText = (body) => {
+  if (body === null || body === undefined) return '';
+  return typeof body === 'string' ? body : JSON.stringify(body);
+};
+
+// Just enough of a fetch Response for the app and its tests.
+const toResponse = ({ status, headers, body }) => {
+  const normalized = lowerCaseHeaders(headers);
+  const header = (name) => normalized[name.toLowerCase()] ?? null;
+  const isBlob = body instanceof Blob;
+  const isStream = typeof ReadableStream !== 'undefined' && body instanceof ReadableStream;
+  const text = async () => (isBlob || isStream ? '' : bodyText(body));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: header },
+    body: isStream ? body : null,
+    text,
+    json: async () => JSON.parse(await text()),
+    blob: async () => (isBlob ? body : new Blob([await text()], { type: header('content-type') || '' }))
+  };
+};
+
+/**
+ * Sends requests under `baseURL` to `backend` after `latency` ms. Returns a
+ * function that puts the original fetch and XMLHttpRequest back.
+ */
+export function installMockBackend(backend, { baseURL, latency = 0, target = window } = {}) {
+  const originalFetch = target.fetch;
+  const OriginalXHR = target.XMLHttpRequest;
+
+  target.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(baseURL)) return originalFetch(input, init);
+    const { signal } = init;
+    const reply = untilAborted(delay(latency).then(() => backend.handle({
+      method: init.method || 'GET',
+      url,
+      headers: lowerCaseHeaders(init.headers),
+      body: init.body ?? null
+    })), signal);
+    const result = await reply;
+    if (result.network) throw new TypeError('Failed to fetch');
+    return toResponse(result);
+  };
+
+  class MockXMLHttpRequest {
+    constructor() {
+      this.upload = {};
+      this.status = 0;
+      this.statusText = '';
+      this.responseText = '';
+      this.responseType = '';
+      this.readyState = 0;
+      this.requestHeaders = {};
+      this.responseHeaders = {};
+      this.finished = false;
+    }
+
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+      this.readyState = 1;
+    }
+
+    setRequestHeader(name, value) {
+      this.requestHeaders[name.toLowerCase()] = value;
+    }
+
+    getResponseHeader(name) {
+      return this.responseHeaders[name.toLowerCase()] ?? null;
+    }
+
+    abort() {
+      if (this.finished) return;
+      this.finished = true;
+      this.readyState = 4;
+      this.onabort?.();
+    }
+
+    async send(body) {
+      const file = body instanceof FormData ? body.get('document') : null;
+      const total = file?.size || 0;
+      // Progress in two steps, then "processing" while the backend answers.
+      for (const fraction of [0.5, 1]) {
+        await delay(latency / 2);
+        if (this.finished) return;
+        this.upload.onprogress?.({ lengthComputable: true, loaded: Math.round(total * fraction), total });
+      }
+      this.upload.onload?.();
+      const result = await backend.handle({ method: this.method, url: this.url, headers: this.requestHeaders, body });
+      if (this.finished) return;
+      this.finished = true;
+      this.readyState = 4;
+      if (result.network) {
+        this.onerror?.();
+        return;
+      }
+      this.status = result.status;
+      this.responseHeaders = lowerCaseHeaders(result.headers);
+      this.responseText = bodyText(result.body);
+      this.onload?.();
+    }
+  }
+
+  target.XMLHttpRequest = MockXMLHttpRequest;
+
+  return () => {
+    target.fetch = originalFetch;
+    target.XMLHttpRequest = OriginalXHR;
+  };
+}
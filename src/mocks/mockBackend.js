@@ -0,0 +1,441 @@
+// In-memory stand-in for the document API, for running the app without the
+// backend (REACT_APP_MOCK_API=true, see ./browser) and for tests. It answers
+// with the shapes App relies on:
+//
+//   POST /documents/upload       { success, document: { id, originalName, type, html, language, metadata, ocr? } };
+//                                each page of a PDF is a <section data-page="N">; images
+//                                come back as recognized text (see src/utils/ocr.js)
+//   /documents/upload/chunked... the resumable protocol of src/services/upload.js
+//   POST /documents/edit         { success, modifiedHTML, explanation }, or an
+//                                NDJSON stream where ReadableStream exists
+//   POST /documents/translate    { success, segments }, one translation per segment
+//   POST /conversion/convert     the file as a blob (html, pdf, docx, png); the
+//                                download `options` (page size, ...) are ignored
+//   /auth/login|refresh|logout   see src/services/auth.js
+//   GET|PATCH|DELETE /documents  the signed-in user's library
+//
+// `handle(request)` takes `{ method, url, headers, body }` (lower-case header
+// names; body a string, FormData or Blob) and resolves with
+// `{ status, headers, body }`, where body is JSON-able, a Blob or a stream.
+// ./install routes fetch and XMLHttpRequest here.
+//
+// Tests script failures with `failNext(route, response)`; `response` is
+// `{ status, body, headers }`, 'network' (the connection drops) or 'hang'
+// (no answer until aborted). Routes are named in ROUTES below.
+
+import uploadConfig from '../config/uploadConfig';
+import { createZip } from '../utils/zip';
+import { countPdfPages } from '../utils/uploadValidation';
+
+const ROUTES = [
+  ['POST', /^\/documents\/upload$/, 'upload'],
+  ['POST', /^\/documents\/upload\/chunked$/, 'chunked.start'],
+  ['GET', /^\/documents\/upload\/chunked\/([^/]+)$/, 'chunked.status'],
+  ['PUT', /^\/documents\/upload\/chunked\/([^/]+)$/, 'chunked.put'],
+  ['POST', /^\/documents\/upload\/chunked\/([^/]+)\/complete$/, 'chunked.complete'],
+  ['DELETE', /^\/documents\/upload\/chunked\/([^/]+)$/, 'chunked.abandon'],
+  ['POST', /^\/documents\/edit$/, 'edit'],
+  ['POST', /^\/documents\/translate$/, 'translate'],
+  ['POST', /^\/conversion\/convert$/, 'convert'],
+  ['POST', /^\/auth\/login$/, 'auth.login'],
+  ['POST', /^\/auth\/refresh$/, 'auth.refresh'],
+  ['POST', /^\/auth\/logout$/, 'auth.logout'],
+  ['GET', /^\/documents$/, 'documents.list'],
+  ['GET', /^\/documents\/([^/]+)$/, 'documents.get'],
+  ['PATCH', /^\/documents\/([^/]+)$/, 'documents.rename'],
+  ['DELETE', /^\/documents\/([^/]+)$/, 'documents.delete']
+];
+
+const DEFAULT_USERS = [{ email: 'demo@example.com', password: 'demo', name: 'Demo User' }];
+
+// 1x1 transparent PNG.
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const textOf = (html) => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const countWords = (html) => textOf(html).split(' ').filter(Boolean).length;
+
+const readText = (blob) => {
+  if (typeof blob.text === 'function') return blob.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+};
+
+const readDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const typeOf = (mimeType) => {
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('image/')) return 'image';
+  return 'text';
+};
+
+// Recognized text of an image upload, one line per block. Every word carries
+// its confidence and box on a 1000 × 1400 scan; the words listed in UNSURE
+// are the ones the "recognition" wasn't sure about.
+const OCR_LINES = [
+  ['h1', 'Invoice 2024-117'],
+  ['p', 'Total due: 1,250.00 EUR'],
+  ['p', 'Payable within 30 days to the account below.']
+];
+const OCR_UNSURE = { '2024-117': 0.62, '1,250.00': 0.48, 'below.': 0.71 };
+const OCR_PAGE = { width: 1000, height: 1400 };
+
+const recognizedHtml = () => OCR_LINES.map(([tag, line], row) => {
+  let x = 60;
+  const words = line.split(' ').map(word => {
+    const box = `1 ${x} ${60 + row * 60} ${word.length * 18} 32`;
+    x += word.length * 18 + 16;
+    return `<span data-ocr-confidence="${OCR_UNSURE[word] || 0.97}" data-ocr-box="${box}">${escapeHtml(word)}</span>`;
+  });
+  return `<${tag}>${words.join(' ')}</${tag}>`;
+}).join('');
+
+// What "processing" a file produces, with its page count (and, for images,
+// the scan the text was recognized from): text files become paragraphs;
+// other files get sample content so there is something to edit, one section
+// per page for PDFs.
+const htmlFor = async (file) => {
+  const title = escapeHtml(file.name.replace(/\.[^.]+$/, ''));
+  if (file.type.startsWith('image/')) {
+    return { html: recognizedHtml(), pages: 1, ocr: { pages: [{ page: 1, image: await readDataUrl(file), ...OCR_PAGE }] } };
+  }
+  if (file.type === 'text/plain') {
+    const paragraphs = (await readText(file)).split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+    return { html: `<h1>${title}</h1>${paragraphs.map(part => `<p>${escapeHtml(part)}</p>`).join('')}`, pages: 1 };
+  }
+  const sample = `<h1>${title}</h1>`
+    + '<p>This is sample content from the mock backend. The real service extracts the text of the file.</p>'
+    + '<h2>Details</h2>'
+    + '<ul><li>First point</li><li>Second point</li></ul>'
+    + '<p>Try an instruction such as "make the headings uppercase" or "make the first paragraph bold".</p>';
+  if (file.type !== 'application/pdf') return { html: sample, pages: 1 };
+
+  const pages = Math.min(await countPdfPages(file) || 1, uploadConfig.maxPages || Infinity);
+  const sections = [`<section data-page="1">${sample}</section>`];
+  for (let page = 2; page <= pages; page++) {
+    sections.push(`<section data-page="${page}"><h2>Page ${page}</h2><p>Sample text of page ${page}.</p></section>`);
+  }
+  return { html: sections.join(''), pages };
+};
+
+const COLOR = /\b(red|green|blue|yellow|orange|purple|gray|grey)\b/i;
+
+// A predictable stand-in for the AI editor.
+const applyInstruction = (html, instruction) => {
+  let result = html;
+  if (/upper\s*case|capitali[sz]e/i.test(instruction)) {
+    result = html.replace(/(<h[1-6][^>]*>)([\s\S]*?)(<\/h[1-6]>)/gi,
+      (match, open, text, close) => open + text.replace(/(^|>)([^<]*)/g, (m, gt, part) => gt + part.toUpperCase()) + close);
+  } else if (/bold/i.test(instruction)) {
+    result = html.replace(/<p([^>]*)>([\s\S]*?)<\/p>/i, '<p$1><strong>$2</strong></p>');
+  } else if (/contrast/i.test(instruction)) {
+    result = html.replace(/(style="(?:[^"]*[;\s])?)color:\s*[^;"]+/gi, '$1color: #1e3a8a');
+  } else if (COLOR.test(instruction)) {
+    result = html.replace(/<p(?![^>]*style=)/i, `<p style="color: ${COLOR.exec(instruction)[1].toLowerCase()}"`);
+  }
+  if (result === html) result = `${html}<p>${escapeHtml(instruction)}</p>`;
+  return result;
+};
+
+// A predictable stand-in for translation: the first text of each segment is
+// tagged with the target language, e.g. "<p>[fr] Hello</p>".
+const translateSegment = (html, target) =>
+  html.replace(/(^|>)\s*([^<\s][^<]*)/, (match, gt, text) => `${gt}[${target}] ${text}`);
+
+const blobFor = async (html, format, filename) => {
+  const text = textOf(html);
+  switch (format) {
+    case 'html':
+      return new Blob([`<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(filename || 'document')}</title></head><body>${html}</body></html>`], { type: 'text/html' });
+    case 'pdf':
+      return new Blob([`%PDF-1.4\n% mock\n1 0 obj << /Type /Catalog >> endobj\n% ${text}\n%%EOF\n`], { type: 'application/pdf' });
+    case 'docx':
+      return createZip([
+        { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>' },
+        { name: 'word/document.xml', data: `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>${escapeHtml(text)}</w:t></w:r></w:p></w:body></w:document>` }
+      ], { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+    case 'png': {
+      const binary = atob(PNG_BASE64);
+      return new Blob([Uint8Array.from(binary, char => char.charCodeAt(0))], { type: 'image/png' });
+    }
+    default:
+      return null;
+  }
+};
+
+const editStream = (explanation, modifiedHTML) => {
+  const encoder = new TextEncoder();
+  const lines = [
+    { type: 'explanation', text: explanation },
+    { type: 'html', html: modifiedHTML },
+    { type: 'done', modifiedHTML, explanation }
+  ];
+  return new ReadableStream({
+    async pull(controller) {
+      const line = lines.shift();
+      if (!line) {
+        controller.close();
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 150));
+      controller.enqueue(encoder.encode(`${JSON.stringify(line)}\n`));
+    }
+  });
+};
+
+const json = (body, status = 200, headers = {}) => ({ status, headers: { 'content-type': 'application/json', ...headers }, body });
+const fail = (status, error, extra = {}) => json({ success: false, error, ...extra }, status);
+
+/**
+ * Options: `requireAuth` (every route needs a bearer token, not just the
+ * library), `users` ([{ email, password, name }]), `tokenLifetime` in
+ * seconds, and `streamEdits` (answer streaming requests with NDJSON).
+ */
+export function createMockBackend({ requireAuth = false, users = DEFAULT_USERS, tokenLifetime = 3600, streamEdits = true } = {}) {
+  const documents = new Map();
+  const uploads = new Map();
+  const accessTokens = new Map(); // token -> email
+  const refreshTokens = new Map(); // token -> email
+  const failures = [];
+  const requests = [];
+  let nextId = 1;
+
+  const issueTokens = (email) => {
+    const accessToken = `mock-access-${nextId++}`;
+    const refreshToken = `mock-refresh-${nextId++}`;
+    accessTokens.set(accessToken, email);
+    refreshTokens.set(refreshToken, email);
+    return { accessToken, refreshToken, expiresIn: tokenLifetime };
+  };
+
+  const publicUser = (email) => {
+    const user = users.find(entry => entry.email === email);
+    return { email, name: user?.name || email };
+  };
+
+  const storeDocument = async (file, owner) => {
+    const { html, pages, ocr } = await htmlFor(file);
+    const now = Date.now();
+    const document = {
+      id: `doc-${nextId++}`,
+      originalName: file.name,
+      type: typeOf(file.type),
+      html,
+      language: 'en',
+      metadata: { fileSize: file.size, wordCount: countWords(html), pages, processedAt: new Date(now).toISOString() },
+      ...(ocr && { ocr }),
+      createdAt: now,
+      updatedAt: now
+    };
+    documents.set(document.id, { ...document, owner });
+    return document;
+  };
+
+  const validateUpload = (file) => {
+    if (!file) return fail(400, 'No file uploaded');
+    const accepted = uploadConfig.types.some(type => type.mimeTypes.includes(file.type));
+    if (!accepted) return fail(415, `Unsupported file type: ${file.type || 'unknown'}`);
+    if (file.size > uploadConfig.maxFileSize) return fail(413, 'File too large');
+    return null;
+  };
+
+  const summary = ({ html, owner, ocr, ...document }) => ({ ...document, wordCount: document.metadata?.wordCount });
+
+  const handlers = {
+    async upload({ body, user }) {
+      const file = body instanceof FormData ? body.get('document') : null;
+      const problem = validateUpload(file);
+      if (problem) return problem;
+      return json({ success: true, document: await storeDocument(file, user) });
+    },
+
+    'chunked.start': ({ body }) => {
+      const { fileName, fileSize, mimeType, chunkSize } = JSON.parse(body);
+      const problem = validateUpload({ name: fileName, size: fileSize, type: mimeType });
+      if (problem) return problem;
+      const uploadId = `upload-${nextId++}`;
+      uploads.set(uploadId, { fileName, fileSize, mimeType, chunkSize, parts: [], receivedBytes: 0 });
+      return json({ uploadId });
+    },
+
+    'chunked.status': ({ params: [id] }) => {
+      const upload = uploads.get(id);
+      return upload ? json({ receivedBytes: upload.receivedBytes }) : fail(404, 'Unknown upload');
+    },
+
+    'chunked.put': ({ params: [id], query, body }) => {
+      const upload = uploads.get(id);
+      if (!upload) return fail(404, 'Unknown upload');
+      if (Number(query.get('offset')) !== upload.receivedBytes) {
+        return fail(409, 'Offset mismatch', { receivedBytes: upload.receivedBytes });
+      }
+      upload.parts.push(body);
+      upload.receivedBytes += body.size;
+      return json({ receivedBytes: upload.receivedBytes });
+    },
+
+    async 'chunked.complete'({ params: [id], user }) {
+      const upload = uploads.get(id);
+      if (!upload) return fail(404, 'Unknown upload');
+      if (upload.receivedBytes !== upload.fileSize) return fail(400, 'Upload incomplete');
+      uploads.delete(id);
+      const file = new File(upload.parts, upload.fileName, { type: upload.mimeType });
+      return json({ success: true, document: await storeDocument(file, user) });
+    },
+
+    'chunked.abandon': ({ params: [id] }) => {
+      uploads.delete(id);
+      return { status: 204, headers: {}, body: null };
+    },
+
+    edit: ({ body, headers }) => {
+      const { instruction, html, stream } = JSON.parse(body);
+      if (!instruction || !html) return fail(400, 'Instruction and HTML content are required');
+      const modifiedHTML = applyInstruction(html, instruction);
+      const explanation = `Applied "${instruction}" (mock editor)`;
+      if (stream && streamEdits && typeof ReadableStream !== 'undefined' && (headers.accept || '').includes('ndjson')) {
+        return { status: 200, headers: { 'content-type': 'application/x-ndjson' }, body: editStream(explanation, modifiedHTML) };
+      }
+      return json({ success: true, modifiedHTML, explanation });
+    },
+
+    translate: ({ body }) => {
+      const { segments, targetLanguage } = JSON.parse(body);
+      if (!Array.isArray(segments) || !segments.length || !targetLanguage) {
+        return fail(400, 'Segments and a target language are required');
+      }
+      return json({ success: true, segments: segments.map(segment => translateSegment(segment, targetLanguage)) });
+    },
+
+    async convert({ body }) {
+      const { html, format, filename } = JSON.parse(body);
+      if (!html || !format) return fail(400, 'HTML content and format are required');
+      const blob = await blobFor(html, format, filename);
+      if (!blob) return fail(400, `Unsupported format: ${format}`);
+      return { status: 200, headers: { 'content-type': blob.type }, body: blob };
+    },
+
+    'auth.login': ({ body }) => {
+      const { email, password } = JSON.parse(body);
+      const user = users.find(entry => entry.email === email && entry.password === password);
+      if (!user) return fail(401, 'Invalid email or password');
+      return json({ ...issueTokens(email), user: publicUser(email) });
+    },
+
+    'auth.refresh': ({ body }) => {
+      const { refreshToken } = JSON.parse(body || '{}');
+      const email = refreshTokens.get(refreshToken);
+      if (!email) return fail(401, 'Refresh token expired');
+      refreshTokens.delete(refreshToken);
+      return json({ ...issueTokens(email), user: publicUser(email) });
+    },
+
+    'auth.logout': ({ body, token }) => {
+      accessTokens.delete(token);
+      refreshTokens.delete(JSON.parse(body || '{}').refreshToken);
+      return json({ success: true });
+    },
+
+    'documents.list': ({ user }) => json({
+      success: true,
+      documents: [...documents.values()]
+        .filter(document => document.owner === user)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(summary)
+    }),
+
+    'documents.get': ({ params: [id], user }) => {
+      const document = documents.get(id);
+      if (!document || document.owner !== user) return fail(404, 'Document not found');
+      const { owner, ...rest } = document;
+      return json({ success: true, document: rest });
+    },
+
+    'documents.rename': ({ params: [id], user, body }) => {
+      const document = documents.get(id);
+      if (!document || document.owner !== user) return fail(404, 'Document not found');
+      const { originalName } = JSON.parse(body);
+      if (!originalName?.trim()) return fail(422, 'Name is required', { details: { originalName: 'must not be empty' } });
+      const updated = { ...document, originalName: originalName.trim(), updatedAt: Date.now() };
+      documents.set(id, updated);
+      return json({ success: true, document: summary(updated) });
+    },
+
+    'documents.delete': ({ params: [id], user }) => {
+      const document = documents.get(id);
+      if (!document || document.owner !== user) return fail(404, 'Document not found');
+      documents.delete(id);
+      return { status: 204, headers: {}, body: null };
+    }
+  };
+
+  const handle = async ({ method = 'GET', url, headers = {}, body = null }) => {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^.*?(?=\/(documents|conversion|auth)(\/|$))/, '');
+    let route = null;
+    let params = [];
+    for (const [routeMethod, pattern, name] of ROUTES) {
+      const match = method.toUpperCase() === routeMethod && path.match(pattern);
+      if (match) {
+        route = name;
+        params = match.slice(1);
+        break;
+      }
+    }
+    requests.push({ method: method.toUpperCase(), path, route });
+
+    const failureIndex = failures.findIndex(entry => entry.route === route);
+    if (failureIndex !== -1) {
+      const [{ response }] = failures.splice(failureIndex, 1);
+      if (response === 'network') return { network: true };
+      if (response === 'hang') return new Promise(() => {});
+      return { status: response.status, headers: response.headers || {}, body: response.body ?? null };
+    }
+
+    if (!route) return fail(404, `No mock route for ${method} ${path}`);
+
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '') || null;
+    const user = token ? accessTokens.get(token) : null;
+    const isAuthRoute = route.startsWith('auth.');
+    const needsUser = requireAuth || route.startsWith('documents.');
+    if (!isAuthRoute && ((token && !user) || (needsUser && !user))) {
+      return fail(401, token ? 'Access token expired' : 'Please sign in');
+    }
+
+    return handlers[route]({ method, path, query: searchParams, params, headers, body, user: user || null, token });
+  };
+
+  return {
+    handle,
+    // [{ method, path, route }] of every request, oldest first.
+    requests,
+    failNext(route, response) {
+      failures.push({ route, response });
+    },
+    // Makes every access token invalid, as if they had expired.
+    expireTokens() {
+      accessTokens.clear();
+    },
+    addDocument(document, owner = null) {
+      const now = Date.now();
+      const stored = { id: `doc-${nextId++}`, language: 'en', metadata: {}, createdAt: now, updatedAt: now, ...document, owner };
+      documents.set(stored.id, stored);
+      return stored;
+    }
+  };
+}
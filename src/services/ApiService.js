@@ -0,0 +1,274 @@
+import uploadConfig from '../config/uploadConfig';
+import exportConfig from '../config/exportConfig';
+import editConfig from '../config/editConfig';
+import translationConfig from '../config/translationConfig';
+import { uploadFile, abandonChunkedUpload } from './upload';
+import { STREAM_ACCEPT, streamFormat, readEditStream } from './editStream';
+import { request } from './request';
+import { TimeoutError, CancelledError, ServerError, AuthError } from './errors';
+import { getSession, bearerHeader, login, logout, refreshSession, ensureFreshSession, expireSession } from './auth';
+
+// Fix for process.env not defined in browser
+export const API_BASE_URL = (typeof process !== 'undefined' && process.env?.REACT_APP_API_URL)
+  ? process.env.REACT_APP_API_URL
+  : 'https://abhishek.nssiitd.in/aidoc/api';
+
+// Client for the document API. Every call goes through ./request, so failures
+// arrive as the typed errors of ./errors, and carries the signed-in user's
+// bearer token (./auth).
+class ApiService {
+  constructor(baseURL = API_BASE_URL) {
+    this.baseURL = baseURL;
+  }
+
+  login(email, password) {
+    return login(this.baseURL, { email, password });
+  }
+
+  logout() {
+    return logout(this.baseURL);
+  }
+
+  // Runs `send` with a fresh token. On a 401 the token is refreshed and
+  // `send` runs once more; if that can't help, the session ends and
+  // listeners of ./auth are told to ask for a login.
+  async authorized(send) {
+    await ensureFreshSession(this.baseURL);
+    try {
+      return await send();
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      if (!getSession()) {
+        expireSession('required');
+        throw error;
+      }
+    }
+    await refreshSession(this.baseURL);
+    try {
+      return await send();
+    } catch (error) {
+      if (error instanceof AuthError) expireSession('expired');
+      throw error;
+    }
+  }
+
+  // `request` with the base URL and the bearer token.
+  send(path, options = {}) {
+    return this.authorized(() => request(`${this.baseURL}${path}`, {
+      ...options,
+      headers: { ...options.headers, ...bearerHeader() }
+    }));
+  }
+
+  // `onProgress` gets { phase: 'uploading', loaded, total } and then
+  // { phase: 'processing' }; aborting `signal` cancels the upload.
+  async uploadDocument(file, { onProgress, signal } = {}) {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+
+    // A retry after a refreshed token continues a chunked upload.
+    return this.authorized(() => uploadFile(this.baseURL, file, {
+      chunkSize: uploadConfig.chunkSize,
+      chunkThreshold: uploadConfig.chunkThreshold,
+      chunkTimeout: uploadConfig.chunkTimeout,
+      processingTimeout: uploadConfig.processingTimeout,
+      onProgress,
+      signal,
+      headers: bearerHeader
+    }));
+  }
+
+  cancelUpload(file) {
+    return abandonChunkedUpload(this.baseURL, file, { headers: bearerHeader });
+  }
+
+  // options: `scope` (see below), `signal` to cancel, `timeout` in ms of
+  // inactivity, `onProgress({ explanation, html })` for streamed edits and
+  // `key`: starting another edit with the same key cancels this one. Edits
+  // are never retried automatically; each attempt is a new AI run.
+  async editDocument(instruction, html, language = 'en', documentId = null, options = {}) {
+    if (!instruction || !html) {
+      throw new Error('Instruction and HTML content are required');
+    }
+
+    const { signal, onProgress, timeout = editConfig.timeout, key = 'edit' } = options;
+    const controller = new AbortController();
+    let timedOut = false;
+    let timeoutId = null;
+    const restartTimeout = () => {
+      clearTimeout(timeoutId);
+      if (!timeout) return;
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    };
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    if (signal?.aborted) controller.abort();
+    restartTimeout();
+
+    try {
+      return await this.send('/documents/edit', {
+        method: 'POST',
+        headers: { Accept: editConfig.streaming ? STREAM_ACCEPT : 'application/json' },
+        json: {
+          documentId,
+          instruction,
+          html,
+          language,
+          // When set, `html` is only the selected fragment and `scope`
+          // describes where it sits in the document.
+          ...(options.scope && { scope: options.scope }),
+          ...(editConfig.streaming && { stream: true })
+        },
+        signal: controller.signal,
+        key,
+        // The inactivity timeout above replaces the per-request one.
+        timeout: 0,
+        fallbackMessage: 'Edit failed',
+        read: async (response) => {
+          // Servers that don't stream keep the single JSON response.
+          const format = streamFormat(response.headers?.get?.('Content-Type') || '');
+          if (!format || !response.body) {
+            try {
+              return await response.json();
+            } catch (e) {
+              throw new ServerError('Invalid response from server', { status: response.status });
+            }
+          }
+          return readEditStream(response.body, format, { onProgress, onData: restartTimeout });
+        }
+      });
+    } catch (error) {
+      if (timedOut && error instanceof CancelledError) {
+        throw new TimeoutError(`The server did not respond for ${Math.round(timeout / 1000)} seconds, so the edit was stopped.`, { timeout });
+      }
+      if (error instanceof CancelledError && !error.superseded) {
+        throw new CancelledError('Edit cancelled');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  // Translates HTML segments (see src/utils/translation.js) and resolves to
+  // their translations in the same order. `instruction` is optional guidance
+  // such as "keep it formal". Like an edit, it is never repeated
+  // automatically; failed segments are re-run by the user.
+  async translateSegments(segments, { source, target, documentId = null, instruction, signal, key = 'translate' } = {}) {
+    if (!segments?.length || !target) {
+      throw new Error('Segments and a target language are required');
+    }
+
+    const response = await this.send('/documents/translate', {
+      method: 'POST',
+      json: {
+        documentId,
+        segments,
+        sourceLanguage: source,
+        targetLanguage: target,
+        ...(instruction && { instruction })
+      },
+      signal,
+      key,
+      timeout: translationConfig.timeout,
+      fallbackMessage: 'Translation failed'
+    });
+    if (response?.success === false) {
+      throw new ServerError(response.error || 'Translation failed');
+    }
+    if (!Array.isArray(response?.segments) || response.segments.length !== segments.length) {
+      throw new ServerError('Invalid response from server');
+    }
+    return response.segments;
+  }
+
+  // Conversion has no side effects, so it is retried like a GET. A new
+  // conversion with the same `key` cancels the previous one; bulk downloads
+  // pass `key: null` to convert one document after another. `options` are
+  // the format's download settings (see EXPORT_FORMATS in ./exporter), e.g.
+  // { pageSize, margin, imageScale } for PDFs.
+  async convertDocument(html, format, filename = null, { options, signal, key = 'convert' } = {}) {
+    if (!html || !format) {
+      throw new Error('HTML content and format are required');
+    }
+
+    const blob = await this.send('/conversion/convert', {
+      method: 'POST',
+      json: { html, format, filename, ...(options && { options }) },
+      signal,
+      key,
+      idempotent: true,
+      timeout: exportConfig.conversionTimeout,
+      responseType: 'blob',
+      fallbackMessage: 'Conversion failed'
+    });
+    if (blob.size === 0) {
+      throw new ServerError('Received empty file from server');
+    }
+    return blob;
+  }
+
+  // The signed-in user's documents on the server ("My Documents"), as
+  // [{ id, originalName, type, size, createdAt, updatedAt }].
+  async listDocuments({ signal } = {}) {
+    const response = await this.send('/documents', { signal, key: 'library' });
+    return response.documents || [];
+  }
+
+  // A saved document with its HTML, shaped like an upload's `document`.
+  async getDocument(id, { signal } = {}) {
+    const response = await this.send(`/documents/${encodeURIComponent(id)}`, { signal });
+    if (!response?.document) {
+      throw new ServerError('Invalid response from server');
+    }
+    return response.document;
+  }
+
+  async renameDocument(id, originalName) {
+    const response = await this.send(`/documents/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      json: { originalName },
+      idempotent: true,
+      fallbackMessage: 'Rename failed'
+    });
+    return response.document;
+  }
+
+  async deleteDocument(id) {
+    await this.send(`/documents/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      // Usually an empty 204.
+      responseType: 'text',
+      fallbackMessage: 'Delete failed'
+    });
+  }
+
+  downloadFile(blob, filename) {
+    try {
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || 'download';
+
+      // Append to document, click, and remove
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      // Clean up the URL object
+      setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+      }, 100);
+    } catch (error) {
+      console.error('Download error:', error);
+      throw new Error('Failed to download file');
+    }
+  }
+}
+
+export default ApiService;
@@ -0,0 +1,154 @@
+import ApiService from './ApiService';
+import { expireSession } from './auth';
+import { ValidationError, ServerError, TimeoutError, AuthError } from './errors';
+import { createMockBackend } from '../mocks/mockBackend';
+import { installMockBackend } from '../mocks/install';
+
+// Contract tests: ApiService against the in-repo mock backend, checking the
+// response shapes App relies on.
+
+const BASE = 'http://mock.test/aidoc/api';
+const api = new ApiService(BASE);
+
+let backend;
+let uninstall;
+beforeEach(() => {
+  expireSession('logout');
+  window.localStorage.clear();
+  backend = createMockBackend();
+  uninstall = installMockBackend(backend, { baseURL: BASE });
+});
+afterEach(() => uninstall());
+
+const textFile = () => new File(['First paragraph.\n\nSecond <paragraph>.'], 'notes.txt', { type: 'text/plain' });
+
+const readBytes = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+test('upload returns the processed document', async () => {
+  const progress = [];
+  const response = await api.uploadDocument(textFile(), { onProgress: event => progress.push(event.phase) });
+  expect(response).toMatchObject({
+    success: true,
+    document: {
+      id: expect.any(String),
+      originalName: 'notes.txt',
+      type: 'text',
+      language: 'en',
+      html: '<h1>notes</h1><p>First paragraph.</p><p>Second &lt;paragraph&gt;.</p>',
+      metadata: { fileSize: textFile().size, wordCount: 5 }
+    }
+  });
+  expect(progress).toEqual(['uploading', 'uploading', 'processing']);
+});
+
+test('large files upload in chunks', async () => {
+  const big = new File([new Uint8Array(4 * 1024 * 1024 + 10)], 'scan.pdf', { type: 'application/pdf' });
+  const response = await api.uploadDocument(big);
+  expect(response.document).toMatchObject({ originalName: 'scan.pdf', type: 'pdf', metadata: { fileSize: big.size } });
+  expect(backend.requests.map(entry => entry.route)).toEqual([
+    'chunked.start', 'chunked.put', 'chunked.put', 'chunked.put', 'chunked.put', 'chunked.put', 'chunked.complete'
+  ]);
+});
+
+test('uploads the server refuses fail with a ValidationError', async () => {
+  const file = new File(['x'], 'tool.exe', { type: 'application/x-msdownload' });
+  await expect(api.uploadDocument(file)).rejects.toMatchObject({
+    constructor: ValidationError,
+    status: 415,
+    message: 'Unsupported file type: application/x-msdownload'
+  });
+});
+
+test('edit returns the modified HTML and an explanation', async () => {
+  const response = await api.editDocument('make the headings uppercase', '<h1>Title</h1><p>Body</p>');
+  expect(response).toEqual({
+    success: true,
+    modifiedHTML: '<h1>TITLE</h1><p>Body</p>',
+    explanation: expect.stringContaining('make the headings uppercase')
+  });
+});
+
+test('edit errors keep the server message and details', async () => {
+  backend.failNext('edit', { status: 500, body: { error: 'Model unavailable' } });
+  await expect(api.editDocument('x', '<p>a</p>')).rejects.toMatchObject({ constructor: ServerError, message: 'Model unavailable' });
+
+  backend.failNext('edit', { status: 422, body: { error: 'Bad instruction', details: { instruction: 'too long' } } });
+  await expect(api.editDocument('x', '<p>a</p>')).rejects.toMatchObject({ constructor: ValidationError, details: { instruction: 'too long' } });
+});
+
+test('an edit the server never answers times out', async () => {
+  backend.failNext('edit', 'hang');
+  await expect(api.editDocument('x', '<p>a</p>', 'en', null, { timeout: 20 })).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test('translation returns one translated segment per segment', async () => {
+  const segments = await api.translateSegments(['<h1>Title</h1>', 'Loose <b>text</b>'], { source: 'en', target: 'fr' });
+  expect(segments).toEqual(['<h1>[fr] Title</h1>', '[fr] Loose <b>text</b>']);
+
+  backend.failNext('translate', { status: 200, body: { success: true, segments: ['<h1>Titre</h1>'] } });
+  await expect(api.translateSegments(['<h1>Title</h1>', '<p>Body</p>'], { target: 'fr' })).rejects.toBeInstanceOf(ServerError);
+
+  // Like edits, failed translations are left to the user to re-run.
+  backend.failNext('translate', { status: 503, body: { error: 'Busy' } });
+  const before = backend.requests.length;
+  await expect(api.translateSegments(['<p>Body</p>'], { target: 'fr' })).rejects.toThrow('Busy');
+  expect(backend.requests.length - before).toBe(1);
+});
+
+test.each([
+  ['html', 'text/html'],
+  ['pdf', 'application/pdf'],
+  ['docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['png', 'image/png']
+])('converts to %s', async (format, type) => {
+  const blob = await api.convertDocument('<p>Hello</p>', format, `doc.${format}`);
+  expect(blob.type).toBe(type);
+  expect(blob.size).toBeGreaterThan(0);
+});
+
+test('conversion sends the download settings along', async () => {
+  const fetchSpy = jest.spyOn(global, 'fetch');
+  await api.convertDocument('<p>Hello</p>', 'pdf', 'doc.pdf', { options: { pageSize: 'letter', margin: 15, imageScale: 2 } });
+  expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({
+    html: '<p>Hello</p>', format: 'pdf', filename: 'doc.pdf', options: { pageSize: 'letter', margin: 15, imageScale: 2 }
+  });
+  fetchSpy.mockRestore();
+});
+
+test('Word documents are zip packages', async () => {
+  const blob = await api.convertDocument('<p>Hello</p>', 'docx', 'doc.docx');
+  expect([...(await readBytes(blob)).slice(0, 2)]).toEqual([0x50, 0x4b]);
+});
+
+test('conversion is retried after a server error', async () => {
+  backend.failNext('convert', { status: 503, body: { error: 'Busy' } });
+  const blob = await api.convertDocument('<p>Hello</p>', 'html');
+  expect(blob.type).toBe('text/html');
+  expect(backend.requests.filter(entry => entry.route === 'convert')).toHaveLength(2);
+});
+
+test('the library needs a login and lists only the user\'s documents', async () => {
+  await expect(api.listDocuments()).rejects.toBeInstanceOf(AuthError);
+
+  await api.login('demo@example.com', 'demo');
+  await api.uploadDocument(textFile());
+  const [saved] = await api.listDocuments();
+  expect(saved).toMatchObject({ originalName: 'notes.txt', type: 'text' });
+  expect(saved.html).toBeUndefined();
+
+  expect(await api.getDocument(saved.id)).toMatchObject({ id: saved.id, html: expect.stringContaining('<h1>notes</h1>') });
+  expect(await api.renameDocument(saved.id, 'minutes.txt')).toMatchObject({ originalName: 'minutes.txt' });
+  await api.deleteDocument(saved.id);
+  await expect(api.listDocuments()).resolves.toEqual([]);
+});
+
+test('expired tokens are refreshed against the mock', async () => {
+  await api.login('demo@example.com', 'demo');
+  backend.expireTokens();
+  await expect(api.listDocuments()).resolves.toEqual([]);
+  expect(backend.requests.map(entry => entry.route)).toEqual(['auth.login', 'documents.list', 'auth.refresh', 'documents.list']);
+});
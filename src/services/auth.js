@@ -0,0 +1,140 @@
+// The signed-in user and their tokens. Routes, relative to the API base URL:
+//
+//   POST /auth/login    { email, password } -> { accessToken, refreshToken?, expiresIn, user }
+//   POST /auth/refresh  { refreshToken? }   -> { accessToken, refreshToken?, expiresIn, user? }
+//   POST /auth/logout   { refreshToken? }
+//
+// `expiresIn` is in seconds. Refresh and logout also send cookies, for servers
+// that keep the refresh token in an HttpOnly cookie instead of the body.
+//
+// The session survives reloads in localStorage. Listeners hear about every
+// change with a reason: 'login', 'refresh', 'logout', 'expired' (a refresh
+// was refused) or 'required' (the server wants a login nobody has made).
+
+import apiConfig from '../config/apiConfig';
+import { storage } from '../utils/storage';
+import { request } from './request';
+import { AuthError } from './errors';
+
+const STORAGE_KEY = 'aidoc.auth';
+
+const listeners = new Set();
+let session;
+let refreshing = null;
+
+const readStored = () => {
+  try {
+    return JSON.parse(storage()?.getItem(STORAGE_KEY)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/** `{ accessToken, refreshToken, expiresAt, user }`, or null when signed out. */
+export const getSession = () => {
+  if (session === undefined) session = readStored();
+  return session;
+};
+
+const setSession = (next, reason) => {
+  session = next;
+  if (next) storage()?.setItem(STORAGE_KEY, JSON.stringify(next));
+  else storage()?.removeItem(STORAGE_KEY);
+  listeners.forEach(listener => listener(next, reason));
+};
+
+const sessionFrom = (body, previous = null) => {
+  if (!body?.accessToken) throw new AuthError('The server did not return an access token.');
+  return {
+    accessToken: body.accessToken,
+    refreshToken: body.refreshToken || previous?.refreshToken || null,
+    expiresAt: body.expiresIn ? Date.now() + body.expiresIn * 1000 : null,
+    user: body.user || previous?.user || null
+  };
+};
+
+/** Calls `listener(session, reason)` on every change; returns an unsubscribe function. */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** `{ Authorization }` for the current access token, or nothing when signed out. */
+export const bearerHeader = () => {
+  const token = getSession()?.accessToken;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+export async function login(baseURL, { email, password }) {
+  const body = await request(`${baseURL}/auth/login`, {
+    method: 'POST',
+    json: { email, password },
+    credentials: 'include',
+    fallbackMessage: 'Sign in failed'
+  });
+  const next = sessionFrom(body);
+  setSession(next, 'login');
+  return next;
+}
+
+export async function logout(baseURL) {
+  const current = getSession();
+  refreshing = null;
+  setSession(null, 'logout');
+  if (!current) return;
+  try {
+    await request(`${baseURL}/auth/logout`, {
+      method: 'POST',
+      json: { refreshToken: current.refreshToken },
+      headers: { Authorization: `Bearer ${current.accessToken}` },
+      credentials: 'include',
+      retries: 0
+    });
+  } catch (e) {
+    // Signed out here either way; the server's tokens expire on their own.
+  }
+}
+
+/**
+ * Gets a new access token. Concurrent callers share one refresh. When the
+ * server refuses it the session ends ('expired') and an AuthError is thrown;
+ * connection problems are thrown as they are and keep the session.
+ */
+export function refreshSession(baseURL) {
+  if (!refreshing) {
+    const current = getSession();
+    refreshing = request(`${baseURL}/auth/refresh`, {
+      method: 'POST',
+      json: { refreshToken: current?.refreshToken || undefined },
+      credentials: 'include'
+    }).then(body => {
+      // Signed out while this was under way.
+      if (current && getSession() !== current) throw new AuthError();
+      const next = sessionFrom(body, current);
+      setSession(next, 'refresh');
+      return next;
+    }, error => {
+      if (error.kind === 'auth' || error.kind === 'validation' || error.status === 403) {
+        expireSession('expired');
+        throw new AuthError('Your session has expired. Please sign in again.');
+      }
+      throw error;
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/** Refreshes the access token if it runs out within `apiConfig.refreshMargin`. */
+export async function ensureFreshSession(baseURL) {
+  const current = getSession();
+  if (!current?.expiresAt || current.expiresAt - Date.now() > apiConfig.refreshMargin) return current;
+  return refreshSession(baseURL);
+}
+
+/** Ends the session without asking the server, e.g. after a refused refresh. */
+export function expireSession(reason = 'expired') {
+  refreshing = null;
+  setSession(null, reason);
+}
@@ -0,0 +1,144 @@
+import ApiService from './ApiService';
+import { getSession, bearerHeader, subscribe, refreshSession, expireSession } from './auth';
+import { AuthError } from './errors';
+
+// Local stand-in for the auth routes and a protected documents route. Access
+// tokens are valid until `revoke()`; refresh tokens until `revokeRefresh()`.
+const createMockAuthServer = ({ expiresIn = 3600 } = {}) => {
+  const state = { issued: 0, valid: new Set(), refreshValid: true, documents: [{ id: 'd1', originalName: 'a.pdf' }] };
+  const calls = [];
+
+  const reply = (body, status = 200) => ({
+    ok: status < 400,
+    status,
+    statusText: '',
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => ''
+  });
+  const issue = () => {
+    state.issued += 1;
+    const token = `access-${state.issued}`;
+    state.valid.add(token);
+    return { accessToken: token, refreshToken: 'refresh-1', expiresIn };
+  };
+
+  const fetchImpl = jest.fn(async (url, { method = 'GET', headers = {}, body } = {}) => {
+    const path = new URL(url).pathname.replace('/api', '');
+    calls.push(`${method} ${path}`);
+    if (path === '/auth/login') {
+      const { email, password } = JSON.parse(body);
+      if (password !== 'secret') return reply({ error: 'Invalid credentials' }, 401);
+      return reply({ ...issue(), user: { email } });
+    }
+    if (path === '/auth/refresh') {
+      return state.refreshValid && JSON.parse(body).refreshToken === 'refresh-1'
+        ? reply(issue())
+        : reply({ error: 'Refresh token expired' }, 401);
+    }
+    if (path === '/auth/logout') return reply({});
+    const token = (headers.Authorization || '').replace('Bearer ', '');
+    if (!state.valid.has(token)) return reply({ error: 'Unauthorized' }, 401);
+    if (path === '/documents' && method === 'GET') return reply({ documents: state.documents });
+    if (path === '/documents/d1' && method === 'PATCH') {
+      state.documents[0] = { ...state.documents[0], ...JSON.parse(body) };
+      return reply({ document: state.documents[0] });
+    }
+    if (path === '/documents/d1' && method === 'DELETE') {
+      state.documents = [];
+      return reply(null, 204);
+    }
+    return reply({ error: 'Not found' }, 404);
+  });
+
+  return {
+    fetchImpl,
+    calls,
+    revoke: () => state.valid.clear(),
+    revokeRefresh: () => { state.refreshValid = false; }
+  };
+};
+
+const api = new ApiService('http://mock.test/api');
+
+let server;
+beforeEach(() => {
+  expireSession('logout');
+  window.localStorage.clear();
+  server = createMockAuthServer();
+  global.fetch = server.fetchImpl;
+});
+
+test('login stores the session and sends the bearer token', async () => {
+  await api.login('ada@example.com', 'secret');
+  expect(getSession()).toMatchObject({ accessToken: 'access-1', user: { email: 'ada@example.com' } });
+  expect(JSON.parse(window.localStorage.getItem('aidoc.auth')).accessToken).toBe('access-1');
+  expect(bearerHeader()).toEqual({ Authorization: 'Bearer access-1' });
+  await expect(api.listDocuments()).resolves.toEqual([{ id: 'd1', originalName: 'a.pdf' }]);
+});
+
+test('wrong credentials reject with an AuthError and leave the user signed out', async () => {
+  await expect(api.login('ada@example.com', 'nope')).rejects.toBeInstanceOf(AuthError);
+  expect(getSession()).toBeNull();
+});
+
+test('a 401 refreshes the token silently and repeats the request', async () => {
+  await api.login('ada@example.com', 'secret');
+  server.revoke();
+  await expect(api.renameDocument('d1', 'b.pdf')).resolves.toMatchObject({ originalName: 'b.pdf' });
+  expect(getSession().accessToken).toBe('access-2');
+  expect(server.calls).toEqual(['POST /auth/login', 'PATCH /documents/d1', 'POST /auth/refresh', 'PATCH /documents/d1']);
+});
+
+test('concurrent requests share one refresh', async () => {
+  await api.login('ada@example.com', 'secret');
+  server.revoke();
+  await Promise.all([api.listDocuments(), api.renameDocument('d1', 'b.pdf'), refreshSession(api.baseURL)]);
+  expect(server.calls.filter(call => call === 'POST /auth/refresh')).toHaveLength(1);
+});
+
+test('a refresh is sent once, even when the server fails it', async () => {
+  await api.login('ada@example.com', 'secret');
+  global.fetch = jest.fn(async (url, options) => (url.endsWith('/auth/refresh')
+    ? { ok: false, status: 503, statusText: '', headers: { get: () => null }, json: async () => ({}), text: async () => '' }
+    : server.fetchImpl(url, options)));
+  await expect(refreshSession(api.baseURL)).rejects.toMatchObject({ status: 503 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(getSession().accessToken).toBe('access-1');
+});
+
+test('a refused refresh ends the session and asks for a login', async () => {
+  const reasons = [];
+  const unsubscribe = subscribe((next, reason) => reasons.push(reason));
+  await api.login('ada@example.com', 'secret');
+  server.revoke();
+  server.revokeRefresh();
+  await expect(api.deleteDocument('d1')).rejects.toBeInstanceOf(AuthError);
+  expect(getSession()).toBeNull();
+  expect(window.localStorage.getItem('aidoc.auth')).toBeNull();
+  expect(reasons).toEqual(['login', 'expired']);
+  unsubscribe();
+});
+
+test('a 401 without a login asks for one', async () => {
+  const reasons = [];
+  const unsubscribe = subscribe((next, reason) => reasons.push(reason));
+  await expect(api.listDocuments()).rejects.toBeInstanceOf(AuthError);
+  expect(reasons).toEqual(['required']);
+  unsubscribe();
+});
+
+test('tokens about to expire are refreshed before the request', async () => {
+  server = createMockAuthServer({ expiresIn: 10 });
+  global.fetch = server.fetchImpl;
+  await api.login('ada@example.com', 'secret');
+  await api.listDocuments();
+  expect(server.calls).toEqual(['POST /auth/login', 'POST /auth/refresh', 'GET /documents']);
+});
+
+test('logout forgets the session and tells the server', async () => {
+  await api.login('ada@example.com', 'secret');
+  await api.logout();
+  expect(getSession()).toBeNull();
+  expect(server.calls).toContain('POST /auth/logout');
+});
@@ -0,0 +1,137 @@
+// Streaming AI edit responses. The server may answer an edit request with
+// Server-Sent Events (text/event-stream) or newline-delimited JSON
+// (application/x-ndjson). Either way it sends these events:
+//
+//   explanation  { text }                      appended to the explanation
+//   html         { html } | { delta }          the HTML so far, or more of it
+//   done         { modifiedHTML?, explanation? }
+//   error        { error }
+//
+// In SSE the event name is the `event:` field; in NDJSON it is `type`.
+
+import { NetworkError, ServerError } from './errors';
+
+export const STREAM_ACCEPT = 'text/event-stream, application/x-ndjson, application/json';
+
+/** 'sse', 'ndjson' or null for a Content-Type header. */
+export function streamFormat(contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'text/event-stream') return 'sse';
+  if (type === 'application/x-ndjson' || type === 'application/jsonl') return 'ndjson';
+  return null;
+}
+
+const parseData = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    // Plain-text data, e.g. `data: some words` for an explanation.
+    return { text: raw };
+  }
+};
+
+const parseSseBlock = (block) => {
+  let type = null;
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') type = value;
+    if (field === 'data') data.push(value);
+  });
+  if (data.length === 0) return null;
+  const payload = parseData(data.join('\n'));
+  return { ...payload, type: type || payload.type || 'message' };
+};
+
+/**
+ * Incremental parser: `push(text)` returns the events completed by that
+ * text, `end()` the one still buffered when the stream closes.
+ */
+export function createStreamParser(format) {
+  let buffer = '';
+  const separator = format === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+  const parse = (part) => {
+    if (!part.trim()) return null;
+    return format === 'sse' ? parseSseBlock(part.replace(/\r\n/g, '\n')) : parseData(part);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      const parts = buffer.split(separator);
+      buffer = parts.pop();
+      return parts.map(parse).filter(Boolean);
+    },
+    end() {
+      const last = parse(buffer);
+      buffer = '';
+      return last ? [last] : [];
+    }
+  };
+}
+
+/**
+ * Reads a streamed edit to the end. `onProgress({ explanation, html })` is
+ * called after every event with everything received so far, `onData` for
+ * every chunk (to keep an inactivity timeout alive). Resolves to the same
+ * `{ success, modifiedHTML, explanation }` shape as the JSON response; an
+ * error event rejects with a ServerError, a stream that breaks off with a
+ * NetworkError.
+ */
+export async function readEditStream(body, format, { onProgress, onData, decoder = new TextDecoder() } = {}) {
+  const reader = body.getReader();
+  const parser = createStreamParser(format);
+  const state = { explanation: '', html: '' };
+  let result = null;
+
+  const handle = (event) => {
+    switch (event.type) {
+      case 'explanation':
+        state.explanation += event.text || '';
+        break;
+      case 'html':
+        state.html = event.html !== undefined ? event.html : state.html + (event.delta || '');
+        break;
+      case 'done':
+        result = {
+          success: true,
+          modifiedHTML: event.modifiedHTML ?? state.html,
+          explanation: event.explanation ?? state.explanation
+        };
+        break;
+      case 'error':
+        throw new ServerError(event.error || 'Edit failed', { details: event.details ?? null });
+      default:
+        return;
+    }
+    onProgress?.({ ...state });
+  };
+
+  const brokenOff = () => new NetworkError('The edit stream ended before the server finished. Please try again.');
+  try {
+    for (;;) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        throw brokenOff();
+      }
+      if (chunk.done) break;
+      onData?.();
+      parser.push(decoder.decode(chunk.value, { stream: true })).forEach(handle);
+    }
+    // Whatever the decoder still holds of a multi-byte character.
+    parser.push(decoder.decode()).forEach(handle);
+    parser.end().forEach(handle);
+  } finally {
+    // Stops the download when reading stopped early, e.g. on an error event.
+    reader.cancel().catch(() => {});
+    reader.releaseLock?.();
+  }
+
+  if (!result) throw brokenOff();
+  return result;
+}
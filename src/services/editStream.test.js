@@ -0,0 +1,63 @@
+import { streamFormat, createStreamParser, readEditStream } from './editStream';
+import { NetworkError, ServerError } from './errors';
+
+// Chunks are plain strings here; the decoder passes them through. A chunk
+// that is an Error makes the read fail.
+const bodyOf = (chunks) => {
+  const queue = [...chunks];
+  const reader = {
+    read: async () => {
+      if (!queue.length) return { done: true };
+      const value = queue.shift();
+      if (value instanceof Error) throw value;
+      return { value, done: false };
+    },
+    cancel: jest.fn(async () => {})
+  };
+  return { reader, getReader: () => reader };
+};
+const decoder = { decode: (value = '') => value };
+
+test('streamFormat recognises SSE and NDJSON', () => {
+  expect(streamFormat('text/event-stream; charset=utf-8')).toBe('sse');
+  expect(streamFormat('application/x-ndjson')).toBe('ndjson');
+  expect(streamFormat('application/json')).toBeNull();
+});
+
+test('SSE events split across chunks are reassembled', () => {
+  const parser = createStreamParser('sse');
+  expect(parser.push('event: explanation\ndata: {"text":"Made the')).toEqual([]);
+  expect(parser.push(' title bold"}\n\n: keep-alive\n\nevent: html\r\ndata: {"html":"<h1>')).toEqual([
+    { type: 'explanation', text: 'Made the title bold' }
+  ]);
+  expect(parser.push('<b>T</b></h1>"}\n\n')).toEqual([{ type: 'html', html: '<h1><b>T</b></h1>' }]);
+  expect(parser.end()).toEqual([]);
+});
+
+test('readEditStream reports progress and resolves to the final result', async () => {
+  const progress = [];
+  const body = bodyOf([
+    '{"type":"explanation","text":"Translated "}\n{"type":"html","delta":"<p>Hola"}\n',
+    '{"type":"explanation","text":"the text"}\n{"type":"html","delta":"</p>"}\n',
+    '{"type":"done"}'
+  ]);
+
+  const result = await readEditStream(body, 'ndjson', { decoder, onProgress: p => progress.push(p) });
+
+  expect(result).toEqual({ success: true, modifiedHTML: '<p>Hola</p>', explanation: 'Translated the text' });
+  expect(progress[1]).toEqual({ explanation: 'Translated ', html: '<p>Hola' });
+});
+
+test('readEditStream fails on error events and on streams cut short', async () => {
+  const failed = bodyOf(['event: error\ndata: {"error":"Model overloaded"}\n\n', 'event: html\ndata: {"html":"<p>"}\n\n']);
+  const error = await readEditStream(failed, 'sse', { decoder }).catch(e => e);
+  expect(error).toBeInstanceOf(ServerError);
+  expect(error.message).toBe('Model overloaded');
+  // The rest of the response isn't downloaded.
+  expect(failed.reader.cancel).toHaveBeenCalled();
+
+  await expect(readEditStream(bodyOf(['{"type":"html","html":"<p>"}\n']), 'ndjson', { decoder }))
+    .rejects.toThrow(NetworkError);
+  await expect(readEditStream(bodyOf(['{"type":"html","html":"<p>"}\n', new TypeError('network error')]), 'ndjson', { decoder }))
+    .rejects.toThrow('ended before the server finished');
+});
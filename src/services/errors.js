@@ -0,0 +1,125 @@
+// Errors thrown by the request layer (src/services/request.js). Every failure
+// is an ApiError whose `kind` tells the UI what the user can do about it:
+//
+//   network      no connection to the server           -> check it, try again
+//   timeout      the server stopped answering          -> try again
+//   rateLimited  429; `retryAfter` ms until it may     -> wait, then try again
+//   validation   the server rejected the input (4xx)   -> fix it; see `details`
+//   auth         401; not signed in or the session     -> sign in again
+//                could not be refreshed
+//   server       the server failed (5xx) or answered   -> try again later
+//                something unusable
+//   http         any other status (403, 404, ...)
+//   cancelled    aborted by the user or superseded by a newer request
+//
+// `details` is whatever the server sent alongside the message (`details` or
+// `errors` in the JSON body), e.g. per-field validation messages.
+
+export class ApiError extends Error {
+  constructor(message, { kind = 'http', status = null, details = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.details = details;
+    this.retryable = retryable;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Unable to connect to server. Please check if the backend is running.') {
+    super(message, { kind: 'network', retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message = 'The server took too long to respond.', { timeout = null } = {}) {
+    super(message, { kind: 'timeout', retryable: true });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, { status = 400, details = null } = {}) {
+    super(message, { kind: 'validation', status, details });
+    this.name = 'ValidationError';
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message = 'Please sign in to continue.', { details = null } = {}) {
+    super(message, { kind: 'auth', status: 401, details });
+    this.name = 'AuthError';
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, { status = null, details = null } = {}) {
+    super(message, { kind: 'server', status, details, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+export class RateLimitedError extends ApiError {
+  constructor(message = 'Too many requests. Please wait a moment.', { retryAfter = null, details = null } = {}) {
+    super(message, { kind: 'rateLimited', status: 429, details, retryable: true });
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+    // When the wait is over, for countdowns that render later.
+    this.retryAt = retryAfter === null ? null : Date.now() + retryAfter;
+  }
+}
+
+// Named like the DOM's abort error so `error.name === 'AbortError'` checks
+// keep treating it as "not a failure".
+export class CancelledError extends ApiError {
+  constructor(message = 'Request cancelled', { superseded = false } = {}) {
+    super(message, { kind: 'cancelled' });
+    this.name = 'AbortError';
+    this.superseded = superseded;
+  }
+}
+
+export const isCancelled = (error) => error instanceof CancelledError || error?.name === 'AbortError';
+
+const VALIDATION_STATUSES = [400, 413, 415, 422];
+
+/**
+ * Milliseconds to wait from a Retry-After header, which is either a number of
+ * seconds or an HTTP date; null when missing or unreadable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/** The typed error for an HTTP status and its (parsed) body. */
+export function errorForStatus(status, body, { statusText = '', retryAfter = null, fallback } = {}) {
+  const message = body?.error || body?.message || fallback || `HTTP ${status}${statusText ? `: ${statusText}` : ''}`;
+  const details = body?.details || body?.errors || null;
+  if (status === 401) return new AuthError(message, { details });
+  if (status === 429) return new RateLimitedError(message, { retryAfter, details });
+  if (VALIDATION_STATUSES.includes(status)) return new ValidationError(message, { status, details });
+  if (status >= 500) return new ServerError(message, { status, details });
+  return new ApiError(message, { status, details });
+}
+
+/** Reads the error body of a failed fetch response into a typed error. */
+export async function errorFromResponse(response, fallback) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (e) {
+    // Not JSON; the status line is all there is.
+  }
+  return errorForStatus(response.status, body, {
+    statusText: response.statusText,
+    retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After')),
+    fallback: body ? fallback : undefined
+  });
+}
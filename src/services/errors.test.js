@@ -0,0 +1,31 @@
+import { parseRetryAfter, errorForStatus, isCancelled, CancelledError, RateLimitedError, ValidationError, ServerError, ApiError } from './errors';
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+  expect(parseRetryAfter('30')).toBe(30000);
+  expect(parseRetryAfter('1.5')).toBe(1500);
+  expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', now)).toBe(10000);
+  expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  expect(parseRetryAfter(null)).toBeNull();
+  expect(parseRetryAfter('soon')).toBeNull();
+});
+
+test('errorForStatus picks the error type from the status', () => {
+  expect(errorForStatus(429, null, { retryAfter: 5000 })).toMatchObject({ constructor: RateLimitedError, retryAfter: 5000 });
+  expect(errorForStatus(413, { error: 'Too large' })).toMatchObject({ constructor: ValidationError, message: 'Too large', retryable: false });
+  expect(errorForStatus(502, null, { statusText: 'Bad Gateway' })).toMatchObject({
+    constructor: ServerError,
+    message: 'HTTP 502: Bad Gateway',
+    retryable: true
+  });
+  expect(errorForStatus(404, { message: 'Not found' })).toMatchObject({ constructor: ApiError, kind: 'http', status: 404 });
+  expect(errorForStatus(400, { errors: ['a'] }, { fallback: 'Edit failed' })).toMatchObject({ message: 'Edit failed', details: ['a'] });
+});
+
+test('isCancelled accepts CancelledError and DOM abort errors', () => {
+  const domAbort = new Error('aborted');
+  domAbort.name = 'AbortError';
+  expect(isCancelled(new CancelledError())).toBe(true);
+  expect(isCancelled(domAbort)).toBe(true);
+  expect(isCancelled(new Error('x'))).toBe(false);
+});
@@ -0,0 +1,251 @@
+// Builds downloads in the browser so exporting works without the backend.
+// Formats the browser can't build are converted by the server through the
+// `convert` callback, and so are exportConfig.serverFormats, which the
+// browser only builds while the server is unavailable.
+
+import exportConfig, { PAGE_SIZES } from '../config/exportConfig';
+import { parseHtml } from '../utils/dom';
+import { htmlToMarkdown, htmlToText } from '../utils/htmlText';
+import { htmlToDocx, DOCX_MIME_TYPE } from '../utils/docx';
+import { createPdf } from '../utils/pdf';
+import { toBytes } from '../utils/zip';
+import { RenderingUnsupportedError, renderSnapshot, loadSnapshotImage, rasterize, paginate } from '../utils/snapshot';
+
+export { RenderingUnsupportedError };
+
+const PX_PER_MM = 96 / 25.4;
+const PT_PER_PX = 72 / 96;
+const IMAGE_SIZE_TIMEOUT = 3000;
+
+/**
+ * The download formats in menu order. `options` lists the settings from
+ * exportOptions() that apply to the format; `server` marks formats the
+ * server can convert when the browser can't. `fallback` describes what the
+ * browser makes of a format in exportConfig.serverFormats when the server
+ * is unavailable.
+ */
+export const EXPORT_FORMATS = {
+  html: { label: 'HTML', mimeType: 'text/html', options: ['inlineImages'], server: true },
+  pdf: {
+    label: 'PDF',
+    mimeType: 'application/pdf',
+    options: ['pageSize', 'margin', 'imageScale'],
+    server: true,
+    fallback: 'an image-only PDF (text can\'t be selected or searched)'
+  },
+  docx: { label: 'Word Document', mimeType: DOCX_MIME_TYPE, options: ['pageSize', 'margin'], server: true },
+  png: { label: 'PNG Image', mimeType: 'image/png', options: ['snapshotWidth', 'imageScale'], server: true },
+  svg: { label: 'SVG Image', mimeType: 'image/svg+xml', options: ['snapshotWidth'], server: false },
+  md: { label: 'Markdown', mimeType: 'text/markdown', options: [], server: false },
+  txt: { label: 'Plain Text', mimeType: 'text/plain', options: [], server: false }
+};
+
+/** Whether `format` is converted by the server when it is available. */
+export const prefersServer = (format) => exportConfig.serverFormats.includes(format) && !!EXPORT_FORMATS[format]?.server;
+
+// Failures that say nothing about the document, only that the server can't
+// convert anything right now.
+const serverUnavailable = (err) => ['network', 'timeout', 'server'].includes(err?.kind);
+
+/** Default per-format settings, from exportConfig. */
+export const exportOptions = () => ({
+  pageSize: exportConfig.pageSize,
+  margin: exportConfig.margin,
+  imageScale: exportConfig.imageScale,
+  snapshotWidth: exportConfig.snapshotWidth,
+  inlineImages: exportConfig.inlineImages
+});
+
+const DOCUMENT_STYLES = `
+  body {
+    margin: 0;
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    line-height: 1.5;
+    color: #111827;
+    background-color: #ffffff;
+    overflow-wrap: break-word;
+  }
+  img { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; }
+  pre { white-space: pre-wrap; }
+`;
+
+// Standalone files get a readable column; snapshots a small border; PDF
+// pages none, since the page margins provide it.
+const LAYOUT_STYLES = {
+  file: 'body { max-width: 800px; margin: 0 auto; padding: 32px 16px; }',
+  snapshot: 'body { padding: 24px; }',
+  page: 'body { padding: 0; }'
+};
+
+const CSP = "default-src 'none'; img-src data: *; style-src 'unsafe-inline'; font-src data: *";
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+const standaloneHtml = (body, { title, lang, dir, layout }) => `<!DOCTYPE html>
+<html lang="${escapeHtml(lang || 'en')}"${dir ? ` dir="${escapeHtml(dir)}"` : ''}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="${CSP}">
+<title>${escapeHtml(title || 'Document')}</title>
+<style>${DOCUMENT_STYLES}${LAYOUT_STYLES[layout]}</style>
+</head>
+<body>${body}</body>
+</html>
+`;
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Replaces image URLs with data URLs. Images that can't be fetched (e.g.
+// without CORS headers) keep their URL.
+async function inlineImages(html) {
+  const doc = parseHtml(html);
+  await Promise.all(Array.from(doc.querySelectorAll('img[src]')).map(async image => {
+    const src = image.getAttribute('src');
+    if (src.startsWith('data:')) return;
+    try {
+      const response = await fetch(src);
+      if (!response.ok) return;
+      image.setAttribute('src', await readAsDataUrl(await response.blob()));
+      image.removeAttribute('srcset');
+    } catch (e) {
+      // Left as a link.
+    }
+  }));
+  return doc.body.innerHTML;
+}
+
+const naturalSize = (src) => new Promise(resolve => {
+  const image = new Image();
+  const timer = setTimeout(() => resolve(null), IMAGE_SIZE_TIMEOUT);
+  image.onload = () => {
+    clearTimeout(timer);
+    resolve(image.naturalWidth ? { width: image.naturalWidth, height: image.naturalHeight } : null);
+  };
+  image.onerror = () => {
+    clearTimeout(timer);
+    resolve(null);
+  };
+  image.src = src;
+});
+
+const pageOf = (options) => PAGE_SIZES[options.pageSize] || PAGE_SIZES.a4;
+
+// Snapshots need every image as a data URL: the SVG they are drawn through
+// can't load anything else.
+const snapshotOf = async (html, info, layout, width) =>
+  renderSnapshot(standaloneHtml(await inlineImages(html), { ...info, layout }), { width });
+
+const BUILDERS = {
+  async html(html, options, info) {
+    const body = options.inlineImages ? await inlineImages(html) : html;
+    return new Blob([standaloneHtml(body, { ...info, layout: 'file' })], { type: 'text/html' });
+  },
+
+  async md(html) {
+    return new Blob([htmlToMarkdown(html)], { type: 'text/markdown' });
+  },
+
+  async txt(html) {
+    return new Blob([htmlToText(html)], { type: 'text/plain' });
+  },
+
+  async svg(html, options, info) {
+    const snapshot = await snapshotOf(html, info, 'snapshot', Number(options.snapshotWidth));
+    return new Blob([snapshot.svg], { type: 'image/svg+xml' });
+  },
+
+  async png(html, options, info) {
+    const snapshot = await snapshotOf(html, info, 'snapshot', Number(options.snapshotWidth));
+    const image = await loadSnapshotImage(snapshot);
+    const { blob } = await rasterize(image, { width: snapshot.width, height: snapshot.height, scale: Number(options.imageScale) });
+    return blob;
+  },
+
+  // Pages are laid out at the printable width, so text wraps as it would on
+  // paper, and end between blocks where possible.
+  async pdf(html, options, info) {
+    const page = pageOf(options);
+    const margin = Number(options.margin) || 0;
+    const contentWidth = Math.round((page.width - margin * 2) * PX_PER_MM);
+    const contentHeight = Math.round((page.height - margin * 2) * PX_PER_MM);
+    const snapshot = await snapshotOf(html, info, 'page', contentWidth);
+    const image = await loadSnapshotImage(snapshot);
+
+    const pages = [];
+    for (const slice of paginate(snapshot.height, contentHeight, snapshot.breaks)) {
+      const jpeg = await rasterize(image, {
+        top: slice.top,
+        width: contentWidth,
+        height: slice.height,
+        scale: Number(options.imageScale),
+        type: 'image/jpeg',
+        quality: exportConfig.pdfQuality
+      });
+      pages.push({
+        width: page.width * PX_PER_MM * PT_PER_PX,
+        height: page.height * PX_PER_MM * PT_PER_PX,
+        x: margin * PX_PER_MM * PT_PER_PX,
+        y: margin * PX_PER_MM * PT_PER_PX,
+        drawWidth: contentWidth * PT_PER_PX,
+        drawHeight: slice.height * PT_PER_PX,
+        image: { data: await toBytes(jpeg.blob), width: jpeg.width, height: jpeg.height }
+      });
+    }
+    return createPdf(pages, { title: info.title, lang: info.lang });
+  },
+
+  async docx(html, options, info) {
+    return htmlToDocx(await inlineImages(html), {
+      pageSize: pageOf(options),
+      margin: Number(options.margin) || 0,
+      title: info.title,
+      lang: info.lang,
+      imageSize: naturalSize
+    });
+  }
+};
+
+/**
+ * Exports document HTML as `format` (a key of EXPORT_FORMATS) and resolves
+ * to a Blob. `options` override exportOptions(); `title`, `lang` and `dir`
+ * (writing direction) go into the file where the format has room for them.
+ * `convert(html, format, settings)` is the server conversion, used for
+ * exportConfig.serverFormats and when the browser can't build the format;
+ * `settings` are the ones of EXPORT_FORMATS[format].options.
+ * When the server is unavailable a preferred format is built in the
+ * browser instead; if that fails too, the server's error is reported.
+ */
+export async function exportDocument(html, format, { options, title, lang, dir, convert } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const settings = { ...exportOptions(), ...options };
+  const canUseServer = spec.server && typeof convert === 'function';
+  const serverSettings = Object.fromEntries(spec.options.map(name => [name, settings[name]]));
+
+  if (canUseServer && prefersServer(format)) {
+    try {
+      return await convert(html, format, serverSettings);
+    } catch (err) {
+      if (!serverUnavailable(err)) throw err;
+      try {
+        return await BUILDERS[format](html, settings, { title, lang, dir });
+      } catch (fallbackError) {
+        throw err;
+      }
+    }
+  }
+  try {
+    return await BUILDERS[format](html, settings, { title, lang, dir });
+  } catch (err) {
+    if (!(err instanceof RenderingUnsupportedError)) throw err;
+    if (canUseServer) return convert(html, format, serverSettings);
+    throw new RenderingUnsupportedError(`This browser can't create ${spec.label} files. Try another format.`);
+  }
+}
@@ -0,0 +1,105 @@
+import { exportDocument, RenderingUnsupportedError } from './exporter';
+import { NetworkError, ValidationError } from './errors';
+import { DOCX_MIME_TYPE } from '../utils/docx';
+import * as snapshot from '../utils/snapshot';
+
+const readText = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+let convert;
+beforeEach(() => {
+  convert = jest.fn(async (html, format) => new Blob([`server ${format}`], { type: 'application/octet-stream' }));
+  // jsdom has no canvas, like browsers that can't render snapshots.
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('HTML downloads are standalone documents with images inlined', async () => {
+  global.fetch = jest.fn(async (url) => (url.endsWith('logo.png')
+    ? { ok: true, blob: async () => new Blob(['PNG'], { type: 'image/png' }) }
+    : { ok: false }));
+  const blob = await exportDocument('<p><img src="https://cdn.test/logo.png" srcset="x 2x"><img src="https://cdn.test/gone.png"></p>', 'html', {
+    title: 'Q3 <draft>',
+    lang: 'de',
+    convert
+  });
+
+  const text = await readText(blob);
+  expect(blob.type).toBe('text/html');
+  expect(text).toMatch(/^<!DOCTYPE html>\n<html lang="de">/);
+  expect(text).toContain('<title>Q3 &lt;draft&gt;</title>');
+  expect(text).toContain('<img src="data:image/png;base64,UE5H">');
+  expect(text).toContain('<img src="https://cdn.test/gone.png">');
+  expect(convert).not.toHaveBeenCalled();
+});
+
+test('image inlining can be turned off', async () => {
+  global.fetch = jest.fn();
+  const text = await readText(await exportDocument('<img src="https://cdn.test/logo.png">', 'html', { options: { inlineImages: false } }));
+  expect(text).toContain('<img src="https://cdn.test/logo.png">');
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('right-to-left documents keep their direction', async () => {
+  const text = await readText(await exportDocument('<p>مرحبا</p>', 'html', { lang: 'ar', dir: 'rtl' }));
+  expect(text).toMatch(/^<!DOCTYPE html>\n<html lang="ar" dir="rtl">/);
+});
+
+test('text formats and Word documents are built locally', async () => {
+  const markdown = await exportDocument('<h1>Title</h1><p>Body</p>', 'md', { convert });
+  expect(markdown.type).toBe('text/markdown');
+  expect(await readText(markdown)).toBe('# Title\n\nBody\n');
+
+  const text = await exportDocument('<h2>Title</h2><p>Body</p>', 'txt', { convert });
+  expect(await readText(text)).toBe('Title\n\nBody\n');
+
+  const docx = await exportDocument('<p>Body</p>', 'docx', { convert, options: { pageSize: 'letter', margin: 25 } });
+  expect(docx.type).toBe(DOCX_MIME_TYPE);
+  expect(convert).not.toHaveBeenCalled();
+});
+
+test('images fall back to the server when the browser cannot render them', async () => {
+  await expect(readText(await exportDocument('<p>Body</p>', 'png', { convert }))).resolves.toBe('server png');
+  expect(convert.mock.calls).toEqual([['<p>Body</p>', 'png', { snapshotWidth: 800, imageScale: 2 }]]);
+});
+
+test('PDFs are converted by the server and only built in the browser while it is unavailable', async () => {
+  await expect(readText(await exportDocument('<p>Body</p>', 'pdf', { convert, options: { pageSize: 'letter', margin: 10 } })))
+    .resolves.toBe('server pdf');
+  // The server gets the page settings chosen for the download.
+  expect(convert).toHaveBeenLastCalledWith('<p>Body</p>', 'pdf', { pageSize: 'letter', margin: 10, imageScale: 2 });
+
+  // Without a server or a browser that can render, the server's error is reported.
+  convert.mockRejectedValue(new NetworkError());
+  await expect(exportDocument('<p>Body</p>', 'pdf', { convert })).rejects.toThrow(NetworkError);
+
+  jest.spyOn(snapshot, 'renderSnapshot').mockResolvedValue({ width: 600, height: 400, breaks: [] });
+  jest.spyOn(snapshot, 'loadSnapshotImage').mockResolvedValue({});
+  jest.spyOn(snapshot, 'rasterize').mockResolvedValue({ blob: new Blob(['jpeg']), width: 600, height: 400 });
+  const fallback = await exportDocument('<p>Body</p>', 'pdf', { convert });
+  expect(fallback.type).toBe('application/pdf');
+  await expect(readText(fallback)).resolves.toContain('/Subtype /Image');
+
+  // A conversion the server refused isn't replaced by the browser's version.
+  convert.mockRejectedValue(new ValidationError('Document too large'));
+  await expect(exportDocument('<p>Body</p>', 'pdf', { convert })).rejects.toThrow('Document too large');
+  expect(snapshot.rasterize).toHaveBeenCalledTimes(1);
+});
+
+test('formats the server cannot convert report that the browser cannot build them', async () => {
+  await expect(exportDocument('<p>Body</p>', 'svg', { convert })).rejects.toMatchObject({
+    constructor: RenderingUnsupportedError,
+    message: "This browser can't create SVG Image files. Try another format."
+  });
+  expect(convert).not.toHaveBeenCalled();
+});
+
+test('unknown formats are rejected', async () => {
+  await expect(exportDocument('<p>Body</p>', 'rtf')).rejects.toThrow('Unknown export format: rtf');
+});
@@ -0,0 +1,37 @@
+// The instruction library, kept in localStorage so it survives reloads:
+// saved instructions, macros and the last value entered for each variable.
+
+import { normalizeInstruction, normalizeMacro } from '../utils/instructionLibrary';
+import { storage } from '../utils/storage';
+
+const STORAGE_KEY = 'aidoc.instructions';
+
+const emptyLibrary = () => ({ instructions: [], macros: [], values: {} });
+
+const stringValues = (values) => Object.fromEntries(
+  Object.entries(values && typeof values === 'object' ? values : {}).filter(([, value]) => typeof value === 'string')
+);
+
+/** `{ instructions, macros, values }`; invalid entries are skipped. */
+export function loadLibrary() {
+  let stored;
+  try {
+    stored = JSON.parse(storage()?.getItem(STORAGE_KEY));
+  } catch (e) {
+    return emptyLibrary();
+  }
+  if (!stored || typeof stored !== 'object') return emptyLibrary();
+  return {
+    instructions: (Array.isArray(stored.instructions) ? stored.instructions : []).map(normalizeInstruction).filter(Boolean),
+    macros: (Array.isArray(stored.macros) ? stored.macros : []).map(normalizeMacro).filter(Boolean),
+    values: stringValues(stored.values)
+  };
+}
+
+export function saveLibrary(library) {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(library));
+  } catch (e) {
+    // Storage is full or disabled; the library lasts for this visit only.
+  }
+}
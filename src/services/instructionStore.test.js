@@ -0,0 +1,29 @@
+import { loadLibrary, saveLibrary } from './instructionStore';
+
+afterEach(() => window.localStorage.clear());
+
+test('the library survives a reload', () => {
+  const library = {
+    instructions: [{ id: 'i', title: 'ISO dates', text: 'Convert dates to ISO', tags: ['dates'] }],
+    macros: [{ id: 'm', name: 'Tidy', steps: ['One', 'Two'] }],
+    values: { company: 'Acme' }
+  };
+  saveLibrary(library);
+  expect(loadLibrary()).toEqual(library);
+});
+
+test('missing, corrupt or invalid entries are skipped', () => {
+  expect(loadLibrary()).toEqual({ instructions: [], macros: [], values: {} });
+  window.localStorage.setItem('aidoc.instructions', '{');
+  expect(loadLibrary()).toEqual({ instructions: [], macros: [], values: {} });
+  window.localStorage.setItem('aidoc.instructions', JSON.stringify({
+    instructions: [{ text: '' }, { id: 'i', text: 'Keep' }],
+    macros: 'nope',
+    values: { company: 'Acme', count: 3 }
+  }));
+  expect(loadLibrary()).toEqual({
+    instructions: [{ id: 'i', title: 'Keep', text: 'Keep', tags: [] }],
+    macros: [],
+    values: { company: 'Acme' }
+  });
+});
@@ -0,0 +1,42 @@
+// Runs a macro's steps one after another, each on the result of the one
+// before. A failed or cancelled run stops at that step and reports where, so
+// it can be resumed from there (retrying the step) or from the next one
+// (skipping it) with the document as it is by then.
+
+import { isCancelled } from './errors';
+
+/**
+ * Runs `steps` (instruction texts) from `startAt` on `html`.
+ * `runStep(instruction, html, { signal })` resolves to `{ html, explanation }`.
+ * `onStep(index, update)` hears about every step as it happens, with
+ * update.status 'running', 'done' (with html and explanation), 'unchanged'
+ * or 'failed' (with error).
+ *
+ * Resolves to `{ status, html, stoppedAt, error }`: status is 'done',
+ * 'failed' or 'cancelled'; `stoppedAt` is the index of the step that didn't
+ * finish and `html` the document after the last step that did.
+ */
+export async function runMacro(steps, { html, startAt = 0, runStep, onStep = () => {}, signal } = {}) {
+  let current = html;
+  for (let index = startAt; index < steps.length; index++) {
+    if (signal?.aborted) return { status: 'cancelled', html: current, stoppedAt: index };
+    onStep(index, { status: 'running' });
+    try {
+      const result = await runStep(steps[index], current, { signal });
+      if (result.html === current) {
+        onStep(index, { status: 'unchanged', explanation: result.explanation });
+      } else {
+        current = result.html;
+        onStep(index, { status: 'done', html: current, explanation: result.explanation });
+      }
+    } catch (error) {
+      if (isCancelled(error)) {
+        onStep(index, { status: 'cancelled' });
+        return { status: 'cancelled', html: current, stoppedAt: index };
+      }
+      onStep(index, { status: 'failed', error });
+      return { status: 'failed', html: current, stoppedAt: index, error };
+    }
+  }
+  return { status: 'done', html: current, stoppedAt: null };
+}
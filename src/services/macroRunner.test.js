@@ -0,0 +1,45 @@
+import { runMacro } from './macroRunner';
+import { CancelledError } from './errors';
+
+// Appends each instruction, except those it's told to fail or ignore.
+const editor = ({ fail = [], ignore = [] } = {}) => jest.fn(async (instruction, html) => {
+  if (fail.includes(instruction)) throw new Error(`${instruction} failed`);
+  return { html: ignore.includes(instruction) ? html : `${html}[${instruction}]`, explanation: `did ${instruction}` };
+});
+
+test('runs every step on the result of the previous one', async () => {
+  const runStep = editor({ ignore: ['b'] });
+  const onStep = jest.fn();
+  const result = await runMacro(['a', 'b', 'c'], { html: 'x', runStep, onStep });
+
+  expect(result).toEqual({ status: 'done', html: 'x[a][c]', stoppedAt: null });
+  expect(runStep.mock.calls.map(([instruction, html]) => [instruction, html])).toEqual([['a', 'x'], ['b', 'x[a]'], ['c', 'x[a]']]);
+  expect(onStep.mock.calls.map(([index, update]) => `${index}:${update.status}`)).toEqual([
+    '0:running', '0:done', '1:running', '1:unchanged', '2:running', '2:done'
+  ]);
+  expect(onStep).toHaveBeenCalledWith(0, { status: 'done', html: 'x[a]', explanation: 'did a' });
+});
+
+test('stops at a failed step and resumes from it', async () => {
+  const failed = await runMacro(['a', 'b', 'c'], { html: 'x', runStep: editor({ fail: ['b'] }) });
+  expect(failed).toMatchObject({ status: 'failed', html: 'x[a]', stoppedAt: 1, error: new Error('b failed') });
+
+  const resumed = await runMacro(['a', 'b', 'c'], { html: failed.html, startAt: failed.stoppedAt, runStep: editor() });
+  expect(resumed).toEqual({ status: 'done', html: 'x[a][b][c]', stoppedAt: null });
+});
+
+test('cancelling stops the run where it was', async () => {
+  const controller = new AbortController();
+  const runStep = jest.fn(async (instruction, html) => {
+    if (instruction === 'b') {
+      controller.abort();
+      throw new CancelledError();
+    }
+    return { html: `${html}[${instruction}]` };
+  });
+  const onStep = jest.fn();
+  const result = await runMacro(['a', 'b', 'c'], { html: 'x', runStep, onStep, signal: controller.signal });
+  expect(result).toEqual({ status: 'cancelled', html: 'x[a]', stoppedAt: 1 });
+  expect(onStep).toHaveBeenLastCalledWith(1, { status: 'cancelled' });
+  expect(runStep).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,43 @@
+// Custom style presets, kept in localStorage so they survive reloads. Teams
+// share them as JSON files (see serializePresets/parsePresets); everything
+// read back goes through normalizePreset, like an imported file.
+
+import { normalizePreset } from '../utils/stylePresets';
+import { storage } from '../utils/storage';
+
+const STORAGE_KEY = 'aidoc.presets';
+
+/** The saved custom presets; invalid entries are skipped. */
+export function loadCustomPresets() {
+  let stored;
+  try {
+    stored = JSON.parse(storage()?.getItem(STORAGE_KEY));
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+  return stored.flatMap(raw => {
+    try {
+      return [normalizePreset(raw)];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+export function saveCustomPresets(presets) {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    // Storage is full or disabled; the presets last for this visit only.
+  }
+}
+
+/**
+ * Adds `incoming` to `presets`. A preset with an id that already exists
+ * replaces the saved one, so re-importing an updated team file updates it.
+ */
+export const mergePresets = (presets, incoming) => [
+  ...presets.filter(preset => !incoming.some(other => other.id === preset.id)),
+  ...incoming
+];
@@ -0,0 +1,22 @@
+import { loadCustomPresets, saveCustomPresets, mergePresets } from './presetStore';
+import { normalizePreset } from '../utils/stylePresets';
+
+afterEach(() => window.localStorage.clear());
+
+test('custom presets survive a reload', () => {
+  const preset = normalizePreset({ id: 'brand', name: 'Brand' });
+  saveCustomPresets([preset]);
+  expect(loadCustomPresets()).toEqual([preset]);
+});
+
+test('corrupt or invalid stored presets are ignored', () => {
+  window.localStorage.setItem('aidoc.presets', '{');
+  expect(loadCustomPresets()).toEqual([]);
+  window.localStorage.setItem('aidoc.presets', JSON.stringify([{ name: 'Kept', id: 'kept' }, { id: 'nameless' }]));
+  expect(loadCustomPresets().map(preset => preset.id)).toEqual(['kept']);
+});
+
+test('imported presets replace saved ones with the same id', () => {
+  const merged = mergePresets([{ id: 'a', name: 'Old' }, { id: 'b', name: 'B' }], [{ id: 'a', name: 'New' }, { id: 'c', name: 'C' }]);
+  expect(merged.map(preset => `${preset.id}:${preset.name}`)).toEqual(['b:B', 'a:New', 'c:C']);
+});
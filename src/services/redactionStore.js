@@ -0,0 +1,26 @@
+// The terms users always want redacted (client names, project code names...),
+// kept in localStorage so they survive reloads.
+
+import { storage } from '../utils/storage';
+
+const STORAGE_KEY = 'aidoc.redaction-terms';
+
+/** The saved terms; anything but non-empty strings is skipped. */
+export function loadRedactionTerms() {
+  let stored;
+  try {
+    stored = JSON.parse(storage()?.getItem(STORAGE_KEY));
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(term => typeof term === 'string' && term.trim() !== '');
+}
+
+export function saveRedactionTerms(terms) {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(terms));
+  } catch (e) {
+    // Storage is full or disabled; the terms last for this visit only.
+  }
+}
@@ -0,0 +1,15 @@
+import { loadRedactionTerms, saveRedactionTerms } from './redactionStore';
+
+afterEach(() => window.localStorage.clear());
+
+test('redaction terms survive a reload', () => {
+  saveRedactionTerms(['Acme Corp', 'Project Falcon']);
+  expect(loadRedactionTerms()).toEqual(['Acme Corp', 'Project Falcon']);
+});
+
+test('corrupt or invalid stored terms are ignored', () => {
+  window.localStorage.setItem('aidoc.redaction-terms', '{');
+  expect(loadRedactionTerms()).toEqual([]);
+  window.localStorage.setItem('aidoc.redaction-terms', JSON.stringify(['Kept', '  ', 3, null]));
+  expect(loadRedactionTerms()).toEqual(['Kept']);
+});
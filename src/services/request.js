@@ -0,0 +1,160 @@
+// Shared fetch wrapper for every API call. It turns failures into the typed
+// errors of ./errors, gives each attempt a timeout, retries idempotent calls
+// with exponential backoff (waiting out Retry-After on 429s), and cancels an
+// in-flight request when a newer one with the same `key` starts, so only the
+// latest edit or download the user asked for is still running.
+
+import apiConfig from '../config/apiConfig';
+import { CancelledError, NetworkError, TimeoutError, ServerError, errorFromResponse } from './errors';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// key -> { controller, superseded } of the request currently holding that key.
+const inFlight = new Map();
+
+/** Resolves after `ms`, or rejects with a CancelledError when `signal` aborts. */
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  function onAbort() {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/** Aborts the in-flight request started with `key`, if any. */
+export function cancelRequest(key) {
+  const entry = inFlight.get(key);
+  if (!entry) return;
+  entry.superseded = true;
+  entry.controller.abort();
+  inFlight.delete(key);
+}
+
+const backoff = (attempt, retryDelay) => retryDelay * 2 ** attempt + Math.random() * retryDelay * 0.5;
+
+const readBody = async (response, responseType) => {
+  if (responseType === 'blob') return response.blob();
+  if (responseType === 'text') return response.text();
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new ServerError('Invalid response from server', { status: response.status });
+  }
+};
+
+// One attempt, with its own timeout covering the response body as well.
+async function attempt(url, init, { signal, timeout, responseType, read, fallbackMessage }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : null;
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  if (signal?.aborted) controller.abort();
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      throw controller.signal.aborted ? error : new NetworkError();
+    }
+    if (!response.ok) throw await errorFromResponse(response, fallbackMessage);
+    return await (read ? read(response) : readBody(response, responseType));
+  } catch (error) {
+    // Whatever an abort broke (fetch, a body or stream read) reports why.
+    if (timedOut) throw error instanceof TimeoutError ? error : new TimeoutError(undefined, { timeout });
+    if (controller.signal.aborted && !(error instanceof CancelledError)) throw new CancelledError();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * Sends a request and resolves with the parsed body.
+ *
+ * Options besides the usual fetch ones (method, headers, body, credentials):
+ *   json            object sent as the JSON body
+ *   signal          aborting it rejects with a CancelledError
+ *   key             a newer request with the same key cancels this one
+ *   timeout         ms per attempt; 0 for none
+ *   retries         extra attempts; only used when the call is idempotent
+ *   idempotent      defaults to true for GET, HEAD, PUT, DELETE and OPTIONS
+ *   responseType    'json' (default), 'blob' or 'text'
+ *   read            async (response) => result, instead of responseType;
+ *                   for streamed bodies, which it can read while the
+ *                   request still counts as in flight
+ *   fallbackMessage used when an error response has JSON but no message
+ */
+export async function request(url, {
+  method = 'GET',
+  headers = {},
+  body,
+  json,
+  signal,
+  key,
+  timeout = apiConfig.timeout,
+  retries = apiConfig.retries,
+  retryDelay = apiConfig.retryDelay,
+  maxRetryWait = apiConfig.maxRetryWait,
+  idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase()),
+  responseType = 'json',
+  read,
+  fallbackMessage,
+  credentials
+} = {}) {
+  const init = {
+    method,
+    ...(credentials && { credentials }),
+    headers: json !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+    ...(json !== undefined ? { body: JSON.stringify(json) } : body !== undefined && { body })
+  };
+
+  const controller = new AbortController();
+  const entry = { controller, superseded: false };
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  if (signal?.aborted) controller.abort();
+  if (key) {
+    cancelRequest(key);
+    inFlight.set(key, entry);
+  }
+
+  const cancelled = () => (entry.superseded
+    ? new CancelledError('Replaced by a newer request', { superseded: true })
+    : new CancelledError());
+  const maxAttempts = idempotent ? retries + 1 : 1;
+  try {
+    for (let count = 0; ; count++) {
+      try {
+        return await attempt(url, init, { signal: controller.signal, timeout, responseType, read, fallbackMessage });
+      } catch (error) {
+        if (error instanceof CancelledError) throw cancelled();
+        const delay = error.kind === 'rateLimited' && error.retryAfter !== null
+          ? error.retryAfter
+          : backoff(count, retryDelay);
+        if (!error.retryable || count + 1 >= maxAttempts || delay > maxRetryWait) throw error;
+        try {
+          await wait(delay, controller.signal);
+        } catch (e) {
+          throw cancelled();
+        }
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', forwardAbort);
+    if (key && inFlight.get(key) === entry) inFlight.delete(key);
+  }
+}
@@ -0,0 +1,126 @@
+import { request, cancelRequest } from './request';
+import { NetworkError, TimeoutError, ValidationError, ServerError, RateLimitedError, CancelledError } from './errors';
+
+const URL = 'http://mock.test/api/thing';
+
+const reply = (body, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+  blob: async () => new Blob([JSON.stringify(body)])
+});
+
+// fetch that answers with `responses` in order (an Error is thrown instead),
+// repeating the last one.
+const sequence = (...responses) => {
+  let index = 0;
+  return jest.fn(async () => {
+    const next = responses[Math.min(index++, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next;
+  });
+};
+
+// fetch that never answers until aborted.
+const hanging = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+}));
+
+const fast = { retryDelay: 0 };
+
+test('resolves with the parsed JSON body', async () => {
+  global.fetch = sequence(reply({ ok: 1 }));
+  await expect(request(URL, fast)).resolves.toEqual({ ok: 1 });
+});
+
+test('sends `json` as a JSON body', async () => {
+  global.fetch = sequence(reply({}));
+  await request(URL, { method: 'POST', json: { a: 1 }, headers: { Accept: 'x' } });
+  expect(global.fetch).toHaveBeenCalledWith(URL, expect.objectContaining({
+    method: 'POST',
+    body: '{"a":1}',
+    headers: { 'Content-Type': 'application/json', Accept: 'x' }
+  }));
+});
+
+test('maps statuses to typed errors with the server message and details', async () => {
+  global.fetch = sequence(reply({ error: 'Instruction too long', details: { instruction: 'max 2000 characters' } }, 422));
+  await expect(request(URL, fast)).rejects.toMatchObject({
+    constructor: ValidationError,
+    kind: 'validation',
+    status: 422,
+    message: 'Instruction too long',
+    details: { instruction: 'max 2000 characters' }
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('retries idempotent requests with backoff until one succeeds', async () => {
+  global.fetch = sequence(new TypeError('Failed to fetch'), reply({}, 503), reply({ ok: 1 }));
+  await expect(request(URL, fast)).resolves.toEqual({ ok: 1 });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('gives up after the configured retries', async () => {
+  global.fetch = sequence(reply({ error: 'Down' }, 500));
+  await expect(request(URL, { ...fast, retries: 2 })).rejects.toBeInstanceOf(ServerError);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry requests that are not idempotent', async () => {
+  global.fetch = sequence(new TypeError('Failed to fetch'), reply({ ok: 1 }));
+  await expect(request(URL, { ...fast, method: 'POST' })).rejects.toBeInstanceOf(NetworkError);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('waits out Retry-After on 429 before retrying', async () => {
+  global.fetch = sequence(reply({}, 429, { 'Retry-After': '0.05' }), reply({ ok: 1 }));
+  const startedAt = Date.now();
+  await expect(request(URL, fast)).resolves.toEqual({ ok: 1 });
+  expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('hands a long Retry-After to the caller instead of waiting', async () => {
+  global.fetch = sequence(reply({ error: 'Slow down' }, 429, { 'Retry-After': '120' }));
+  const error = await request(URL, { ...fast, maxRetryWait: 5000 }).catch(e => e);
+  expect(error).toBeInstanceOf(RateLimitedError);
+  expect(error.retryAfter).toBe(120000);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('fails with a TimeoutError when an attempt takes too long', async () => {
+  global.fetch = hanging();
+  await expect(request(URL, { ...fast, timeout: 10, retries: 1 })).rejects.toBeInstanceOf(TimeoutError);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('aborting the signal rejects with a CancelledError', async () => {
+  global.fetch = hanging();
+  const controller = new AbortController();
+  const result = request(URL, { signal: controller.signal, timeout: 0 });
+  controller.abort();
+  await expect(result).rejects.toMatchObject({ constructor: CancelledError, name: 'AbortError', superseded: false });
+});
+
+test('a newer request with the same key cancels the older one', async () => {
+  global.fetch = hanging();
+  const first = request(URL, { key: 'edit', timeout: 0 });
+  global.fetch = sequence(reply({ second: true }));
+  const second = request(URL, { key: 'edit' });
+  await expect(first).rejects.toMatchObject({ superseded: true });
+  await expect(second).resolves.toEqual({ second: true });
+});
+
+test('cancelRequest aborts by key', async () => {
+  global.fetch = hanging();
+  const pending = request(URL, { key: 'convert', timeout: 0 });
+  cancelRequest('convert');
+  await expect(pending).rejects.toBeInstanceOf(CancelledError);
+});
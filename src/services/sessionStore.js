@@ -0,0 +1,87 @@
+// Editing sessions saved in IndexedDB so work survives reloads and closed
+// tabs. A session is the uploaded batch with each document's edit history:
+//
+//   { id, createdAt, updatedAt, step, activeKey,
+//     items: [{ key, name, document, language, history }] }
+//
+// `history` is the useEditHistory snapshot. Where IndexedDB isn't available
+// (private modes, tests) every call resolves without storing anything.
+
+const DB_NAME = 'aidoc';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+let dbPromise = null;
+
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/** What the Recent documents list shows for a session. */
+export function summarizeSession(session) {
+  const active = session.items.find(item => item.key === session.activeKey) || session.items[0];
+  const edits = session.items.reduce((count, item) => count + (item.history?.position || 0), 0);
+  return {
+    id: session.id,
+    name: active?.name || 'Untitled document',
+    documentCount: session.items.length,
+    edits,
+    step: session.step,
+    updatedAt: session.updatedAt
+  };
+}
+
+export async function saveSession(session) {
+  if (!isSessionStoreAvailable()) return;
+  await run('readwrite', store => store.put({ ...session, updatedAt: Date.now() }));
+}
+
+export async function loadSession(id) {
+  if (!isSessionStoreAvailable()) return null;
+  return (await run('readonly', store => store.get(id))) || null;
+}
+
+/** Summaries of every saved session, most recently changed first. */
+export async function listSessions() {
+  if (!isSessionStoreAvailable()) return [];
+  const sessions = (await run('readonly', store => store.getAll())) || [];
+  return sessions.map(summarizeSession).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function deleteSession(id) {
+  if (!isSessionStoreAvailable()) return;
+  await run('readwrite', store => store.delete(id));
+}
+
+/** Deletes every saved session, e.g. when the user signs out. */
+export async function clearSessions() {
+  if (!isSessionStoreAvailable()) return;
+  await run('readwrite', store => store.clear());
+}
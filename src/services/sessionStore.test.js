@@ -0,0 +1,24 @@
+import { summarizeSession, listSessions, loadSession, clearSessions, isSessionStoreAvailable } from './sessionStore';
+
+test('summarizeSession describes the open document and counts applied edits', () => {
+  const session = {
+    id: 's1',
+    step: 'edit',
+    activeKey: 'b',
+    updatedAt: 10,
+    items: [
+      { key: 'a', name: 'letter.pdf', history: { position: 2 } },
+      { key: 'b', name: 'invoice.png', history: { position: 1 } }
+    ]
+  };
+  expect(summarizeSession(session)).toEqual({
+    id: 's1', name: 'invoice.png', documentCount: 2, edits: 3, step: 'edit', updatedAt: 10
+  });
+});
+
+test('without IndexedDB nothing is stored and nothing is listed', async () => {
+  expect(isSessionStoreAvailable()).toBe(false);
+  expect(await listSessions()).toEqual([]);
+  expect(await loadSession('s1')).toBeNull();
+  await expect(clearSessions()).resolves.toBeUndefined();
+});
@@ -0,0 +1,62 @@
+// Translates the segments of a document (src/utils/translation.js) in
+// batches, so a long document is several moderate requests rather than one
+// huge one. Segments that already have a translation are left alone, which
+// is also how a failed or cancelled run is resumed.
+
+import { isCancelled } from './errors';
+
+// Groups the indices of `pending` segments into batches of at most
+// `batchSize` characters of HTML; a longer segment is a batch of its own.
+export function planBatches(segments, pending, batchSize) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  pending.forEach(index => {
+    const length = segments[index].length;
+    if (batch.length > 0 && size + length > batchSize) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(index);
+    size += length;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Translates every segment whose entry in `translations` is null.
+ * `translate(segmentHtmls, { signal })` resolves to their translations in
+ * the same order. `onBatch(indices, update)` hears about every batch, with
+ * update.status 'running', 'done' (with translations) or 'failed' (with
+ * error).
+ *
+ * Resolves to `{ status, translations, error }` with status 'done', 'failed'
+ * or 'cancelled' and the translations gathered so far.
+ */
+export async function translateSegments(segments, { translations = [], batchSize = Infinity, translate, onBatch = () => {}, signal } = {}) {
+  const result = segments.map((_, index) => translations[index] ?? null);
+  const pending = result.map((translation, index) => (translation === null ? index : null)).filter(index => index !== null);
+
+  for (const indices of planBatches(segments, pending, batchSize)) {
+    if (signal?.aborted) return { status: 'cancelled', translations: result };
+    onBatch(indices, { status: 'running' });
+    try {
+      const translated = await translate(indices.map(index => segments[index]), { signal });
+      if (!Array.isArray(translated) || translated.length !== indices.length) {
+        throw new Error('The translation came back incomplete.');
+      }
+      indices.forEach((index, position) => { result[index] = translated[position]; });
+      onBatch(indices, { status: 'done', translations: translated });
+    } catch (error) {
+      if (isCancelled(error)) {
+        onBatch(indices, { status: 'cancelled' });
+        return { status: 'cancelled', translations: result };
+      }
+      onBatch(indices, { status: 'failed', error });
+      return { status: 'failed', translations: result, error };
+    }
+  }
+  return { status: 'done', translations: result };
+}
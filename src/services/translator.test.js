@@ -0,0 +1,51 @@
+import { planBatches, translateSegments } from './translator';
+import { CancelledError } from './errors';
+
+// Upper-cases segments, except those it's told to fail on.
+const translator = ({ fail = [] } = {}) => jest.fn(async (segments) => {
+  if (segments.some(segment => fail.includes(segment))) throw new Error('Translation failed');
+  return segments.map(segment => segment.toUpperCase());
+});
+
+test('batches segments up to the size limit', () => {
+  const segments = ['aaaa', 'bb', 'cccccccc', 'd', 'e'];
+  expect(planBatches(segments, [0, 1, 2, 3, 4], 6)).toEqual([[0, 1], [2], [3, 4]]);
+  expect(planBatches(segments, [1, 3], 6)).toEqual([[1, 3]]);
+});
+
+test('translates only the segments without a translation', async () => {
+  const translate = translator();
+  const onBatch = jest.fn();
+  const result = await translateSegments(['a', 'b', 'c'], { translations: [null, 'B!', null], batchSize: 1, translate, onBatch });
+
+  expect(result).toEqual({ status: 'done', translations: ['A', 'B!', 'C'] });
+  expect(translate.mock.calls.map(([segments]) => segments)).toEqual([['a'], ['c']]);
+  expect(onBatch.mock.calls.map(([indices, update]) => `${indices}:${update.status}`)).toEqual(['0:running', '0:done', '2:running', '2:done']);
+});
+
+test('stops at a failed batch and keeps what was translated', async () => {
+  const failed = await translateSegments(['a', 'b', 'c'], { batchSize: 1, translate: translator({ fail: ['b'] }) });
+  expect(failed).toMatchObject({ status: 'failed', translations: ['A', null, null], error: new Error('Translation failed') });
+
+  const resumed = await translateSegments(['a', 'b', 'c'], { translations: failed.translations, translate: translator() });
+  expect(resumed).toEqual({ status: 'done', translations: ['A', 'B', 'C'] });
+});
+
+test('an answer of the wrong length fails the batch', async () => {
+  const result = await translateSegments(['a', 'b'], { translate: async () => ['A'] });
+  expect(result).toMatchObject({ status: 'failed', translations: [null, null], error: new Error('The translation came back incomplete.') });
+});
+
+test('cancelling stops between or during batches', async () => {
+  const controller = new AbortController();
+  const translate = jest.fn(async (segments) => {
+    if (segments[0] === 'b') {
+      controller.abort();
+      throw new CancelledError();
+    }
+    return segments.map(segment => segment.toUpperCase());
+  });
+  const result = await translateSegments(['a', 'b', 'c'], { batchSize: 1, translate, signal: controller.signal });
+  expect(result).toEqual({ status: 'cancelled', translations: ['A', null, null] });
+  expect(translate).toHaveBeenCalledTimes(2);
+});
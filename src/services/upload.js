@@ -0,0 +1,253 @@
+// Transport for document uploads: a single multipart request with progress
+// events, or, for large files, a resumable upload in chunks.
+//
+// Chunked protocol (all paths relative to `${baseURL}/documents/upload`):
+//   POST   /chunked                      { fileName, fileSize, mimeType, chunkSize } -> { uploadId }
+//   GET    /chunked/:id                  -> { receivedBytes }
+//   PUT    /chunked/:id?offset=N         raw chunk bytes -> { receivedBytes }
+//   POST   /chunked/:id/complete         -> same response as a single upload
+//   DELETE /chunked/:id                  abandons the upload
+// A server without these routes answers the first POST with 404/405 and the
+// file is sent in one request instead.
+//
+// `headers` (e.g. Authorization) is an object or a function returning one; a
+// function is called for every request, so a long upload picks up a
+// refreshed token.
+
+import { storage } from '../utils/storage';
+import { CancelledError, NetworkError, TimeoutError, ServerError, errorForStatus, parseRetryAfter } from './errors';
+import { request, wait } from './request';
+
+const PROCESSING_TIMEOUT = 120000; // after the last byte is sent; see uploadConfig
+const CHUNK_TIMEOUT = 60000; // per chunk; see uploadConfig
+const PROCESSING_TIMEOUT_MESSAGE = 'Upload timeout. The file might be too large or complex.';
+const MAX_CHUNK_RETRIES = 5;
+const RESUME_STORAGE_PREFIX = 'aidoc.upload.';
+
+const headersOf = (headers) => (typeof headers === 'function' ? headers() : headers) || {};
+
+/**
+ * POSTs `file` as multipart form data with XMLHttpRequest so upload progress
+ * can be reported. `onProgress` receives `{ phase: 'uploading', loaded, total }`
+ * while bytes are sent and `{ phase: 'processing' }` once the server has them.
+ */
+export function sendWithProgress(url, file, { onProgress, signal, headers, processingTimeout = PROCESSING_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError('Upload cancelled'));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    let processingTimer = null;
+    let timedOut = false;
+
+    const cleanUp = () => {
+      clearTimeout(processingTimer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    function onAbort() {
+      xhr.abort();
+    }
+
+    xhr.open('POST', url);
+    xhr.responseType = 'text';
+    Object.entries(headersOf(headers)).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      onProgress?.({ phase: 'uploading', loaded: event.loaded, total: event.lengthComputable ? event.total : file.size });
+    };
+    xhr.upload.onload = () => {
+      onProgress?.({ phase: 'processing' });
+      processingTimer = setTimeout(() => {
+        timedOut = true;
+        xhr.abort();
+      }, processingTimeout);
+    };
+
+    xhr.onload = () => {
+      cleanUp();
+      let body = null;
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Handled below.
+      }
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(errorForStatus(xhr.status, body, {
+          statusText: xhr.statusText,
+          retryAfter: parseRetryAfter(xhr.getResponseHeader?.('Retry-After')),
+          fallback: 'Upload failed'
+        }));
+      } else if (!body) {
+        reject(new ServerError('Invalid response from server', { status: xhr.status }));
+      } else {
+        resolve(body);
+      }
+    };
+    xhr.onerror = () => {
+      cleanUp();
+      reject(new NetworkError());
+    };
+    xhr.onabort = () => {
+      cleanUp();
+      reject(timedOut
+        ? new TimeoutError(PROCESSING_TIMEOUT_MESSAGE, { timeout: processingTimeout })
+        : new CancelledError('Upload cancelled'));
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const formData = new FormData();
+    formData.append('document', file);
+    xhr.send(formData);
+  });
+}
+
+const resumeKey = (file) => `${RESUME_STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified || 0}`;
+
+/** Whether an interrupted chunked upload of `file` can be resumed. */
+export const hasResumableUpload = (file) => !!storage()?.getItem(resumeKey(file));
+
+class ChunkedUploadUnsupported extends Error {}
+
+// The chunk loop below does its own retrying, resyncing the offset with the
+// server in between, so these requests are sent once.
+const requestJson = (url, options, fallbackMessage) => request(url, { retries: 0, ...options, fallbackMessage });
+
+// The byte count the server reports having, which has to be within the file.
+const receivedBytesOf = (body, file) => {
+  const received = body?.receivedBytes;
+  if (!Number.isInteger(received) || received < 0 || received > file.size) {
+    throw new ServerError('Invalid response from server');
+  }
+  return received;
+};
+
+/**
+ * Uploads `file` in `chunkSize` pieces. The upload id is remembered per file
+ * (name, size, modification time), so after a dropped connection, a reload
+ * or a failed attempt the next call continues from the bytes the server
+ * already has. Dropped or timed-out chunks are retried with backoff before
+ * giving up.
+ */
+export async function uploadInChunks(baseURL, file, {
+  chunkSize, onProgress, signal, headers, chunkTimeout = CHUNK_TIMEOUT, processingTimeout = PROCESSING_TIMEOUT, retryDelay = 1000
+} = {}) {
+  const root = `${baseURL}/documents/upload/chunked`;
+  const send = (url, options, fallbackMessage) => requestJson(url, {
+    ...options,
+    headers: { ...options.headers, ...headersOf(headers) }
+  }, fallbackMessage);
+  const key = resumeKey(file);
+  let uploadId = storage()?.getItem(key) || null;
+  let offset = 0;
+
+  if (uploadId) {
+    try {
+      offset = receivedBytesOf(await send(`${root}/${uploadId}`, { signal }, 'Upload status unavailable'), file);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // Expired or unknown on the server: start over.
+      uploadId = null;
+      offset = 0;
+    }
+  }
+
+  if (!uploadId) {
+    try {
+      ({ uploadId } = await send(root, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, fileSize: file.size, mimeType: file.type, chunkSize }),
+        signal
+      }, 'Upload failed'));
+    } catch (error) {
+      if (error.status === 404 || error.status === 405) throw new ChunkedUploadUnsupported();
+      throw error;
+    }
+    storage()?.setItem(key, uploadId);
+  }
+
+  let retries = 0;
+  while (offset < file.size) {
+    onProgress?.({ phase: 'uploading', loaded: offset, total: file.size });
+    const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size));
+    let received;
+    try {
+      received = receivedBytesOf(await send(`${root}/${uploadId}?offset=${offset}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk,
+        signal,
+        timeout: chunkTimeout
+      }, 'Upload failed'), file);
+    } catch (error) {
+      // Only connection problems are worth retrying; the server rejecting
+      // a chunk won't change on a second try.
+      if (!(error instanceof NetworkError || error instanceof TimeoutError)) throw error;
+      if (retries >= MAX_CHUNK_RETRIES) {
+        throw new NetworkError(`Upload interrupted after ${Math.round((offset / file.size) * 100)}%. Retry to resume.`);
+      }
+      retries += 1;
+      await wait(retryDelay * 2 ** (retries - 1), signal);
+      try {
+        offset = receivedBytesOf(await send(`${root}/${uploadId}`, { signal }, 'Upload status unavailable'), file);
+      } catch (statusError) {
+        if (statusError.name === 'AbortError') throw statusError;
+        // Still offline; the next attempt resends from the last known offset.
+      }
+      continue;
+    }
+    // A server that keeps taking chunks without counting them would loop forever.
+    if (received <= offset) throw new ServerError('Upload failed: the server did not accept the uploaded data');
+    offset = received;
+    retries = 0;
+  }
+
+  onProgress?.({ phase: 'uploading', loaded: file.size, total: file.size });
+  onProgress?.({ phase: 'processing' });
+  let result;
+  try {
+    result = await send(`${root}/${uploadId}/complete`, { method: 'POST', signal, timeout: processingTimeout }, 'Upload failed');
+  } catch (error) {
+    // The upload id is kept, so a retry only asks for the processing again.
+    if (error instanceof TimeoutError) throw new TimeoutError(PROCESSING_TIMEOUT_MESSAGE, { timeout: processingTimeout });
+    throw error;
+  }
+  storage()?.removeItem(key);
+  return result;
+}
+
+/** Tells the server to drop a chunked upload and forgets its id. */
+export async function abandonChunkedUpload(baseURL, file, { headers } = {}) {
+  const key = resumeKey(file);
+  const uploadId = storage()?.getItem(key);
+  if (!uploadId) return;
+  storage()?.removeItem(key);
+  try {
+    await request(`${baseURL}/documents/upload/chunked/${uploadId}`, {
+      method: 'DELETE',
+      headers: headersOf(headers),
+      retries: 0,
+      responseType: 'text'
+    });
+  } catch (e) {
+    // The server expires abandoned uploads on its own.
+  }
+}
+
+/**
+ * Uploads `file`, in chunks when it is at least `chunkThreshold` bytes and
+ * the server supports it, otherwise in one request.
+ */
+export async function uploadFile(baseURL, file, { chunkSize, chunkThreshold, chunkTimeout, processingTimeout, onProgress, signal, headers } = {}) {
+  if (chunkThreshold && chunkSize && file.size >= chunkThreshold) {
+    try {
+      return await uploadInChunks(baseURL, file, { chunkSize, chunkTimeout, processingTimeout, onProgress, signal, headers });
+    } catch (error) {
+      if (!(error instanceof ChunkedUploadUnsupported)) throw error;
+    }
+  }
+  return sendWithProgress(`${baseURL}/documents/upload`, file, { processingTimeout, onProgress, signal, headers });
+}
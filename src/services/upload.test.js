@@ -0,0 +1,181 @@
+import { uploadInChunks, hasResumableUpload, abandonChunkedUpload } from './upload';
+
+const BASE = 'http://mock.test/api';
+
+// In-memory stand-in for the chunked upload routes. `dropChunk(offset, attempt)`
+// decides whether a PUT loses its connection; with `afterStore` the server
+// keeps the bytes but the response never arrives. With `slowComplete` the
+// server never finishes processing; with `stallChunk(offset, attempt)` a PUT
+// never answers.
+const createMockServer = ({ dropChunk = () => false, afterStore = false, slowComplete = false, stallChunk = () => false } = {}) => {
+  const uploads = {};
+  const attempts = {};
+  const puts = [];
+  let nextId = 1;
+
+  const reply = (body, status = 200) => ({ ok: status < 400, status, statusText: '', json: async () => body, text: async () => '' });
+  const never = (signal) => new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  }));
+
+  const fetchImpl = jest.fn(async (url, { method = 'GET', body, signal } = {}) => {
+    if (signal?.aborted) {
+      const error = new Error('aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+    const { pathname, searchParams } = new URL(url);
+    const [, id, action] = pathname.replace('/api/documents/upload/chunked', '').split('/');
+
+    if (!id && method === 'POST') {
+      const uploadId = `u${nextId++}`;
+      uploads[uploadId] = { ...JSON.parse(body), receivedBytes: 0 };
+      return reply({ uploadId });
+    }
+    const upload = uploads[id];
+    if (!upload) return reply({ error: 'Unknown upload' }, 404);
+    if (method === 'GET') return reply({ receivedBytes: upload.receivedBytes });
+    if (method === 'DELETE') {
+      delete uploads[id];
+      return reply(null, 204);
+    }
+    if (method === 'PUT') {
+      const offset = Number(searchParams.get('offset'));
+      attempts[offset] = (attempts[offset] || 0) + 1;
+      if (stallChunk(offset, attempts[offset])) return never(signal);
+      const drop = dropChunk(offset, attempts[offset]);
+      if (drop && !afterStore) throw new TypeError('Failed to fetch');
+      if (offset !== upload.receivedBytes) return reply({ error: 'Offset mismatch' }, 409);
+      puts.push(offset);
+      upload.receivedBytes += body.size;
+      if (drop) throw new TypeError('Failed to fetch');
+      return reply({ receivedBytes: upload.receivedBytes });
+    }
+    if (method === 'POST' && action === 'complete') {
+      if (slowComplete) return never(signal);
+      return reply({ success: true, document: { id, originalName: upload.fileName, size: upload.receivedBytes } });
+    }
+    return reply({ error: 'Not found' }, 404);
+  });
+
+  return { fetchImpl, uploads, puts };
+};
+
+const file = new File(['x'.repeat(10)], 'scan.pdf', { type: 'application/pdf', lastModified: 1 });
+
+beforeEach(() => window.localStorage.clear());
+
+test('uploads a file in chunks and reports progress', async () => {
+  const server = createMockServer();
+  global.fetch = server.fetchImpl;
+  const progress = [];
+
+  const result = await uploadInChunks(BASE, file, { chunkSize: 4, onProgress: p => progress.push(p) });
+
+  expect(result.document).toEqual({ id: 'u1', originalName: 'scan.pdf', size: 10 });
+  expect(server.puts).toEqual([0, 4, 8]);
+  expect(progress.filter(p => p.phase === 'uploading').map(p => p.loaded)).toEqual([0, 4, 8, 10]);
+  expect(progress[progress.length - 1]).toEqual({ phase: 'processing' });
+  expect(hasResumableUpload(file)).toBe(false);
+});
+
+test('retries a dropped chunk from the offset the server reports', async () => {
+  const server = createMockServer({ dropChunk: (offset, attempt) => offset === 4 && attempt === 1, afterStore: true });
+  global.fetch = server.fetchImpl;
+
+  const result = await uploadInChunks(BASE, file, { chunkSize: 4, retryDelay: 1 });
+
+  expect(result.success).toBe(true);
+  // The server kept bytes 4-7 although the response was lost, so they are not resent.
+  expect(server.puts).toEqual([0, 4, 8]);
+});
+
+test('resumes an interrupted upload on the next attempt', async () => {
+  let offline = false;
+  const server = createMockServer({ dropChunk: () => offline });
+  global.fetch = server.fetchImpl;
+  const original = server.fetchImpl.getMockImplementation();
+  server.fetchImpl.mockImplementation((url, options) => {
+    // Connection goes away after the first chunk is stored.
+    if (server.puts.length === 1) offline = true;
+    return original(url, options);
+  });
+
+  await expect(uploadInChunks(BASE, file, { chunkSize: 4, retryDelay: 1 }))
+    .rejects.toThrow('Upload interrupted after 40%. Retry to resume.');
+  expect(hasResumableUpload(file)).toBe(true);
+
+  offline = false;
+  server.fetchImpl.mockImplementation(original);
+  const result = await uploadInChunks(BASE, file, { chunkSize: 4, retryDelay: 1 });
+
+  expect(result.document.id).toBe('u1');
+  expect(server.puts).toEqual([0, 4, 8]);
+  expect(Object.keys(server.uploads)).toEqual(['u1']);
+});
+
+test('resends a chunk that takes longer than the chunk timeout', async () => {
+  const server = createMockServer({ stallChunk: (offset, attempt) => offset === 4 && attempt === 1 });
+  global.fetch = server.fetchImpl;
+
+  const result = await uploadInChunks(BASE, file, { chunkSize: 4, chunkTimeout: 20, retryDelay: 1 });
+
+  expect(result.success).toBe(true);
+  expect(server.puts).toEqual([0, 4, 8]);
+});
+
+test('fails when the server does not count the chunks it receives', async () => {
+  const server = createMockServer();
+  global.fetch = server.fetchImpl;
+  const original = server.fetchImpl.getMockImplementation();
+  server.fetchImpl.mockImplementation(async (url, options) => {
+    const response = await original(url, options);
+    return options?.method === 'PUT' ? { ...response, json: async () => ({ receivedBytes: 0 }) } : response;
+  });
+
+  await expect(uploadInChunks(BASE, file, { chunkSize: 4 }))
+    .rejects.toMatchObject({ name: 'ServerError', message: 'Upload failed: the server did not accept the uploaded data' });
+  expect(server.puts).toEqual([0]);
+});
+
+test('gives up waiting for the server to process the file', async () => {
+  const server = createMockServer({ slowComplete: true });
+  global.fetch = server.fetchImpl;
+
+  await expect(uploadInChunks(BASE, file, { chunkSize: 4, processingTimeout: 20 }))
+    .rejects.toMatchObject({ name: 'TimeoutError', timeout: 20, message: 'Upload timeout. The file might be too large or complex.' });
+  // The bytes are on the server; retrying only asks for the processing again.
+  expect(hasResumableUpload(file)).toBe(true);
+});
+
+test('stops when cancelled', async () => {
+  const server = createMockServer();
+  global.fetch = server.fetchImpl;
+  const controller = new AbortController();
+
+  const upload = uploadInChunks(BASE, file, {
+    chunkSize: 4,
+    signal: controller.signal,
+    onProgress: ({ loaded }) => loaded === 4 && controller.abort()
+  });
+
+  await expect(upload).rejects.toMatchObject({ name: 'AbortError' });
+  expect(server.puts).toEqual([0]);
+});
+
+test('abandoning an upload tells the server and forgets it', async () => {
+  const server = createMockServer({ slowComplete: true });
+  global.fetch = server.fetchImpl;
+  await expect(uploadInChunks(BASE, file, { chunkSize: 4, processingTimeout: 20 })).rejects.toMatchObject({ name: 'TimeoutError' });
+
+  await abandonChunkedUpload(BASE, file, { headers: { Authorization: 'Bearer t' } });
+
+  expect(server.fetchImpl).toHaveBeenLastCalledWith(`${BASE}/documents/upload/chunked/u1`, expect.objectContaining({
+    method: 'DELETE',
+    headers: { Authorization: 'Bearer t' }
+  }));
+  expect(server.uploads).toEqual({});
+  expect(hasResumableUpload(file)).toBe(false);
+});
@@ -0,0 +1,341 @@
+import { parseHtml, getElementPath, resolveElementPath, describeElement } from './dom';
+import { scopeFromElement } from './scope';
+
+// Accessibility checks for the edited document, the problems that most often
+// fail review of exported files:
+//
+//   img-alt            images without alt text
+//   alt-filename       alt text that is only a file name
+//   heading-order      heading levels that skip one (h2 followed by h4)
+//   empty-heading      headings without text
+//   table-headers      tables without header cells
+//   contrast           text whose inline colors fall below WCAG AA contrast
+//   element-language   `lang` attributes that aren't language codes
+//   document-language  no valid language for the document itself
+//
+// Each issue is
+//
+//   { id, rule, severity: 'error' | 'warning', message, path, label, fix, instruction }
+//
+// where `path` locates the element (see getElementPath; null for the
+// document), `fix` is the one-click fix as `{ label, ... }` (see fixIssue)
+// and `instruction` asks the AI to fix it instead; either may be null.
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// BCP 47 tags as they appear in practice: a 2-3 letter language and subtags.
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const IMAGE_FILE = /^[^\s]+\.(png|jpe?g|gif|bmp|tiff?|svg|webp)$/i;
+
+// The colors text is shown in when the document doesn't set its own: those
+// of exported files (src/services/exporter.js).
+const DEFAULT_TEXT = '#111827';
+const DEFAULT_BACKGROUND = '#ffffff';
+
+// Minimum contrast ratios of WCAG 2.1 AA for normal and large text.
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  yellow: '#ffff00', orange: '#ffa500', purple: '#800080', pink: '#ffc0cb', brown: '#a52a2a',
+  gray: '#808080', grey: '#808080', silver: '#c0c0c0', lightgray: '#d3d3d3', lightgrey: '#d3d3d3',
+  darkgray: '#a9a9a9', darkgrey: '#a9a9a9', navy: '#000080', maroon: '#800000', olive: '#808000',
+  lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff', teal: '#008080', fuchsia: '#ff00ff',
+  magenta: '#ff00ff', gold: '#ffd700', lightblue: '#add8e6', lightgreen: '#90ee90',
+  lightyellow: '#ffffe0', skyblue: '#87ceeb', darkblue: '#00008b', darkred: '#8b0000',
+  darkgreen: '#006400', crimson: '#dc143c', indigo: '#4b0082', violet: '#ee82ee', beige: '#f5f5dc'
+};
+
+/**
+ * `{ r, g, b, a }` for a CSS color (hex, rgb()/rgba() or a common name), or
+ * null when it can't be read.
+ */
+export function parseColor(value) {
+  const color = String(value || '').trim().toLowerCase();
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  const hex = NAMED_COLORS[color] || color;
+  let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(hex);
+  if (match) {
+    const digits = match[1].length <= 4 ? match[1].replace(/./g, '$&$&') : match[1];
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r, g, b, a: a / 255 };
+  }
+  match = /^rgba?\(([^)]*)\)$/.exec(color);
+  if (!match) return null;
+  const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const [r, g, b] = parts.slice(0, 3).map(part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+  const alpha = parts[3] === undefined ? 1 : parseFloat(parts[3]) / (parts[3].endsWith('%') ? 100 : 1);
+  return [r, g, b, alpha].some(Number.isNaN) ? null : { r, g, b, a: alpha };
+}
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+// `top` drawn over the opaque `bottom`.
+const blend = (top, bottom) => ({
+  r: top.r * top.a + bottom.r * (1 - top.a),
+  g: top.g * top.a + bottom.g * (1 - top.a),
+  b: top.b * top.a + bottom.b * (1 - top.a),
+  a: 1
+});
+
+const luminance = ({ r, g, b }) => {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/** The WCAG contrast ratio of two opaque colors, from 1 to 21. */
+export function contrastRatio(first, second) {
+  const [light, dark] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// `color` moved toward black or white, whichever contrasts more with
+// `background`, just far enough to reach `ratio`.
+const adjustColor = (color, background, ratio) => {
+  const target = luminance(background) > 0.18 ? { r: 0, g: 0, b: 0, a: 1 } : { r: 255, g: 255, b: 255, a: 1 };
+  for (let step = 1; step <= 20; step++) {
+    const candidate = blend({ ...target, a: step / 20 }, color);
+    if (contrastRatio(candidate, background) >= ratio) return toHex(candidate);
+  }
+  return toHex(target);
+};
+
+// Body text and background colors set by an applied theme
+// (src/utils/stylePresets.js), which inline colors are seen against.
+const baseColors = (doc) => {
+  const rule = /body\s*\{([^}]*)\}/.exec(doc.querySelector('style[data-preset]')?.textContent || '')?.[1] || '';
+  const declared = (name) => parseColor(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`).exec(rule)?.[1]);
+  return {
+    color: declared('color') || parseColor(DEFAULT_TEXT),
+    background: declared('background-color') || parseColor(DEFAULT_BACKGROUND)
+  };
+};
+
+const ownText = (element) =>
+  Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+
+// 18pt, or 14pt bold, and up; headings down to h3 are large by default.
+const isLargeText = (element) => {
+  let size = null;
+  let bold = /^H[1-6]$/.test(element.tagName) || ['B', 'STRONG'].includes(element.tagName);
+  for (let current = element; current?.style; current = current.parentElement) {
+    const match = /^([\d.]+)(px|pt|em|rem)$/.exec(current.style.fontSize || '');
+    if (size === null && match) {
+      size = parseFloat(match[1]) * { px: 1, pt: 4 / 3, em: 16, rem: 16 }[match[2]];
+    }
+    if (/^(bold|[6-9]00)$/.test(current.style.fontWeight || '')) bold = true;
+  }
+  if (size === null) return /^H[1-3]$/.test(element.tagName);
+  return size >= 24 || (bold && size >= 18.66);
+};
+
+// The text and background colors of `element` and the elements that set
+// them; a null source is the default.
+const effectiveColors = (element, body, base) => {
+  let color = null;
+  let colorSource = null;
+  // Backgrounds from the element outward, up to the first opaque one.
+  const backgrounds = [];
+  let opaque = false;
+  for (let current = element; current && current !== body; current = current.parentElement) {
+    if (!color) {
+      const own = current.style.color && parseColor(current.style.color);
+      if (own) {
+        color = own;
+        colorSource = current;
+      }
+    }
+    const background = !opaque && current.style.backgroundColor && parseColor(current.style.backgroundColor);
+    if (background && background.a > 0) backgrounds.push({ color: background, source: current });
+    if (background?.a === 1) opaque = true;
+  }
+  const background = backgrounds.reduceRight((under, layer) => blend(layer.color, under), base.background);
+  return {
+    color: blend(color || base.color, background),
+    background,
+    colorSource,
+    backgroundSource: backgrounds[0]?.source || null
+  };
+};
+
+const issueFor = (body, element, rule, severity, message, { fix = null, instruction = null } = {}) => {
+  const path = getElementPath(body, element);
+  return { id: `${rule}:${path.join('.')}`, rule, severity, message, path, label: describeElement(element), fix, instruction };
+};
+
+const CHECKS = [
+  function images(body) {
+    return Array.from(body.querySelectorAll('img')).flatMap(image => {
+      const alt = image.getAttribute('alt');
+      if (alt === null) {
+        return [issueFor(body, image, 'img-alt', 'error', 'Image has no alt text', {
+          fix: { label: 'Mark as decorative' },
+          instruction: 'Add a short alt attribute to this image that describes what it shows, based on the surrounding text. Change nothing else.'
+        })];
+      }
+      if (IMAGE_FILE.test(alt.trim())) {
+        return [issueFor(body, image, 'alt-filename', 'warning', `Alt text is a file name ("${alt.trim()}")`, {
+          instruction: 'Replace the alt attribute of this image, which is a file name, with a short description of what it shows based on the surrounding text. Change nothing else.'
+        })];
+      }
+      return [];
+    });
+  },
+
+  function headings(body) {
+    const issues = [];
+    let previous = null;
+    body.querySelectorAll(HEADINGS).forEach(heading => {
+      const level = Number(heading.tagName[1]);
+      const hasImageText = Array.from(heading.querySelectorAll('img')).some(image => image.getAttribute('alt')?.trim());
+      if (!heading.textContent.trim() && !hasImageText) {
+        issues.push(issueFor(body, heading, 'empty-heading', 'warning', 'Heading has no text', {
+          fix: { label: 'Remove heading' },
+          instruction: 'Give this empty heading a short title that describes the content after it. Change nothing else.'
+        }));
+        return;
+      }
+      if (previous !== null && level > previous + 1) {
+        issues.push(issueFor(body, heading, 'heading-order', 'warning', `Heading level skips from h${previous} to h${level}`, {
+          fix: { label: `Change to h${previous + 1}`, level: previous + 1 }
+        }));
+      }
+      previous = level;
+    });
+    return issues;
+  },
+
+  function tables(body) {
+    return Array.from(body.querySelectorAll('table'))
+      .filter(table => table.rows.length > 1 && !table.querySelector('th'))
+      .map(table => issueFor(body, table, 'table-headers', 'error', 'Table has no header cells', {
+        fix: { label: 'Use first row as header' },
+        instruction: 'Mark the header cells of this table as <th> with a scope attribute (the header row in a <thead>). Keep every cell\'s content unchanged.'
+      }));
+  },
+
+  function contrast(body, doc) {
+    const base = baseColors(doc);
+    const reported = new Set();
+    const issues = [];
+    body.querySelectorAll('*').forEach(element => {
+      if (!ownText(element)) return;
+      const { color, background, colorSource, backgroundSource } = effectiveColors(element, body, base);
+      // Only colors the document sets itself; the defaults are fine.
+      const source = colorSource || backgroundSource;
+      if (!source || reported.has(source)) return;
+      const required = isLargeText(element) ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+      const ratio = contrastRatio(color, background);
+      if (ratio >= required) return;
+      reported.add(source);
+      const fixed = adjustColor(color, background, required);
+      issues.push(issueFor(body, source, 'contrast', 'error', `Text contrast is ${ratio.toFixed(2)}:1; it needs at least ${required}:1`, {
+        fix: { label: `Change text color to ${fixed}`, color: fixed },
+        instruction: `Change the colors of this text so it has a contrast ratio of at least ${required}:1 against its background, keeping a similar hue. Change nothing else.`
+      }));
+    });
+    return issues;
+  },
+
+  function elementLanguages(body) {
+    return Array.from(body.querySelectorAll('[lang]'))
+      .filter(element => !LANGUAGE_CODE.test(element.getAttribute('lang').trim()))
+      .map(element => issueFor(body, element, 'element-language', 'warning', `"${element.getAttribute('lang')}" is not a language code`, {
+        fix: { label: 'Use the document language' }
+      }));
+  }
+];
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+// Document order of two element paths; the document (null) comes first.
+const comparePaths = (a, b) => {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+};
+
+/**
+ * Checks `html` and returns its issues, errors first and otherwise in
+ * document order. `language` is the document language, which exports carry.
+ */
+export function auditDocument(html, { language } = {}) {
+  const doc = parseHtml(html);
+  const issues = CHECKS.flatMap(check => check(doc.body, doc));
+  if (!LANGUAGE_CODE.test(String(language || '').trim())) {
+    issues.unshift({
+      id: 'document-language',
+      rule: 'document-language',
+      severity: 'error',
+      message: language ? `"${language}" is not a language code` : 'The document has no language',
+      path: null,
+      label: 'Document',
+      fix: null,
+      instruction: null
+    });
+  }
+  return issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || comparePaths(a.path, b.path));
+}
+
+const renameElement = (element, tagName) => {
+  const renamed = element.ownerDocument.createElement(tagName);
+  Array.from(element.attributes).forEach(attribute => renamed.setAttribute(attribute.name, attribute.value));
+  while (element.firstChild) renamed.appendChild(element.firstChild);
+  element.replaceWith(renamed);
+  return renamed;
+};
+
+const FIXES = {
+  'img-alt': (image) => image.setAttribute('alt', ''),
+  'empty-heading': (heading) => heading.remove(),
+  'heading-order': (heading, fix) => renameElement(heading, `h${fix.level}`),
+  'element-language': (element) => element.removeAttribute('lang'),
+  contrast: (element, fix) => element.style.setProperty('color', fix.color),
+  'table-headers': (table) => {
+    const row = table.rows[0];
+    Array.from(row.cells).forEach(cell => renameElement(cell, 'th').setAttribute('scope', 'col'));
+    if (row.parentElement.tagName === 'THEAD') return;
+    const head = table.tHead || table.createTHead();
+    const section = row.parentElement;
+    head.appendChild(row);
+    if (section !== table && section.rows.length === 0) section.remove();
+  }
+};
+
+/**
+ * `html` with the one-click fix of `issue` applied, or null when the issue
+ * has none or its element is gone.
+ */
+export function fixIssue(html, issue) {
+  if (!issue.fix || !FIXES[issue.rule]) return null;
+  const { body } = parseHtml(html);
+  const element = resolveElementPath(body, issue.path);
+  if (!element) return null;
+  FIXES[issue.rule](element, issue.fix);
+  return body.innerHTML;
+}
+
+/** The scope (see src/utils/scope.js) an AI fix of `issue` is limited to. */
+export function issueScope(html, issue) {
+  if (!issue.path) return null;
+  const { body } = parseHtml(html);
+  return scopeFromElement(body, resolveElementPath(body, issue.path));
+}
+
+/** `html` with the element of `issue` marked `data-a11y-issue` for the preview. */
+export function markIssue(html, issue) {
+  if (!issue?.path) return html;
+  const { body } = parseHtml(html);
+  const element = resolveElementPath(body, issue.path);
+  if (!element) return html;
+  element.setAttribute('data-a11y-issue', '');
+  return body.innerHTML;
+}
@@ -0,0 +1,69 @@
+import { auditDocument, fixIssue, issueScope, markIssue, parseColor, contrastRatio } from './accessibility';
+
+const rules = (issues) => issues.map(issue => `${issue.rule}@${issue.path ? issue.path.join('.') : '-'}`);
+
+test('lists errors before warnings, each in document order', () => {
+  const html = '<h1>Title</h1><h3>Skipped</h3><img src="a.png"><h4></h4>'
+    + '<table><tr><td>Name</td><td>Age</td></tr><tr><td>Ann</td><td>7</td></tr></table>'
+    + '<p lang="">x</p><img src="b.png" alt="IMG_0042.JPG">';
+  expect(rules(auditDocument(html, { language: 'en' }))).toEqual([
+    'img-alt@2', 'table-headers@4', 'heading-order@1', 'empty-heading@3', 'element-language@5', 'alt-filename@6'
+  ]);
+  expect(auditDocument('<h2>Start</h2><p alt="">Fine</p><img src="c.png" alt="">', { language: 'en-GB' })).toEqual([]);
+});
+
+test('flags a missing or invalid document language', () => {
+  expect(auditDocument('<p>x</p>')[0]).toMatchObject({ id: 'document-language', severity: 'error', path: null, fix: null });
+  expect(auditDocument('<p>x</p>', { language: 'english' })[0].message).toBe('"english" is not a language code');
+});
+
+test('measures contrast of inline colors against their background', () => {
+  expect(contrastRatio(parseColor('#000'), parseColor('white'))).toBeCloseTo(21);
+  expect(parseColor('rgba(0, 0, 255, 0.5)')).toEqual({ r: 0, g: 0, b: 255, a: 0.5 });
+  expect(parseColor('currentColor')).toBeNull();
+
+  const html = '<p style="color: yellow">Yellow <span>and more</span></p>'
+    + '<h1 style="color: #949494">Large grey</h1>'
+    + '<p style="color: #949494">Small grey</p>'
+    + '<div style="background-color: #003"><p style="color: navy">Dark on dark</p></div>'
+    + '<p style="color: blue">Blue</p>';
+  const issues = auditDocument(html, { language: 'en' });
+  expect(rules(issues)).toEqual(['contrast@0', 'contrast@2', 'contrast@3.0']);
+  expect(issues[0].message).toBe('Text contrast is 1.07:1; it needs at least 4.5:1');
+
+  // Text on light backgrounds is darkened, on dark ones lightened.
+  [0, 2].forEach(index => {
+    const fixed = fixIssue(html, issues[index]);
+    expect(auditDocument(fixed, { language: 'en' })).toHaveLength(issues.length - 1);
+  });
+  expect(issues[2].fix.color).toMatch(/^#[0-9a-f]{6}$/);
+  expect(contrastRatio(parseColor(issues[2].fix.color), parseColor('#003'))).toBeGreaterThanOrEqual(4.5);
+});
+
+test('reads the body colors of an applied theme', () => {
+  const theme = '<style data-preset="dark">body { color: #eeeeee; background-color: #111111; }</style>';
+  expect(rules(auditDocument(`${theme}<p style="color: #333">Dim</p><p>Plain</p>`, { language: 'en' }))).toEqual(['contrast@1']);
+});
+
+test('one-click fixes change only the offending element', () => {
+  const html = '<h1>A</h1><h3 class="x">B <b>c</b></h3><img src="a.png">'
+    + '<table><tbody><tr><td>Name</td></tr><tr><td>Ann</td></tr></tbody></table><h2></h2><p lang="??">d</p>';
+  // The audit runs again after every fix, as in the editor.
+  let fixed = html;
+  let issue;
+  while ((issue = auditDocument(fixed, { language: 'en' }).find(candidate => candidate.fix))) {
+    fixed = fixIssue(fixed, issue);
+  }
+  expect(fixed).toBe('<h1>A</h1><h2 class="x">B <b>c</b></h2><img src="a.png" alt="">'
+    + '<table><thead><tr><th scope="col">Name</th></tr></thead><tbody><tr><td>Ann</td></tr></tbody></table><p>d</p>');
+  expect(auditDocument(fixed, { language: 'en' })).toEqual([]);
+});
+
+test('AI fixes are scoped to the element and elements are marked for the preview', () => {
+  const html = '<section><p>Chart:</p><img src="chart.png"></section>';
+  const [issue] = auditDocument(html, { language: 'en' });
+  expect(issue.instruction).toMatch(/alt attribute/);
+  expect(issueScope(html, issue)).toEqual({ parentPath: [0], start: 1, end: 1, label: '<img>' });
+  expect(markIssue(html, issue)).toBe('<section><p>Chart:</p><img src="chart.png" data-a11y-issue=""></section>');
+  expect(fixIssue('<p>Gone</p>', issue)).toBeNull();
+});
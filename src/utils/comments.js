@@ -0,0 +1,159 @@
+import { parseHtml } from './dom';
+import { textSegments, piecesOf } from './findReplace';
+import { scopeFromElement } from './scope';
+
+// Review comments are kept next to the document, not in it, so they never
+// reach the AI editor or an export unless asked for. Each thread is anchored
+// to the text it was made on by a quote of that text and a little of the
+// text around it:
+//
+//   { exact: 'Second paragraph', prefix: '…', suffix: '.' }
+//
+// After an edit the anchor is found again wherever that quote now is; the
+// surrounding text picks between repeated quotes. A thread whose quote was
+// edited away has no place in the document any more, but stays listed.
+
+const CONTEXT_LENGTH = 32;
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length += 1;
+  return length;
+};
+
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length += 1;
+  return length;
+};
+
+/**
+ * The anchor for `range` (a selection in a preview of the document whose
+ * body is `body`), or null when it covers no text. A range across several
+ * blocks is anchored to the part in the first one.
+ */
+export function anchorFromRange(body, range) {
+  for (const segment of textSegments(body)) {
+    let start = null;
+    let end = null;
+    segment.nodes.forEach(({ node, start: offset }) => {
+      if (!range.intersectsNode(node)) return;
+      const from = node === range.startContainer ? range.startOffset : 0;
+      const to = node === range.endContainer ? range.endOffset : node.data.length;
+      if (to <= from) return;
+      if (start === null) start = offset + from;
+      end = offset + to;
+    });
+    if (start === null) continue;
+
+    const covered = segment.text.slice(start, end);
+    const exact = covered.trim();
+    if (!exact) continue;
+    start += covered.indexOf(exact);
+    end = start + exact.length;
+    return {
+      exact,
+      prefix: segment.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: segment.text.slice(end, end + CONTEXT_LENGTH)
+    };
+  }
+  return null;
+}
+
+// Where `anchor` is among `segments`: `{ segment, start, end }` for the
+// occurrence of its quote with the most matching context, or null.
+const locate = (segments, anchor) => {
+  let best = null;
+  segments.forEach(segment => {
+    let index = segment.text.indexOf(anchor.exact);
+    while (index !== -1) {
+      const end = index + anchor.exact.length;
+      const score = commonSuffixLength(segment.text.slice(0, index), anchor.prefix)
+        + commonPrefixLength(segment.text.slice(end), anchor.suffix);
+      if (!best || score > best.score) best = { segment, start: index, end, score };
+      index = segment.text.indexOf(anchor.exact, index + 1);
+    }
+  });
+  return best;
+};
+
+/** The ids of `threads` whose anchors can't be found in `html` any more. */
+export function detachedThreads(html, threads) {
+  const segments = textSegments(parseHtml(html).body);
+  return threads.filter(thread => !locate(segments, thread.anchor)).map(thread => thread.id);
+}
+
+/**
+ * The scope (see src/utils/scope.js) of the block a thread is anchored in,
+ * for editing it with the AI; null when it can't be found or isn't in a
+ * block.
+ */
+export function threadScope(html, thread) {
+  const { body } = parseHtml(html);
+  const found = locate(textSegments(body), thread.anchor);
+  return found ? scopeFromElement(body, found.segment.block) : null;
+}
+
+/**
+ * For the preview: `html` with the quote of each open thread (and of
+ * `activeId`, resolved or not) wrapped in `<mark data-comment="id">`. The
+ * first mark of each thread also gets `data-comment-marker`, its number in
+ * `threads` shown in the margin, and those of `activeId` are marked
+ * `data-comment-active`.
+ */
+export function markThreads(html, threads, activeId = null) {
+  if (!threads.some(thread => !thread.resolved || thread.id === activeId)) return html;
+  const { body } = parseHtml(html);
+  const doc = body.ownerDocument;
+  threads.forEach((thread, index) => {
+    if (thread.resolved && thread.id !== activeId) return;
+    // Marks split text nodes, so every thread looks at the text afresh.
+    const found = locate(textSegments(body), thread.anchor);
+    if (!found) return;
+    piecesOf(found.segment, found.start, found.end).forEach(({ node, from, to }, pieceIndex) => {
+      const piece = node.splitText(from);
+      piece.splitText(to - from);
+      const mark = doc.createElement('mark');
+      mark.setAttribute('data-comment', thread.id);
+      if (pieceIndex === 0) mark.setAttribute('data-comment-marker', String(index + 1));
+      if (thread.id === activeId) mark.setAttribute('data-comment-active', '');
+      piece.replaceWith(mark);
+      mark.appendChild(piece);
+    });
+  });
+  return body.innerHTML;
+}
+
+/**
+ * `html` with a "Review comments" section at the end listing every thread:
+ * the quoted text, whether it's open or resolved, and its comments.
+ */
+export function appendReviewSummary(html, threads) {
+  if (threads.length === 0) return html;
+  const { body } = parseHtml(html);
+  const doc = body.ownerDocument;
+  const element = (tag, text) => {
+    const created = doc.createElement(tag);
+    if (text !== undefined) created.textContent = text;
+    return created;
+  };
+
+  const section = element('section');
+  section.setAttribute('data-review-summary', '');
+  section.appendChild(element('h2', 'Review comments'));
+  const list = section.appendChild(element('ol'));
+  threads.forEach(thread => {
+    const item = list.appendChild(element('li'));
+    const heading = item.appendChild(element('p'));
+    heading.appendChild(element('q', thread.anchor.exact));
+    heading.appendChild(doc.createTextNode(` (${thread.resolved ? 'resolved' : 'open'})`));
+    const comments = item.appendChild(element('ul'));
+    thread.comments.forEach(comment => {
+      const entry = comments.appendChild(element('li'));
+      entry.appendChild(element('strong', comment.author));
+      entry.appendChild(doc.createTextNode(`, ${comment.timestamp}: ${comment.text}`));
+    });
+  });
+  body.appendChild(section);
+  return body.innerHTML;
+}
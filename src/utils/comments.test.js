@@ -0,0 +1,67 @@
+import { parseHtml } from './dom';
+import { anchorFromRange, detachedThreads, threadScope, markThreads, appendReviewSummary } from './comments';
+
+const html = '<h1>Terms</h1><p>The fee is due. The fee is <b>final</b>.</p><p>Second clause.</p>';
+
+// A range over [start, end) of the text of the first `selector` element's
+// `childIndex`th child.
+const rangeIn = (body, selector, start, end, childIndex = 0) => {
+  const node = body.querySelector(selector).childNodes[childIndex];
+  const range = body.ownerDocument.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  return range;
+};
+
+const thread = (id, anchor, extra = {}) => ({ id, anchor, comments: [], resolved: false, ...extra });
+
+test('anchors a selection to its quote and the text around it', () => {
+  const { body } = parseHtml(html);
+  expect(anchorFromRange(body, rangeIn(body, 'p', 15, 24))).toEqual({ exact: 'The fee', prefix: 'The fee is due. ', suffix: ' is final.' });
+
+  // Across inline markup and out of the block: the part in the first block.
+  const range = rangeIn(body, 'p', 20, 26);
+  range.setEnd(body.querySelectorAll('p')[1].firstChild, 6);
+  expect(anchorFromRange(body, range)).toMatchObject({ exact: 'fee is final.', suffix: '' });
+
+  const empty = rangeIn(body, 'p', 3, 4);
+  expect(anchorFromRange(body, empty)).toBeNull();
+});
+
+test('finds anchors again after edits, using the context between repeats', () => {
+  const second = thread('t1', { exact: 'The fee', prefix: 'The fee is due. ', suffix: ' is final.' });
+  const edited = '<h1>Terms</h1><p>Intro.</p><p>The fee is due. The fee is <b>final</b>.</p>';
+  expect(markThreads(edited, [second], 't1')).toContain('The fee is due. <mark data-comment="t1" data-comment-marker="1" data-comment-active="">The fee</mark>');
+
+  const gone = thread('t2', { exact: 'Second clause', prefix: '', suffix: '.' });
+  expect(detachedThreads(edited, [second, gone])).toEqual(['t2']);
+  expect(threadScope(edited, second)).toMatchObject({ parentPath: [], start: 2, end: 2 });
+  expect(threadScope(edited, gone)).toBeNull();
+});
+
+test('marks every piece of a quote across inline markup', () => {
+  const marked = markThreads(html, [
+    thread('a', { exact: 'Terms', prefix: '', suffix: '' }),
+    thread('b', { exact: 'is final', prefix: 'The fee ', suffix: '.' }),
+    thread('c', { exact: 'Second', prefix: '', suffix: ' clause.' }, { resolved: true })
+  ]);
+  expect(marked).toContain('<h1><mark data-comment="a" data-comment-marker="1">Terms</mark></h1>');
+  expect(marked).toContain('<mark data-comment="b" data-comment-marker="2">is </mark><b><mark data-comment="b">final</mark></b>');
+  // Resolved threads are only shown while selected.
+  expect(marked).not.toContain('data-comment="c"');
+  expect(markThreads(html, [thread('c', { exact: 'Second', prefix: '', suffix: '' }, { resolved: true })], 'c'))
+    .toContain('<mark data-comment="c" data-comment-marker="1" data-comment-active="">Second</mark>');
+  expect(markThreads(html, [])).toBe(html);
+});
+
+test('summarizes the threads for an export', () => {
+  const summary = appendReviewSummary(html, [
+    thread('a', { exact: 'fee <is> due', prefix: '', suffix: '' }, {
+      resolved: true,
+      comments: [{ id: 'c1', author: 'Ana', timestamp: '1/2/2026', text: 'Say when.' }]
+    })
+  ]);
+  expect(summary).toContain('<section data-review-summary=""><h2>Review comments</h2><ol><li><p><q>fee &lt;is&gt; due</q> (resolved)</p>'
+    + '<ul><li><strong>Ana</strong>, 1/2/2026: Say when.</li></ul></li></ol></section>');
+  expect(appendReviewSummary(html, [])).toBe(html);
+});
@@ -0,0 +1,64 @@
+import { BLOCK_TAGS, parseHtml } from './dom';
+
+// What the outline sidebar and Document Info show about a document: its
+// headings, the pages of the source file and a word count, all read from
+// the current HTML so they follow every edit.
+//
+// Page boundaries come from the upload: the server marks the content of each
+// source page (PDF pages, slides...) with `data-page="N"`, usually on a
+// wrapping <section>. A page starts at the first element carrying its number;
+// pages whose markers an edit removed simply drop out.
+
+export const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+export const PAGE_SELECTOR = '[data-page]';
+
+const SKIPPED_SELECTOR = 'style, script, template, noscript';
+
+const normalizeSpace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/** The number of words in `text`. */
+export const countWords = (text) => {
+  const normalized = normalizeSpace(text);
+  return normalized ? normalized.split(' ').length : 0;
+};
+
+/**
+ * `{ outline, pages, wordCount }` for `html`:
+ *  - outline: `[{ index, level, text, page }]`, one entry per heading;
+ *    `index` is its position among all headings.
+ *  - pages: the page numbers in document order, each once.
+ *  - wordCount: words in the visible text.
+ */
+export function analyzeDocument(html) {
+  const { body } = parseHtml(html);
+  body.querySelectorAll(SKIPPED_SELECTOR).forEach(element => element.remove());
+
+  const pageOf = (element) => {
+    const page = Number(element.closest(PAGE_SELECTOR)?.getAttribute('data-page'));
+    return Number.isInteger(page) && page > 0 ? page : null;
+  };
+
+  const outline = Array.from(body.querySelectorAll(HEADING_SELECTOR)).map((heading, index) => ({
+    index,
+    level: Number(heading.tagName[1]),
+    text: normalizeSpace(heading.textContent) || '(untitled)',
+    page: pageOf(heading)
+  }));
+
+  const pages = [];
+  body.querySelectorAll(PAGE_SELECTOR).forEach(element => {
+    const page = pageOf(element);
+    if (page && !pages.includes(page)) pages.push(page);
+  });
+
+  // Blocks and line breaks separate words even without whitespace between tags.
+  body.querySelectorAll('*').forEach(element => {
+    if (element.tagName === 'BR') {
+      element.after(' ');
+    } else if (BLOCK_TAGS.has(element.tagName)) {
+      element.prepend(' ');
+      element.append(' ');
+    }
+  });
+  return { outline, pages, wordCount: countWords(body.textContent) };
+}
@@ -0,0 +1,25 @@
+import { analyzeDocument, countWords } from './documentStructure';
+
+test('outlines headings with their level and page', () => {
+  const html = '<section data-page="1"><h1>Report</h1><p>Intro</p><h2> Scope  and <em>aims</em></h2></section>'
+    + '<section data-page="2"><h3></h3><p>Body</p></section><h2>Appendix</h2>';
+  expect(analyzeDocument(html).outline).toEqual([
+    { index: 0, level: 1, text: 'Report', page: 1 },
+    { index: 1, level: 2, text: 'Scope and aims', page: 1 },
+    { index: 2, level: 3, text: '(untitled)', page: 2 },
+    { index: 3, level: 2, text: 'Appendix', page: null }
+  ]);
+});
+
+test('lists each source page once, in document order', () => {
+  const html = '<section data-page="2"><p>b</p></section><p data-page="3">c</p><div data-page="2"></div><p data-page="x">?</p>';
+  expect(analyzeDocument(html).pages).toEqual([2, 3]);
+  expect(analyzeDocument('<p>No pages</p>').pages).toEqual([]);
+});
+
+test('counts the words of visible text across block boundaries', () => {
+  const html = '<style>p { color: red }</style><h1>Title</h1><p>One <b>two</b>-three<br>four</p>x<ul><li>five</li><li>six</li></ul>';
+  expect(analyzeDocument(html).wordCount).toBe(7);
+  expect(analyzeDocument('').wordCount).toBe(0);
+  expect(countWords('  a\nb\tc ')).toBe(3);
+});
@@ -0,0 +1,382 @@
+// Builds Word documents (.docx) from document HTML in the browser, packaged
+// with ./zip. Covers what our documents contain: headings, paragraphs with
+// inline formatting and links, lists, quotes, code, tables and images. Images
+// must be data URLs (src/services/exporter.js inlines them first); others are
+// replaced by their alt text.
+
+import { BLOCK_TAGS, parseHtml } from './dom';
+import { createZip } from './zip';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const TWIPS_PER_MM = 1440 / 25.4;
+const PX_PER_MM = 96 / 25.4;
+const EMU_PER_PX = 9525;
+const LIST_INDENT = 360;
+const DEFAULT_IMAGE_SIZE = { width: 300, height: 200 };
+
+const NS = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  officeRel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const escapeXml = (text) => String(text)
+  // Control characters are not allowed in XML 1.0.
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+
+const FORMAT_TAGS = {
+  B: { bold: true },
+  STRONG: { bold: true },
+  I: { italic: true },
+  EM: { italic: true },
+  CITE: { italic: true },
+  U: { underline: true },
+  INS: { underline: true },
+  S: { strike: true },
+  STRIKE: { strike: true },
+  DEL: { strike: true },
+  CODE: { code: true },
+  KBD: { code: true },
+  SAMP: { code: true },
+  MARK: { highlight: true },
+  SUP: { vertAlign: 'superscript' },
+  SUB: { vertAlign: 'subscript' }
+};
+
+const ALIGNMENTS = { left: 'left', center: 'center', right: 'right', justify: 'both' };
+
+const hexColor = (value) => {
+  if (!value) return null;
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(value);
+  if (short) return `${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toUpperCase();
+  const long = /^#([0-9a-f]{6})$/i.exec(value);
+  if (long) return long[1].toUpperCase();
+  const rgb = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(value);
+  return rgb ? rgb.slice(1, 4).map(part => Number(part).toString(16).padStart(2, '0')).join('').toUpperCase() : null;
+};
+
+// Formatting set through style attributes, as edits often do.
+const styleFormat = (element) => {
+  const { style } = element;
+  const format = {};
+  if (/^(bold|bolder|[6-9]00)$/.test(style.fontWeight)) format.bold = true;
+  if (style.fontStyle === 'italic') format.italic = true;
+  const decoration = `${style.textDecoration} ${style.textDecorationLine}`;
+  if (decoration.includes('underline')) format.underline = true;
+  if (decoration.includes('line-through')) format.strike = true;
+  const color = hexColor(style.color);
+  if (color) format.color = color;
+  return format;
+};
+
+const alignmentOf = (element) =>
+  ALIGNMENTS[(element.style.textAlign || element.getAttribute('align') || '').toLowerCase()];
+
+// Child order follows the schema (CT_RPr), which Word enforces.
+const runProperties = (format) => {
+  const properties = [
+    format.link && '<w:rStyle w:val="Hyperlink"/>',
+    format.code && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>',
+    format.bold && '<w:b/>',
+    format.italic && '<w:i/>',
+    format.strike && '<w:strike/>',
+    format.color && !format.link && `<w:color w:val="${format.color}"/>`,
+    format.highlight && '<w:highlight w:val="yellow"/>',
+    format.underline && !format.link && '<w:u w:val="single"/>',
+    format.vertAlign && `<w:vertAlign w:val="${format.vertAlign}"/>`
+  ].filter(Boolean).join('');
+  return properties ? `<w:rPr>${properties}</w:rPr>` : '';
+};
+
+const textRun = (text, format) => `<w:r>${runProperties(format)}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+const breakRun = '<w:r><w:br/></w:r>';
+
+const paragraph = (runs, props) => {
+  const properties = [
+    props.style && `<w:pStyle w:val="${props.style}"/>`,
+    props.indent && `<w:ind w:left="${props.indent}"${props.hanging ? ` w:hanging="${props.hanging}"` : ''}/>`,
+    props.align && `<w:jc w:val="${props.align}"/>`
+  ].filter(Boolean).join('');
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+};
+
+const ruleParagraph = '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>';
+
+const decodeDataUrl = (src) => {
+  const match = /^data:image\/(png|jpe?g|gif|bmp);base64,(.*)$/i.exec(src || '');
+  if (!match) return null;
+  const binary = atob(match[2].replace(/\s/g, ''));
+  return {
+    extension: match[1].toLowerCase().replace('jpg', 'jpeg'),
+    data: Uint8Array.from(binary, char => char.charCodeAt(0))
+  };
+};
+
+const pixels = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 && !/%/.test(value) ? number : null;
+};
+
+async function imageRun(element, ctx) {
+  const alt = element.getAttribute('alt') || '';
+  const src = element.getAttribute('src');
+  const image = decodeDataUrl(src);
+  if (!image) return alt ? textRun(`[${alt}]`, {}) : '';
+
+  let width = pixels(element.getAttribute('width')) || pixels(element.style.width);
+  let height = pixels(element.getAttribute('height')) || pixels(element.style.height);
+  if (!width || !height) {
+    const natural = (await ctx.imageSize?.(src)) || DEFAULT_IMAGE_SIZE;
+    if (width) height = (width * natural.height) / natural.width;
+    else if (height) width = (height * natural.width) / natural.height;
+    else ({ width, height } = natural);
+  }
+  if (width > ctx.contentWidth) {
+    height *= ctx.contentWidth / width;
+    width = ctx.contentWidth;
+  }
+
+  ctx.images += 1;
+  const id = ctx.images;
+  const name = `image${id}.${image.extension}`;
+  const relationship = ctx.relate(`${NS.officeRel}/image`, `media/${name}`);
+  ctx.media.push({ name: `word/media/${name}`, data: image.data, extension: image.extension });
+
+  const cx = Math.round(width * EMU_PER_PX);
+  const cy = Math.round(height * EMU_PER_PX);
+  return '<w:r><w:drawing>'
+    + `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`
+    + `<wp:docPr id="${id}" name="Picture ${id}" descr="${escapeXml(alt)}"/>`
+    + `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${NS.a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>`
+    + `<a:graphic xmlns:a="${NS.a}"><a:graphicData uri="${NS.pic}"><pic:pic xmlns:pic="${NS.pic}">`
+    + `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>`
+    + `<pic:blipFill><a:blip r:embed="${relationship}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+    + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+    + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+}
+
+// Runs for inline content. `state.space` is true while the paragraph is
+// empty or ends in whitespace, so collapsed spaces are not doubled.
+async function inlineRuns(node, format, ctx, state) {
+  if (node.nodeType === 3) {
+    let text = node.textContent.replace(/\s+/g, ' ');
+    if (state.space) text = text.replace(/^ /, '');
+    if (!text) return [];
+    state.space = text.endsWith(' ');
+    return [textRun(text, format)];
+  }
+  if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) return [];
+
+  const tag = node.tagName;
+  if (tag === 'BR') {
+    state.space = true;
+    return [breakRun];
+  }
+  if (tag === 'IMG') {
+    state.space = false;
+    const run = await imageRun(node, ctx);
+    return run ? [run] : [];
+  }
+
+  const href = tag === 'A' ? node.getAttribute('href') : null;
+  const external = href && /^(https?:|mailto:)/i.test(href);
+  const childFormat = { ...format, ...FORMAT_TAGS[tag], ...styleFormat(node), ...(external && { link: true }) };
+  const runs = [];
+  for (const child of Array.from(node.childNodes)) {
+    runs.push(...await inlineRuns(child, childFormat, ctx, state));
+  }
+  if (!external || runs.length === 0) return runs;
+  const relationship = ctx.relate(`${NS.officeRel}/hyperlink`, href, true);
+  return [`<w:hyperlink r:id="${relationship}">${runs.join('')}</w:hyperlink>`];
+}
+
+const isBlock = (node) => node.nodeType === 1 && (BLOCK_TAGS.has(node.tagName) || SKIPPED_TAGS.has(node.tagName));
+
+// Body elements (<w:p>, <w:tbl>) for the children of `parent`. Runs of inline
+// content become paragraphs with `props`; a list marker in `props.marker` is
+// put in front of the first one.
+async function blockElements(parent, ctx, props) {
+  const output = [];
+  let runs = [];
+  let state = { space: true };
+  const flush = (force = false) => {
+    if (runs.length === 0 && !(force && props.marker?.text)) return;
+    if (props.marker?.text) {
+      runs.unshift(textRun(props.marker.text, {}));
+      props.marker.text = null;
+    }
+    output.push(paragraph(runs, props));
+    runs = [];
+    state = { space: true };
+  };
+
+  for (const child of Array.from(parent.childNodes)) {
+    if (isBlock(child)) {
+      flush();
+      output.push(...await blockElement(child, ctx, props));
+    } else {
+      runs.push(...await inlineRuns(child, props.format || {}, ctx, state));
+    }
+  }
+  flush(true);
+  return output;
+}
+
+async function listElements(list, ctx, props) {
+  const ordered = list.tagName === 'OL';
+  const start = Number(list.getAttribute('start')) || 1;
+  const indent = (props.indent || 0) + LIST_INDENT * 2;
+  const output = [];
+  const items = Array.from(list.children).filter(item => item.tagName === 'LI');
+  for (const [index, item] of items.entries()) {
+    const marker = { text: ordered ? `${start + index}.\t` : '•\t' };
+    output.push(...await blockElements(item, ctx, {
+      ...props, style: 'ListParagraph', indent, hanging: LIST_INDENT, align: alignmentOf(item), marker
+    }));
+  }
+  return output;
+}
+
+async function tableElement(table, ctx, props) {
+  const rows = Array.from(table.rows);
+  const columns = Math.max(1, ...rows.map(row => Array.from(row.cells).reduce((sum, cell) => sum + (cell.colSpan || 1), 0)));
+  const columnWidth = Math.floor(ctx.contentTwips / columns);
+
+  const rowElements = [];
+  for (const row of rows) {
+    const header = row.parentElement?.tagName === 'THEAD';
+    const cells = [];
+    for (const cell of Array.from(row.cells)) {
+      const span = cell.colSpan || 1;
+      const content = await blockElements(cell, ctx, {
+        align: alignmentOf(cell),
+        format: cell.tagName === 'TH' ? { bold: true } : undefined
+      });
+      // A cell must end with a paragraph, even after a nested table.
+      if (!content.length || content[content.length - 1].startsWith('<w:tbl>')) content.push('<w:p/>');
+      cells.push(`<w:tc><w:tcPr><w:tcW w:w="${columnWidth * span}" w:type="dxa"/>${span > 1 ? `<w:gridSpan w:val="${span}"/>` : ''}</w:tcPr>${content.join('')}</w:tc>`);
+    }
+    rowElements.push(`<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.join('')}</w:tr>`);
+  }
+
+  const indent = props.indent ? `<w:tblInd w:w="${props.indent}" w:type="dxa"/>` : '';
+  return ['<w:tbl>'
+    + `<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/>${indent}</w:tblPr>`
+    + `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>`
+    + `${rowElements.join('')}</w:tbl>`];
+}
+
+async function blockElement(element, ctx, props) {
+  const tag = element.tagName;
+  if (SKIPPED_TAGS.has(tag)) return [];
+  const own = { ...props, format: { ...props.format, ...styleFormat(element) }, align: alignmentOf(element) || props.align };
+
+  const heading = /^H([1-6])$/.exec(tag);
+  if (heading) return blockElements(element, ctx, { ...own, style: `Heading${heading[1]}` });
+
+  switch (tag) {
+    case 'UL':
+    case 'OL':
+      return listElements(element, ctx, props);
+    case 'TABLE':
+      return tableElement(element, ctx, props);
+    case 'HR':
+      return [ruleParagraph];
+    case 'BLOCKQUOTE':
+      return blockElements(element, ctx, { ...own, style: 'Quote', indent: (props.indent || 0) + LIST_INDENT * 2 });
+    case 'PRE': {
+      const runs = element.textContent.replace(/\n$/, '').split('\n')
+        .flatMap((line, index) => [...(index ? [breakRun] : []), ...(line ? [textRun(line, { code: true })] : [])]);
+      return [paragraph(runs, { ...own, style: 'Code' })];
+    }
+    default:
+      return blockElements(element, ctx, own);
+  }
+}
+
+const styles = (lang) => `${XML_HEADER}<w:styles xmlns:w="${NS.w}">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="${escapeXml(lang)}"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${[32, 26, 24, 22, 22, 22].map((size, index) => `<w:style w:type="paragraph" w:styleId="Heading${index + 1}"><w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${index}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:rPr><w:i/><w:color w:val="4B5563"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F4F6"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>`).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const contentTypes = (extensions) => `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${[...extensions].map(extension => `<Default Extension="${extension}" ContentType="image/${extension}"/>`).join('\n')}
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELATIONSHIPS = `${XML_HEADER}<Relationships xmlns="${NS.rel}">
+<Relationship Id="rId1" Type="${NS.officeRel}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const coreProperties = (title, date) => `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${title ? `<dc:title>${escapeXml(title)}</dc:title>\n` : ''}<dcterms:created xsi:type="dcterms:W3CDTF">${date.toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+/**
+ * Converts a document fragment to a .docx Blob. `pageSize` is
+ * `{ width, height }` and `margin` the page margin, both in millimetres.
+ * `imageSize(src)` may resolve to the natural `{ width, height }` of images
+ * without width and height attributes. `lang` is the language the text is
+ * spell-checked and read aloud in.
+ */
+export async function htmlToDocx(html, { pageSize = { width: 210, height: 297 }, margin = 20, title, lang = 'en-US', imageSize, date = new Date() } = {}) {
+  const relationships = [{ id: 'rId1', type: `${NS.officeRel}/styles`, target: 'styles.xml' }];
+  const ctx = {
+    media: [],
+    images: 0,
+    contentWidth: (pageSize.width - margin * 2) * PX_PER_MM,
+    contentTwips: Math.round((pageSize.width - margin * 2) * TWIPS_PER_MM),
+    imageSize,
+    relate(type, target, external = false) {
+      const id = `rId${relationships.length + 1}`;
+      relationships.push({ id, type, target, external });
+      return id;
+    }
+  };
+
+  const body = await blockElements(parseHtml(html).body, ctx, {});
+  const twips = (mm) => Math.round(mm * TWIPS_PER_MM);
+  const section = `<w:sectPr><w:pgSz w:w="${twips(pageSize.width)}" w:h="${twips(pageSize.height)}"/>`
+    + `<w:pgMar w:top="${twips(margin)}" w:right="${twips(margin)}" w:bottom="${twips(margin)}" w:left="${twips(margin)}" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>`;
+  const documentXml = `${XML_HEADER}<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}">`
+    + `<w:body>${body.join('') || '<w:p/>'}${section}</w:body></w:document>`;
+
+  const documentRelationships = `${XML_HEADER}<Relationships xmlns="${NS.rel}">\n${relationships.map(rel =>
+    `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+  ).join('\n')}\n</Relationships>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes(new Set(ctx.media.map(item => item.extension))) },
+    { name: '_rels/.rels', data: PACKAGE_RELATIONSHIPS },
+    { name: 'docProps/core.xml', data: coreProperties(title, date) },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: styles(lang) },
+    { name: 'word/_rels/document.xml.rels', data: documentRelationships },
+    ...ctx.media.map(({ name, data }) => ({ name, data }))
+  ], { mimeType: DOCX_MIME_TYPE, date });
+}
@@ -0,0 +1,89 @@
+import { htmlToDocx, DOCX_MIME_TYPE } from './docx';
+import { toBytes } from './zip';
+
+// Reads the stored (uncompressed) entries of a ZIP archive; XML parts as text.
+const readEntries = async (blob) => {
+  const bytes = await toBytes(blob);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let pointer = view.getUint32(end + 16, true);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const size = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = String.fromCharCode(...bytes.slice(pointer + 46, pointer + 46 + nameLength));
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = bytes.slice(start, start + size);
+    const binary = Array.from(data, byte => String.fromCharCode(byte)).join('');
+    entries[name] = name.startsWith('word/media/') ? data : decodeURIComponent(escape(binary));
+    pointer += 46 + nameLength;
+  }
+  return entries;
+};
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+test('packages a Word document with the expected parts', async () => {
+  const blob = await htmlToDocx('<p>Hello</p>', { title: 'Notes & plans', lang: 'de', date: new Date(Date.UTC(2024, 0, 2)) });
+  expect(blob.type).toBe(DOCX_MIME_TYPE);
+  const entries = await readEntries(blob);
+  expect(Object.keys(entries)).toEqual([
+    '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/document.xml', 'word/styles.xml', 'word/_rels/document.xml.rels'
+  ]);
+  expect(entries['docProps/core.xml']).toContain('<dc:title>Notes &amp; plans</dc:title>');
+  expect(entries['docProps/core.xml']).toContain('2024-01-02T00:00:00Z');
+  expect(entries['word/styles.xml']).toContain('<w:lang w:val="de"/>');
+});
+
+test('converts headings, inline formatting and links', async () => {
+  const { 'word/document.xml': xml, 'word/_rels/document.xml.rels': rels } = await readEntries(await htmlToDocx(
+    '<h2>Plan</h2><p style="text-align: center">A <strong>bold</strong>   and <em style="color: #c00">red</em> <a href="https://example.com/?a=1&amp;b=2">link</a><br>next</p>'
+  ));
+  expect(xml).toContain('<w:p><w:pPr><w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">Plan</w:t></w:r></w:p>');
+  expect(xml).toContain('<w:jc w:val="center"/>');
+  expect(xml).toContain('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">bold</w:t></w:r><w:r><w:t xml:space="preserve"> and </w:t></w:r>');
+  expect(xml).toContain('<w:rPr><w:i/><w:color w:val="CC0000"/></w:rPr><w:t xml:space="preserve">red</w:t>');
+  expect(xml).toContain('<w:hyperlink r:id="rId2"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t xml:space="preserve">link</w:t></w:r></w:hyperlink><w:r><w:br/></w:r>');
+  expect(rels).toContain('Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://example.com/?a=1&amp;b=2" TargetMode="External"');
+});
+
+test('converts lists, quotes, code and rules', async () => {
+  const { 'word/document.xml': xml } = await readEntries(await htmlToDocx(
+    '<ol start="2"><li>Two<ul><li>Sub</li></ul></li></ol><blockquote>Said</blockquote><pre>a  b\nc</pre><hr>'
+  ));
+  expect(xml).toContain('<w:pStyle w:val="ListParagraph"/><w:ind w:left="720" w:hanging="360"/></w:pPr><w:r><w:t xml:space="preserve">2.\t</w:t></w:r><w:r><w:t xml:space="preserve">Two</w:t>');
+  expect(xml).toContain('<w:ind w:left="1440" w:hanging="360"/></w:pPr><w:r><w:t xml:space="preserve">•\t</w:t></w:r><w:r><w:t xml:space="preserve">Sub</w:t>');
+  expect(xml).toContain('<w:pStyle w:val="Quote"/>');
+  expect(xml).toContain('<w:pStyle w:val="Code"/></w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/></w:rPr><w:t xml:space="preserve">a  b</w:t></w:r><w:r><w:br/></w:r>');
+  expect(xml).toContain('<w:pBdr><w:bottom');
+});
+
+test('converts tables with header rows and spans', async () => {
+  const { 'word/document.xml': xml } = await readEntries(await htmlToDocx(
+    '<table><thead><tr><th colspan="2">Totals</th></tr></thead><tbody><tr><td>A</td><td></td></tr></tbody></table>',
+    { pageSize: { width: 210, height: 297 }, margin: 20 }
+  ));
+  expect(xml).toContain('<w:tblGrid><w:gridCol w:w="4819"/><w:gridCol w:w="4819"/></w:tblGrid>');
+  expect(xml).toContain('<w:tr><w:trPr><w:tblHeader/></w:trPr><w:tc><w:tcPr><w:tcW w:w="9638" w:type="dxa"/><w:gridSpan w:val="2"/></w:tcPr>');
+  expect(xml).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Totals</w:t>');
+  // Empty cells still hold a paragraph.
+  expect(xml).toContain('<w:tc><w:tcPr><w:tcW w:w="4819" w:type="dxa"/></w:tcPr><w:p/></w:tc>');
+});
+
+test('embeds data URL images and keeps the alt text of others', async () => {
+  const imageSize = jest.fn(async () => ({ width: 1200, height: 600 }));
+  const entries = await readEntries(await htmlToDocx(
+    `<p><img src="${PIXEL}" alt="Dot" width="96" height="48"><img src="${PIXEL}"><img src="https://example.com/a.png" alt="Remote"></p>`,
+    { imageSize }
+  ));
+  const xml = entries['word/document.xml'];
+  expect(Object.keys(entries)).toEqual(expect.arrayContaining(['word/media/image1.png', 'word/media/image2.png']));
+  expect(entries['[Content_Types].xml']).toContain('<Default Extension="png" ContentType="image/png"/>');
+  expect(xml).toContain('<wp:extent cx="914400" cy="457200"/><wp:docPr id="1" name="Picture 1" descr="Dot"/>');
+  // The second image is scaled down from its natural size to the text width.
+  expect(imageSize).toHaveBeenCalledTimes(1);
+  expect(xml).toContain('<wp:extent cx="6120000" cy="3060000"/><wp:docPr id="2"');
+  expect(xml).toContain('<w:t xml:space="preserve">[Remote]</w:t>');
+});
@@ -0,0 +1,48 @@
+// Shared helpers for working with document HTML outside the live page.
+
+export const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY',
+  'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+/**
+ * Parses an HTML fragment into a detached document. The fragment ends up in
+ * `doc.body`; nothing in it is rendered or executed.
+ */
+export const parseHtml = (html) =>
+  new DOMParser().parseFromString(`<!DOCTYPE html><html><head></head><body>${html || ''}</body></html>`, 'text/html');
+
+/**
+ * Path of element-child indices from `root` down to `element`, or null when
+ * the element is not inside `root`.
+ */
+export function getElementPath(root, element) {
+  const path = [];
+  let current = element;
+  while (current && current !== root) {
+    const parent = current.parentElement;
+    if (!parent) return null;
+    path.unshift(Array.prototype.indexOf.call(parent.children, current));
+    current = parent;
+  }
+  return current === root ? path : null;
+}
+
+/** Inverse of getElementPath. Returns null when the path no longer exists. */
+export function resolveElementPath(root, path) {
+  let current = root;
+  for (const index of path) {
+    current = current?.children[index];
+    if (!current) return null;
+  }
+  return current;
+}
+
+/** Short human-readable label for an element, e.g. `<p> "First words…"`. */
+export function describeElement(element, maxLength = 40) {
+  const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+  const excerpt = text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  return `<${element.tagName.toLowerCase()}>${excerpt ? ` "${excerpt}"` : ''}`;
+}
@@ -0,0 +1,149 @@
+import { BLOCK_TAGS, parseHtml } from './dom';
+
+// Find and replace on the rendered text of document HTML. Text is searched
+// per block (paragraph, cell, list item...), so a match can run across
+// inline markup ("Acme <b>Corp</b>") but never from one block into the next.
+// Replacing only touches text nodes: every element and attribute stays.
+
+const SKIPPED_TAGS = new Set(['STYLE', 'SCRIPT', 'TEMPLATE', 'NOSCRIPT']);
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The RegExp for a search, or null for an empty query. Throws with a
+ * readable message when `regex` is set and the query isn't a valid pattern.
+ */
+export function buildPattern(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+  if (!query) return null;
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  try {
+    return new RegExp(source, `gu${caseSensitive ? '' : 'i'}`);
+  } catch (err) {
+    throw new Error(`Invalid regular expression: ${err.message.replace(/^Invalid regular expression: /, '')}`);
+  }
+}
+
+const blockOf = (node, body) => {
+  let current = node.parentNode;
+  while (current && current !== body && !BLOCK_TAGS.has(current.tagName)) current = current.parentNode;
+  return current;
+};
+
+/**
+ * Consecutive text nodes in the same block, as `{ block, text, nodes }` with
+ * each node's offset in the block's text. A <br> starts a new segment like a
+ * block does.
+ */
+export const textSegments = (body) => {
+  const segments = [];
+  let current = null;
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const block = blockOf(child, body);
+        if (!current || current.block !== block) {
+          current = { block, text: '', nodes: [] };
+          segments.push(current);
+        }
+        current.nodes.push({ node: child, start: current.text.length });
+        current.text += child.data;
+      } else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED_TAGS.has(child.tagName)) {
+        if (child.tagName === 'BR' || BLOCK_TAGS.has(child.tagName)) current = null;
+        walk(child);
+        if (BLOCK_TAGS.has(child.tagName)) current = null;
+      }
+    });
+  };
+  walk(body);
+  return segments;
+};
+
+const matchesIn = (segments, pattern) => {
+  const matches = [];
+  segments.forEach(segment => {
+    for (const match of segment.text.matchAll(pattern)) {
+      if (match[0] === '') continue;
+      matches.push({ segment, start: match.index, end: match.index + match[0].length, match });
+    }
+  });
+  return matches;
+};
+
+/** Every match of `pattern` in the text of `html`: `[{ text, before, after }]` with a little context. */
+export function findMatches(html, pattern) {
+  const { body } = parseHtml(html);
+  return matchesIn(textSegments(body), pattern).map(({ segment, start, end }) => ({
+    text: segment.text.slice(start, end),
+    before: segment.text.slice(Math.max(0, start - 30), start),
+    after: segment.text.slice(end, end + 30)
+  }));
+}
+
+/** The parts of a segment's text nodes covered by [start, end): `{ node, from, to }`. */
+export const piecesOf = (segment, start, end) => segment.nodes
+  .map(({ node, start: offset }) => ({
+    node,
+    from: Math.max(start, offset) - offset,
+    to: Math.min(end, offset + node.data.length) - offset
+  }))
+  .filter(piece => piece.from < piece.to);
+
+/**
+ * `html` with every match wrapped in `<mark data-find-match>` (one per text
+ * node a match spans); the pieces of match number `current` also carry
+ * `data-find-current`.
+ */
+export function markMatches(html, pattern, current = -1) {
+  const doc = parseHtml(html);
+  const matches = matchesIn(textSegments(doc.body), pattern);
+  if (matches.length === 0) return html;
+  // Last to first, so splitting a text node leaves earlier offsets valid.
+  matches.map((match, index) => ({ ...match, index })).reverse().forEach(({ segment, start, end, index }) => {
+    piecesOf(segment, start, end).reverse().forEach(({ node, from, to }) => {
+      const matched = node.splitText(from);
+      matched.splitText(to - from);
+      const mark = doc.createElement('mark');
+      mark.setAttribute('data-find-match', String(index));
+      if (index === current) mark.setAttribute('data-find-current', '');
+      matched.replaceWith(mark);
+      mark.appendChild(matched);
+    });
+  });
+  return doc.body.innerHTML;
+}
+
+// The replacement for one match; with `regex`, $&, $1…$99, $<name> and $$
+// work as in String.prototype.replace.
+const expandReplacement = (replacement, match, regex) => {
+  if (!regex) return replacement;
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? '';
+    const group = Number(ref);
+    return group > 0 && group < match.length ? match[group] ?? '' : token;
+  });
+};
+
+/**
+ * Replaces matches of `pattern` in `html`: all of them, or only match number
+ * `only`. Returns `{ html, count }` with the number of replacements.
+ */
+export function replaceMatches(html, pattern, replacement, { only = null, regex = false } = {}) {
+  const doc = parseHtml(html);
+  const matches = matchesIn(textSegments(doc.body), pattern);
+  const targets = only === null ? matches : matches.slice(only, only + 1);
+  if (targets.length === 0) return { html, count: 0 };
+
+  [...targets].reverse().forEach(({ segment, start, end, match }) => {
+    const text = expandReplacement(replacement, match, regex);
+    // The replacement goes where the match starts; the rest of the match is
+    // cut from the nodes it continued into.
+    piecesOf(segment, start, end).forEach(({ node, from, to }, index) => {
+      node.data = node.data.slice(0, from) + (index === 0 ? text : '') + node.data.slice(to);
+    });
+  });
+  return { html: doc.body.innerHTML, count: targets.length };
+}
@@ -0,0 +1,62 @@
+import { buildPattern, findMatches, markMatches, replaceMatches } from './findReplace';
+
+const find = (html, query, options) => findMatches(html, buildPattern(query, options)).map(match => match.text);
+
+test('searches text with case, whole-word and regex options', () => {
+  const html = '<p>Cat, cat and concatenate. Café café</p>';
+  expect(find(html, 'cat')).toEqual(['Cat', 'cat', 'cat']);
+  expect(find(html, 'cat', { caseSensitive: true })).toEqual(['cat', 'cat']);
+  expect(find(html, 'cat', { wholeWord: true })).toEqual(['Cat', 'cat']);
+  expect(find(html, 'caf', { wholeWord: true })).toEqual([]);
+  expect(find(html, 'c\\w+e', { regex: true })).toEqual(['concatenate']);
+  expect(find(html, 'caf\\p{L}', { regex: true })).toEqual(['Café', 'café']);
+  expect(find(html, 'a.d')).toEqual([]);
+  expect(buildPattern('')).toBeNull();
+});
+
+test('invalid patterns are reported', () => {
+  expect(() => buildPattern('(unclosed', { regex: true })).toThrow(/^Invalid regular expression: /);
+  expect(() => buildPattern('(unclosed')).not.toThrow();
+});
+
+test('matches span inline markup but not blocks, line breaks or style blocks', () => {
+  const html = '<style>p { color: red }</style><p>Acme <b>Corp</b>oration</p><p>Acme</p><p>Corp<br>Acme</p>';
+  expect(find(html, 'Acme Corp')).toEqual(['Acme Corp']);
+  expect(find(html, 'Acme\\s*Corp|Corp\\s*Acme', { regex: true })).toEqual(['Acme Corp']);
+  expect(find(html, 'color')).toEqual([]);
+  expect(findMatches('<p>The quick brown fox</p>', buildPattern('brown'))[0]).toEqual({ text: 'brown', before: 'The quick ', after: ' fox' });
+});
+
+test('marks every match and the current one', () => {
+  expect(markMatches('<p>one <i>two</i> one</p>', buildPattern('one'), 1)).toBe(
+    '<p><mark data-find-match="0">one</mark> <i>two</i> <mark data-find-match="1" data-find-current="">one</mark></p>'
+  );
+  expect(markMatches('<p>Acme <b>Corp</b></p>', buildPattern('me Co'))).toBe(
+    '<p>Ac<mark data-find-match="0">me </mark><b><mark data-find-match="0">Co</mark>rp</b></p>'
+  );
+  expect(markMatches('<p>none</p>', buildPattern('x'))).toBe('<p>none</p>');
+});
+
+test('replaces all matches or one, keeping the markup', () => {
+  const html = '<p class="x">Acme <b>Corp</b> and <a href="/acme">acme</a></p>';
+  expect(replaceMatches(html, buildPattern('acme'), 'Initech')).toEqual({
+    html: '<p class="x">Initech <b>Corp</b> and <a href="/acme">Initech</a></p>',
+    count: 2
+  });
+  expect(replaceMatches(html, buildPattern('acme'), 'Initech', { only: 1 }).html).toBe(
+    '<p class="x">Acme <b>Corp</b> and <a href="/acme">Initech</a></p>'
+  );
+  // A match across elements is replaced in the first; the others keep their tags.
+  expect(replaceMatches(html, buildPattern('Acme Corp'), 'Initech').html).toBe(
+    '<p class="x">Initech<b></b> and <a href="/acme">acme</a></p>'
+  );
+  expect(replaceMatches(html, buildPattern('nothing'), 'x')).toEqual({ html, count: 0 });
+});
+
+test('regex replacements can use groups', () => {
+  const pattern = buildPattern('(\\d{2})/(\\d{2})/(?<year>\\d{4})', { regex: true });
+  expect(replaceMatches('<p>Due 31/12/2024 or 01/02/2025, $5</p>', pattern, '$<year>-$2-$1 ($&) $$', { regex: true }).html).toBe(
+    '<p>Due 2024-12-31 (31/12/2024) $ or 2025-02-01 (01/02/2025) $, $5</p>'
+  );
+  expect(replaceMatches('<p>a+b</p>', buildPattern('a+b'), '$&$1').html).toBe('<p>$&amp;$1</p>');
+});
@@ -0,0 +1,493 @@
+// Structural diff between two HTML documents.
+//
+// Both documents are parsed and their children compared level by level. A
+// run of nodes that differs becomes one change. When a single element was
+// changed in place and it contains block-level children (a wrapper div, a
+// table, a list) we descend into it instead, so a change always covers the
+// smallest block that actually differs.
+
+import { parseHtml, BLOCK_TAGS } from './dom';
+
+// Above this many cells the LCS table gets too expensive; the unmatched middle
+// is then reported as a single change.
+const MAX_LCS_CELLS = 2000000;
+
+const isSignificant = (node) =>
+  node.nodeType === Node.ELEMENT_NODE ||
+  (node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '');
+
+const significantChildren = (parent) => Array.from(parent.childNodes).filter(isSignificant);
+
+const nodeKey = (node) =>
+  node.nodeType === Node.TEXT_NODE
+    ? `#text:${node.textContent.replace(/\s+/g, ' ').trim()}`
+    : node.outerHTML;
+
+const hasBlockChildren = (element) =>
+  Array.from(element.children).some(child => BLOCK_TAGS.has(child.tagName));
+
+/**
+ * Longest common subsequence of two arrays. Returns matched index pairs
+ * `[i, j]` in ascending order.
+ */
+export function lcsPairs(a, b, equals = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n > 0 && m > 0 && n * m <= MAX_LCS_CELLS) {
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] = equals(a[start + i], b[start + j])
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (equals(a[start + i], b[start + j])) {
+        pairs.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+const attributeMap = (element) =>
+  Object.fromEntries(Array.from(element.attributes).map(attr => [attr.name, attr.value]));
+
+/**
+ * Lists attributes that differ between two elements as
+ * `{ name, before, after }`, with `null` for a missing side.
+ */
+export function diffAttributes(oldElement, newElement) {
+  const before = attributeMap(oldElement);
+  const after = attributeMap(newElement);
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(names)
+    .filter(name => before[name] !== after[name])
+    .map(name => ({ name, before: before[name] ?? null, after: after[name] ?? null }));
+}
+
+function collectChanges(oldParent, newParent, changes) {
+  const oldNodes = significantChildren(oldParent);
+  const newNodes = significantChildren(newParent);
+  const oldKeys = oldNodes.map(nodeKey);
+  const newKeys = newNodes.map(nodeKey);
+  const pairs = lcsPairs(oldKeys, newKeys);
+  pairs.push([oldNodes.length, newNodes.length]);
+
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of pairs) {
+    if (matchI > i || matchJ > j) {
+      addHunk(
+        oldParent,
+        oldNodes.slice(i, matchI),
+        newNodes.slice(j, matchJ),
+        oldNodes[matchI] || null,
+        changes
+      );
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+}
+
+const shapeKey = (node) => (node.nodeType === Node.TEXT_NODE ? '#text' : node.tagName);
+
+// A run of differing nodes is first aligned by tag name, so that e.g. two
+// edited paragraphs become two changes and an edited wrapper is descended
+// into rather than replaced as a whole.
+function addHunk(parent, oldNodes, newNodes, anchor, changes) {
+  if (oldNodes.length > 0 && newNodes.length > 0 && (oldNodes.length > 1 || newNodes.length > 1)) {
+    const pairs = lcsPairs(oldNodes.map(shapeKey), newNodes.map(shapeKey));
+    if (pairs.length > 0) {
+      pairs.push([oldNodes.length, newNodes.length]);
+      let i = 0;
+      let j = 0;
+      for (const [matchI, matchJ] of pairs) {
+        const next = oldNodes[matchI] || anchor;
+        if (matchI > i || matchJ > j) {
+          addChange(parent, oldNodes.slice(i, matchI), newNodes.slice(j, matchJ), next, changes);
+        }
+        if (matchI < oldNodes.length) {
+          addChange(parent, [oldNodes[matchI]], [newNodes[matchJ]], oldNodes[matchI + 1] || anchor, changes);
+        }
+        i = matchI + 1;
+        j = matchJ + 1;
+      }
+      return;
+    }
+  }
+  addChange(parent, oldNodes, newNodes, anchor, changes);
+}
+
+function addChange(parent, oldNodes, newNodes, anchor, changes) {
+  const [oldNode] = oldNodes;
+  const [newNode] = newNodes;
+  if (oldNodes.length === 1 && newNodes.length === 1 && nodeKey(oldNode) === nodeKey(newNode)) return;
+  const inPlace = oldNodes.length === 1 && newNodes.length === 1 &&
+    oldNode.nodeType === newNode.nodeType &&
+    (oldNode.nodeType === Node.TEXT_NODE || oldNode.tagName === newNode.tagName);
+
+  if (inPlace && oldNode.nodeType === Node.ELEMENT_NODE &&
+      hasBlockChildren(oldNode) && hasBlockChildren(newNode)) {
+    const attributes = diffAttributes(oldNode, newNode);
+    if (attributes.length > 0) {
+      changes.push({ kind: 'attributes', parent, oldNodes, newNodes, anchor, attributes });
+    }
+    collectChanges(oldNode, newNode, changes);
+    return;
+  }
+
+  let kind = 'modified';
+  if (oldNodes.length === 0) kind = 'added';
+  else if (newNodes.length === 0) kind = 'removed';
+
+  const change = { kind, parent, oldNodes, newNodes, anchor };
+  if (inPlace && oldNode.nodeType === Node.ELEMENT_NODE) {
+    change.attributes = diffAttributes(oldNode, newNode);
+    change.textChanged = oldNode.textContent !== newNode.textContent;
+  }
+  changes.push(change);
+}
+
+const describeNodes = (nodes) => {
+  const text = nodes.map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+const nodeLabel = (nodes) => {
+  const element = nodes.find(node => node.nodeType === Node.ELEMENT_NODE);
+  return element ? element.tagName.toLowerCase() : 'text';
+};
+
+/**
+ * Compares two HTML strings. Returns the parsed documents and the list of
+ * changes. Each change references live nodes of `oldDoc` / `newDoc`:
+ *
+ *   { id, kind, parent, oldNodes, newNodes, anchor, attributes?, textChanged?,
+ *     label, summaryBefore, summaryAfter }
+ *
+ * `kind` is 'added', 'removed', 'modified' or 'attributes' (a container whose
+ * own attributes changed). `parent` and `anchor` (the next unchanged sibling,
+ * or null) locate the change inside `oldDoc`.
+ */
+export function diffHtml(oldHtml, newHtml) {
+  const oldDoc = parseHtml(oldHtml);
+  const newDoc = parseHtml(newHtml);
+  const changes = [];
+  collectChanges(oldDoc.body, newDoc.body, changes);
+
+  changes.forEach((change, index) => {
+    change.id = index;
+    change.label = nodeLabel(change.newNodes.length ? change.newNodes : change.oldNodes);
+    change.summaryBefore = describeNodes(change.oldNodes);
+    change.summaryAfter = describeNodes(change.newNodes);
+  });
+
+  return { oldDoc, newDoc, changes };
+}
+
+const tokenize = (text) => text.split(/(\s+)/).filter(token => token !== '');
+
+/**
+ * Word-level diff of two strings as `{ type: 'same' | 'added' | 'removed', text }`.
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const pairs = lcsPairs(a, b);
+  pairs.push([a.length, b.length]);
+
+  const parts = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of pairs) {
+    push('removed', a.slice(i, matchI).join(''));
+    push('added', b.slice(j, matchJ).join(''));
+    if (matchI < a.length) push('same', a[matchI]);
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+  return parts;
+}
+
+const markNode = (doc, node, state, title) => {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    node.setAttribute('data-diff', state);
+    if (title) node.setAttribute('title', title);
+    return node;
+  }
+  const wrapper = doc.createElement('span');
+  wrapper.setAttribute('data-diff', state);
+  node.parentNode.replaceChild(wrapper, node);
+  wrapper.appendChild(node);
+  return wrapper;
+};
+
+// Replaces the text of a modified element with its word diff. Inline markup
+// inside the element is flattened, which is fine for a review view.
+const markWords = (doc, element, parts, side) => {
+  element.textContent = '';
+  parts.forEach(part => {
+    if (part.type === 'same') {
+      element.appendChild(doc.createTextNode(part.text));
+    } else if ((part.type === 'removed' && side === 'old') || (part.type === 'added' && side === 'new')) {
+      const mark = doc.createElement(part.type === 'removed' ? 'del' : 'ins');
+      mark.setAttribute('data-diff-word', part.type);
+      mark.textContent = part.text;
+      element.appendChild(mark);
+    }
+  });
+};
+
+const describeAttributes = (attributes) =>
+  attributes.map(attr => `${attr.name}: ${attr.before ?? '(none)'} → ${attr.after ?? '(none)'}`).join('\n');
+
+/**
+ * Builds annotated copies of both documents for the side-by-side view.
+ * Removed content is marked in `oldHtml`, added content in `newHtml`, and
+ * modified elements in both, with word-level `<del>` / `<ins>` marks and the
+ * changed attributes in the element's title.
+ */
+export function renderDiff(oldHtml, newHtml) {
+  const { oldDoc, newDoc, changes } = diffHtml(oldHtml, newHtml);
+  const stats = { added: 0, removed: 0, modified: 0 };
+
+  changes.forEach(change => {
+    if (change.kind === 'added') {
+      stats.added++;
+      change.newNodes.forEach(node => markNode(newDoc, node, 'added'));
+    } else if (change.kind === 'removed') {
+      stats.removed++;
+      change.oldNodes.forEach(node => markNode(oldDoc, node, 'removed'));
+    } else if (change.kind === 'attributes') {
+      stats.modified++;
+      const title = describeAttributes(change.attributes);
+      markNode(oldDoc, change.oldNodes[0], 'changed', title);
+      markNode(newDoc, change.newNodes[0], 'changed', title);
+    } else if (change.attributes) {
+      stats.modified++;
+      const [oldNode] = change.oldNodes;
+      const [newNode] = change.newNodes;
+      if (change.textChanged) {
+        const parts = diffWords(oldNode.textContent, newNode.textContent);
+        markWords(oldDoc, oldNode, parts, 'old');
+        markWords(newDoc, newNode, parts, 'new');
+      }
+      const title = change.attributes.length ? describeAttributes(change.attributes) : null;
+      markNode(oldDoc, oldNode, 'changed', title);
+      markNode(newDoc, newNode, 'changed', title);
+    } else {
+      stats.modified++;
+      change.oldNodes.forEach(node => markNode(oldDoc, node, 'removed'));
+      change.newNodes.forEach(node => markNode(newDoc, node, 'added'));
+    }
+  });
+
+  return {
+    oldHtml: oldDoc.body.innerHTML,
+    newHtml: newDoc.body.innerHTML,
+    changes,
+    stats
+  };
+}
+
+// One tag per line so a line diff of the source stays readable even when
+// the server returns everything on a single line.
+export const splitSourceLines = (html) =>
+  (html || '')
+    .replace(/>\s*</g, '>\n<')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '');
+
+/**
+ * Line diff of the HTML source. Unchanged runs longer than `2 * context`
+ * lines are collapsed into a `{ type: 'skipped', count }` row.
+ */
+export function diffSource(oldHtml, newHtml, context = 3) {
+  const a = splitSourceLines(oldHtml);
+  const b = splitSourceLines(newHtml);
+  const pairs = lcsPairs(a, b);
+  pairs.push([a.length, b.length]);
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of pairs) {
+    for (; i < matchI; i++) rows.push({ type: 'removed', text: a[i], oldLine: i + 1 });
+    for (; j < matchJ; j++) rows.push({ type: 'added', text: b[j], newLine: j + 1 });
+    if (matchI < a.length) {
+      rows.push({ type: 'same', text: a[matchI], oldLine: matchI + 1, newLine: matchJ + 1 });
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+
+  const collapsed = [];
+  let run = [];
+  const flush = (isEnd) => {
+    const keepStart = collapsed.length === 0 ? 0 : context;
+    const keepEnd = isEnd ? 0 : context;
+    if (run.length > keepStart + keepEnd) {
+      collapsed.push(...run.slice(0, keepStart));
+      collapsed.push({ type: 'skipped', count: run.length - keepStart - keepEnd });
+      collapsed.push(...run.slice(run.length - keepEnd));
+    } else {
+      collapsed.push(...run);
+    }
+    run = [];
+  };
+  rows.forEach(row => {
+    if (row.type === 'same') {
+      run.push(row);
+    } else {
+      flush(false);
+      collapsed.push(row);
+    }
+  });
+  flush(true);
+  return collapsed;
+}
+
+const copyAttributes = (from, to) => {
+  Array.from(to.attributes).forEach(attr => to.removeAttribute(attr.name));
+  Array.from(from.attributes).forEach(attr => to.setAttribute(attr.name, attr.value));
+};
+
+// Replaces the old nodes of a change with copies of its new nodes.
+const applyChange = (doc, change) => {
+  if (change.kind === 'attributes') {
+    copyAttributes(change.newNodes[0], change.oldNodes[0]);
+    return;
+  }
+  const reference = change.oldNodes[0] || change.anchor;
+  change.newNodes.forEach(node => change.parent.insertBefore(doc.importNode(node, true), reference));
+  change.oldNodes.forEach(node => node.remove());
+};
+
+/**
+ * Applies only the changes whose ids are in `acceptedIds` to `oldHtml`.
+ * Ids are the ones reported by `diffHtml(oldHtml, newHtml)`.
+ */
+export function mergeChanges(oldHtml, newHtml, acceptedIds) {
+  const accepted = new Set(acceptedIds);
+  const { oldDoc, changes } = diffHtml(oldHtml, newHtml);
+  changes
+    .filter(change => accepted.has(change.id))
+    .forEach(change => applyChange(oldDoc, change));
+  return oldDoc.body.innerHTML;
+}
+
+// Elements that can't hold a <div>, so change controls can't go inside them.
+const NO_CONTROLS_PARENTS = new Set(['TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'UL', 'OL', 'DL', 'SELECT']);
+
+const createControls = (doc, change, decision) => {
+  const controls = doc.createElement('div');
+  controls.setAttribute('data-change-controls', String(change.id));
+  controls.setAttribute('contenteditable', 'false');
+
+  const label = doc.createElement('span');
+  label.textContent = `Change ${change.id + 1} · ${change.kind}`;
+  controls.appendChild(label);
+
+  ['accept', 'reject'].forEach(action => {
+    const button = doc.createElement('button');
+    button.setAttribute('type', 'button');
+    button.setAttribute('data-change-action', action);
+    button.setAttribute('data-change-id', String(change.id));
+    if (decision === `${action}ed`) button.setAttribute('data-active', 'true');
+    button.textContent = action === 'accept' ? 'Accept' : 'Reject';
+    controls.appendChild(button);
+  });
+  return controls;
+};
+
+const tagChangeNode = (doc, node, change, state) => {
+  const marked = markNode(doc, node, state);
+  marked.setAttribute('data-change-id', String(change.id));
+  return marked;
+};
+
+/**
+ * Builds the review view of a proposed edit: the current document with every
+ * change shown in place. `decisions` maps change ids to 'accepted' or
+ * 'rejected'; undecided changes show both the removed and the added content,
+ * decided ones show only the side that will be kept.
+ */
+export function renderReview(oldHtml, newHtml, decisions = {}) {
+  const { oldDoc, changes } = diffHtml(oldHtml, newHtml);
+
+  changes.forEach(change => {
+    const decision = decisions[change.id];
+    const showOld = decision !== 'accepted';
+    const showNew = decision !== 'rejected';
+    const pendingState = decision || 'pending';
+
+    if (change.kind === 'attributes') {
+      if (showNew) copyAttributes(change.newNodes[0], change.oldNodes[0]);
+      const container = tagChangeNode(oldDoc, change.oldNodes[0], change, 'changed');
+      container.setAttribute('data-change-state', pendingState);
+      if (!NO_CONTROLS_PARENTS.has(container.tagName)) {
+        container.insertBefore(createControls(oldDoc, change, decision), container.firstChild);
+      }
+      return;
+    }
+
+    const reference = change.oldNodes[0] || change.anchor;
+    const inserted = showNew
+      ? change.newNodes.map(node => {
+          const copy = oldDoc.importNode(node, true);
+          change.parent.insertBefore(copy, reference);
+          return copy;
+        })
+      : [];
+    const kept = showOld ? change.oldNodes : [];
+    if (!showOld) change.oldNodes.forEach(node => node.remove());
+
+    const marked = [
+      ...kept.map(node => tagChangeNode(oldDoc, node, change, 'removed')),
+      ...inserted.map(node => tagChangeNode(oldDoc, node, change, 'added'))
+    ];
+    marked.forEach(node => node.setAttribute('data-change-state', pendingState));
+
+    // New content is inserted before the old, so it comes first when shown.
+    const first = marked.length > kept.length ? marked[kept.length] : marked[0];
+    if (first && !NO_CONTROLS_PARENTS.has(first.parentNode.tagName)) {
+      first.parentNode.insertBefore(createControls(oldDoc, change, decision), first);
+    }
+  });
+
+  return { html: oldDoc.body.innerHTML, changes };
+}
@@ -0,0 +1,79 @@
+import { diffHtml, diffWords, renderDiff, diffSource, mergeChanges, renderReview } from './htmlDiff';
+
+test('reports no changes for identical documents', () => {
+  expect(diffHtml('<p>Hello</p>', '<p>Hello</p>').changes).toHaveLength(0);
+});
+
+test('splits changes per block inside a shared wrapper', () => {
+  const before = '<div class="page"><h1>Title</h1><p>One</p><p>Two</p></div>';
+  const after = '<div class="page"><h1>New title</h1><p>One</p><p>Two</p><p>Three</p></div>';
+  const { changes } = diffHtml(before, after);
+
+  expect(changes.map(change => change.kind)).toEqual(['modified', 'added']);
+  expect(changes[0].summaryBefore).toBe('Title');
+  expect(changes[0].summaryAfter).toBe('New title');
+  expect(changes[1].summaryAfter).toBe('Three');
+});
+
+test('detects style-only changes', () => {
+  const { changes } = diffHtml('<p style="color: red">Text</p>', '<p style="color: blue">Text</p>');
+
+  expect(changes).toHaveLength(1);
+  expect(changes[0].textChanged).toBe(false);
+  expect(changes[0].attributes).toEqual([{ name: 'style', before: 'color: red', after: 'color: blue' }]);
+});
+
+test('diffs words', () => {
+  expect(diffWords('the quick fox', 'the slow fox')).toEqual([
+    { type: 'same', text: 'the ' },
+    { type: 'removed', text: 'quick' },
+    { type: 'added', text: 'slow' },
+    { type: 'same', text: ' fox' }
+  ]);
+});
+
+test('marks removed and added content on each side', () => {
+  const { oldHtml, newHtml, stats } = renderDiff('<p>Keep</p><p>Drop</p>', '<p>Keep</p><h2>New</h2>');
+
+  expect(oldHtml).toContain('data-diff="removed"');
+  expect(newHtml).toContain('data-diff="added"');
+  expect(stats.modified).toBe(1);
+});
+
+test('collapses unchanged source lines', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `<p>${i}</p>`);
+  const changed = [...lines];
+  changed[10] = '<p>ten</p>';
+  const rows = diffSource(lines.join(''), changed.join(''));
+
+  expect(rows.filter(row => row.type === 'skipped')).toHaveLength(2);
+  expect(rows.find(row => row.type === 'removed').text).toBe('<p>10</p>');
+  expect(rows.find(row => row.type === 'added').text).toBe('<p>ten</p>');
+});
+
+test('merges only accepted changes', () => {
+  const before = '<h1>Title</h1><p>Body</p><p>Footer</p>';
+  const after = '<h1>New title</h1><p>Body</p><p>New footer</p>';
+
+  expect(mergeChanges(before, after, [1])).toBe('<h1>Title</h1><p>Body</p><p>New footer</p>');
+  expect(mergeChanges(before, after, [0, 1])).toBe(after);
+  expect(mergeChanges(before, after, [])).toBe(before);
+});
+
+test('merges insertions and removals at their original position', () => {
+  const before = '<ul><li>a</li><li>b</li></ul><p>end</p>';
+  const after = '<ul><li>a</li><li>x</li><li>b</li></ul>';
+  const { changes } = diffHtml(before, after);
+
+  expect(changes.map(change => change.kind)).toEqual(['added', 'removed']);
+  expect(mergeChanges(before, after, [0])).toBe('<ul><li>a</li><li>x</li><li>b</li></ul><p>end</p>');
+});
+
+test('renders review controls for undecided changes', () => {
+  const { html } = renderReview('<p>Old</p>', '<p>New</p>');
+
+  expect(html).toContain('data-change-action="accept"');
+  expect(html).toContain('data-diff="removed"');
+  expect(html).toContain('data-diff="added"');
+  expect(renderReview('<p>Old</p>', '<p>New</p>', { 0: 'accepted' }).html).not.toContain('>Old<');
+});
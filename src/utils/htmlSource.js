@@ -0,0 +1,352 @@
+import { BLOCK_TAGS } from './dom';
+
+// Tools for the raw HTML source editor: a forgiving tokenizer that keeps
+// offsets, plus highlighting, formatting and validation built on it.
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements whose end tag may be omitted, and the start tags that implicitly
+// close them (HTML "optional tags" rules, simplified).
+const P_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul'
+];
+const IMPLICIT_CLOSERS = {
+  p: new Set(P_CLOSERS),
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  td: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  th: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+  tr: new Set(['tr', 'tbody', 'thead', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot']),
+  tfoot: new Set(['tbody']),
+  option: new Set(['option', 'optgroup']),
+  optgroup: new Set(['optgroup']),
+  colgroup: new Set(['col', 'thead', 'tbody', 'tfoot', 'tr']),
+  caption: new Set([])
+};
+const OPTIONAL_END_TAGS = new Set([...Object.keys(IMPLICIT_CLOSERS), 'html', 'head', 'body']);
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const parseAttributes = (source, offset) => {
+  const attributes = [];
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes.push({
+      name: match[1].toLowerCase(),
+      value: match[2] ?? match[3] ?? match[4] ?? null,
+      raw: match[0],
+      start: offset + match.index
+    });
+  }
+  return attributes;
+};
+
+// Finds the `>` closing a tag, skipping quoted attribute values.
+const findTagEnd = (html, from) => {
+  let quote = null;
+  for (let i = from; i < html.length; i++) {
+    const char = html[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Splits HTML source into tokens with their offsets:
+ *   text, comment, doctype, start ({ name, attributes, selfClosing }),
+ *   end ({ name }). Unclosed tags and comments are flagged `unterminated`.
+ */
+export function tokenizeHtml(html) {
+  const tokens = [];
+  let i = 0;
+  let text = '';
+  let textStart = 0;
+
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: text, start: textStart, end: textStart + text.length });
+    text = '';
+  };
+
+  while (i < html.length) {
+    const rest = html.slice(i, i + 4);
+    const next = html[i + 1] || '';
+
+    if (html[i] === '<' && rest.startsWith('<!--')) {
+      flushText();
+      const close = html.indexOf('-->', i + 4);
+      const end = close === -1 ? html.length : close + 3;
+      tokens.push({ type: 'comment', value: html.slice(i, end), start: i, end, unterminated: close === -1 });
+      i = end;
+    } else if (html[i] === '<' && (next === '!' || next === '?')) {
+      flushText();
+      const close = html.indexOf('>', i);
+      const end = close === -1 ? html.length : close + 1;
+      tokens.push({ type: 'doctype', value: html.slice(i, end), start: i, end, unterminated: close === -1 });
+      i = end;
+    } else if (html[i] === '<' && (/[a-z]/i.test(next) || (next === '/' && /[a-z]/i.test(html[i + 2] || '')))) {
+      flushText();
+      const closing = next === '/';
+      const close = findTagEnd(html, i + 1);
+      const end = close === -1 ? html.length : close + 1;
+      const inner = html.slice(i + (closing ? 2 : 1), close === -1 ? html.length : close);
+      const name = inner.match(/^[^\s/>]+/)[0].toLowerCase();
+      const token = {
+        type: closing ? 'end' : 'start',
+        name,
+        value: html.slice(i, end),
+        start: i,
+        end,
+        unterminated: close === -1
+      };
+      if (!closing) {
+        const attributeSource = inner.slice(name.length);
+        token.selfClosing = /\/\s*$/.test(attributeSource);
+        token.attributes = parseAttributes(attributeSource.replace(/\/\s*$/, ''), i + 1 + name.length);
+      }
+      tokens.push(token);
+      i = end;
+
+      // Raw text elements end only at their own end tag.
+      if (!closing && RAW_TEXT_TAGS.has(name) && !token.unterminated) {
+        const closeTag = html.toLowerCase().indexOf(`</${name}`, i);
+        const contentEnd = closeTag === -1 ? html.length : closeTag;
+        if (contentEnd > i) {
+          tokens.push({ type: 'text', raw: true, value: html.slice(i, contentEnd), start: i, end: contentEnd });
+        }
+        i = contentEnd;
+      }
+    } else {
+      if (!text) textStart = i;
+      text += html[i];
+      i++;
+    }
+  }
+  flushText();
+  return tokens;
+}
+
+const lineStarts = (html) => {
+  const starts = [0];
+  for (let i = 0; i < html.length; i++) {
+    if (html[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+const positionOf = (starts, offset) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+};
+
+const closesImplicitly = (openName, newName) => IMPLICIT_CLOSERS[openName]?.has(newName) ?? false;
+
+/**
+ * Checks markup for problems browsers would silently "fix": unclosed or
+ * stray tags, misnesting, unterminated tags and duplicate attributes.
+ * Returns `{ line, column, severity: 'error' | 'warning', message }` items
+ * sorted by position.
+ */
+export function validateHtml(html) {
+  const starts = lineStarts(html);
+  const issues = [];
+  const report = (offset, severity, message) => issues.push({ ...positionOf(starts, offset), severity, message });
+  const stack = [];
+
+  tokenizeHtml(html).forEach(token => {
+    if (token.unterminated) {
+      const what = token.type === 'comment' ? 'Comment' : `Tag <${token.name || token.value.slice(1, 10)}`;
+      report(token.start, 'error', `${what} is never closed`);
+      return;
+    }
+
+    if (token.type === 'start') {
+      const seen = new Set();
+      token.attributes.forEach(attribute => {
+        if (seen.has(attribute.name)) {
+          report(attribute.start, 'warning', `Duplicate attribute "${attribute.name}" on <${token.name}>`);
+        }
+        seen.add(attribute.name);
+      });
+
+      while (stack.length && closesImplicitly(stack[stack.length - 1].name, token.name)) stack.pop();
+
+      if (VOID_TAGS.has(token.name)) return;
+      if (token.selfClosing) {
+        report(token.start, 'warning', `<${token.name}/> is not self-closing in HTML; it stays open`);
+      }
+      stack.push({ name: token.name, offset: token.start });
+      return;
+    }
+
+    if (token.type === 'end') {
+      if (VOID_TAGS.has(token.name)) {
+        report(token.start, 'warning', `<${token.name}> is a void element and has no closing tag`);
+        return;
+      }
+      let index = stack.length - 1;
+      while (index >= 0 && stack[index].name !== token.name) index--;
+      if (index === -1) {
+        report(token.start, 'error', `Unexpected closing tag </${token.name}>`);
+        return;
+      }
+      stack.splice(index + 1).forEach(open => {
+        if (!OPTIONAL_END_TAGS.has(open.name)) {
+          const { line } = positionOf(starts, open.offset);
+          report(token.start, 'error', `</${token.name}> closes <${open.name}> opened on line ${line} before it was closed`);
+        }
+      });
+      stack.pop();
+    }
+  });
+
+  stack
+    .filter(open => !OPTIONAL_END_TAGS.has(open.name))
+    .forEach(open => report(open.offset, 'error', `<${open.name}> is never closed`));
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const SYNTAX_CLASSES = {
+  tag: 'text-blue-700',
+  attribute: 'text-amber-700',
+  value: 'text-green-700',
+  comment: 'text-gray-400 italic',
+  raw: 'text-purple-700'
+};
+
+const span = (kind, text) => `<span class="${SYNTAX_CLASSES[kind]}">${escapeHtml(text)}</span>`;
+
+const highlightTag = (token) => {
+  const opening = token.type === 'end' ? `</${token.value.slice(2, 2 + token.name.length)}` : token.value.slice(0, 1 + token.name.length);
+  let html = span('tag', opening);
+  let cursor = opening.length;
+
+  (token.attributes || []).forEach(attribute => {
+    const at = token.value.indexOf(attribute.raw, cursor);
+    if (at === -1) return;
+    html += escapeHtml(token.value.slice(cursor, at));
+    const equals = attribute.raw.indexOf('=');
+    if (equals === -1) {
+      html += span('attribute', attribute.raw);
+    } else {
+      html += span('attribute', attribute.raw.slice(0, equals)) + escapeHtml('=') + span('value', attribute.raw.slice(equals + 1));
+    }
+    cursor = at + attribute.raw.length;
+  });
+
+  const rest = token.value.slice(cursor);
+  const closeAt = rest.search(/\/?>$/);
+  if (closeAt === -1) return html + escapeHtml(rest);
+  return html + escapeHtml(rest.slice(0, closeAt)) + span('tag', rest.slice(closeAt));
+};
+
+/**
+ * Syntax-highlighted HTML for the source editor overlay. Every piece of the
+ * source is escaped, so the result is safe to inject.
+ */
+export function highlightHtml(html) {
+  return tokenizeHtml(html).map(token => {
+    if (token.type === 'comment' || token.type === 'doctype') return span('comment', token.value);
+    if (token.type === 'start' || token.type === 'end') return highlightTag(token);
+    if (token.raw) return span('raw', token.value);
+    return escapeHtml(token.value);
+  }).join('');
+}
+
+const PRESERVE_TAGS = new Set(['pre', 'textarea', 'script', 'style']);
+const FORMAT_BLOCK_TAGS = new Set([
+  ...Array.from(BLOCK_TAGS, tag => tag.toLowerCase()),
+  'html', 'head', 'body', 'style', 'script', 'title', 'meta', 'link', 'caption', 'colgroup', 'col', 'br'
+]);
+
+/** Re-indents HTML with one block element per line and inline content kept together. */
+export function formatHtml(html, indent = '  ') {
+  const lines = [];
+  const stack = [];
+  let current = '';
+  let preserveDepth = 0;
+
+  const newline = () => {
+    if (current.trim()) lines.push(indent.repeat(stack.length) + current.trim());
+    current = '';
+  };
+
+  tokenizeHtml(html).forEach(token => {
+    if (preserveDepth > 0 && !(token.type === 'end' && PRESERVE_TAGS.has(token.name))) {
+      current += token.value;
+      return;
+    }
+
+    if (token.type === 'start') {
+      while (stack.length && closesImplicitly(stack[stack.length - 1], token.name)) stack.pop();
+      const block = FORMAT_BLOCK_TAGS.has(token.name);
+      if (block) newline();
+      current += token.value;
+      if (PRESERVE_TAGS.has(token.name)) preserveDepth++;
+      if (!VOID_TAGS.has(token.name) && !token.selfClosing) {
+        if (block && !PRESERVE_TAGS.has(token.name)) {
+          newline();
+          stack.push(token.name);
+        } else if (block) {
+          stack.push(token.name);
+        }
+      } else if (block) {
+        newline();
+      }
+    } else if (token.type === 'end') {
+      const block = FORMAT_BLOCK_TAGS.has(token.name);
+      if (PRESERVE_TAGS.has(token.name) && preserveDepth > 0) {
+        preserveDepth--;
+        current += token.value;
+        const index = stack.lastIndexOf(token.name);
+        if (index !== -1) stack.splice(index);
+        lines.push(indent.repeat(stack.length) + current.trim());
+        current = '';
+        return;
+      }
+      if (block) {
+        newline();
+        const index = stack.lastIndexOf(token.name);
+        if (index !== -1) stack.splice(index);
+        current = token.value;
+        newline();
+      } else {
+        current += token.value;
+      }
+    } else if (token.type === 'text') {
+      const collapsed = token.value.replace(/\s+/g, ' ');
+      current += current ? collapsed : collapsed.trimStart();
+    } else {
+      newline();
+      current = token.value;
+      newline();
+    }
+  });
+  newline();
+  return lines.join('\n');
+}
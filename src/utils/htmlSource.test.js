@@ -0,0 +1,54 @@
+import { validateHtml, formatHtml, highlightHtml } from './htmlSource';
+
+test('accepts well-formed markup with optional end tags', () => {
+  expect(validateHtml('<ul>\n<li>One\n<li>Two\n</ul>\n<p>Text<br>\n<table><tr><td>a<td>b</table>')).toEqual([]);
+});
+
+test('reports unclosed, stray and misnested tags with line numbers', () => {
+  const issues = validateHtml('<div>\n<span>text\n</div>\n</section>');
+
+  expect(issues).toEqual([
+    { line: 3, column: 1, severity: 'error', message: '</div> closes <span> opened on line 2 before it was closed' },
+    { line: 4, column: 1, severity: 'error', message: 'Unexpected closing tag </section>' }
+  ]);
+  expect(validateHtml('<div>\n<p>x</p>')).toEqual([
+    { line: 1, column: 1, severity: 'error', message: '<div> is never closed' }
+  ]);
+});
+
+test('reports unterminated tags and duplicate attributes', () => {
+  expect(validateHtml('<p class="a" class="b">x</p>\n<img src="x"')).toEqual([
+    { line: 1, column: 14, severity: 'warning', message: 'Duplicate attribute "class" on <p>' },
+    { line: 2, column: 1, severity: 'error', message: 'Tag <img is never closed' }
+  ]);
+});
+
+test('formats blocks onto indented lines', () => {
+  expect(formatHtml('<div><h1>Title</h1><p>Some <b>bold</b> text</p><ul><li>a</li></ul></div>')).toBe([
+    '<div>',
+    '  <h1>',
+    '    Title',
+    '  </h1>',
+    '  <p>',
+    '    Some <b>bold</b> text',
+    '  </p>',
+    '  <ul>',
+    '    <li>',
+    '      a',
+    '    </li>',
+    '  </ul>',
+    '</div>'
+  ].join('\n'));
+});
+
+test('keeps preformatted content untouched', () => {
+  expect(formatHtml('<div><pre>a\n  b</pre></div>')).toBe('<div>\n  <pre>a\n  b</pre>\n</div>');
+});
+
+test('escapes everything it highlights', () => {
+  const highlighted = highlightHtml('<a href="x">&lt;b&gt;</a><!-- c -->');
+
+  expect(highlighted).toContain('<span class="text-blue-700">&lt;a</span>');
+  expect(highlighted).not.toMatch(/<a /);
+  expect(highlighted).toContain('&amp;lt;b&amp;gt;');
+});
@@ -0,0 +1,176 @@
+// Converts document HTML to Markdown or plain text for downloads. Both share
+// one walk over the parsed fragment; a "dialect" decides how each construct
+// is written.
+
+import { BLOCK_TAGS, parseHtml } from './dom';
+
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+// Moves spaces at the edges of `text` outside `before`/`after`, since
+// `** bold**` is not bold in Markdown.
+const wrapTrimmed = (text, before, after = before) => {
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return core ? `${lead}${before}${core}${after}${trail}` : text;
+};
+
+const indentLines = (text, first, rest) =>
+  text.split('\n').map((line, index) => (line ? `${index === 0 ? first : rest}${line}` : line)).join('\n');
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>|])/g, '\\$1');
+
+// Characters that would start a heading, quote or list at the start of a line.
+const escapeLineStarts = (text) => text.replace(/^(\s*)(?:([#>+-])|(\d+)\.)(?=\s|$)/gm,
+  (match, lead, symbol, number) => (symbol ? `${lead}\\${symbol}` : `${lead}${number}\\.`));
+
+// Parentheses and spaces would end a Markdown link target early.
+const linkTarget = (url) => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const longestRun = (text, char) =>
+  Math.max(0, ...(text.match(new RegExp(`\\${char}+`, 'g')) || []).map(run => run.length));
+
+const MARKDOWN = {
+  text: escapeMarkdown,
+  emphasis: { STRONG: '**', B: '**', EM: '_', I: '_', DEL: '~~', S: '~~', STRIKE: '~~' },
+  code: (text) => {
+    const fence = '`'.repeat(longestRun(text, '`') + 1);
+    return fence.length > 1 || /^`|`$/.test(text) ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+  },
+  link: (text, href) => (href ? `[${text}](${linkTarget(href)})` : text),
+  image: (alt, src) => (src ? `![${escapeMarkdown(alt)}](${linkTarget(src)})` : ''),
+  lineBreak: '  \n',
+  paragraph: escapeLineStarts,
+  heading: (level, text) => `${'#'.repeat(level)} ${text.replace(/\n/g, ' ')}`,
+  quote: (text) => indentLines(text, '> ', '> ').replace(/^$/gm, '>'),
+  pre: (text) => {
+    const fence = '`'.repeat(Math.max(3, longestRun(text, '`') + 1));
+    return `${fence}\n${text.replace(/\n$/, '')}\n${fence}`;
+  },
+  rule: '---',
+  listMarker: (ordered, number) => (ordered ? `${number}. ` : '- '),
+  table: (rows) => {
+    const width = Math.max(...rows.map(row => row.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    const [header, ...body] = rows;
+    return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+  },
+  tableCell: (text) => text.replace(/\n+/g, ' ')
+};
+
+const PLAIN_TEXT = {
+  text: (text) => text,
+  emphasis: {},
+  code: (text) => text,
+  link: (text, href) => (href && href !== text && !href.startsWith('#') ? `${text} (${href})` : text),
+  image: (alt) => (alt ? `[${alt}]` : ''),
+  lineBreak: '\n',
+  paragraph: (text) => text,
+  heading: (level, text) => (level === 1 ? `${text}\n${'='.repeat(Math.min(text.length, 72))}` : text),
+  quote: (text) => indentLines(text, '    ', '    '),
+  pre: (text) => text.replace(/\n$/, ''),
+  rule: '-'.repeat(40),
+  listMarker: (ordered, number) => (ordered ? `${number}. ` : '• '),
+  table: (rows) => rows.map(row => row.join('\t')).join('\n'),
+  tableCell: (text) => text.replace(/\s*\n\s*/g, ' ')
+};
+
+const isBlock = (node) => node.nodeType === 1 && (BLOCK_TAGS.has(node.tagName) || SKIPPED_TAGS.has(node.tagName));
+
+function inline(node, dialect) {
+  if (node.nodeType === 3) return dialect.text(collapseWhitespace(node.textContent));
+  if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) return '';
+
+  const tag = node.tagName;
+  if (tag === 'BR') return dialect.lineBreak;
+  if (tag === 'IMG') return dialect.image(node.getAttribute('alt') || '', node.getAttribute('src') || '');
+  if (tag === 'CODE' || tag === 'KBD' || tag === 'SAMP') return dialect.code(collapseWhitespace(node.textContent));
+
+  const content = Array.from(node.childNodes).map(child => inline(child, dialect)).join('');
+  if (tag === 'A') return dialect.link(content.trim(), node.getAttribute('href'));
+  const marker = dialect.emphasis[tag];
+  return marker ? wrapTrimmed(content, marker) : content;
+}
+
+// Inline content with the spaces HTML would collapse at line edges removed.
+const inlineText = (nodes, dialect) =>
+  nodes.map(node => inline(node, dialect)).join('')
+    .replace(/[ \t]*\n[ \t]*/g, (lineBreak) => (lineBreak.includes('  \n') ? '  \n' : '\n'))
+    .trim();
+
+function listItems(list, dialect) {
+  const ordered = list.tagName === 'OL';
+  const start = Number(list.getAttribute('start')) || 1;
+  return Array.from(list.children)
+    .filter(item => item.tagName === 'LI')
+    .map((item, index) => {
+      const marker = dialect.listMarker(ordered, start + index);
+      const content = blocks(item, dialect).join('\n') || ' ';
+      return indentLines(content, marker, ' '.repeat(marker.length));
+    })
+    .join('\n');
+}
+
+function table(element, dialect) {
+  const rows = Array.from(element.querySelectorAll('tr'))
+    .filter(row => row.closest('table') === element)
+    .map(row => Array.from(row.cells).map(cell => dialect.tableCell(blocks(cell, dialect).join('\n'))));
+  return rows.length ? dialect.table(rows) : '';
+}
+
+function block(element, dialect) {
+  const tag = element.tagName;
+  if (SKIPPED_TAGS.has(tag)) return [];
+  const heading = /^H([1-6])$/.exec(tag);
+  if (heading) {
+    const text = inlineText(Array.from(element.childNodes), dialect);
+    return text ? [dialect.heading(Number(heading[1]), text)] : [];
+  }
+  switch (tag) {
+    case 'PRE': return [dialect.pre(element.textContent)];
+    case 'HR': return [dialect.rule];
+    case 'UL':
+    case 'OL': return [listItems(element, dialect)];
+    case 'TABLE': return [table(element, dialect)];
+    case 'BLOCKQUOTE': {
+      const content = blocks(element, dialect).join('\n\n');
+      return content ? [dialect.quote(content)] : [];
+    }
+    default: return blocks(element, dialect);
+  }
+}
+
+// The blocks inside `parent`; runs of inline content become paragraphs.
+function blocks(parent, dialect) {
+  const result = [];
+  let run = [];
+  const flush = () => {
+    const text = inlineText(run, dialect);
+    if (text) result.push(dialect.paragraph(text));
+    run = [];
+  };
+  Array.from(parent.childNodes).forEach(child => {
+    if (isBlock(child)) {
+      flush();
+      result.push(...block(child, dialect).filter(Boolean));
+    } else {
+      run.push(child);
+    }
+  });
+  flush();
+  return result;
+}
+
+const convert = (html, dialect) => {
+  const output = blocks(parseHtml(html).body, dialect).join('\n\n');
+  return output ? `${output}\n` : '';
+};
+
+/** GitHub-flavoured Markdown for a document fragment. */
+export const htmlToMarkdown = (html) => convert(html, MARKDOWN);
+
+/**
+ * Readable plain text for a document fragment: paragraphs separated by blank
+ * lines, list markers kept, table cells separated by tabs.
+ */
+export const htmlToText = (html) => convert(html, PLAIN_TEXT);
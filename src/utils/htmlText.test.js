@@ -0,0 +1,98 @@
+import { htmlToMarkdown, htmlToText } from './htmlText';
+
+const SAMPLE = `
+  <h1>Quarterly  report</h1>
+  <p>Sales grew <strong>12%</strong> in <em>Q3</em>, see <a href="https://example.com/q3 (final)">the numbers</a>.<br>Next line.</p>
+  <ul><li>First</li><li>Second<ul><li>Nested</li></ul></li></ul>
+  <ol start="3"><li>Three</li><li>Four</li></ol>
+  <blockquote><p>Quoted</p><p>Twice</p></blockquote>
+  <pre>const a = 1;
+const b = 2;</pre>
+  <hr>
+  <table><thead><tr><th>Region</th><th>Total</th></tr></thead><tbody><tr><td>North | East</td><td>4</td></tr></tbody></table>
+  <p><img src="data:image/png;base64,AAAA" alt="Chart"></p>
+`;
+
+test('converts the common constructs to Markdown', () => {
+  expect(htmlToMarkdown(SAMPLE)).toBe([
+    '# Quarterly report',
+    '',
+    'Sales grew **12%** in _Q3_, see [the numbers](https://example.com/q3%20%28final%29).  ',
+    'Next line.',
+    '',
+    '- First',
+    '- Second',
+    '  - Nested',
+    '',
+    '3. Three',
+    '4. Four',
+    '',
+    '> Quoted',
+    '>',
+    '> Twice',
+    '',
+    '```',
+    'const a = 1;',
+    'const b = 2;',
+    '```',
+    '',
+    '---',
+    '',
+    '| Region | Total |',
+    '| --- | --- |',
+    '| North \\| East | 4 |',
+    '',
+    '![Chart](data:image/png;base64,AAAA)',
+    ''
+  ].join('\n'));
+});
+
+test('escapes text that Markdown would treat as syntax', () => {
+  expect(htmlToMarkdown('<p># not a heading</p><p>2. not a list, *not* emphasis</p>'))
+    .toBe('\\# not a heading\n\n2\\. not a list, \\*not\\* emphasis\n');
+});
+
+test('keeps spaces outside emphasis markers and skips empty ones', () => {
+  expect(htmlToMarkdown('<p>a<strong> bold </strong>b<em> </em>c</p>')).toBe('a **bold** b c\n');
+});
+
+test('uses a longer fence around code containing backticks', () => {
+  expect(htmlToMarkdown('<p>Run <code>a`b</code></p>')).toBe('Run `` a`b ``\n');
+});
+
+test('converts to readable plain text', () => {
+  expect(htmlToText(SAMPLE)).toBe([
+    'Quarterly report',
+    '================',
+    '',
+    'Sales grew 12% in Q3, see the numbers (https://example.com/q3 (final)).',
+    'Next line.',
+    '',
+    '• First',
+    '• Second',
+    '  • Nested',
+    '',
+    '3. Three',
+    '4. Four',
+    '',
+    '    Quoted',
+    '',
+    '    Twice',
+    '',
+    'const a = 1;',
+    'const b = 2;',
+    '',
+    '-'.repeat(40),
+    '',
+    'Region\tTotal',
+    'North | East\t4',
+    '',
+    '[Chart]',
+    ''
+  ].join('\n'));
+});
+
+test('ignores style blocks and empty documents', () => {
+  expect(htmlToText('<style>p { color: red }</style><p>Hi</p>')).toBe('Hi\n');
+  expect(htmlToMarkdown('')).toBe('');
+});
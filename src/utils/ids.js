@@ -0,0 +1,3 @@
+// Ids for things the user creates in the browser (custom presets, saved
+// instructions, macros), unique enough to tell them apart across sessions.
+export const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
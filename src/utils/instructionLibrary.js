@@ -0,0 +1,72 @@
+// Saved edit instructions and macros (named lists of instructions run one
+// after another). Instructions may contain variables like {company}, filled
+// in when they're inserted or a macro is run.
+//
+//   instruction: { id, title, text, tags: [] }
+//   macro:       { id, name, steps: [text] }
+
+import { newId } from './ids';
+
+const VARIABLE = /\{([a-z][\w-]*)\}/gi;
+
+/** The variable names used in `texts`, in order of first use. */
+export function templateVariables(...texts) {
+  const names = [];
+  texts.flat().forEach(text => {
+    for (const [, name] of text.matchAll(VARIABLE)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  });
+  return names;
+}
+
+/** `text` with every variable that has a non-empty value filled in. */
+export const fillTemplate = (text, values = {}) =>
+  text.replace(VARIABLE, (match, name) => (values[name]?.trim() ? values[name].trim() : match));
+
+/** Tags as entered in a comma-separated field: trimmed, lower case, unique. */
+export const parseTags = (value) =>
+  [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+/** Every tag used in `instructions`, sorted. */
+export const allTags = (instructions) =>
+  [...new Set(instructions.flatMap(item => item.tags))].sort();
+
+/**
+ * The instructions with `tag` (when given) whose title, text or tags contain
+ * every word of `query`.
+ */
+export function searchInstructions(instructions, query = '', tag = null) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return instructions.filter(item => {
+    if (tag && !item.tags.includes(tag)) return false;
+    const haystack = `${item.title} ${item.text} ${item.tags.join(' ')}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+/** A complete instruction from stored or imported data; null when it has no text. */
+export function normalizeInstruction(raw) {
+  const text = cleanText(raw?.text, 4000);
+  if (!text) return null;
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newId('instruction'),
+    title: cleanText(raw.title, 80) || text.split('\n')[0].slice(0, 60),
+    text,
+    tags: Array.isArray(raw.tags) ? parseTags(raw.tags.filter(tag => typeof tag === 'string').join(',')) : []
+  };
+}
+
+/** A complete macro from stored or imported data; null without a name or steps. */
+export function normalizeMacro(raw) {
+  const name = cleanText(raw?.name, 80);
+  const steps = Array.isArray(raw?.steps) ? raw.steps.map(step => cleanText(step, 4000)).filter(Boolean) : [];
+  if (!name || steps.length === 0) return null;
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newId('macro'),
+    name,
+    steps
+  };
+}
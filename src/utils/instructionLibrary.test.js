@@ -0,0 +1,42 @@
+import {
+  templateVariables, fillTemplate, parseTags, allTags, searchInstructions, normalizeInstruction, normalizeMacro
+} from './instructionLibrary';
+
+const library = [
+  { id: '1', title: 'Anonymize', text: 'Replace the names of people with initials', tags: ['privacy'] },
+  { id: '2', title: 'ISO dates', text: 'Convert all dates to ISO 8601', tags: ['dates', 'format'] },
+  { id: '3', title: 'Letterhead', text: 'Add the {company} letterhead with {address}', tags: ['format'] }
+];
+
+test('finds the variables in templates', () => {
+  expect(templateVariables('Add {company} at {address}', 'Sign as {company} {2x} {}')).toEqual(['company', 'address']);
+  expect(templateVariables(['No variables'])).toEqual([]);
+});
+
+test('fills variables that have values', () => {
+  expect(fillTemplate('Add {company} at {address}', { company: ' Acme ', address: '' })).toBe('Add Acme at {address}');
+});
+
+test('parses and collects tags', () => {
+  expect(parseTags(' Legal, privacy,,LEGAL ')).toEqual(['legal', 'privacy']);
+  expect(allTags(library)).toEqual(['dates', 'format', 'privacy']);
+});
+
+test('searches titles, text and tags, optionally within a tag', () => {
+  expect(searchInstructions(library, 'iso').map(item => item.id)).toEqual(['2']);
+  expect(searchInstructions(library, 'the names').map(item => item.id)).toEqual(['1']);
+  expect(searchInstructions(library, 'format').map(item => item.id)).toEqual(['2', '3']);
+  expect(searchInstructions(library, '', 'format').map(item => item.id)).toEqual(['2', '3']);
+  expect(searchInstructions(library, 'letterhead', 'dates')).toEqual([]);
+});
+
+test('normalizes stored instructions and macros', () => {
+  expect(normalizeInstruction({ text: '  Shorten the intro\nKeep facts ', tags: ['A', 3] })).toMatchObject({
+    title: 'Shorten the intro',
+    text: 'Shorten the intro\nKeep facts',
+    tags: ['a']
+  });
+  expect(normalizeInstruction({ title: 'Empty', text: ' ' })).toBeNull();
+  expect(normalizeMacro({ id: 'm', name: 'Clean up', steps: ['One', ' ', 'Two'] })).toEqual({ id: 'm', name: 'Clean up', steps: ['One', 'Two'] });
+  expect(normalizeMacro({ name: 'No steps', steps: [] })).toBeNull();
+});
@@ -0,0 +1,128 @@
+import { BLOCK_TAGS, parseHtml } from './dom';
+
+// Text recognized from images and scanned PDFs arrives marked with how sure
+// the recognition was and where the text sits on the scan:
+//
+//   <span data-ocr-confidence="0.62" data-ocr-box="1 140 52 96 22">Totel</span>
+//
+// `data-ocr-confidence` is 0-1 and `data-ocr-box` is "page x y width height"
+// in pixels of that page's image, listed in the upload response as
+// `document.ocr.pages: [{ page, image, width, height }]`. Servers may mark
+// words (spans) or whole blocks (paragraphs, cells); when both are marked,
+// only the innermost are reviewed. Reviewing a passage marks it
+// `data-ocr-reviewed`, so the review is part of the document and its history.
+
+export const OCR_SELECTOR = '[data-ocr-confidence]';
+
+/** `{ page, x, y, width, height }` from a `data-ocr-box` value, or null. */
+export function parseBox(value) {
+  const numbers = String(value || '').trim().split(/\s+/).map(Number);
+  if (numbers.length !== 5 || numbers.some(Number.isNaN)) return null;
+  const [page, x, y, width, height] = numbers;
+  return width > 0 && height > 0 ? { page, x, y, width, height } : null;
+}
+
+const confidenceOf = (element) => {
+  const value = parseFloat(element.getAttribute('data-ocr-confidence'));
+  return Number.isNaN(value) ? null : value;
+};
+
+// The marked elements of `body` with the review items among them: the
+// innermost ones recognized with less than `threshold` confidence.
+const collect = (body, threshold) => {
+  const marked = Array.from(body.querySelectorAll(OCR_SELECTOR));
+  const items = [];
+  marked.forEach((element, index) => {
+    const confidence = confidenceOf(element);
+    if (confidence === null || confidence >= threshold || element.querySelector(OCR_SELECTOR)) return;
+    items.push({ index, element, confidence });
+  });
+  return { marked, items };
+};
+
+/** Whether `html` carries text recognition marks. */
+export const hasOcr = (html) => parseHtml(html).querySelector(OCR_SELECTOR) !== null;
+
+/**
+ * The passages of `html` to review at `threshold`, in document order:
+ * `{ index, confidence, box, text, block, reviewed }`. `index` counts all
+ * marked elements, so it stays put while passages are corrected.
+ */
+export function ocrReviewItems(html, threshold) {
+  return collect(parseHtml(html).body, threshold).items.map(({ index, element, confidence }) => ({
+    index,
+    confidence,
+    box: parseBox(element.getAttribute('data-ocr-box')),
+    text: element.textContent,
+    block: BLOCK_TAGS.has(element.tagName),
+    reviewed: element.hasAttribute('data-ocr-reviewed')
+  }));
+}
+
+/** How many passages of `html` below `threshold` haven't been reviewed. */
+export const pendingOcrCount = (html, threshold) =>
+  ocrReviewItems(html, threshold).filter(item => !item.reviewed).length;
+
+// Changes the text of `element` to `text` by editing only the part between
+// what the two have in common at the start and the end, so markup inside a
+// corrected block (bold, links, ...) stays where it was.
+const correctText = (element, text) => {
+  const doc = element.ownerDocument;
+  const walker = doc.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  if (nodes.length === 0) {
+    element.textContent = text;
+    return;
+  }
+
+  const old = element.textContent;
+  let start = 0;
+  while (start < old.length && start < text.length && old[start] === text[start]) start += 1;
+  let tail = 0;
+  while (tail < old.length - start && tail < text.length - start && old[old.length - 1 - tail] === text[text.length - 1 - tail]) tail += 1;
+  const end = old.length - tail;
+  let inserted = text.slice(start, text.length - tail);
+
+  let offset = 0;
+  nodes.forEach((node, nodeIndex) => {
+    const nodeStart = offset;
+    const nodeEnd = offset + node.data.length;
+    offset = nodeEnd;
+    // The new text goes into the node where the change starts (the last
+    // one when it is appended).
+    const holdsStart = (start >= nodeStart && start < nodeEnd) || (start === nodeEnd && nodeIndex === nodes.length - 1);
+    const from = Math.max(start, nodeStart) - nodeStart;
+    const to = Math.min(end, nodeEnd) - nodeStart;
+    if (!holdsStart && to <= from) return;
+    node.data = node.data.slice(0, from) + (holdsStart ? inserted : '') + node.data.slice(Math.max(from, to));
+    if (holdsStart) inserted = '';
+  });
+};
+
+/**
+ * `html` with the marked element `index` reviewed and, when `text` differs,
+ * its text replaced by `text`. Returns `html` unchanged if there's no such
+ * element.
+ */
+export function reviewOcrItem(html, index, text) {
+  const { body } = parseHtml(html);
+  const element = body.querySelectorAll(OCR_SELECTOR)[index];
+  if (!element) return html;
+  if (text !== undefined && text !== element.textContent) correctText(element, text);
+  element.setAttribute('data-ocr-reviewed', '');
+  return body.innerHTML;
+}
+
+/**
+ * For the preview: `html` with the passages to review marked
+ * `data-ocr-item="index"` and passage `current` also `data-ocr-current`.
+ */
+export function markOcrItems(html, threshold, current = null) {
+  const { body } = parseHtml(html);
+  const { marked, items } = collect(body, threshold);
+  if (items.length === 0) return html;
+  items.forEach(({ index, element }) => element.setAttribute('data-ocr-item', String(index)));
+  marked[current]?.setAttribute('data-ocr-current', '');
+  return body.innerHTML;
+}
@@ -0,0 +1,52 @@
+import { parseBox, hasOcr, ocrReviewItems, pendingOcrCount, reviewOcrItem, markOcrItems } from './ocr';
+
+const html = '<h1 data-ocr-confidence="0.99" data-ocr-box="1 10 10 200 30">Invoice</h1>'
+  + '<p data-ocr-confidence="0.5" data-ocr-box="1 10 50 400 20">'
+  + '<span data-ocr-confidence="0.95" data-ocr-box="1 10 50 60 20">Total</span> '
+  + '<span data-ocr-confidence="0.41" data-ocr-box="1 80 50 40 20">42,O0</span></p>'
+  + '<p data-ocr-confidence="0.7" data-ocr-box="2 0 0 10">Loose block</p>';
+
+test('reads boxes and finds the innermost passages below the threshold', () => {
+  expect(parseBox('2 10.5 20 30 40')).toEqual({ page: 2, x: 10.5, y: 20, width: 30, height: 40 });
+  expect(parseBox('1 2 3')).toBeNull();
+  expect(parseBox('1 0 0 0 5')).toBeNull();
+  expect(hasOcr(html)).toBe(true);
+  expect(hasOcr('<p>Typed</p>')).toBe(false);
+
+  // The low paragraph around the words is left to its words.
+  expect(ocrReviewItems(html, 0.8)).toEqual([
+    { index: 3, confidence: 0.41, box: { page: 1, x: 80, y: 50, width: 40, height: 20 }, text: '42,O0', block: false, reviewed: false },
+    { index: 4, confidence: 0.7, box: null, text: 'Loose block', block: true, reviewed: false }
+  ]);
+  expect(pendingOcrCount(html, 0.5)).toBe(1);
+  expect(pendingOcrCount(html, 0.96)).toBe(3);
+});
+
+test('reviewing corrects the text in place and counts the passage as done', () => {
+  const corrected = reviewOcrItem(html, 3, '42,00');
+  expect(corrected).toContain('<span data-ocr-confidence="0.41" data-ocr-box="1 80 50 40 20" data-ocr-reviewed="">42,00</span>');
+  expect(pendingOcrCount(corrected, 0.8)).toBe(1);
+
+  const confirmed = reviewOcrItem(corrected, 4, 'Loose block');
+  expect(confirmed).toContain('<p data-ocr-confidence="0.7" data-ocr-box="2 0 0 10" data-ocr-reviewed="">Loose block</p>');
+  expect(pendingOcrCount(confirmed, 0.8)).toBe(0);
+  expect(ocrReviewItems(confirmed, 0.8).every(item => item.reviewed)).toBe(true);
+  expect(reviewOcrItem(html, 9, 'x')).toBe(html);
+});
+
+test('a corrected block keeps the markup inside it', () => {
+  const block = '<p data-ocr-confidence="0.5">Pay <b>Totel</b> to <a href="https://example.com">Acme</a> now.</p>';
+  expect(reviewOcrItem(block, 0, 'Pay Total to Acme now.')).toBe('<p data-ocr-confidence="0.5" data-ocr-reviewed="">Pay <b>Total</b> to <a href="https://example.com">Acme</a> now.</p>');
+  expect(reviewOcrItem(block, 0, 'Pay Totel to Acme Inc. now.')).toContain('<a href="https://example.com">Acme</a> Inc. now.</p>');
+  // Text removed across elements empties them rather than dropping them.
+  expect(reviewOcrItem(block, 0, 'Pay now.')).toContain('>Pay <b></b><a href="https://example.com"></a>now.</p>');
+  expect(reviewOcrItem(block, 0, 'Pay Totel to Acme now!')).toContain('</a> now!</p>');
+});
+
+test('marks the passages to review for the preview', () => {
+  const marked = markOcrItems(html, 0.8, 3);
+  expect(marked).toContain('data-ocr-item="3" data-ocr-current="">42,O0</span>');
+  expect(marked).toContain('data-ocr-item="4">Loose block</p>');
+  expect(marked.match(/data-ocr-item/g)).toHaveLength(2);
+  expect(markOcrItems(html, 0.3)).toBe(html);
+});
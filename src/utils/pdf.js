@@ -0,0 +1,73 @@
+// Minimal PDF writer for exports: one JPEG image per page, drawn at a given
+// position. The pages come from src/utils/snapshot.js, so text in the PDF is
+// part of the image rather than selectable.
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+
+const number = (value) => String(Number(value.toFixed(2)));
+
+// Text strings as UTF-16BE hex, which any title survives. Characters outside
+// the BMP are written as their surrogate pairs, one code unit at a time.
+const textString = (text) => {
+  const s = String(text);
+  let hex = '';
+  for (let i = 0; i < s.length; i++) hex += s.charCodeAt(i).toString(16).padStart(4, '0');
+  return `<FEFF${hex}>`;
+};
+
+/**
+ * Builds a PDF from `pages`, each
+ * `{ width, height, image: { data, width, height }, x, y, drawWidth, drawHeight }`:
+ * page size and image placement in points (x/y from the top-left corner),
+ * `image.data` the JPEG bytes and `image.width/height` its pixel size.
+ * `lang` is the document language, which screen readers read the title with.
+ */
+export function createPdf(pages, { title, lang } = {}) {
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? ascii(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, dictionary, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // Objects 1-3 are the catalog, page tree and info; each page then takes
+  // three: the page, its content stream and its image.
+  const pageId = (index) => 4 + index * 3;
+
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  object(1, `<< /Type /Catalog /Pages 2 0 R${lang ? ` /Lang ${textString(lang)}` : ''} >>`);
+  object(2, `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, `<< /Producer (AI Document Editor)${title ? ` /Title ${textString(title)}` : ''} >>`);
+
+  pages.forEach((page, index) => {
+    const id = pageId(index);
+    const { image } = page;
+    const bottom = page.height - page.y - page.drawHeight;
+    const content = ascii(`q ${number(page.drawWidth)} 0 0 ${number(page.drawHeight)} ${number(page.x)} ${number(bottom)} cm /Im0 Do Q`);
+
+    object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(page.width)} ${number(page.height)}] /Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    object(id + 1, `<< /Length ${content.length} >>`, content);
+    object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`, image.data);
+  });
+
+  const xref = length;
+  const count = offsets.length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
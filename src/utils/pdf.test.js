@@ -0,0 +1,50 @@
+import { createPdf } from './pdf';
+import { toBytes } from './zip';
+
+const latin1 = (bytes) => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+const page = (overrides) => ({
+  width: 595.28,
+  height: 841.89,
+  x: 56.69,
+  y: 56.69,
+  drawWidth: 481.89,
+  drawHeight: 300,
+  image: { data: Uint8Array.from([0xff, 0xd8, 0xff, 0xd9]), width: 1285, height: 800 },
+  ...overrides
+});
+
+test('writes one page with its image per entry', async () => {
+  const blob = createPdf([page(), page({ drawHeight: 100 })], { title: 'Résumé', lang: 'fr' });
+  expect(blob.type).toBe('application/pdf');
+  const text = latin1(await toBytes(blob));
+
+  expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(text).toContain('/Kids [4 0 R 7 0 R] /Count 2');
+  expect(text).toContain('/Title <FEFF005200e900730075006d00e9>');
+  expect(text).toContain('/Lang <FEFF00660072>');
+  expect(text).toContain('/MediaBox [0 0 595.28 841.89]');
+  expect(text).toContain('/Width 1285 /Height 800 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 4');
+  // Placed from the top margin: 841.89 - 56.69 - 300.
+  expect(text).toContain('q 481.89 0 0 300 56.69 485.2 cm /Im0 Do Q');
+  expect(text.endsWith('%%EOF\n')).toBe(true);
+});
+
+test('titles outside the Basic Multilingual Plane keep both halves of each character', async () => {
+  const text = latin1(await toBytes(createPdf([page()], { title: 'Notes 📝' })));
+  expect(text).toContain('/Title <FEFF004e006f0074006500730020d83ddcdd>');
+});
+
+test('the cross-reference table points at every object', async () => {
+  const text = latin1(await toBytes(createPdf([page()])));
+  const xref = Number(/startxref\n(\d+)/.exec(text)[1]);
+  expect(text.slice(xref, xref + 4)).toBe('xref');
+
+  const entries = text.slice(xref).split('\n').slice(3, 9);
+  expect(entries).toHaveLength(6);
+  entries.forEach((entry, index) => {
+    const offset = Number(entry.slice(0, 10));
+    expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+  });
+  expect(text).toContain('/Size 7 /Root 1 0 R');
+});
@@ -0,0 +1,213 @@
+import { parseHtml } from './dom';
+import { buildPattern, textSegments, piecesOf } from './findReplace';
+
+// Redaction of personal data. Rules (patterns and dictionaries from
+// src/config/redactionConfig.js, plus terms the user adds) suggest matches in
+// the document's text; the approved ones are replaced by
+//
+//   <span data-redacted="email">█████</span>
+//
+// Attributes and comments that contain redacted text are dropped with it, so
+// e.g. a mailto: link doesn't keep the address. Each run adds a row per kind
+// of data to the redaction log, a table at the end of the document that goes
+// into every export.
+
+export const REDACTION_LOG_SELECTOR = '[data-redaction-log]';
+
+const SKIP_SELECTOR = `${REDACTION_LOG_SELECTOR}, [data-redacted]`;
+
+const digitCount = (text) => (text.match(/\d/g) || []).length;
+
+// A pattern for any of `words`, longest first so "Jane Doe" wins over "Jane".
+const anyOf = (words, options) => buildPattern(
+  [...new Set(words)]
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|'),
+  { ...options, regex: true }
+);
+
+/**
+ * The rules to detect with: `{ id, label, pattern, minDigits }` for each
+ * pattern and dictionary of `config`, then the user's `terms` (whole words,
+ * ignoring case, rule 'custom') and text they selected to redact (exactly as
+ * selected, rule 'manual'). Patterns that don't compile are skipped.
+ */
+export function compileRules({ patterns = [], dictionaries = [] }, { terms = [], selections = [] } = {}) {
+  const rules = [];
+  patterns.forEach(({ id, label, source, flags = '', minDigits = 0 }) => {
+    try {
+      rules.push({ id, label, pattern: new RegExp(source, `gu${flags.replace(/[gu]/g, '')}`), minDigits });
+    } catch (err) {
+      console.error(`Ignoring redaction pattern "${id}":`, err);
+    }
+  });
+  const dictionary = (id, label, words, options = { wholeWord: true }) => {
+    const trimmed = words.map(word => word.trim()).filter(Boolean);
+    if (trimmed.length > 0) rules.push({ id, label, pattern: anyOf(trimmed, options), minDigits: 0 });
+  };
+  dictionaries.forEach(({ id, label, terms: words = [] }) => dictionary(id, label, words));
+  dictionary('custom', 'Custom term', terms);
+  dictionary('manual', 'Selected text', selections, { caseSensitive: true });
+  return rules;
+}
+
+// The matches of `rules` in the text of `body`, without overlaps: where two
+// overlap, the one starting first (then the longer, then the earlier rule)
+// wins. Text already redacted and the log are left alone.
+const detect = (body, rules) => {
+  const found = [];
+  textSegments(body).forEach((segment, segmentIndex) => {
+    const skipped = (start, end) => piecesOf(segment, start, end)
+      .some(({ node }) => node.parentElement?.closest(SKIP_SELECTOR));
+    const candidates = [];
+    rules.forEach((rule, order) => {
+      for (const match of segment.text.matchAll(rule.pattern)) {
+        const end = match.index + match[0].length;
+        if (match[0] === '' || digitCount(match[0]) < rule.minDigits || skipped(match.index, end)) continue;
+        candidates.push({ start: match.index, end, rule, order });
+      }
+    });
+    candidates.sort((a, b) => a.start - b.start || b.end - a.end || a.order - b.order);
+    let reached = 0;
+    candidates.forEach(candidate => {
+      if (candidate.start < reached) return;
+      reached = candidate.end;
+      found.push({ ...candidate, segment, key: `${segmentIndex}:${candidate.start}:${candidate.end}` });
+    });
+  });
+  return found;
+};
+
+/**
+ * Suggested redactions in `html`: `[{ key, rule, label, text, before, after }]`
+ * in document order. `key` identifies the match for as long as `html` is
+ * unchanged.
+ */
+export function detectPii(html, rules) {
+  return detect(parseHtml(html).body, rules).map(({ key, rule, segment, start, end }) => ({
+    key,
+    rule: rule.id,
+    label: rule.label,
+    text: segment.text.slice(start, end),
+    before: segment.text.slice(Math.max(0, start - 30), start),
+    after: segment.text.slice(end, end + 30)
+  }));
+}
+
+// Puts `wrap(match, piece, isFirst)` in place of each piece of each match, last to
+// first so splitting a text node leaves earlier offsets valid.
+const replacePieces = (matches, wrap) => {
+  [...matches].reverse().forEach(match => {
+    piecesOf(match.segment, match.start, match.end).reverse().forEach(({ node, from, to }, index, pieces) => {
+      const piece = node.splitText(from);
+      piece.splitText(to - from);
+      const replacement = wrap(match, piece, index === pieces.length - 1);
+      if (replacement) piece.replaceWith(replacement);
+      else piece.remove();
+    });
+  });
+};
+
+/**
+ * For the preview: `html` with each suggestion wrapped in
+ * `<mark data-redaction="key" data-redaction-state="...">`, the state being
+ * `states[key]` ('approved', 'rejected' or 'pending' when missing).
+ */
+export function markSuggestions(html, rules, states = {}) {
+  const doc = parseHtml(html);
+  const matches = detect(doc.body, rules);
+  if (matches.length === 0) return html;
+  replacePieces(matches, (match, piece) => {
+    const mark = doc.createElement('mark');
+    mark.setAttribute('data-redaction', match.key);
+    mark.setAttribute('data-redaction-state', states[match.key] || 'pending');
+    mark.appendChild(piece.cloneNode());
+    return mark;
+  });
+  return doc.body.innerHTML;
+}
+
+// Drops attributes and comments that contain any of `texts`.
+const scrubTraces = (doc, texts) => {
+  if (texts.length === 0) return;
+  const contains = (value) => texts.some(text => value.includes(text));
+  doc.body.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      if (contains(value)) element.removeAttribute(name);
+    });
+  });
+  const comments = doc.createTreeWalker(doc.body, NodeFilter.SHOW_COMMENT);
+  const found = [];
+  while (comments.nextNode()) found.push(comments.currentNode);
+  found.filter(comment => contains(comment.data)).forEach(comment => comment.remove());
+};
+
+const redactionMark = (doc, ruleId, replacement) => {
+  const span = doc.createElement('span');
+  span.setAttribute('data-redacted', ruleId);
+  span.textContent = replacement;
+  return span;
+};
+
+/**
+ * Redacts the suggestions of `html` whose keys are in `keys`. Returns
+ * `{ html, texts, counts }`: the removed strings (for scrubbing older
+ * versions, see scrubHtml) and how many matches of each rule label were
+ * removed.
+ */
+export function applyRedactions(html, rules, keys, replacement) {
+  const doc = parseHtml(html);
+  const wanted = new Set(keys);
+  const matches = detect(doc.body, rules).filter(match => wanted.has(match.key));
+  const texts = [...new Set(matches.map(match => match.segment.text.slice(match.start, match.end)))];
+  const counts = {};
+  matches.forEach(match => { counts[match.rule.label] = (counts[match.rule.label] || 0) + 1; });
+
+  replacePieces(matches, (match, piece, first) => (first ? redactionMark(doc, match.rule.id, replacement) : null));
+  scrubTraces(doc, texts);
+  return { html: doc.body.innerHTML, texts, counts };
+}
+
+/**
+ * `html` with every occurrence of `texts` redacted, wherever it is: for
+ * versions of the document other than the current one (history, the
+ * uploaded original), so undoing can't bring redacted data back.
+ */
+export function scrubHtml(html, texts, replacement) {
+  if (!html || texts.length === 0) return html;
+  const doc = parseHtml(html);
+  const matches = detect(doc.body, [{ id: 'scrubbed', pattern: anyOf(texts, { caseSensitive: true }), minDigits: 0 }]);
+  replacePieces(matches, (match, piece, first) => (first ? redactionMark(doc, 'scrubbed', replacement) : null));
+  scrubTraces(doc, texts);
+  return doc.body.innerHTML;
+}
+
+/** `text` (an instruction, a history label...) with every one of `texts` replaced. */
+export function scrubText(text, texts, replacement) {
+  if (typeof text !== 'string' || texts.length === 0) return text;
+  return text.replace(anyOf(texts, { caseSensitive: true }), replacement);
+}
+
+/**
+ * `html` with a row per label of `counts` added to its redaction log
+ * (created at the end of the document the first time). `date` is shown as
+ * given.
+ */
+export function appendRedactionLog(html, counts, date) {
+  const doc = parseHtml(html);
+  let log = doc.body.querySelector(REDACTION_LOG_SELECTOR);
+  if (!log) {
+    log = doc.createElement('section');
+    log.setAttribute('data-redaction-log', '');
+    log.innerHTML = '<h2>Redaction log</h2><table><thead><tr><th scope="col">Date</th><th scope="col">Removed</th><th scope="col">Count</th></tr></thead><tbody></tbody></table>';
+    doc.body.appendChild(log);
+  }
+  const rows = log.querySelector('tbody') || log.querySelector('table')?.createTBody();
+  if (!rows) return html;
+  Object.entries(counts).forEach(([label, count]) => {
+    const row = rows.insertRow();
+    [date, label, String(count)].forEach(value => { row.insertCell().textContent = value; });
+  });
+  return doc.body.innerHTML;
+}
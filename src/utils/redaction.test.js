@@ -0,0 +1,78 @@
+import redactionConfig from '../config/redactionConfig';
+import { compileRules, detectPii, markSuggestions, applyRedactions, scrubHtml, scrubText, appendRedactionLog } from './redaction';
+
+const rules = compileRules(redactionConfig, { terms: ['Acme Corp'] });
+
+const html = '<p>Contact Dr. Jane Smith at <a href="mailto:jane.smith@example.com">jane.smith@example.com</a> or +1 (555) 123-4567.</p>'
+  + '<p>Account no. 12345678, IBAN DE89 3704 0044 0532 0130 00, card 4111 1111 1111 1111.</p>'
+  + '<p>SSN 123-45-6789, passport X1234567, living at 42 Baker Street for Acme <b>Corp</b>.</p>'
+  + '<p>Invoice 2024-117 dated 12.03.2024 for 1,250.00 EUR.</p>';
+
+test('detects the configured kinds of personal data and leaves dates and amounts alone', () => {
+  const found = detectPii(html, rules).map(({ rule, text }) => [rule, text]);
+  expect(found).toEqual([
+    ['title-name', 'Dr. Jane Smith'],
+    ['email', 'jane.smith@example.com'],
+    ['phone', '+1 (555) 123-4567'],
+    ['account', '12345678'],
+    ['iban', 'DE89 3704 0044 0532 0130 00'],
+    ['card', '4111 1111 1111 1111'],
+    ['ssn', '123-45-6789'],
+    ['id', 'X1234567'],
+    ['address', '42 Baker Street'],
+    ['custom', 'Acme Corp']
+  ]);
+  expect(detectPii(html, rules)[1]).toMatchObject({ key: '0:26:48', label: 'Email address', before: 'Contact Dr. Jane Smith at ' });
+});
+
+test('skips broken patterns and redacts selected text exactly as selected', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const broken = compileRules({ patterns: [{ id: 'bad', label: 'Bad', source: '(' }] }, { selections: ['Project Falcon'] });
+  expect(console.error).toHaveBeenCalled();
+  console.error.mockRestore();
+  expect(broken.map(rule => rule.id)).toEqual(['manual']);
+  expect(detectPii('<p>project falcon and Project Falcon</p>', broken).map(match => match.text)).toEqual(['Project Falcon']);
+});
+
+test('marks suggestions for the preview with their review state', () => {
+  const [name, email] = detectPii(html, rules);
+  const marked = markSuggestions(html, rules, { [name.key]: 'rejected' });
+  expect(marked).toContain(`<mark data-redaction="${name.key}" data-redaction-state="rejected">Dr. Jane Smith</mark>`);
+  expect(marked).toContain(`<mark data-redaction="${email.key}" data-redaction-state="pending">jane.smith@example.com</mark>`);
+  // Across inline markup, each piece is marked.
+  expect(marked).toMatch(/>Acme <\/mark><b><mark [^>]*>Corp<\/mark><\/b>/);
+});
+
+test('removes approved matches with their traces in attributes and counts them', () => {
+  const found = detectPii(html, rules);
+  const approved = found.filter(match => ['email', 'custom', 'title-name'].includes(match.rule)).map(match => match.key);
+  const result = applyRedactions(html, rules, approved, '█');
+
+  expect(result.html).not.toContain('jane.smith');
+  expect(result.html).not.toContain('Jane Smith');
+  expect(result.html).not.toContain('Corp');
+  expect(result.html).toContain('Contact <span data-redacted="title-name">█</span> at <a><span data-redacted="email">█</span></a>');
+  expect(result.html).toContain('for <span data-redacted="custom">█</span><b></b>.');
+  expect(result.html).toContain('+1 (555) 123-4567');
+  expect(result.texts).toEqual(['Dr. Jane Smith', 'jane.smith@example.com', 'Acme Corp']);
+  expect(result.counts).toEqual({ Name: 1, 'Email address': 1, 'Custom term': 1 });
+
+  // What's redacted isn't suggested again.
+  expect(detectPii(result.html, rules).map(match => match.rule)).not.toContain('email');
+});
+
+test('scrubs other versions and keeps a log of what kind of data was removed', () => {
+  const older = '<p title="Jane">Mail jane.smith@example.com</p><!-- jane.smith@example.com -->';
+  expect(scrubHtml(older, ['jane.smith@example.com', 'Jane'], '█')).toBe('<p>Mail <span data-redacted="scrubbed">█</span></p>');
+  expect(scrubHtml(older, [], '█')).toBe(older);
+  expect(scrubText('Replace "Jane" with "J. (jane.smith@example.com)"', ['jane.smith@example.com', 'Jane'], '█')).toBe('Replace "█" with "J. (█)"');
+
+  const logged = appendRedactionLog('<p>Text</p>', { 'Email address': 2 }, '2026-10-18');
+  expect(logged).toContain('<section data-redaction-log=""><h2>Redaction log</h2>');
+  expect(logged).toContain('<tr><td>2026-10-18</td><td>Email address</td><td>2</td></tr>');
+  const again = appendRedactionLog(logged, { Name: 1 }, '2026-10-19');
+  expect(again.match(/data-redaction-log/g)).toHaveLength(1);
+  expect(again).toContain('<tr><td>2026-10-19</td><td>Name</td><td>1</td></tr>');
+  // The log itself is never suggested for redaction.
+  expect(detectPii(appendRedactionLog('<p>x</p>', { 'Phone number': 1 }, '+1 555 123 4567'), rules)).toEqual([]);
+});
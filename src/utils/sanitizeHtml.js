@@ -0,0 +1,219 @@
+import defaultConfig from '../config/sanitizeConfig';
+import { parseHtml } from './dom';
+
+// Removes everything from server/AI HTML that isn't on the allowlist in
+// src/config/sanitizeConfig.js and reports what was removed.
+
+const DANGEROUS_CSS = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import/i;
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp);/i;
+const FONT_FACE_PROPERTIES = ['font-family', 'src', 'font-weight', 'font-style', 'font-display', 'unicode-range'];
+
+const createReport = () => {
+  const counts = new Map();
+  return {
+    add(kind, name) {
+      const key = `${kind}:${name}`;
+      const entry = counts.get(key) || { kind, name, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    },
+    list: () => Array.from(counts.values())
+  };
+};
+
+const isSafeUrl = (value, config, allowDataImage) => {
+  // Browsers ignore control characters and spaces inside a scheme ("java\tscript:").
+  const compact = Array.from(value).filter(char => char.charCodeAt(0) > 32).join('');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return true;
+  if (allowDataImage && config.allowDataImages && SAFE_DATA_IMAGE.test(compact)) return true;
+  return config.urlSchemes.includes(scheme[1].toLowerCase());
+};
+
+// Splits on `separator` outside of quotes and parentheses, so data: URLs
+// like url(data:image/png;base64,...) stay in one piece.
+const splitOutside = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+};
+
+const cssUrlsAreSafe = (value, config) => {
+  const urls = value.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi);
+  for (const [, , url] of urls) {
+    if (!isSafeUrl(url, config, true)) return false;
+  }
+  return true;
+};
+
+const sanitizeDeclarations = (text, config, report, allowed = config.cssProperties) =>
+  splitOutside(text, ';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      if (!property || !value) return null;
+      if (!allowed.includes(property)) {
+        report.add('css', property);
+        return null;
+      }
+      if (DANGEROUS_CSS.test(value) || !cssUrlsAreSafe(value, config)) {
+        report.add('css', `${property} (unsafe value)`);
+        return null;
+      }
+      return `${property}: ${value}`;
+    })
+    .filter(Boolean)
+    .join('; ');
+
+// Index of the `}` matching the `{` at `open`, or the end of the text.
+const findBlockEnd = (css, open) => {
+  let depth = 0;
+  for (let i = open; i < css.length; i++) {
+    if (css[i] === '{') depth++;
+    else if (css[i] === '}' && --depth === 0) return i;
+  }
+  return css.length;
+};
+
+const sanitizeStylesheet = (css, config, report) => {
+  let output = '';
+  let i = 0;
+  while (i < css.length) {
+    const brace = css.indexOf('{', i);
+    const semicolon = css.indexOf(';', i);
+
+    // At-rule statements without a block (@import, @charset, @namespace).
+    if (semicolon !== -1 && (brace === -1 || semicolon < brace)) {
+      const statement = css.slice(i, semicolon).trim();
+      if (statement) report.add('css', statement.split(/\s/)[0]);
+      i = semicolon + 1;
+      continue;
+    }
+    if (brace === -1) break;
+
+    const prelude = css.slice(i, brace).trim();
+    const end = findBlockEnd(css, brace);
+    const body = css.slice(brace + 1, end);
+    const atRule = prelude.startsWith('@') ? prelude.split(/[\s(]/)[0].toLowerCase() : null;
+
+    if (atRule === '@media' || atRule === '@supports') {
+      output += `${prelude} {\n${sanitizeStylesheet(body, config, report)}}\n`;
+    } else if (atRule === '@page') {
+      output += `${prelude} { ${sanitizeDeclarations(body, config, report)} }\n`;
+    } else if (atRule === '@font-face') {
+      output += `${prelude} { ${sanitizeDeclarations(body, config, report, FONT_FACE_PROPERTIES)} }\n`;
+    } else if (atRule) {
+      report.add('css', atRule);
+    } else if (prelude) {
+      output += `${prelude} { ${sanitizeDeclarations(body, config, report)} }\n`;
+    }
+    i = end + 1;
+  }
+  return output;
+};
+
+// Whether `name` is a data-* attribute this HTML may carry; see
+// previewDataAttributes and stateDataAttributes in the config.
+const dataAttributeAllowed = (name, config, keepEditorState) =>
+  config.allowDataAttributes && name.startsWith('data-') &&
+  !(config.previewDataAttributes || []).includes(name) &&
+  (keepEditorState || !(config.stateDataAttributes || []).includes(name));
+
+const attributeAllowed = (tag, name, config, keepEditorState) =>
+  (name.startsWith('data-') ? dataAttributeAllowed(name, config, keepEditorState) : false) ||
+  config.attributes['*'].includes(name) ||
+  (config.attributes[tag] || []).includes(name);
+
+const sanitizeAttributes = (element, tag, config, report, keepEditorState) => {
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (name.startsWith('on') || !attributeAllowed(tag, name, config, keepEditorState)) {
+      element.removeAttribute(name);
+      report.add('attribute', name);
+      return;
+    }
+    if (config.urlAttributes.includes(name) && !isSafeUrl(value, config, tag === 'img' && name === 'src')) {
+      element.removeAttribute(name);
+      report.add('url', `${tag} ${name}`);
+      return;
+    }
+    if (name === 'style') {
+      const css = sanitizeDeclarations(value, config, report);
+      if (css) element.setAttribute('style', css);
+      else element.removeAttribute('style');
+    }
+  });
+
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+};
+
+const sanitizeNode = (node, config, report, keepEditorState) => {
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === Node.COMMENT_NODE) {
+      child.remove();
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = child.tagName.toLowerCase();
+    if (config.dropTags.includes(tag) || (tag === 'style' && !config.allowStyleTags)) {
+      child.remove();
+      report.add('element', tag);
+      return;
+    }
+    if (tag === 'style') {
+      const css = sanitizeStylesheet(child.textContent.replace(/\/\*[\s\S]*?\*\//g, ''), config, report);
+      child.textContent = css.replace(/<\/style/gi, '<\\/style');
+      Array.from(child.attributes)
+        .filter(attr => !dataAttributeAllowed(attr.name, config, keepEditorState))
+        .forEach(attr => child.removeAttribute(attr.name));
+      return;
+    }
+
+    sanitizeNode(child, config, report, keepEditorState);
+
+    if (!config.tags.includes(tag)) {
+      report.add('element', tag);
+      child.replaceWith(...Array.from(child.childNodes));
+      return;
+    }
+    sanitizeAttributes(child, tag, config, report, keepEditorState);
+  });
+};
+
+/**
+ * Sanitizes an HTML fragment. Returns `{ html, removed }` where `removed`
+ * lists what was stripped as `{ kind, name, count }` with kind 'element',
+ * 'attribute', 'url' or 'css'.
+ *
+ * `keepEditorState` keeps the document state the editor marks in its own
+ * HTML (stateDataAttributes); pass false for HTML from anywhere else.
+ */
+export default function sanitizeHtml(html, config = defaultConfig, { keepEditorState = true } = {}) {
+  const report = createReport();
+  const doc = parseHtml(html);
+  sanitizeNode(doc.body, config, report, keepEditorState);
+  return { html: doc.body.innerHTML, removed: report.list() };
+}
@@ -0,0 +1,81 @@
+import sanitizeHtml from './sanitizeHtml';
+import sanitizeConfig from '../config/sanitizeConfig';
+
+test('removes scripts, event handlers and javascript: links', () => {
+  const { html, removed } = sanitizeHtml(
+    '<p onclick="steal()">Hi <a href="javascript:alert(1)">link</a></p><script>alert(1)</script>'
+  );
+
+  expect(html).toBe('<p>Hi <a>link</a></p>');
+  expect(removed).toEqual(expect.arrayContaining([
+    { kind: 'attribute', name: 'onclick', count: 1 },
+    { kind: 'url', name: 'a href', count: 1 },
+    { kind: 'element', name: 'script', count: 1 }
+  ]));
+});
+
+test('unwraps unknown elements but keeps their content', () => {
+  const { html } = sanitizeHtml('<custom-box><b>Bold</b></custom-box>');
+
+  expect(html).toBe('<b>Bold</b>');
+});
+
+test('filters inline styles against the allowlist', () => {
+  const { html, removed } = sanitizeHtml(
+    '<p style="color: red; behavior: url(x.htc); background-image: url(javascript:alert(1))">Text</p>'
+  );
+
+  expect(html).toBe('<p style="color: red">Text</p>');
+  expect(removed.map(item => item.name)).toEqual(['behavior', 'background-image (unsafe value)']);
+});
+
+test('keeps safe data images and drops other data URLs', () => {
+  const image = '<img src="data:image/png;base64,AAAA" alt="x">';
+
+  expect(sanitizeHtml(image).html).toBe(image);
+  expect(sanitizeHtml('<a href="data:text/html,<script>">x</a>').html).toBe('<a>x</a>');
+});
+
+test('sanitizes style blocks', () => {
+  const { html } = sanitizeHtml(
+    '<style>@import url(evil.css); p { color: blue; -moz-binding: url(x) } @media print { h1 { font-size: 20pt } }</style>'
+  );
+
+  expect(html).toContain('p { color: blue }');
+  expect(html).toContain('@media print');
+  expect(html).not.toContain('@import');
+  expect(html).not.toContain('binding');
+});
+
+test('keeps only data attributes on style blocks', () => {
+  const { html } = sanitizeHtml('<style data-preset="minimal" media="print" onload="x()">p { color: blue }</style>');
+  expect(html).toBe('<style data-preset="minimal">p { color: blue }\n</style>');
+});
+
+test("strips the editor's own data attributes from HTML that didn't come from it", () => {
+  const incoming = '<p data-page="2" data-comment="t1" data-ocr-reviewed="">Scan</p><style data-preset="minimal" data-find-match="">p { color: blue }</style>';
+
+  // Preview markers are never kept; state markers only from the editor.
+  expect(sanitizeHtml(incoming).html).toBe('<p data-page="2" data-ocr-reviewed="">Scan</p><style data-preset="minimal">p { color: blue }\n</style>');
+  const { html, removed } = sanitizeHtml(incoming, sanitizeConfig, { keepEditorState: false });
+  expect(html).toBe('<p data-page="2">Scan</p><style>p { color: blue }\n</style>');
+  expect(removed).toEqual(expect.arrayContaining([
+    { kind: 'attribute', name: 'data-comment', count: 1 },
+    { kind: 'attribute', name: 'data-ocr-reviewed', count: 1 }
+  ]));
+});
+
+test('honours a custom config', () => {
+  const config = {
+    tags: ['p'],
+    dropTags: ['script'],
+    attributes: { '*': [] },
+    allowDataAttributes: false,
+    urlAttributes: [],
+    urlSchemes: [],
+    cssProperties: [],
+    allowStyleTags: false
+  };
+
+  expect(sanitizeHtml('<p data-page="1" class="x"><span>Text</span></p>', config).html).toBe('<p>Text</p>');
+});
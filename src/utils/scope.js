@@ -0,0 +1,143 @@
+import { parseHtml, BLOCK_TAGS, getElementPath, resolveElementPath, describeElement } from './dom';
+
+// A scope is a run of sibling elements in the document that an instruction
+// is limited to:
+//
+//   { parentPath, start, end, label }
+//
+// `parentPath` locates the parent (see getElementPath), `start` / `end` are
+// inclusive element-child indices within it.
+
+const CONTEXT_LENGTH = 300;
+
+const labelFor = (elements) =>
+  elements.length === 1
+    ? describeElement(elements[0])
+    : `${elements.length} elements from ${describeElement(elements[0], 24)}`;
+
+/** Scope covering a single element; null for the body itself. */
+export function scopeFromElement(body, element) {
+  if (!element || element === body || !body.contains(element)) return null;
+  const parentPath = getElementPath(body, element.parentElement);
+  if (!parentPath) return null;
+  const index = Array.prototype.indexOf.call(element.parentElement.children, element);
+  return { parentPath, start: index, end: index, label: labelFor([element]) };
+}
+
+const closestBlock = (body, node) => {
+  let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  while (current && current !== body && !BLOCK_TAGS.has(current.tagName)) {
+    current = current.parentElement;
+  }
+  return current;
+};
+
+const childOf = (parent, node) => {
+  let current = node;
+  while (current && current.parentNode !== parent) current = current.parentNode;
+  return current;
+};
+
+/**
+ * Scope covering a selected range. A range inside one block selects that
+ * block; a range across blocks selects the sibling run from the first to the
+ * last one.
+ */
+export function scopeFromRange(body, range) {
+  let parent = range.commonAncestorContainer;
+  if (parent.nodeType !== Node.ELEMENT_NODE) parent = parent.parentElement;
+
+  const first = childOf(parent, range.startContainer);
+  const last = childOf(parent, range.endContainer);
+  const spansSiblings = first && last && first !== last &&
+    first.nodeType === Node.ELEMENT_NODE && last.nodeType === Node.ELEMENT_NODE &&
+    BLOCK_TAGS.has(first.tagName) && BLOCK_TAGS.has(last.tagName);
+
+  if (!spansSiblings) return scopeFromElement(body, closestBlock(body, parent));
+
+  const parentPath = getElementPath(body, parent);
+  if (!parentPath) return null;
+  const children = Array.from(parent.children);
+  const start = children.indexOf(first);
+  const end = children.indexOf(last);
+  return { parentPath, start, end, label: labelFor(children.slice(start, end + 1)) };
+}
+
+/** The selected elements inside `body`, or null if the scope no longer fits. */
+export function resolveScope(body, scope) {
+  const parent = resolveElementPath(body, scope.parentPath);
+  if (!parent || scope.end >= parent.children.length) return null;
+  return { parent, elements: Array.from(parent.children).slice(scope.start, scope.end + 1) };
+}
+
+/** Widens a scope to the element that contains it. */
+export function parentScope(html, scope) {
+  const { body } = parseHtml(html);
+  const resolved = resolveScope(body, scope);
+  return resolved ? scopeFromElement(body, resolved.parent) : null;
+}
+
+const cssPath = (body, element) => {
+  const parts = [];
+  for (let current = element; current && current !== body; current = current.parentElement) {
+    const className = (current.getAttribute('class') || '').trim().split(/\s+/)[0];
+    parts.unshift(`${current.tagName.toLowerCase()}${className ? `.${className}` : ''}`);
+  }
+  return parts.join(' > ') || 'body';
+};
+
+const textAround = (elements, direction) => {
+  let text = '';
+  let sibling = direction === 'before'
+    ? elements[0].previousElementSibling
+    : elements[elements.length - 1].nextElementSibling;
+  while (sibling && text.length < CONTEXT_LENGTH) {
+    const content = sibling.textContent.replace(/\s+/g, ' ').trim();
+    text = direction === 'before' ? `${content} ${text}` : `${text} ${content}`;
+    sibling = direction === 'before' ? sibling.previousElementSibling : sibling.nextElementSibling;
+  }
+  text = text.trim();
+  return direction === 'before' ? text.slice(-CONTEXT_LENGTH) : text.slice(0, CONTEXT_LENGTH);
+};
+
+/**
+ * The HTML of the selected elements plus a little surrounding context for
+ * the model: where the fragment sits and the text right before and after it.
+ */
+export function extractScope(html, scope) {
+  const { body } = parseHtml(html);
+  const resolved = resolveScope(body, scope);
+  if (!resolved) return null;
+  const { parent, elements } = resolved;
+  return {
+    fragment: elements.map(element => element.outerHTML).join('\n'),
+    context: {
+      path: cssPath(body, parent),
+      before: textAround(elements, 'before'),
+      after: textAround(elements, 'after')
+    }
+  };
+}
+
+/** Replaces the selected elements with `fragment`. */
+export function spliceScope(html, scope, fragment) {
+  const doc = parseHtml(html);
+  const resolved = resolveScope(doc.body, scope);
+  if (!resolved) return null;
+  const { parent, elements } = resolved;
+
+  const replacement = doc.createElement('template');
+  replacement.innerHTML = fragment;
+  parent.insertBefore(replacement.content, elements[0]);
+  elements.forEach(element => element.remove());
+  return doc.body.innerHTML;
+}
+
+/** Marks the selected elements with `data-scope-selected` for display. */
+export function markScope(html, scope) {
+  const { body } = parseHtml(html);
+  const resolved = resolveScope(body, scope);
+  if (!resolved) return html;
+  resolved.elements.forEach(element => element.setAttribute('data-scope-selected', ''));
+  return body.innerHTML;
+}
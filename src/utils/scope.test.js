@@ -0,0 +1,37 @@
+import { parseHtml } from './dom';
+import { scopeFromElement, scopeFromRange, extractScope, spliceScope, parentScope } from './scope';
+
+const html = '<h1>Title</h1><div class="page"><p>One</p><p>Two</p><p>Three</p></div>';
+
+test('extracts the selected element with its context', () => {
+  const { body } = parseHtml(html);
+  const scope = scopeFromElement(body, body.querySelectorAll('p')[1]);
+
+  expect(scope).toMatchObject({ parentPath: [1], start: 1, end: 1, label: '<p> "Two"' });
+  expect(extractScope(html, scope)).toEqual({
+    fragment: '<p>Two</p>',
+    context: { path: 'div.page', before: 'One', after: 'Three' }
+  });
+});
+
+test('selects the sibling run covered by a range', () => {
+  const { body } = parseHtml(html);
+  const [one, , three] = body.querySelectorAll('p');
+  const range = body.ownerDocument.createRange();
+  range.setStart(one.firstChild, 1);
+  range.setEnd(three.firstChild, 2);
+
+  expect(scopeFromRange(body, range)).toMatchObject({ parentPath: [1], start: 0, end: 2 });
+});
+
+test('splices the edited fragment back in place', () => {
+  const scope = { parentPath: [1], start: 1, end: 2, label: '' };
+
+  expect(spliceScope(html, scope, '<p>New</p>')).toBe('<h1>Title</h1><div class="page"><p>One</p><p>New</p></div>');
+});
+
+test('widens to the parent element', () => {
+  const scope = { parentPath: [1], start: 0, end: 0, label: '' };
+
+  expect(parentScope(html, scope)).toMatchObject({ parentPath: [], start: 1, end: 1 });
+});
@@ -0,0 +1,164 @@
+// Renders complete HTML documents to images in the browser. An offscreen
+// frame lays the document out at a fixed width; the laid-out markup is then
+// drawn through an SVG <foreignObject> onto a canvas. Browsers without
+// canvas support, or that refuse to read back a canvas with foreign content,
+// fail with RenderingUnsupportedError so callers can fall back to the server.
+
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 64 * 1024 * 1024;
+const LOAD_TIMEOUT = 10000;
+
+export class RenderingUnsupportedError extends Error {
+  constructor(message = 'This browser cannot render the document to an image.') {
+    super(message);
+    this.name = 'RenderingUnsupportedError';
+  }
+}
+
+const canvasContext = (canvas) => {
+  try {
+    return canvas.getContext('2d');
+  } catch (e) {
+    return null;
+  }
+};
+
+const assertCanvas = () => {
+  if (!canvasContext(document.createElement('canvas'))) throw new RenderingUnsupportedError();
+};
+
+const waitForImage = (image) => new Promise(resolve => {
+  if (image.complete) {
+    resolve();
+    return;
+  }
+  const timer = setTimeout(resolve, LOAD_TIMEOUT);
+  const done = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  image.addEventListener('load', done, { once: true });
+  image.addEventListener('error', done, { once: true });
+});
+
+const BREAKABLE_DISPLAYS = new Set(['block', 'list-item', 'table-row', 'flex', 'grid', 'flow-root']);
+
+// Offsets between blocks that contain no further blocks, where a page can
+// end without cutting through a line of text.
+const breakPoints = (doc) => {
+  const view = doc.defaultView;
+  const points = new Set();
+  const isBreakable = (element) => BREAKABLE_DISPLAYS.has(view.getComputedStyle(element).display);
+  Array.from(doc.body.querySelectorAll('*')).forEach(element => {
+    if (!isBreakable(element) || Array.from(element.children).some(isBreakable)) return;
+    const rect = element.getBoundingClientRect();
+    points.add(Math.floor(rect.top + view.scrollY));
+    points.add(Math.ceil(rect.bottom + view.scrollY));
+  });
+  return [...points].sort((a, b) => a - b);
+};
+
+/**
+ * Lays `documentHtml` (a complete HTML document whose images are data URLs)
+ * out at `width` CSS pixels. Returns `{ width, height, breaks, svg }`, where
+ * `svg` is a standalone SVG image of the whole document.
+ */
+export async function renderSnapshot(documentHtml, { width }) {
+  assertCanvas();
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-same-origin');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${width}px; height: 100px; border: 0; visibility: hidden;`;
+  document.body.appendChild(frame);
+
+  try {
+    const doc = frame.contentDocument;
+    doc.open();
+    doc.write(documentHtml);
+    doc.close();
+    await Promise.all(Array.from(doc.images).map(waitForImage));
+    if (doc.fonts?.ready) await doc.fonts.ready;
+
+    const height = Math.ceil(doc.documentElement.scrollHeight);
+    if (!height) throw new RenderingUnsupportedError();
+    const markup = new XMLSerializer().serializeToString(doc.documentElement);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+      + `<foreignObject x="0" y="0" width="${width}" height="${height}">${markup}</foreignObject></svg>`;
+    return { width, height, breaks: breakPoints(doc), svg };
+  } finally {
+    frame.remove();
+  }
+}
+
+/** Loads a snapshot's SVG as an image that can be drawn onto canvases. */
+export const loadSnapshotImage = (snapshot) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const timer = setTimeout(() => reject(new RenderingUnsupportedError()), LOAD_TIMEOUT);
+  image.onload = () => {
+    clearTimeout(timer);
+    resolve(image);
+  };
+  image.onerror = () => {
+    clearTimeout(timer);
+    reject(new RenderingUnsupportedError());
+  };
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(snapshot.svg)}`;
+});
+
+/** The largest scale up to `scale` at which a width × height region fits on a canvas. */
+export const fitScale = (width, height, scale) =>
+  Math.min(scale, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height, Math.sqrt(MAX_CANVAS_AREA / (width * height)));
+
+/**
+ * Draws the region of `image` starting `top` CSS pixels down, `width` ×
+ * `height` in size, at `scale`. Resolves to `{ blob, width, height }` with
+ * the pixel size of the result.
+ */
+export async function rasterize(image, { top = 0, width, height, scale = 1, type = 'image/png', quality } = {}) {
+  const canvas = document.createElement('canvas');
+  const factor = fitScale(width, Math.max(height, 1), scale);
+  canvas.width = Math.max(1, Math.round(width * factor));
+  canvas.height = Math.max(1, Math.round(height * factor));
+  const context = canvasContext(canvas);
+  if (!context) throw new RenderingUnsupportedError();
+
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, top, width, height, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => {
+    try {
+      canvas.toBlob(resolve, type, quality);
+    } catch (e) {
+      // A canvas the browser considers tainted can't be read back.
+      resolve(null);
+    }
+  });
+  if (!blob) throw new RenderingUnsupportedError();
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+// The last break point after `from` and at most `to`, or 0.
+const lastBreak = (breaks, from, to) =>
+  breaks.reduce((best, point) => (point > from && point <= to ? Math.max(best, point) : best), 0);
+
+/**
+ * Splits a document `total` pixels tall into pages of at most `pageHeight`,
+ * ending each page at the last break point in its lower half (or cutting at
+ * `pageHeight` when there is none). Returns `[{ top, height }]`.
+ */
+export function paginate(total, pageHeight, breaks = []) {
+  const pages = [];
+  let top = 0;
+  while (total - top > 1) {
+    const limit = top + pageHeight;
+    if (limit >= total) {
+      pages.push({ top, height: total - top });
+      break;
+    }
+    const end = lastBreak(breaks, top + pageHeight / 2, limit) || limit;
+    pages.push({ top, height: end - top });
+    top = end;
+  }
+  return pages.length ? pages : [{ top: 0, height: Math.max(total, 1) }];
+}
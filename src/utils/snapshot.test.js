@@ -0,0 +1,33 @@
+import { paginate, fitScale, renderSnapshot, RenderingUnsupportedError } from './snapshot';
+
+test('pages end at the last break point in their lower half', () => {
+  expect(paginate(2500, 1000, [300, 650, 900, 1200, 1950, 2100])).toEqual([
+    { top: 0, height: 900 },
+    { top: 900, height: 1000 },
+    { top: 1900, height: 600 }
+  ]);
+});
+
+test('pages are cut at full height when no break point fits', () => {
+  expect(paginate(2100, 1000, [100, 1800])).toEqual([
+    { top: 0, height: 1000 },
+    { top: 1000, height: 800 },
+    { top: 1800, height: 300 }
+  ]);
+});
+
+test('short and empty documents make one page', () => {
+  expect(paginate(400, 1000)).toEqual([{ top: 0, height: 400 }]);
+  expect(paginate(0, 1000)).toEqual([{ top: 0, height: 1 }]);
+});
+
+test('scale is reduced for regions that would not fit on a canvas', () => {
+  expect(fitScale(800, 1000, 2)).toBe(2);
+  expect(fitScale(800, 20000, 2)).toBeCloseTo(16384 / 20000);
+});
+
+test('rendering without canvas support is reported as unsupported', async () => {
+  const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  await expect(renderSnapshot('<p>Hi</p>', { width: 400 })).rejects.toBeInstanceOf(RenderingUnsupportedError);
+  getContext.mockRestore();
+});
@@ -0,0 +1,9 @@
+// localStorage, or null where it can't be used (storage disabled, some
+// private modes), so callers can write `storage()?.getItem(key)`.
+export const storage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+};
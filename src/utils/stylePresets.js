@@ -0,0 +1,268 @@
+// Style presets ("themes"): named typography, colors, spacing, table styling
+// and header/footer text. Applying one writes a <style data-preset> block and
+// <header data-preset-header>/<footer data-preset-footer> elements into the
+// document itself, so the theme is undoable, saved with the session and
+// carried into exports without an AI round-trip.
+
+import { parseHtml } from './dom';
+import { newId } from './ids';
+
+export const PRESET_FILE_FORMAT = 'aidoc-style-presets';
+
+// Editable settings, in form order. `type` decides the control and how
+// imported values are checked.
+export const PRESET_FIELDS = [
+  { key: 'fontFamily', label: 'Body font', type: 'font' },
+  { key: 'fontSize', label: 'Font size (pt)', type: 'number', min: 8, max: 24, step: 0.5 },
+  { key: 'lineHeight', label: 'Line height', type: 'number', min: 1, max: 2.5, step: 0.05 },
+  { key: 'paragraphSpacing', label: 'Paragraph spacing (em)', type: 'number', min: 0, max: 3, step: 0.1 },
+  { key: 'textColor', label: 'Text color', type: 'color' },
+  { key: 'backgroundColor', label: 'Background', type: 'color' },
+  { key: 'headingFontFamily', label: 'Heading font', type: 'font' },
+  { key: 'headingColor', label: 'Heading color', type: 'color' },
+  { key: 'accentColor', label: 'Accent color', type: 'color' },
+  { key: 'tableBorders', label: 'Table borders', type: 'select', options: { grid: 'Grid', horizontal: 'Rows only', none: 'None' } },
+  { key: 'tableBorderColor', label: 'Table border color', type: 'color' },
+  { key: 'tableHeaderBackground', label: 'Table header background', type: 'color' },
+  { key: 'tableHeaderColor', label: 'Table header text', type: 'color' },
+  { key: 'tableStriped', label: 'Striped table rows', type: 'boolean' },
+  { key: 'tableStripeColor', label: 'Stripe color', type: 'color' },
+  { key: 'header', label: 'Header text', type: 'text' },
+  { key: 'footer', label: 'Footer text', type: 'text' },
+  { key: 'headerAlign', label: 'Header and footer alignment', type: 'select', options: { left: 'Left', center: 'Center', right: 'Right' } }
+];
+
+const DEFAULT_STYLES = {
+  fontFamily: 'Georgia, serif',
+  fontSize: 11,
+  lineHeight: 1.5,
+  paragraphSpacing: 0.8,
+  textColor: '#1f2937',
+  backgroundColor: '#ffffff',
+  headingFontFamily: 'Georgia, serif',
+  headingColor: '#111827',
+  accentColor: '#4f46e5',
+  tableBorders: 'grid',
+  tableBorderColor: '#d1d5db',
+  tableHeaderBackground: '#f3f4f6',
+  tableHeaderColor: '#111827',
+  tableStriped: false,
+  tableStripeColor: '#f9fafb',
+  header: '',
+  footer: '',
+  headerAlign: 'left'
+};
+
+const preset = (id, name, description, styles) => ({ id, name, description, builtIn: true, styles: { ...DEFAULT_STYLES, ...styles } });
+
+export const BUILT_IN_PRESETS = [
+  preset('corporate-letter', 'Corporate letter', 'Clean sans-serif with a navy accent and a letterhead.', {
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    headingFontFamily: 'Arial, Helvetica, sans-serif',
+    fontSize: 11,
+    lineHeight: 1.45,
+    textColor: '#1f2937',
+    headingColor: '#1e3a8a',
+    accentColor: '#1e3a8a',
+    tableBorders: 'horizontal',
+    tableHeaderBackground: '#1e3a8a',
+    tableHeaderColor: '#ffffff',
+    header: '{title}',
+    footer: 'Confidential · {date}',
+    headerAlign: 'right'
+  }),
+  preset('academic', 'Academic', 'Serif body, generous line spacing and plain tables.', {
+    fontFamily: '"Times New Roman", Times, serif',
+    headingFontFamily: '"Times New Roman", Times, serif',
+    fontSize: 12,
+    lineHeight: 2,
+    paragraphSpacing: 0.5,
+    textColor: '#000000',
+    headingColor: '#000000',
+    accentColor: '#374151',
+    tableBorders: 'horizontal',
+    tableBorderColor: '#000000',
+    tableHeaderBackground: '#ffffff',
+    tableHeaderColor: '#000000',
+    footer: '{title}',
+    headerAlign: 'center'
+  }),
+  preset('invoice', 'Invoice', 'Compact layout with bold gridded tables and striped rows.', {
+    fontFamily: '"Segoe UI", Roboto, Helvetica, sans-serif',
+    headingFontFamily: '"Segoe UI", Roboto, Helvetica, sans-serif',
+    fontSize: 10,
+    lineHeight: 1.35,
+    paragraphSpacing: 0.5,
+    headingColor: '#065f46',
+    accentColor: '#059669',
+    tableBorders: 'grid',
+    tableBorderColor: '#a7f3d0',
+    tableHeaderBackground: '#059669',
+    tableHeaderColor: '#ffffff',
+    tableStriped: true,
+    tableStripeColor: '#ecfdf5',
+    header: 'INVOICE · {title}',
+    footer: 'Thank you for your business.',
+    headerAlign: 'left'
+  }),
+  preset('minimal', 'Minimal', 'System font, muted colors, no table borders.', {
+    fontFamily: 'system-ui, -apple-system, "Segoe UI", sans-serif',
+    headingFontFamily: 'system-ui, -apple-system, "Segoe UI", sans-serif',
+    fontSize: 11,
+    lineHeight: 1.6,
+    paragraphSpacing: 1,
+    textColor: '#374151',
+    headingColor: '#111827',
+    accentColor: '#6b7280',
+    tableBorders: 'none',
+    tableHeaderBackground: '#ffffff',
+    tableHeaderColor: '#111827'
+  })
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Settings end up inside CSS, so anything that isn't clearly a plain value
+// is replaced by the default.
+const VALIDATORS = {
+  font: (value) => (typeof value === 'string' && /^[\w\s,'"-]{1,120}$/.test(value) ? value.trim() : undefined),
+  color: (value) => (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value.toLowerCase() : undefined),
+  number: (value, field) => (Number.isFinite(Number(value)) && value !== '' ? clamp(Number(value), field.min, field.max) : undefined),
+  select: (value, field) => (Object.prototype.hasOwnProperty.call(field.options, value) ? value : undefined),
+  boolean: (value) => (typeof value === 'boolean' ? value : undefined),
+  text: (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, 200) : undefined)
+};
+
+/**
+ * A complete, safe preset from untrusted input (an imported file or local
+ * storage): unknown settings are dropped and invalid ones get defaults.
+ * Throws when there is no name.
+ */
+export function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) {
+    throw new Error('A preset needs a name.');
+  }
+  const styles = {};
+  PRESET_FIELDS.forEach(field => {
+    const value = VALIDATORS[field.type](raw.styles?.[field.key], field);
+    styles[field.key] = value === undefined ? DEFAULT_STYLES[field.key] : value;
+  });
+  return {
+    id: typeof raw.id === 'string' && /^[\w-]{1,64}$/.test(raw.id) ? raw.id : newId('custom'),
+    name: raw.name.trim().slice(0, 80),
+    description: typeof raw.description === 'string' ? raw.description.trim().slice(0, 200) : '',
+    styles
+  };
+}
+
+/** A custom preset based on `base`, ready to be edited. */
+export const copyPreset = (base, name = `${base.name} (copy)`) => ({
+  id: newId('custom'),
+  name,
+  description: base.description,
+  styles: { ...base.styles }
+});
+
+const TABLE_BORDERS = {
+  grid: (color) => `th, td { border: 1px solid ${color}; }`,
+  horizontal: (color) => `th, td { border: 0; border-bottom: 1px solid ${color}; }`,
+  none: () => 'th, td { border: 0; }'
+};
+
+/** The stylesheet for a preset. */
+export function presetCss({ styles: s }) {
+  const rules = [
+    `body { font-family: ${s.fontFamily}; font-size: ${s.fontSize}pt; line-height: ${s.lineHeight}; color: ${s.textColor}; background-color: ${s.backgroundColor}; }`,
+    `p, ul, ol, dl, table, blockquote, pre { margin-top: 0; margin-bottom: ${s.paragraphSpacing}em; }`,
+    `h1, h2, h3, h4, h5, h6 { font-family: ${s.headingFontFamily}; color: ${s.headingColor}; line-height: 1.25; margin-top: 1.2em; margin-bottom: 0.4em; }`,
+    `a { color: ${s.accentColor}; }`,
+    `hr { border: 0; border-top: 1px solid ${s.accentColor}; }`,
+    `blockquote { margin-left: 0; padding-left: 1em; border-left: 3px solid ${s.accentColor}; }`,
+    'table { border-collapse: collapse; width: 100%; }',
+    'th, td { padding: 0.35em 0.6em; text-align: left; vertical-align: top; }',
+    TABLE_BORDERS[s.tableBorders](s.tableBorderColor),
+    `th { background-color: ${s.tableHeaderBackground}; color: ${s.tableHeaderColor}; font-weight: bold; }`,
+    s.tableStriped && `tbody tr:nth-child(even) td { background-color: ${s.tableStripeColor}; }`,
+    `[data-preset-header] { margin-bottom: 1.5em; padding-bottom: 0.5em; border-bottom: 1px solid ${s.accentColor}; font-size: 0.85em; color: ${s.headingColor}; text-align: ${s.headerAlign}; }`,
+    `[data-preset-footer] { margin-top: 2em; padding-top: 0.5em; border-top: 1px solid ${s.accentColor}; font-size: 0.85em; color: ${s.headingColor}; text-align: ${s.headerAlign}; }`
+  ];
+  return `\n${rules.filter(Boolean).join('\n')}\n`;
+}
+
+const PRESET_PARTS = 'style[data-preset], [data-preset-header], [data-preset-footer]';
+
+const fillPlaceholders = (text, values) =>
+  text.replace(/\{(title|date)\}/g, (match, name) => values[name] ?? match);
+
+/** The id of the preset applied to `html`, or null. */
+export function appliedPresetId(html) {
+  return parseHtml(html).querySelector('style[data-preset]')?.getAttribute('data-preset') || null;
+}
+
+/** `html` without the parts a preset added. */
+export function removePreset(html) {
+  const doc = parseHtml(html);
+  const parts = doc.body.querySelectorAll(PRESET_PARTS);
+  if (parts.length === 0) return html;
+  parts.forEach(part => part.remove());
+  return doc.body.innerHTML;
+}
+
+/**
+ * Applies `preset` to `html`, replacing any preset applied before.
+ * `{title}` and `{date}` in the header and footer are filled from `values`.
+ */
+export function applyPreset(html, preset, values = {}) {
+  const doc = parseHtml(removePreset(html));
+  const { body } = doc;
+
+  const style = doc.createElement('style');
+  style.setAttribute('data-preset', preset.id);
+  style.textContent = presetCss(preset);
+
+  const { header, footer } = preset.styles;
+  if (header) {
+    const element = doc.createElement('header');
+    element.setAttribute('data-preset-header', '');
+    element.textContent = fillPlaceholders(header, values);
+    body.prepend(element);
+  }
+  body.prepend(style);
+  if (footer) {
+    const element = doc.createElement('footer');
+    element.setAttribute('data-preset-footer', '');
+    element.textContent = fillPlaceholders(footer, values);
+    body.append(element);
+  }
+  return body.innerHTML;
+}
+
+/** A JSON file with `presets`, for sharing. */
+export const serializePresets = (presets) => JSON.stringify({
+  format: PRESET_FILE_FORMAT,
+  version: 1,
+  presets: presets.map(({ id, name, description, styles }) => ({ id, name, description, styles }))
+}, null, 2);
+
+/**
+ * Reads presets from a shared JSON file: the format written by
+ * serializePresets, a bare array, or a single preset. Throws with a message
+ * for the user when the file can't be used.
+ */
+export function parsePresets(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+  if (list.length === 0) throw new Error('The file contains no presets.');
+  return list.map((raw, index) => {
+    try {
+      return normalizePreset(raw);
+    } catch (err) {
+      throw new Error(`Preset ${index + 1}: ${err.message}`);
+    }
+  });
+}
@@ -0,0 +1,75 @@
+import {
+  BUILT_IN_PRESETS, applyPreset, removePreset, appliedPresetId, presetCss, normalizePreset, parsePresets, serializePresets
+} from './stylePresets';
+import sanitizeHtml from './sanitizeHtml';
+
+const preset = (id) => BUILT_IN_PRESETS.find(item => item.id === id);
+
+test('applies a preset as a style block, header and footer', () => {
+  const html = applyPreset('<h1>Report</h1><p>Body</p>', preset('corporate-letter'), { title: 'Q3', date: '1/2/2024' });
+  expect(html).toMatch(/^<style data-preset="corporate-letter">/);
+  expect(html).toContain('</style><header data-preset-header="">Q3</header><h1>Report</h1><p>Body</p><footer data-preset-footer="">Confidential · 1/2/2024</footer>');
+  expect(appliedPresetId(html)).toBe('corporate-letter');
+});
+
+test('switching presets replaces the previous one and removing restores the document', () => {
+  const original = '<p>Body</p>';
+  const letter = applyPreset(original, preset('corporate-letter'), { title: 'Q3' });
+  const minimal = applyPreset(letter, preset('minimal'));
+  expect(minimal.match(/<style/g)).toHaveLength(1);
+  expect(minimal).not.toContain('<header');
+  expect(appliedPresetId(minimal)).toBe('minimal');
+  expect(removePreset(minimal)).toBe(original);
+  expect(removePreset(original)).toBe(original);
+});
+
+test('header text is inserted as text and unknown placeholders stay', () => {
+  const custom = normalizePreset({ name: 'X', styles: { header: '<b>{title}</b> {client}' } });
+  expect(applyPreset('<p>x</p>', custom, { title: 'A & B' })).toContain('<header data-preset-header="">&lt;b&gt;A &amp; B&lt;/b&gt; {client}</header>');
+});
+
+test('preset styles survive the sanitizer unchanged', () => {
+  BUILT_IN_PRESETS.forEach(item => {
+    const html = applyPreset('<table><tr><th>A</th></tr></table>', item, { title: 'T' });
+    const { html: clean, removed } = sanitizeHtml(html);
+    expect(removed).toEqual([]);
+    expect(appliedPresetId(clean)).toBe(item.id);
+  });
+});
+
+test('table settings change the stylesheet', () => {
+  const css = presetCss(preset('invoice'));
+  expect(css).toContain('th, td { border: 1px solid #a7f3d0; }');
+  expect(css).toContain('tbody tr:nth-child(even) td { background-color: #ecfdf5; }');
+  expect(presetCss(preset('minimal'))).toContain('th, td { border: 0; }');
+  expect(presetCss(preset('minimal'))).not.toContain('nth-child');
+});
+
+test('normalizing drops unsafe values and clamps numbers', () => {
+  const result = normalizePreset({
+    id: 'team-1',
+    name: '  Team  ',
+    styles: { fontFamily: 'Arial; } body { background: url(x)', fontSize: 99, textColor: 'red', tableBorders: 'dotted', tableStriped: 'yes', extra: 1 }
+  });
+  expect(result.id).toBe('team-1');
+  expect(result.name).toBe('Team');
+  expect(result.styles).toMatchObject({ fontFamily: 'Georgia, serif', fontSize: 24, textColor: '#1f2937', tableBorders: 'grid', tableStriped: false });
+  expect(result.styles).not.toHaveProperty('extra');
+  expect(normalizePreset({ id: '../x', name: 'Y' }).id).toMatch(/^custom-/);
+  expect(() => normalizePreset({ styles: {} })).toThrow('A preset needs a name.');
+});
+
+test('presets round-trip through shared JSON files', () => {
+  const custom = normalizePreset({ id: 'brand', name: 'Brand', description: 'Ours', styles: { accentColor: '#FF0000' } });
+  const text = serializePresets([custom]);
+  expect(JSON.parse(text)).toMatchObject({ format: 'aidoc-style-presets', version: 1 });
+  expect(parsePresets(text)).toEqual([{ ...custom, styles: { ...custom.styles, accentColor: '#ff0000' } }]);
+  expect(parsePresets(JSON.stringify({ name: 'Single' }))[0].name).toBe('Single');
+  expect(parsePresets(JSON.stringify([{ name: 'A' }, { name: 'B' }])).map(item => item.name)).toEqual(['A', 'B']);
+});
+
+test('unusable preset files are reported', () => {
+  expect(() => parsePresets('{')).toThrow('The file is not valid JSON.');
+  expect(() => parsePresets('[]')).toThrow('The file contains no presets.');
+  expect(() => parsePresets('[{"name":"A"},{"styles":{}}]')).toThrow('Preset 2: A preset needs a name.');
+});
@@ -0,0 +1,65 @@
+// Row and column operations for the manual editor. Each takes the node the
+// caret is in and returns false when it isn't inside a table cell. Column
+// positions use cellIndex, so tables with merged cells are handled cell by
+// cell rather than by visual column.
+
+const cellAt = (node) => {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  return element?.closest('td, th') || null;
+};
+
+const emptyCellLike = (cell) => {
+  const copy = cell.ownerDocument.createElement(cell.tagName);
+  if (cell.getAttribute('style')) copy.setAttribute('style', cell.getAttribute('style'));
+  copy.appendChild(cell.ownerDocument.createElement('br'));
+  return copy;
+};
+
+const rowsOf = (table) => Array.from(table.rows);
+
+export function insertRow(node, position = 'after') {
+  const cell = cellAt(node);
+  if (!cell) return false;
+  const row = cell.parentElement;
+  const newRow = row.ownerDocument.createElement('tr');
+  Array.from(row.cells).forEach(existing => newRow.appendChild(emptyCellLike(existing)));
+  row.parentElement.insertBefore(newRow, position === 'before' ? row : row.nextSibling);
+  return true;
+}
+
+export function deleteRow(node) {
+  const cell = cellAt(node);
+  if (!cell) return false;
+  const row = cell.parentElement;
+  const table = row.closest('table');
+  row.remove();
+  if (rowsOf(table).length === 0) table.remove();
+  return true;
+}
+
+export function insertColumn(node, position = 'after') {
+  const cell = cellAt(node);
+  if (!cell) return false;
+  const index = cell.cellIndex;
+  rowsOf(cell.closest('table')).forEach(row => {
+    const reference = row.cells[Math.min(index, row.cells.length - 1)];
+    if (!reference) {
+      row.appendChild(row.ownerDocument.createElement('td'));
+      return;
+    }
+    // A row too short to reach the column gets the new cell at its end.
+    const before = position === 'before' && index < row.cells.length;
+    row.insertBefore(emptyCellLike(reference), before ? reference : reference.nextSibling);
+  });
+  return true;
+}
+
+export function deleteColumn(node) {
+  const cell = cellAt(node);
+  if (!cell) return false;
+  const index = cell.cellIndex;
+  const table = cell.closest('table');
+  rowsOf(table).forEach(row => row.cells[index]?.remove());
+  if (rowsOf(table).every(row => row.cells.length === 0)) table.remove();
+  return true;
+}
@@ -0,0 +1,64 @@
+import { parseHtml } from './dom';
+import { insertRow, deleteRow, insertColumn, deleteColumn } from './tableEditing';
+
+const table = '<table><thead><tr><th>Name</th><th>Qty</th></tr></thead>'
+  + '<tbody><tr><td>Apples</td><td style="text-align: right">3</td></tr><tr><td>Pears</td></tr></tbody></table>';
+
+// The body of `html` and the text node inside its `selector` element, where
+// the caret would be.
+const caretIn = (html, selector) => {
+  const { body } = parseHtml(html);
+  return { body, node: body.querySelector(selector).firstChild };
+};
+
+test('rows are inserted with empty cells like the current row', () => {
+  const { body, node } = caretIn(table, 'tbody td');
+  expect(insertRow(node)).toBe(true);
+  expect(body.querySelector('tbody').innerHTML).toBe('<tr><td>Apples</td><td style="text-align: right">3</td></tr>'
+    + '<tr><td><br></td><td style="text-align: right"><br></td></tr><tr><td>Pears</td></tr>');
+
+  // A header row gets header cells, above it too.
+  const header = caretIn(table, 'th');
+  insertRow(header.node, 'before');
+  expect(header.body.querySelector('thead').innerHTML).toBe('<tr><th><br></th><th><br></th></tr><tr><th>Name</th><th>Qty</th></tr>');
+});
+
+test('columns are inserted in every row, at the end of rows that are too short', () => {
+  const { body, node } = caretIn(table, 'th:nth-child(2)');
+  expect(insertColumn(node)).toBe(true);
+  expect(Array.from(body.querySelectorAll('tr'), row => row.innerHTML)).toEqual([
+    '<th>Name</th><th>Qty</th><th><br></th>',
+    '<td>Apples</td><td style="text-align: right">3</td><td style="text-align: right"><br></td>',
+    '<td>Pears</td><td><br></td>'
+  ]);
+
+  const before = caretIn(table, 'th:nth-child(2)');
+  insertColumn(before.node, 'before');
+  expect(Array.from(before.body.querySelectorAll('tr'), row => row.cells.length)).toEqual([3, 3, 2]);
+  expect(before.body.querySelectorAll('tr')[2].innerHTML).toBe('<td>Pears</td><td><br></td>');
+});
+
+test('rows and columns are deleted, and the table with the last of them', () => {
+  const rows = caretIn(table, 'tbody td');
+  expect(deleteRow(rows.node)).toBe(true);
+  expect(rows.body.querySelectorAll('tr')).toHaveLength(2);
+  deleteRow(rows.body.querySelector('th').firstChild);
+  deleteRow(rows.body.querySelector('td').firstChild);
+  expect(rows.body.innerHTML).toBe('');
+
+  const columns = caretIn(table, 'th:nth-child(2)');
+  expect(deleteColumn(columns.node)).toBe(true);
+  expect(Array.from(columns.body.querySelectorAll('tr'), row => row.innerHTML)).toEqual(['<th>Name</th>', '<td>Apples</td>', '<td>Pears</td>']);
+  deleteColumn(columns.body.querySelector('th').firstChild);
+  expect(columns.body.innerHTML).toBe('');
+});
+
+test('nothing happens outside a table cell', () => {
+  const { body, node } = caretIn(`<p>Intro</p>${table}`, 'p');
+  expect(insertRow(node)).toBe(false);
+  expect(deleteRow(node)).toBe(false);
+  expect(insertColumn(node)).toBe(false);
+  expect(deleteColumn(node)).toBe(false);
+  expect(deleteRow(null)).toBe(false);
+  expect(body.querySelectorAll('td')).toHaveLength(3);
+});
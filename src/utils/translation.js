@@ -0,0 +1,156 @@
+import { BLOCK_TAGS, parseHtml } from './dom';
+import translationConfig from '../config/translationConfig';
+
+// Documents are translated in segments: the paragraphs, headings, lists and
+// tables of the body, found by looking through wrappers such as <section> and
+// <div>. Text between blocks (e.g. loose inline content in a <div>) is one
+// segment per run. Everything else (images, rules, styles) is not translated
+// and stays where it is, so the translation keeps the layout of the original
+// and the two line up segment by segment.
+
+const CONTAINER_TAGS = new Set(['ARTICLE', 'ASIDE', 'BODY', 'DIV', 'FOOTER', 'HEADER', 'MAIN', 'NAV', 'SECTION']);
+const SKIPPED_TAGS = new Set(['STYLE', 'SCRIPT', 'TEMPLATE', 'NOSCRIPT']);
+
+// Scripts written right to left, by ISO 639-1 code (and a few 639-3 ones).
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+/** 'rtl' or 'ltr' for a language code such as 'ar' or 'he-IL'. */
+export const languageDirection = (code) => (RTL_LANGUAGES.has(String(code || '').split(/[-_]/)[0].toLowerCase()) ? 'rtl' : 'ltr');
+
+/** The name of a language code, e.g. 'Arabic' for 'ar'; the code in capitals if it isn't configured. */
+export const languageName = (code) =>
+  translationConfig.languages.find(language => language.code === code)?.name || String(code).toUpperCase();
+
+const hasText = (nodes) => nodes.some(node => node.textContent.trim());
+
+const isBlock = (node) => node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName);
+
+// [{ nodes, inline }] in document order; `inline` segments are runs of
+// non-block nodes.
+const findSegments = (body) => {
+  const segments = [];
+  const collect = (container) => {
+    let run = [];
+    const flush = () => {
+      if (hasText(run)) segments.push({ nodes: run, inline: true });
+      run = [];
+    };
+    Array.from(container.childNodes).forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && SKIPPED_TAGS.has(node.tagName)) {
+        flush();
+      } else if (isBlock(node)) {
+        flush();
+        if (CONTAINER_TAGS.has(node.tagName) && Array.from(node.childNodes).some(isBlock)) {
+          collect(node);
+        } else if (hasText([node])) {
+          segments.push({ nodes: [node], inline: false });
+        }
+      } else {
+        run.push(node);
+      }
+    });
+    flush();
+  };
+  collect(body);
+  return segments;
+};
+
+const serialize = (doc, nodes) => {
+  const holder = doc.createElement('div');
+  nodes.forEach(node => holder.appendChild(node.cloneNode(true)));
+  return holder.innerHTML.trim();
+};
+
+/** The HTML of each segment of `html`, in order. */
+export function splitSegments(html) {
+  const doc = parseHtml(html);
+  return findSegments(doc.body).map(segment => serialize(doc, segment.nodes));
+}
+
+const fragmentOf = (doc, html) => {
+  const template = doc.createElement('template');
+  template.innerHTML = html;
+  return doc.importNode(template.content, true);
+};
+
+// Puts `content` (a fragment) in place of the segment's nodes, marked with
+// `attributes` when given: on the element itself when there is exactly one,
+// otherwise on a <div> or, for inline segments, a <span> around it.
+const replaceSegment = (doc, segment, content, attributes) => {
+  let replacement = content;
+  if (attributes) {
+    const elements = Array.from(content.childNodes).filter(node => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim());
+    let target = elements.length === 1 && elements[0].nodeType === Node.ELEMENT_NODE ? elements[0] : null;
+    if (!target) {
+      target = doc.createElement(segment.inline ? 'span' : 'div');
+      target.appendChild(content);
+      replacement = target;
+    }
+    Object.entries(attributes).forEach(([name, value]) => target.setAttribute(name, value));
+  }
+  segment.nodes[0].parentNode.insertBefore(replacement, segment.nodes[0]);
+  segment.nodes.forEach(node => node.remove());
+};
+
+// `html` with segment i replaced by `translations[i]` (kept when null) and,
+// with `mark`, each segment marked `data-segment="i"`.
+const rebuild = (html, translations, mark) => {
+  const doc = parseHtml(html);
+  findSegments(doc.body).forEach((segment, index) => {
+    const translated = translations?.[index] ?? null;
+    const content = fragmentOf(doc, translated ?? serialize(doc, segment.nodes));
+    const pending = translations && translated === null;
+    const attributes = mark ? { 'data-segment': String(index), ...(pending && { 'data-segment-pending': '' }) } : null;
+    replaceSegment(doc, segment, content, attributes);
+  });
+  return doc.body.innerHTML;
+};
+
+/**
+ * `html` with segment i replaced by `translations[i]`; segments without a
+ * translation (null) keep the original.
+ */
+export const joinSegments = (html, translations) => rebuild(html, translations, false);
+
+/**
+ * For the bilingual view: the original (`translations` omitted) or the
+ * translation with every segment marked `data-segment="i"`; untranslated
+ * segments of a translation also carry `data-segment-pending`.
+ */
+export const markSegments = (html, translations = null) => rebuild(html, translations, true);
+
+const TRANSLATION_STYLE = 'border-inline-start: 3px solid #c7d2fe; padding-inline-start: 0.75em; color: #374151;';
+
+/**
+ * The original with each segment followed by its translation, which carries
+ * its own `lang` and `dir` so either script reads correctly. Segments not
+ * translated yet appear only once.
+ */
+export function bilingualHtml(html, translations, target) {
+  const doc = parseHtml(html);
+  findSegments(doc.body).forEach((segment, index) => {
+    const translated = translations[index] ?? null;
+    if (translated === null) return;
+    const wrapper = doc.createElement(segment.inline ? 'span' : 'div');
+    wrapper.setAttribute('lang', target);
+    wrapper.setAttribute('dir', languageDirection(target));
+    wrapper.setAttribute('style', TRANSLATION_STYLE);
+    wrapper.appendChild(fragmentOf(doc, translated));
+    const last = segment.nodes[segment.nodes.length - 1];
+    if (segment.inline) last.after(doc.createElement('br'), wrapper);
+    else last.after(wrapper);
+  });
+  return doc.body.innerHTML;
+}
+
+/**
+ * Translations for `segments` taken from an earlier translation of
+ * `previous`, wherever a segment's HTML is unchanged; null elsewhere.
+ */
+export function reuseTranslations(previous, translations, segments) {
+  const known = new Map();
+  previous.forEach((segment, index) => {
+    if (translations[index] != null && !known.has(segment)) known.set(segment, translations[index]);
+  });
+  return segments.map(segment => known.get(segment) ?? null);
+}
@@ -0,0 +1,50 @@
+import {
+  splitSegments, joinSegments, markSegments, bilingualHtml, reuseTranslations, languageDirection, languageName
+} from './translation';
+
+const html = '<style>p { color: red }</style><section data-page="1"><h1>Title</h1><p>One <b>two</b></p><img src="a.png"></section>'
+  + '<div>Loose <i>text</i><p>Inner</p></div><table><tbody><tr><td>Cell</td></tr></tbody></table><hr>';
+
+test('splits a document into its blocks, looking through wrappers', () => {
+  expect(splitSegments(html)).toEqual([
+    '<h1>Title</h1>',
+    '<p>One <b>two</b></p>',
+    'Loose <i>text</i>',
+    '<p>Inner</p>',
+    '<table><tbody><tr><td>Cell</td></tr></tbody></table>'
+  ]);
+  expect(splitSegments('<p> </p><p><img src="x.png"></p>')).toEqual([]);
+});
+
+test('joins translations into the layout of the original', () => {
+  const translations = ['<h1>Titre</h1>', null, 'Texte <i>libre</i>', '<p>Dedans</p>', '<table><tbody><tr><td>Case</td></tr></tbody></table>'];
+  expect(joinSegments(html, translations)).toBe(
+    '<style>p { color: red }</style><section data-page="1"><h1>Titre</h1><p>One <b>two</b></p><img src="a.png"></section>'
+    + '<div>Texte <i>libre</i><p>Dedans</p></div><table><tbody><tr><td>Case</td></tr></tbody></table><hr>'
+  );
+});
+
+test('marks segments for the bilingual view', () => {
+  const source = '<h1>Title</h1><div>Loose <i>text</i><p>Inner</p></div>';
+  expect(markSegments(source)).toBe('<h1 data-segment="0">Title</h1><div><span data-segment="1">Loose <i>text</i></span><p data-segment="2">Inner</p></div>');
+  expect(markSegments(source, ['<h1>Titre</h1>', null, '<p>A</p><p>B</p>'])).toBe(
+    '<h1 data-segment="0">Titre</h1><div><span data-segment="1" data-segment-pending="">Loose <i>text</i></span>'
+    + '<div data-segment="2"><p>A</p><p>B</p></div></div>'
+  );
+});
+
+test('the bilingual version follows each segment with its translation', () => {
+  const result = bilingualHtml('<h1>Title</h1><p>Body</p>', ['<h1>عنوان</h1>', null], 'ar');
+  expect(result).toMatch(/^<h1>Title<\/h1><div lang="ar" dir="rtl" style="[^"]+"><h1>عنوان<\/h1><\/div><p>Body<\/p>$/);
+});
+
+test('translations carry over to unchanged segments', () => {
+  expect(reuseTranslations(['<p>a</p>', '<p>b</p>'], ['<p>A</p>', null], ['<p>b</p>', '<p>new</p>', '<p>a</p>']))
+    .toEqual([null, null, '<p>A</p>']);
+});
+
+test('knows right-to-left scripts and configured language names', () => {
+  expect(['ar', 'he-IL', 'fa', 'ur', 'en', 'zh'].map(languageDirection)).toEqual(['rtl', 'rtl', 'rtl', 'rtl', 'ltr', 'ltr']);
+  expect(languageName('de')).toBe('German');
+  expect(languageName('xx')).toBe('XX');
+});
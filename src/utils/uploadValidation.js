@@ -0,0 +1,100 @@
+import uploadConfig from '../config/uploadConfig';
+import { toBytes } from './zip';
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  const megabytes = bytes / (1024 * 1024);
+  return `${Number.isInteger(megabytes) ? megabytes : megabytes.toFixed(1)} MB`;
+};
+
+const extensionOf = (name) => {
+  const dot = (name || '').lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+const typeOf = (file, config) => {
+  const extension = extensionOf(file.name);
+  return config.types.find(type => type.extensions.includes(extension)) ||
+    config.types.find(type => file.type && type.mimeTypes.includes(file.type)) ||
+    null;
+};
+
+const listLabels = (labels) =>
+  labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+
+/** Value for the file input's `accept` attribute. */
+export function acceptAttribute(config = uploadConfig) {
+  return config.types.flatMap(type => [...type.extensions, ...type.mimeTypes]).join(',');
+}
+
+/** "PDF, JPG, PNG, TXT up to 10 MB (PDFs up to 50 pages)" */
+export function uploadHint(config = uploadConfig) {
+  const pages = config.maxPages ? ` (PDFs up to ${config.maxPages} pages)` : '';
+  return `${config.types.map(type => type.label).join(', ')} up to ${formatBytes(config.maxFileSize)}${pages}`;
+}
+
+/**
+ * Whether a dragged item's MIME type is accepted. Browsers don't expose file
+ * names while dragging, so unknown types are given the benefit of the doubt.
+ */
+export function isAcceptedMimeType(mimeType, config = uploadConfig) {
+  return !mimeType || config.types.some(type => type.mimeTypes.includes(mimeType));
+}
+
+/**
+ * Number of pages in a PDF, or null if it can't be told without a full
+ * parser (e.g. page objects inside compressed object streams).
+ */
+export async function countPdfPages(file) {
+  const bytes = await toBytes(file);
+  let text = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+
+  const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  if (pages > 0) return pages;
+
+  const counts = Array.from(text.matchAll(/\/Type\s*\/Pages[^>]*?\/Count\s+(\d+)/g), match => Number(match[1]));
+  return counts.length > 0 ? Math.max(...counts) : null;
+}
+
+/**
+ * Checks a file against the upload limits before it is sent. Returns one
+ * `{ rule: 'type' | 'empty' | 'size' | 'pages', message }` per broken rule;
+ * an empty array means the file can be uploaded.
+ */
+export async function validateFile(file, config = uploadConfig) {
+  const errors = [];
+  const type = typeOf(file, config);
+
+  if (!type) {
+    errors.push({
+      rule: 'type',
+      message: `"${file.name}" is not a supported file type. Use ${listLabels(config.types.map(entry => entry.label))}.`
+    });
+  }
+  if (file.size === 0) {
+    errors.push({ rule: 'empty', message: `"${file.name}" is empty.` });
+  } else if (config.maxFileSize && file.size > config.maxFileSize) {
+    errors.push({
+      rule: 'size',
+      message: `"${file.name}" is ${formatBytes(file.size)}; the limit is ${formatBytes(config.maxFileSize)}.`
+    });
+  }
+
+  // Reading a file over the size limit isn't worth it; it is rejected anyway.
+  if (type?.extensions.includes('.pdf') && config.maxPages && errors.length === 0) {
+    const pages = await countPdfPages(file);
+    if (pages !== null && pages > config.maxPages) {
+      errors.push({
+        rule: 'pages',
+        message: `"${file.name}" has ${pages} pages; the limit is ${config.maxPages}.`
+      });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,42 @@
+import { acceptAttribute, uploadHint, isAcceptedMimeType, countPdfPages, validateFile } from './uploadValidation';
+
+const config = {
+  types: [
+    { label: 'PDF', extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    { label: 'PNG', extensions: ['.png'], mimeTypes: ['image/png'] }
+  ],
+  maxFileSize: 1024,
+  maxPages: 2
+};
+
+const pdfWithPages = (count) => {
+  const pages = Array.from({ length: count }, (_, i) => `${i + 3} 0 obj << /Type /Page /Parent 2 0 R >> endobj`);
+  return `%PDF-1.4\n2 0 obj << /Type /Pages /Count ${count} >> endobj\n${pages.join('\n')}\n%%EOF`;
+};
+
+test('hint text and accept attribute come from the config', () => {
+  expect(uploadHint(config)).toBe('PDF, PNG up to 1 KB (PDFs up to 2 pages)');
+  expect(acceptAttribute(config)).toBe('.pdf,application/pdf,.png,image/png');
+  expect(isAcceptedMimeType('image/png', config)).toBe(true);
+  expect(isAcceptedMimeType('application/zip', config)).toBe(false);
+  expect(isAcceptedMimeType('', config)).toBe(true);
+});
+
+test('countPdfPages counts page objects', async () => {
+  expect(await countPdfPages(new Blob([pdfWithPages(3)]))).toBe(3);
+  expect(await countPdfPages(new Blob(['%PDF-1.5 compressed']))).toBeNull();
+});
+
+test('validateFile reports each broken rule', async () => {
+  expect(await validateFile(new File(['x'], 'scan.png', { type: 'image/png' }), config)).toEqual([]);
+
+  const wrongAndLarge = await validateFile(new File(['x'.repeat(2048)], 'notes.docx'), config);
+  expect(wrongAndLarge.map(error => error.rule)).toEqual(['type', 'size']);
+  expect(wrongAndLarge[0].message).toBe('"notes.docx" is not a supported file type. Use PDF or PNG.');
+  expect(wrongAndLarge[1].message).toBe('"notes.docx" is 2 KB; the limit is 1 KB.');
+
+  expect((await validateFile(new File([], 'blank.pdf'), config))[0].rule).toBe('empty');
+
+  const tooLong = await validateFile(new File([pdfWithPages(3)], 'long.pdf', { type: 'application/pdf' }), config);
+  expect(tooLong).toEqual([{ rule: 'pages', message: '"long.pdf" has 3 pages; the limit is 2.' }]);
+});
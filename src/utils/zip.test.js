@@ -0,0 +1,44 @@
+import { crc32, toBytes, uniqueNames, createZip } from './zip';
+
+const readEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let pointer = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(pointer, true)).toBe(0x02014b50);
+    const size = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = String.fromCharCode(...bytes.slice(pointer + 46, pointer + 46 + nameLength));
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({ name, crc: view.getUint32(pointer + 16, true), data: bytes.slice(dataStart, dataStart + size) });
+    pointer += 46 + nameLength;
+  }
+  return entries;
+};
+
+test('crc32 matches the reference value', async () => {
+  expect(crc32(await toBytes('hello'))).toBe(0x3610a686);
+});
+
+test('uniqueNames numbers duplicates case-insensitively', () => {
+  expect(uniqueNames(['a.pdf', 'A.pdf', 'a.pdf', 'notes'])).toEqual(['a.pdf', 'A (2).pdf', 'a (3).pdf', 'notes']);
+});
+
+test('createZip stores every file with its name and checksum', async () => {
+  const zip = await createZip([
+    { name: 'one.txt', data: 'hello' },
+    { name: 'two.bin', data: new Uint8Array([1, 2, 3]) },
+    { name: 'one.txt', data: new Blob(['again']) }
+  ]);
+  expect(zip.type).toBe('application/zip');
+
+  const entries = readEntries(await toBytes(zip));
+  expect(entries.map(entry => entry.name)).toEqual(['one.txt', 'two.bin', 'one (2).txt']);
+  expect(Array.from(entries[1].data)).toEqual([1, 2, 3]);
+  expect(entries[0].crc).toBe(0x3610a686);
+  expect(String.fromCharCode(...entries[2].data)).toBe('again');
+});